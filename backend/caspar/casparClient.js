@@ -1,12 +1,106 @@
 /**
  * CasparCG AMCP Client - Control CasparCG Server via AMCP protocol
+ *
+ * Commands are queued in FIFO order: AMCP answers commands in the order they were
+ * received, so each reply goes to the oldest pending command. When the server
+ * supports it (CasparCG 2.2+), commands are also tagged with "REQ <id>" and
+ * replies ("RES <id> ...") are matched by ID.
+ *
+ * Untagged replies carry nothing but their order: when one is late or lost, the
+ * next replies would go to the wrong commands, so the client reconnects instead.
+ *
+ * Reply formats:
+ *   200 <CMD> OK  - data lines until an empty line
+ *   201 <CMD> OK  - one data line (XML may span several lines)
+ *   202 <CMD> OK  - no data
+ *   4xx / 5xx     - error, no data
  */
 
 const net = require('net');
 const EventEmitter = require('events');
 
+const STATUS_LINE = /^(?:RES (\S+) )?(\d{3})\s?(.*)$/;
+
+// Tweens of MIXER transitions (linear, easeinoutsine, easeoutbounce...)
+const TWEEN_NAME = /^[a-z]+$/i;
+// MIXER values: numbers or words (blend modes)
+const MIXER_VALUE = /^(?:[a-z]+|-?\d+(?:\.\d+)?)$/i;
+
+// Transitions that take a direction (LEFT/RIGHT); MIX has none
+const DIRECTIONAL_TRANSITIONS = ['SLIDE', 'PUSH', 'WIPE'];
+
+// Video modes named after the standard instead of the rate
+const NAMED_VIDEO_MODES = { pal: 25, ntsc: 29.97 };
+
+// CLS/CINF line: "NAME" TYPE SIZE MODIFIED(YYYYMMDDHHMMSS) FRAMES TIMEBASE(1/25, 1001/30000)
+const CLIP_LINE = /^"(.+)"\s+(\S+)\s+(\d+)\s+(\d{14})(?:\s+(\d+)\s+(\d+)\/(\d+))?/;
+
+/**
+ * Parse a line of a CLS or CINF reply
+ * @returns {Object|null} - { name, type, size, modified, frames, frameRate, durationSeconds }
+ */
+function parseClipLine(line) {
+    const match = CLIP_LINE.exec(String(line).trim());
+    if (!match) return null;
+
+    const [, name, type, size, stamp, frames, timeBaseNum, timeBaseDen] = match;
+    const modified = new Date(
+        Number(stamp.slice(0, 4)), Number(stamp.slice(4, 6)) - 1, Number(stamp.slice(6, 8)),
+        Number(stamp.slice(8, 10)), Number(stamp.slice(10, 12)), Number(stamp.slice(12, 14))
+    );
+
+    // Stills report 0 frames and a 0/1 time base
+    const frameCount = frames !== undefined ? Number(frames) : 0;
+    const frameDuration = timeBaseDen > 0 ? Number(timeBaseNum) / Number(timeBaseDen) : 0;
+
+    return {
+        name,
+        type: type.toUpperCase(),
+        size: Number(size),
+        modified,
+        frames: frameCount,
+        frameRate: frameDuration > 0 ? Math.round(100 / frameDuration) / 100 : null,
+        durationSeconds: Math.round(frameCount * frameDuration * 100) / 100
+    };
+}
+
+/**
+ * Parse a line of a TLS reply ("NAME" SIZE MODIFIED TYPE, or the bare name on some versions)
+ * @returns {string|null} - Template name
+ */
+function parseTemplateLine(line) {
+    const text = String(line).trim();
+    if (!text) return null;
+
+    const quoted = text.match(/^"(.+?)"/);
+    return quoted ? quoted[1] : text.split(/\s+/)[0];
+}
+
+/**
+ * Frame rate of a CasparCG video mode (PAL, NTSC, 720p5000, 1080i5994, 2160p2500...)
+ * Interlaced modes carry the field rate: 1080i5000 is 25 frames per second
+ * @param {string} videoMode
+ * @returns {number|null} - Frames per second, null if the mode is not recognized
+ */
+function videoModeFrameRate(videoMode) {
+    const mode = String(videoMode || '').trim().toLowerCase();
+    if (NAMED_VIDEO_MODES[mode]) return NAMED_VIDEO_MODES[mode];
+
+    const match = mode.match(/^\d+([pi])(\d{4})$/);
+    if (!match) return null;
+
+    const rate = parseInt(match[2], 10) / 100;
+    return match[1] === 'i' ? rate / 2 : rate;
+}
+
 class CasparClient extends EventEmitter {
-    constructor(host = '127.0.0.1', port = 5250) {
+    /**
+     * @param {string} host - CasparCG host
+     * @param {number} port - AMCP port
+     * @param {Object} [options]
+     * @param {boolean} [options.requestIds] - Force REQ/RES request IDs on or off (detected on connect by default)
+     */
+    constructor(host = '127.0.0.1', port = 5250, options = {}) {
         super();
         this.host = host;
         this.port = port;
@@ -17,8 +111,18 @@ class CasparClient extends EventEmitter {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
         this.reconnectDelay = 5000; // 5 secondes
-        this.pendingCommands = new Map(); // Track pending commands
+        this.pendingCommands = new Map(); // Pending commands in sending order (FIFO)
         this.commandTimeout = 5000; // 5 secondes timeout
+        this.commandCounter = 0;
+
+        // REQ/RES support: true, false or null (unknown, detected on connect)
+        this.requestIdsOption = typeof options.requestIds === 'boolean' ? options.requestIds : null;
+        this.useRequestIds = this.requestIdsOption;
+        this.detection = null; // REQ/RES detection in progress (commands wait for it)
+        this.resyncing = false; // Reconnecting after a missing reply
+
+        // Reply being received (multi-line data)
+        this.currentReply = null;
 
         // Éviter trop de listeners (augmenter la limite)
         this.setMaxListeners(50);
@@ -46,6 +150,12 @@ class CasparClient extends EventEmitter {
                 console.log('[CASPAR] Connected to CasparCG Server');
                 this.connected = true;
                 this.reconnectAttempts = 0; // Reset compteur
+                this.buffer = '';
+                this.currentReply = null;
+
+                if (this.requestIdsOption === null) {
+                    this.detection = this.detectRequestIds();
+                }
 
                 // Annuler le timer de reconnexion si présent
                 if (this.reconnectTimer) {
@@ -81,6 +191,7 @@ class CasparClient extends EventEmitter {
                 console.log(`[CASPAR] Connection closed ${hadError ? '(with error)' : ''}`);
                 const wasConnected = this.connected;
                 this.connected = false;
+                this.currentReply = null;
 
                 // Rejeter toutes les commandes en attente
                 this.pendingCommands.forEach((cmdData, cmdId) => {
@@ -91,8 +202,15 @@ class CasparClient extends EventEmitter {
 
                 this.emit('disconnected');
 
-                // Reconnexion automatique si c'était une perte de connexion
-                if (wasConnected) {
+                if (this.resyncing) {
+                    // Reply queue reset: reconnect at once
+                    this.resyncing = false;
+                    this.connect().catch(err => {
+                        console.error('[CASPAR] Reconnection failed:', err.message);
+                        this.scheduleReconnect();
+                    });
+                } else if (wasConnected) {
+                    // Reconnexion automatique si c'était une perte de connexion
                     this.scheduleReconnect();
                 }
             });
@@ -151,146 +269,311 @@ class CasparClient extends EventEmitter {
         // Keep incomplete line in buffer
         this.buffer = lines.pop();
 
-        lines.forEach(line => {
-            if (line.trim()) {
-                console.log('[CASPAR] Response:', line);
-                this.emit('response', line);
+        // Empty lines are kept: they terminate 200 replies
+        lines.forEach(line => this.handleLine(line));
+    }
+
+    /**
+     * Parse one reply line (status line or data line of the current reply)
+     */
+    handleLine(line) {
+        if (line.trim()) {
+            this.emit('response', line);
+        }
+
+        const reply = this.currentReply;
+        if (reply) {
+            this.collectReplyLine(reply, line);
+            return;
+        }
+
+        if (!line.trim()) return;
+
+        const match = line.match(STATUS_LINE);
+        if (!match) {
+            console.warn('[CASPAR] Unexpected line outside of a reply:', line);
+            return;
+        }
+
+        const [, requestId, codeStr, message] = match;
+        const code = parseInt(codeStr, 10);
+        const status = requestId ? line.slice(`RES ${requestId} `.length) : line;
+
+        console.log('[CASPAR] Response:', line);
+
+        const newReply = { requestId: requestId || null, code, status, message, data: [], xmlRoot: null };
+
+        if (code === 200 || code === 201) {
+            this.currentReply = newReply;
+        } else {
+            this.completeReply(newReply);
+        }
+    }
+
+    /**
+     * Add a data line to the reply being received
+     */
+    collectReplyLine(reply, line) {
+        if (reply.code === 200) {
+            // Multi-line data ends with an empty line
+            if (line === '') {
+                this.completeReply(reply);
+            } else {
+                reply.data.push(line);
             }
-        });
+            return;
+        }
+
+        // 201: one data line, unless it is an XML document split over several lines
+        reply.data.push(line);
+
+        if (reply.xmlRoot === null) {
+            const content = line.replace(/^\s*<\?xml[^>]*\?>/, '');
+
+            // XML declaration alone on its line (CasparCG 2.3): the root element follows
+            if (content !== line && !content.trim()) {
+                reply.xmlRoot = '';
+                return;
+            }
+
+            const rootMatch = content.match(/^\s*<([\w-]+)/);
+            if (rootMatch && !content.includes(`</${rootMatch[1]}>`) && !/\/>\s*$/.test(content)) {
+                reply.xmlRoot = rootMatch[1];
+                return;
+            }
+        } else if (reply.xmlRoot === '') {
+            const rootMatch = line.match(/^\s*<([\w-]+)/);
+            reply.xmlRoot = rootMatch ? rootMatch[1] : null;
+            if (rootMatch && !line.includes(`</${rootMatch[1]}>`)) return;
+        } else if (!line.includes(`</${reply.xmlRoot}>`)) {
+            return;
+        }
+
+        this.completeReply(reply);
+    }
+
+    /**
+     * Hand a complete reply to its command
+     * Matched by request ID when tagged (RES), else to the oldest command waiting for an untagged reply
+     */
+    completeReply(reply) {
+        this.currentReply = null;
+
+        let entry = null;
+        if (reply.requestId) {
+            entry = this.pendingCommands.get(reply.requestId) || null;
+        } else {
+            for (const candidate of this.pendingCommands.values()) {
+                if (!candidate.tagged || this.useRequestIds !== true) {
+                    entry = candidate;
+                    break;
+                }
+            }
+        }
+
+        if (!entry) {
+            console.warn('[CASPAR] Reply without pending command:', reply.status);
+            return;
+        }
+
+        this.pendingCommands.delete(entry.id);
+        if (entry.timeoutId) clearTimeout(entry.timeoutId);
+
+        if (entry.settled) return;
+        entry.settled = true;
+
+        const result = {
+            code: reply.code,
+            status: reply.status,
+            data: reply.data,
+            requestId: reply.requestId
+        };
+
+        if (reply.code >= 400) {
+            const error = new Error(reply.status);
+            error.code = reply.code;
+            error.command = entry.command;
+            entry.reject(error);
+        } else {
+            entry.resolve(result);
+        }
+    }
+
+    /**
+     * Detect REQ/RES request ID support (CasparCG 2.2+): older servers answer 400
+     * The VERSION probe is the only command in flight, whether its reply is tagged or not
+     */
+    async detectRequestIds() {
+        try {
+            await this.request('VERSION', { tagged: true, timeout: 2000 });
+            this.useRequestIds = true;
+        } catch (error) {
+            // No reply at all: the connection is reset and detection starts over
+            if (!this.connected) return;
+            this.useRequestIds = false;
+        } finally {
+            this.detection = null;
+        }
+        console.log(`[CASPAR] Request IDs (REQ/RES): ${this.useRequestIds ? 'supported' : 'not supported, FIFO matching only'}`);
+    }
+
+    /**
+     * Drop the connection after a missing reply and reconnect at once
+     * Pending commands fail: their replies can no longer be told apart
+     *
+     * @param {string} reason - Logged cause
+     */
+    resync(reason) {
+        if (!this.socket || !this.connected) return;
+
+        console.warn(`[CASPAR] Reply order lost (${reason}), reconnecting`);
+        this.connected = false;
+        this.resyncing = true;
+        this.socket.destroy();
     }
 
     /**
-     * Send command to CasparCG (version robuste sans fuite mémoire)
+     * Send an AMCP command and wait for its reply
+     *
+     * @param {string} command - AMCP command
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Timeout in ms (defaults to commandTimeout)
+     * @param {boolean} [options.tagged] - Force the REQ prefix (used for detection)
+     * @returns {Promise<{code: number, status: string, data: string[]}>}
      */
-    sendCommand(command) {
+    request(command, options = {}) {
+        if (this.detection && !options.tagged) {
+            return this.detection.then(() => this.request(command, options));
+        }
+
         return new Promise((resolve, reject) => {
             if (!this.connected || !this.socket) {
                 return reject(new Error('Not connected to CasparCG'));
             }
 
-            console.log('[CASPAR] Sending command:', command);
-
-            // Générer un ID unique pour cette commande
-            const commandId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-
-            // Listen for response (avec cleanup automatique)
-            const responseHandler = (response) => {
-                // Check if response is for this command
-                if (response.startsWith('2')) { // Success codes start with 2
-                    cleanup();
-                    resolve(response);
-                } else if (response.startsWith('4') || response.startsWith('5')) { // Error codes
-                    cleanup();
-                    reject(new Error(response));
-                }
-            };
-
-            // Fonction de nettoyage pour éviter les fuites mémoire
-            const cleanup = () => {
-                this.removeListener('response', responseHandler);
-                const cmdData = this.pendingCommands.get(commandId);
-                if (cmdData && cmdData.timeoutId) {
-                    clearTimeout(cmdData.timeoutId);
-                }
-                this.pendingCommands.delete(commandId);
-            };
+            const id = `rtg-${++this.commandCounter}`;
+            const tagged = options.tagged || this.useRequestIds === true;
+            const timeout = options.timeout || this.commandTimeout;
 
-            // Timeout avec cleanup
-            const timeoutId = setTimeout(() => {
-                cleanup();
-                reject(new Error('Command timeout after 5s'));
-            }, this.commandTimeout);
+            console.log('[CASPAR] Sending command:', command);
 
-            // Stocker la commande en attente
-            this.pendingCommands.set(commandId, {
+            const entry = {
+                id,
                 command,
-                timeoutId,
+                tagged,
+                settled: false,
+                timeoutId: null,
                 resolve,
                 reject
-            });
+            };
+
+            // A late tagged reply is recognized by its ID and dropped. A late untagged one
+            // would be taken for the reply of the next command: the connection is reset
+            entry.timeoutId = setTimeout(() => {
+                entry.timeoutId = null;
+                if (entry.settled) return;
+                entry.settled = true;
+                this.pendingCommands.delete(id);
+                reject(new Error(`Command timeout after ${timeout / 1000}s: ${command}`));
+
+                if (!tagged || this.useRequestIds !== true) {
+                    this.resync(`no reply to ${command}`);
+                }
+            }, timeout);
 
-            this.on('response', responseHandler);
+            this.pendingCommands.set(id, entry);
 
             // Send command (avec gestion d'erreur d'écriture)
+            const fail = (message) => {
+                this.pendingCommands.delete(id);
+                if (entry.timeoutId) clearTimeout(entry.timeoutId);
+                if (entry.settled) return;
+                entry.settled = true;
+                reject(new Error(message));
+            };
+
             try {
-                this.socket.write(command + '\r\n', (err) => {
-                    if (err) {
-                        cleanup();
-                        reject(new Error('Failed to write command: ' + err.message));
-                    }
+                this.socket.write(`${tagged ? `REQ ${id} ` : ''}${command}\r\n`, (err) => {
+                    if (err) fail('Failed to write command: ' + err.message);
                 });
             } catch (error) {
-                cleanup();
-                reject(new Error('Socket write error: ' + error.message));
+                fail('Socket write error: ' + error.message);
             }
         });
     }
 
+    /**
+     * Send command to CasparCG
+     * @returns {Promise<string>} - Status line of the reply (e.g. "202 PLAY OK")
+     */
+    async sendCommand(command, options = {}) {
+        const reply = await this.request(command, options);
+        return reply.status;
+    }
+
     /**
      * Get CasparCG version
      */
     async version() {
-        const response = await this.sendCommand('VERSION');
-        return response;
+        const reply = await this.request('VERSION');
+        return reply.data[0] || reply.status;
     }
 
     /**
-     * Get channel info
+     * Get channel info (XML, multi-line reply)
      */
+    async info(channel = 1) {
+        const reply = await this.request(`INFO ${channel}`, { timeout: 2000 });
+        return reply.data.join('\n');
+    }
+
     /**
-     * Get channel info (handles multi-line XML response)
+     * Get the frame rate of a channel from its video mode (INFO <format>, else <framerate>)
+     * @param {number} channel - Channel number
+     * @returns {Promise<number|null>} - Frames per second, null if INFO does not tell
      */
-    info(channel = 1) {
-        return new Promise((resolve, reject) => {
-            if (!this.connected) {
-                return reject(new Error('Not connected to CasparCG'));
-            }
+    async getFrameRate(channel = 1) {
+        const xml = await this.info(channel);
 
-            let xmlData = '';
-            let isCollecting = false;
+        const format = xml.match(/<(?:format|video-mode)>([^<]+)<\/(?:format|video-mode)>/);
+        const fromMode = format ? videoModeFrameRate(format[1]) : null;
+        if (fromMode) return fromMode;
 
-            const responseHandler = (line) => {
-                // Check for start of response
-                if (line.startsWith('201 INFO') || line.startsWith('200 INFO')) {
-                    isCollecting = true;
-                    return;
-                }
+        const framerate = xml.match(/<framerate>([^<]+)<\/framerate>/);
+        const value = framerate ? parseFloat(framerate[1]) : NaN;
+        return value > 0 ? value : null;
+    }
 
-                // Check for error
-                if (!isCollecting && (line.startsWith('4') || line.startsWith('5'))) {
-                    this.removeListener('response', responseHandler);
-                    reject(new Error(line));
-                    return;
-                }
+    /**
+     * Build SEEK/LENGTH parameters of a clip command
+     * @param {number} [seek] - Start frame
+     * @param {number} [length] - Duration in frames
+     */
+    clipParams(seek, length) {
+        let params = '';
 
-                // Collect data
-                if (isCollecting) {
-                    xmlData += line;
+        if (seek !== undefined && seek !== null) {
+            params += ` SEEK ${Math.floor(seek)}`;
+        }
 
-                    // Check for end of XML
-                    if (line.includes('</channel>')) {
-                        this.removeListener('response', responseHandler);
-                        resolve(xmlData);
-                    }
-                }
-            };
+        if (length !== undefined && length !== null) {
+            params += ` LENGTH ${Math.floor(length)}`;
+        }
 
-            this.on('response', responseHandler);
+        return params;
+    }
 
-            console.log(`[CASPAR] Sending INFO ${channel}`);
-            this.socket.write(`INFO ${channel}\r\n`);
+    /**
+     * Build transition parameters (MIX duration tween, WIPE/SLIDE/PUSH duration tween direction)
+     * @param {Object} [transition] - { type, durationFrames, direction, tween }, none = cut
+     */
+    transitionParams(transition) {
+        if (!transition || !transition.type || transition.type === 'CUT' || !transition.durationFrames) {
+            return '';
+        }
 
-            // Timeout after 2 seconds
-            setTimeout(() => {
-                this.removeListener('response', responseHandler);
-                if (xmlData) {
-                    // Return partial data if we have some
-                    resolve(xmlData);
-                } else {
-                    reject(new Error('Info command timeout'));
-                }
-            }, 2000);
-        });
+        const params = ` ${transition.type} ${Math.floor(transition.durationFrames)} ${transition.tween || 'linear'}`;
+        return DIRECTIONAL_TRANSITIONS.includes(transition.type) ? `${params} ${transition.direction || 'RIGHT'}` : params;
     }
 
     /**
@@ -300,22 +583,50 @@ class CasparClient extends EventEmitter {
      * @param {string} file - File name
      * @param {number} [seek] - Start frame (optional)
      * @param {number} [length] - Duration in frames (optional)
+     * @param {Object} [transition] - Transition from the previous clip (optional)
+     * @param {Object} [options]
+     * @param {boolean} [options.loop] - Loop the clip (SEEK/LENGTH segment) until it is replaced
      */
-    async play(channel, layer, file, seek, length) {
-        let command = `PLAY ${channel}-${layer} "${file}"`;
-        
-        if (seek !== undefined && seek !== null) {
-            command += ` SEEK ${Math.floor(seek)}`;
-        }
-        
-        if (length !== undefined && length !== null) {
-            command += ` LENGTH ${Math.floor(length)}`;
+    async play(channel, layer, file, seek, length, transition, options = {}) {
+        const command = `PLAY ${channel}-${layer} "${file}"${options.loop ? ' LOOP' : ''}${this.transitionParams(transition)}${this.clipParams(seek, length)}`;
+        const response = await this.sendCommand(command);
+        return response;
+    }
+
+    /**
+     * Load a file in the background of specified channel-layer
+     * With AUTO, CasparCG plays it as soon as the foreground clip ends (frame accurate)
+     * @param {number} channel - Channel number
+     * @param {number} layer - Layer number
+     * @param {string} file - File name, or a producer (e.g. "DECKLINK 1", "EMPTY") when raw is set
+     * @param {Object} [options]
+     * @param {number} [options.seek] - Start frame
+     * @param {number} [options.length] - Duration in frames
+     * @param {Object} [options.transition] - Transition from the foreground clip
+     * @param {boolean} [options.auto] - Play automatically when the foreground ends
+     * @param {boolean} [options.raw] - Do not quote the file (producer parameters)
+     * @param {boolean} [options.loop] - Loop the clip once it plays
+     */
+    async loadbg(channel, layer, file, options = {}) {
+        const source = options.raw ? file : `"${file}"`;
+        let command = `LOADBG ${channel}-${layer} ${source}${options.loop ? ' LOOP' : ''}${this.transitionParams(options.transition)}${this.clipParams(options.seek, options.length)}`;
+
+        if (options.auto) {
+            command += ' AUTO';
         }
 
         const response = await this.sendCommand(command);
         return response;
     }
 
+    /**
+     * Play the clip loaded in the background of specified channel-layer
+     */
+    async playLoaded(channel, layer) {
+        const response = await this.sendCommand(`PLAY ${channel}-${layer}`);
+        return response;
+    }
+
     /**
      * Load a file on specified channel-layer (without playing)
      */
@@ -413,6 +724,255 @@ class CasparClient extends EventEmitter {
         return response;
     }
 
+    // ========================================
+    // MEDIA
+    // ========================================
+
+    /**
+     * CLS - Clips of the CasparCG media folder
+     * @returns {Promise<Array>} - [{ name, type, size, modified, frames, frameRate, durationSeconds }]
+     */
+    async cls() {
+        const reply = await this.request('CLS', { timeout: 10000 });
+        return reply.data.map(parseClipLine).filter(Boolean);
+    }
+
+    /**
+     * TLS - Templates of the CasparCG template folder
+     * @returns {Promise<string[]>} - Template names (e.g. "rtg-lower-third/index")
+     */
+    async tls() {
+        const reply = await this.request('TLS', { timeout: 10000 });
+        return reply.data.map(parseTemplateLine).filter(Boolean);
+    }
+
+    /**
+     * CINF - Information on one clip
+     * @param {string} name - Clip name as listed by CLS
+     * @returns {Promise<Object|null>} - Same fields as cls()
+     */
+    async cinf(name) {
+        const reply = await this.request(`CINF "${this.escapeString(name)}"`);
+        return parseClipLine(reply.data[0] || '');
+    }
+
+    /**
+     * THUMBNAIL RETRIEVE - Thumbnail generated by CasparCG for a clip
+     * @param {string} name - Clip name as listed by CLS
+     * @returns {Promise<Buffer>} - PNG image
+     */
+    async thumbnailRetrieve(name) {
+        const reply = await this.request(`THUMBNAIL RETRIEVE "${this.escapeString(name)}"`, { timeout: 10000 });
+        return Buffer.from(reply.data.join(''), 'base64');
+    }
+
+    // ========================================
+    // MIXER
+    // ========================================
+
+    /**
+     * Send a MIXER command
+     * @param {number} channel - Channel number
+     * @param {number|null} layer - Layer number (null = whole channel)
+     * @param {string} property - MIXER property (FILL, OPACITY...)
+     * @param {Array<number|string>} values - Property values
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Transition to the values, in frames
+     * @param {string} [options.tween] - Tween of the transition (linear, easeinoutsine...)
+     * @param {boolean} [options.defer] - Wait for mixerCommit to apply the values
+     */
+    async mixer(channel, layer, property, values = [], options = {}) {
+        const address = layer !== null && layer !== undefined ? `${channel}-${layer}` : `${channel}`;
+        const params = values.map(value => {
+            const valid = typeof value === 'number'
+                ? isFinite(value)
+                : typeof value === 'string' && MIXER_VALUE.test(value);
+            if (!valid) {
+                throw new Error(`Invalid MIXER ${property} value: ${value}`);
+            }
+            return String(value);
+        });
+
+        const response = await this.sendCommand(`MIXER ${address} ${property}${params.length ? ` ${params.join(' ')}` : ''}${this.mixerParams(options)}`);
+        return response;
+    }
+
+    /**
+     * Build the duration/tween/DEFER parameters of a MIXER command
+     * @param {Object} [options] - { duration, tween, defer }
+     */
+    mixerParams(options = {}) {
+        let params = '';
+
+        if (options.duration) {
+            if (!(options.duration > 0)) {
+                throw new Error(`Invalid MIXER duration: ${options.duration}`);
+            }
+            if (options.tween && !TWEEN_NAME.test(options.tween)) {
+                throw new Error(`Invalid MIXER tween: ${options.tween}`);
+            }
+            params += ` ${Math.floor(options.duration)} ${options.tween || 'linear'}`;
+        }
+
+        if (options.defer) {
+            params += ' DEFER';
+        }
+
+        return params;
+    }
+
+    /**
+     * Read a MIXER property (values as CasparCG answers them)
+     * @returns {Promise<number[]|string[]>}
+     */
+    async getMixer(channel, layer, property) {
+        const address = layer !== null && layer !== undefined ? `${channel}-${layer}` : `${channel}`;
+        const reply = await this.request(`MIXER ${address} ${property}`);
+        const values = (reply.data[0] || '').trim().split(/\s+/).filter(Boolean);
+        return values.map(value => (isNaN(Number(value)) ? value : Number(value)));
+    }
+
+    /**
+     * MIXER FILL - Position and scale of the layer (picture-in-picture, squeeze-back)
+     * @param {number} x - Left edge (0-1 of the channel width)
+     * @param {number} y - Top edge (0-1 of the channel height)
+     * @param {number} scaleX - Horizontal scale (1 = full width)
+     * @param {number} scaleY - Vertical scale (1 = full height)
+     */
+    async mixerFill(channel, layer, x, y, scaleX, scaleY, options = {}) {
+        return this.mixer(channel, layer, 'FILL', [x, y, scaleX, scaleY], options);
+    }
+
+    /**
+     * MIXER CLIP - Visible area of the layer (masking)
+     * @param {number} x - Left edge (0-1)
+     * @param {number} y - Top edge (0-1)
+     * @param {number} width - Width (0-1)
+     * @param {number} height - Height (0-1)
+     */
+    async mixerClip(channel, layer, x, y, width, height, options = {}) {
+        return this.mixer(channel, layer, 'CLIP', [x, y, width, height], options);
+    }
+
+    /**
+     * MIXER OPACITY - Opacity of the layer (0-1)
+     */
+    async mixerOpacity(channel, layer, opacity, options = {}) {
+        return this.mixer(channel, layer, 'OPACITY', [opacity], options);
+    }
+
+    /**
+     * MIXER VOLUME - Audio level of the layer (0-1, 1 = unchanged)
+     */
+    async mixerVolume(channel, layer, volume, options = {}) {
+        return this.mixer(channel, layer, 'VOLUME', [volume], options);
+    }
+
+    /**
+     * MIXER MASTERVOLUME - Audio level of the whole channel (0-1)
+     */
+    async mixerMasterVolume(channel, volume, options = {}) {
+        return this.mixer(channel, null, 'MASTERVOLUME', [volume], options);
+    }
+
+    /**
+     * MIXER KEYER - Use the layer as the key (alpha) of the layer above
+     */
+    async mixerKeyer(channel, layer, enabled, options = {}) {
+        return this.mixer(channel, layer, 'KEYER', [enabled ? 1 : 0], options);
+    }
+
+    /**
+     * MIXER BLEND - Blend mode of the layer (Normal, Screen, Multiply, Add...)
+     */
+    async mixerBlend(channel, layer, mode, options = {}) {
+        if (typeof mode !== 'string' || !/^[a-z]+$/i.test(mode)) {
+            throw new Error(`Invalid MIXER blend mode: ${mode}`);
+        }
+        return this.mixer(channel, layer, 'BLEND', [mode], options);
+    }
+
+    /**
+     * MIXER CHROMA - Chroma key of the layer (CasparCG 2.2+ parameters)
+     * @param {Object|null} chroma - null disables the key
+     * @param {number} chroma.targetHue - Hue keyed out (degrees, 120 = green, 240 = blue)
+     * @param {number} chroma.hueWidth - Hue tolerance (0-1)
+     * @param {number} chroma.minSaturation - Minimum saturation keyed (0-1)
+     * @param {number} chroma.minBrightness - Minimum brightness keyed (0-1)
+     * @param {number} chroma.softness - Edge softness (0-1)
+     * @param {number} chroma.spillSuppress - Spill suppression (degrees)
+     * @param {number} chroma.spillSuppressSaturation - Saturation of the suppressed spill (0-1)
+     * @param {boolean} [chroma.showMask] - Show the key mask instead of the picture
+     */
+    async mixerChroma(channel, layer, chroma, options = {}) {
+        if (!chroma) {
+            return this.mixer(channel, layer, 'CHROMA', [0], options);
+        }
+
+        return this.mixer(channel, layer, 'CHROMA', [
+            1,
+            chroma.targetHue,
+            chroma.hueWidth,
+            chroma.minSaturation,
+            chroma.minBrightness,
+            chroma.softness,
+            chroma.spillSuppress,
+            chroma.spillSuppressSaturation,
+            chroma.showMask ? 1 : 0
+        ].map(value => (value === undefined ? 0 : value)), options);
+    }
+
+    /**
+     * MIXER BRIGHTNESS - Brightness of the layer (1 = unchanged)
+     */
+    async mixerBrightness(channel, layer, value, options = {}) {
+        return this.mixer(channel, layer, 'BRIGHTNESS', [value], options);
+    }
+
+    /**
+     * MIXER CONTRAST - Contrast of the layer (1 = unchanged)
+     */
+    async mixerContrast(channel, layer, value, options = {}) {
+        return this.mixer(channel, layer, 'CONTRAST', [value], options);
+    }
+
+    /**
+     * MIXER SATURATION - Saturation of the layer (1 = unchanged, 0 = black and white)
+     */
+    async mixerSaturation(channel, layer, value, options = {}) {
+        return this.mixer(channel, layer, 'SATURATION', [value], options);
+    }
+
+    /**
+     * MIXER PERSPECTIVE - Corners of the layer (0-1 of the channel)
+     * @param {Object} corners - { topLeft: [x, y], topRight, bottomRight, bottomLeft }
+     */
+    async mixerPerspective(channel, layer, corners, options = {}) {
+        const points = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'].map(corner => {
+            const point = corners && corners[corner];
+            if (!Array.isArray(point) || point.length !== 2) {
+                throw new Error(`Invalid MIXER PERSPECTIVE corner: ${corner}`);
+            }
+            return point;
+        });
+
+        return this.mixer(channel, layer, 'PERSPECTIVE', [].concat(...points), options);
+    }
+
+    /**
+     * MIXER COMMIT - Apply the deferred MIXER commands of the channel at once
+     */
+    async mixerCommit(channel) {
+        return this.mixer(channel, null, 'COMMIT');
+    }
+
+    /**
+     * MIXER CLEAR - Reset the mixer of a layer, or of the whole channel
+     */
+    async mixerClear(channel, layer = null) {
+        return this.mixer(channel, layer, 'CLEAR');
+    }
+
     /**
      * Escape quotes in string for AMCP
      */
@@ -424,6 +984,8 @@ class CasparClient extends EventEmitter {
      * Disconnect from CasparCG
      */
     disconnect() {
+        this.resyncing = false;
+
         // Annuler la reconnexion automatique
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
@@ -464,9 +1026,13 @@ class CasparClient extends EventEmitter {
             connected: this.connected,
             reconnectAttempts: this.reconnectAttempts,
             pendingCommands: this.pendingCommands.size,
+            requestIds: this.useRequestIds,
             socketState: this.socket ? this.socket.readyState : 'no socket'
         };
     }
 }
 
 module.exports = CasparClient;
+module.exports.videoModeFrameRate = videoModeFrameRate;
+module.exports.parseClipLine = parseClipLine;
+module.exports.parseTemplateLine = parseTemplateLine;
@@ -0,0 +1,1156 @@
+/**
+ * Fake CasparCG Server - In-process AMCP server for tests and rehearsals
+ *
+ * Speaks enough AMCP to stand in for CasparCG: VERSION, INFO (realistic layer XML),
+ * PLAY/LOADBG/LOAD/PAUSE/RESUME/STOP/CLEAR, CG ADD/PLAY/STOP/NEXT/UPDATE/INVOKE/REMOVE/CLEAR,
+ * MIXER and the media queries CLS/TLS/CINF/THUMBNAIL RETRIEVE. Commands may carry the "REQ <id>" prefix (answered with "RES <id>"),
+ * unless the server plays a version before 2.2 (requestIds: false).
+ *
+ * Clips run on a simulated clock: positions are computed from the clock when the
+ * state is read, so a clip finishes (and an AUTO background starts) at the exact
+ * simulated time, whether the clock is real time or advanced by a test.
+ *
+ * Faults can be injected per command (error code, latency, no reply, disconnect),
+ * and clients can be disconnected at any time.
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+
+const VERSION = '2.3.3 FAKE';
+
+const ERROR_TEXTS = {
+    400: 'ERROR',
+    401: 'ILLEGAL_CHANNEL',
+    402: 'PARAMETER_MISSING',
+    403: 'ILLEGAL_PARAMETER',
+    404: 'FILE NOT FOUND',
+    500: 'FAILED',
+    501: 'INTERNAL_SERVER_ERROR',
+    502: 'MEDIAFILE_UNREADABLE'
+};
+
+const TRANSITION_TYPES = ['CUT', 'MIX', 'PUSH', 'SLIDE', 'WIPE'];
+
+// Values returned by MIXER queries before anything was set
+const MIXER_DEFAULTS = {
+    OPACITY: ['1'],
+    VOLUME: ['1'],
+    BRIGHTNESS: ['1'],
+    SATURATION: ['1'],
+    CONTRAST: ['1'],
+    FILL: ['0', '0', '1', '1'],
+    CLIP: ['0', '0', '1', '1'],
+    CROP: ['0', '0', '1', '1'],
+    ANCHOR: ['0', '0'],
+    ROTATION: ['0'],
+    KEYER: ['0'],
+    BLEND: ['Normal'],
+    CHROMA: ['0', '0', '0', '0', '0', '0', '0', '0', '0'],
+    PERSPECTIVE: ['0', '0', '1', '0', '1', '1', '0', '1'],
+    MASTERVOLUME: ['1']
+};
+
+// Thumbnail answered by THUMBNAIL RETRIEVE (1x1 grey PNG)
+const THUMBNAIL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGNoAAAAggCBd81ytgAAAABJRU5ErkJggg==';
+
+/**
+ * Error answered to an AMCP command
+ */
+class AmcpError extends Error {
+    constructor(code, message) {
+        super(message || ERROR_TEXTS[code] || 'ERROR');
+        this.code = code;
+    }
+}
+
+/**
+ * Split an AMCP command line into parameters (double quotes group, \" escapes)
+ */
+function tokenize(line) {
+    const tokens = [];
+    let current = '';
+    let inQuotes = false;
+    let hasToken = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '\\' && inQuotes && i + 1 < line.length) {
+            current += line[++i];
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+            hasToken = true;
+        } else if (/\s/.test(char) && !inQuotes) {
+            if (hasToken) tokens.push(current);
+            current = '';
+            hasToken = false;
+        } else {
+            current += char;
+            hasToken = true;
+        }
+    }
+
+    if (hasToken) tokens.push(current);
+    return tokens;
+}
+
+/**
+ * Normalize a media name the way CasparCG resolves it (case-insensitive, no extension)
+ */
+function normalizeMediaName(name) {
+    return String(name).replace(/\\/g, '/').replace(/\.[^/.]+$/, '').toUpperCase();
+}
+
+/**
+ * CLS time base of a frame rate (25 -> 1/25, 29.97 -> 1001/30000)
+ */
+function timeBaseOf(frameRate) {
+    return Number.isInteger(frameRate) ? `1/${frameRate}` : `1001/${Math.round(frameRate * 1001)}`;
+}
+
+/**
+ * CLS/TLS date of a time (YYYYMMDDHHMMSS, local time)
+ */
+function clsDate(ms) {
+    const date = new Date(ms);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * 1080 line video mode of a frame rate, as CasparCG names it (25 -> 1080i5000, 50 -> 1080p5000)
+ */
+function videoModeOf(frameRate) {
+    const interlaced = { 25: '1080i5000', 29.97: '1080i5994', 30: '1080i6000' };
+    const key = Object.keys(interlaced).find(rate => Math.abs(Number(rate) - frameRate) < 0.01);
+    if (key) return interlaced[key];
+
+    return `1080p${String(Math.round(frameRate * 100)).padStart(4, '0')}`;
+}
+
+/**
+ * Escape a value for the INFO XML
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+class FakeCasparServer extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port] - TCP port (0 = any free port)
+     * @param {string} [options.host] - Address to bind
+     * @param {Array<{videoMode: string, frameRate: number}>|number} [options.channels] - Channel formats, or channel count
+     * @param {number} [options.frameRate] - Frame rate of channels given as a count
+     * @param {Object} [options.media] - Known clips: { name: durationSeconds }
+     * @param {Function} [options.resolveMedia] - (name) => durationSeconds|null, for clips not in media
+     * @param {number|null} [options.defaultDuration] - Duration of unknown clips (null = 404 FILE NOT FOUND)
+     * @param {Function} [options.now] - Clock (ms), Date.now by default
+     * @param {string} [options.templatePath] - Template folder shown in INFO paths
+     * @param {string[]} [options.templates] - Templates listed by TLS (e.g. "rtg-lower-third/index")
+     * @param {boolean} [options.requestIds] - Understand REQ/RES (CasparCG 2.2+, default); false answers REQ with 400 ERROR
+     */
+    constructor(options = {}) {
+        super();
+        this.port = options.port !== undefined ? options.port : 5250;
+        this.host = options.host || '127.0.0.1';
+        this.templatePath = options.templatePath || 'C:/casparcg/template';
+        this.requestIds = options.requestIds !== false;
+
+        const frameRate = options.frameRate || 25;
+        const channels = options.channels !== undefined ? options.channels : 2;
+        this.channels = (Array.isArray(channels) ? channels : Array.from({ length: channels }, () => ({})))
+            .map((config, index) => ({
+                id: index + 1,
+                videoMode: config.videoMode || videoModeOf(config.frameRate || frameRate),
+                frameRate: config.frameRate || frameRate,
+                mixer: {},
+                layers: new Map()
+            }));
+
+        // Simulated clock: base clock + offset moved by advance()
+        this.baseNow = options.now || (() => Date.now());
+        this.clockOffset = 0;
+
+        // Clips are dated by the simulated clock when declared (CLS)
+        this.media = new Map();
+        this.mediaModified = new Map();
+        Object.entries(options.media || {}).forEach(([name, duration]) => this.addMedia(name, duration));
+        this.templates = (options.templates || []).slice();
+        this.resolveMedia = options.resolveMedia || null;
+        this.defaultDuration = options.defaultDuration !== undefined ? options.defaultDuration : null;
+
+        this.latency = 0;
+        this.faults = [];
+        this.commandLog = [];
+        this.MAX_LOG = 1000;
+
+        this.server = null;
+        this.sockets = new Set();
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} - Listening port
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            if (this.server) return resolve(this.port);
+
+            this.server = net.createServer(socket => this._handleConnection(socket));
+
+            this.server.once('error', (error) => {
+                this.server = null;
+                reject(error);
+            });
+
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                console.log(`[FAKE-CASPAR] Listening on ${this.host}:${this.port}`);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop all clients
+     */
+    stop() {
+        return new Promise(resolve => {
+            this.disconnectClients();
+
+            if (!this.server) return resolve();
+
+            this.server.close(() => {
+                console.log('[FAKE-CASPAR] Stopped');
+                resolve();
+            });
+            this.server = null;
+        });
+    }
+
+    /**
+     * Close every client connection (simulates a server crash or network loss)
+     */
+    disconnectClients() {
+        this.sockets.forEach(socket => socket.destroy());
+        this.sockets.clear();
+    }
+
+    // ========================================
+    // SIMULATION CONTROL
+    // ========================================
+
+    /**
+     * Current simulated time (ms)
+     */
+    now() {
+        return this.baseNow() + this.clockOffset;
+    }
+
+    /**
+     * Move the simulated clock forward
+     * @param {number} ms - Milliseconds
+     */
+    advance(ms) {
+        this.clockOffset += ms;
+    }
+
+    /**
+     * Declare a clip
+     * @param {string} name - Clip name (with or without extension)
+     * @param {number} durationSeconds - Clip duration
+     */
+    addMedia(name, durationSeconds) {
+        const key = normalizeMediaName(name);
+        this.media.set(key, durationSeconds);
+        this.mediaModified.set(key, this.now());
+    }
+
+    /**
+     * Delay every reply
+     * @param {number} ms - Latency in milliseconds
+     */
+    setLatency(ms) {
+        this.latency = ms;
+    }
+
+    /**
+     * Inject a fault on the next commands matching a pattern
+     *
+     * @param {string|RegExp} match - Command prefix (e.g. "PLAY", "CG 1-20 ADD") or regex on the command line
+     * @param {Object} [fault]
+     * @param {number} [fault.code] - Error code answered (e.g. 404, 500)
+     * @param {number} [fault.latency] - Extra delay before the reply (ms)
+     * @param {boolean} [fault.noReply] - Never answer (client timeout)
+     * @param {boolean} [fault.disconnect] - Close the connection instead of answering
+     * @param {number} [fault.times] - Number of commands affected (Infinity for all)
+     * @returns {Object} - The fault (pass to removeFault)
+     */
+    injectFault(match, fault = {}) {
+        const entry = {
+            match,
+            code: fault.code || null,
+            latency: fault.latency || 0,
+            noReply: !!fault.noReply,
+            disconnect: !!fault.disconnect,
+            remaining: fault.times !== undefined ? fault.times : 1
+        };
+
+        this.faults.push(entry);
+        return entry;
+    }
+
+    /**
+     * Remove an injected fault
+     */
+    removeFault(fault) {
+        this.faults = this.faults.filter(entry => entry !== fault);
+    }
+
+    /**
+     * Remove all injected faults and latency
+     */
+    clearFaults() {
+        this.faults = [];
+        this.latency = 0;
+    }
+
+    /**
+     * Get the state of a layer at the current simulated time
+     *
+     * @returns {Object|null} - { foreground, background, auto, mixer, templates }, null if never used
+     */
+    getLayer(channel, layer) {
+        const ch = this.channels[channel - 1];
+        if (!ch || !ch.layers.has(layer)) return null;
+
+        const state = this._updateLayer(ch, ch.layers.get(layer));
+
+        return {
+            foreground: state.foreground ? this._describeProducer(ch, state.foreground) : null,
+            background: state.background ? this._describeProducer(ch, state.background) : null,
+            auto: state.auto,
+            mixer: { ...state.mixer },
+            templates: Array.from(state.templates.entries()).map(([flashLayer, template]) => ({ flashLayer, ...template }))
+        };
+    }
+
+    /**
+     * Get server statistics
+     */
+    getStats() {
+        return {
+            listening: !!this.server,
+            port: this.port,
+            clients: this.sockets.size,
+            commands: this.commandLog.length,
+            faults: this.faults.length,
+            clockOffsetMs: this.clockOffset
+        };
+    }
+
+    // ========================================
+    // CONNECTION
+    // ========================================
+
+    /**
+     * Read commands from a client, answering them in order
+     * @private
+     */
+    _handleConnection(socket) {
+        this.sockets.add(socket);
+        this.emit('connection');
+
+        let buffer = '';
+        let queue = Promise.resolve();
+
+        socket.on('data', (data) => {
+            buffer += data.toString();
+            const lines = buffer.split('\r\n');
+            buffer = lines.pop();
+
+            lines.filter(line => line.trim()).forEach(line => {
+                queue = queue.then(() => this._processLine(socket, line));
+            });
+        });
+
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => this.sockets.delete(socket));
+    }
+
+    /**
+     * Execute one command line and write its reply
+     * @private
+     */
+    async _processLine(socket, line) {
+        if (socket.destroyed) return;
+
+        let requestId = null;
+        let command = line.trim();
+
+        const reqMatch = command.match(/^REQ\s+(\S+)\s+(.*)$/i);
+        if (reqMatch && !this.requestIds) {
+            // Servers before 2.2 do not know the REQ command
+            socket.write('400 ERROR\r\n');
+            return;
+        }
+        if (reqMatch) {
+            requestId = reqMatch[1];
+            command = reqMatch[2];
+        }
+
+        this._record(command);
+
+        const fault = this._takeFault(command);
+        const delay = this.latency + (fault ? fault.latency : 0);
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        if (fault && fault.disconnect) {
+            socket.destroy();
+            return;
+        }
+        if (fault && fault.noReply) return;
+
+        const reply = this._reply(command, fault);
+
+        if (!socket.destroyed) {
+            socket.write(requestId ? `RES ${requestId} ${reply}` : reply);
+        }
+    }
+
+    /**
+     * Execute a command without a connection (in-process client, e.g. in tests)
+     * Injected error codes apply; latency, no reply and disconnect faults only apply over TCP
+     *
+     * @param {string} command - AMCP command (without REQ prefix)
+     * @returns {{code: number, status: string, data: string[]}}
+     */
+    execute(command) {
+        this._record(command);
+
+        const lines = this._reply(command, this._takeFault(command)).split('\r\n');
+        lines.pop(); // Line break ending the reply
+
+        const status = lines.shift();
+        const code = parseInt(status, 10);
+        if (code === 200) lines.pop(); // Empty line ending the data
+
+        return { code, status, data: lines };
+    }
+
+    /**
+     * Keep a command in the log
+     * @private
+     */
+    _record(command) {
+        this.commandLog.push({ at: this.now(), command });
+        if (this.commandLog.length > this.MAX_LOG) this.commandLog.shift();
+        this.emit('command', command);
+    }
+
+    /**
+     * Build the reply to a command (status line and data)
+     * @private
+     */
+    _reply(command, fault) {
+        const verb = (command.split(/\s+/)[0] || '').toUpperCase();
+
+        try {
+            if (fault && fault.code) {
+                throw new AmcpError(fault.code);
+            }
+            return this._execute(command);
+        } catch (error) {
+            const code = error instanceof AmcpError ? error.code : 501;
+            const text = error instanceof AmcpError ? error.message : ERROR_TEXTS[501];
+            return code === 400 ? '400 ERROR\r\n' : `${code} ${verb} ${text}\r\n`;
+        }
+    }
+
+    /**
+     * Find (and consume) the injected fault matching a command
+     * @private
+     */
+    _takeFault(command) {
+        const fault = this.faults.find(entry => entry.match instanceof RegExp
+            ? entry.match.test(command)
+            : command.toUpperCase().startsWith(String(entry.match).toUpperCase()));
+
+        if (!fault) return null;
+
+        fault.remaining--;
+        if (fault.remaining <= 0) this.removeFault(fault);
+        return fault;
+    }
+
+    // ========================================
+    // COMMANDS
+    // ========================================
+
+    /**
+     * Execute a command and build its reply
+     * @private
+     * @returns {string} - Reply (status line and data)
+     */
+    _execute(command) {
+        const tokens = tokenize(command);
+        const verb = (tokens.shift() || '').toUpperCase();
+
+        switch (verb) {
+            case 'VERSION':
+                return `201 VERSION OK\r\n${VERSION}\r\n`;
+            case 'INFO':
+                return this._info(tokens);
+            case 'PLAY':
+                return this._play(tokens);
+            case 'LOADBG':
+                return this._loadbg(tokens);
+            case 'LOAD':
+                return this._load(tokens);
+            case 'PAUSE':
+                return this._pause(tokens);
+            case 'RESUME':
+                return this._resume(tokens);
+            case 'STOP':
+                return this._stop(tokens);
+            case 'CLEAR':
+                return this._clear(tokens);
+            case 'CG':
+                return this._cg(tokens);
+            case 'MIXER':
+                return this._mixer(tokens);
+            case 'CLS':
+                return this._cls();
+            case 'TLS':
+                return this._tls();
+            case 'CINF':
+                return this._cinf(tokens);
+            case 'THUMBNAIL':
+                return this._thumbnail(tokens);
+            default:
+                throw new AmcpError(400);
+        }
+    }
+
+    /**
+     * Parse "channel" or "channel-layer"
+     * @private
+     */
+    _parseAddress(token, { requireLayer = false } = {}) {
+        const match = token && token.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) throw new AmcpError(402);
+
+        const ch = this.channels[Number(match[1]) - 1];
+        if (!ch) throw new AmcpError(401);
+
+        if (match[2] === undefined && requireLayer) throw new AmcpError(402);
+
+        const layerNumber = match[2] !== undefined ? Number(match[2]) : null;
+        return { ch, layerNumber };
+    }
+
+    /**
+     * Get (or create) the state of a layer
+     * @private
+     */
+    _getLayerState(ch, layerNumber) {
+        if (!ch.layers.has(layerNumber)) {
+            ch.layers.set(layerNumber, {
+                foreground: null,
+                background: null,
+                auto: false,
+                mixer: {},
+                templates: new Map()
+            });
+        }
+
+        return this._updateLayer(ch, ch.layers.get(layerNumber));
+    }
+
+    /**
+     * Create a producer from PLAY/LOADBG/LOAD parameters
+     * @private
+     */
+    _createProducer(ch, params) {
+        const source = params.shift();
+        if (!source) throw new AmcpError(402);
+
+        const upper = source.toUpperCase();
+        let producer;
+
+        if (upper === 'EMPTY') {
+            producer = { type: 'empty' };
+        } else if (upper === 'DECKLINK') {
+            const device = params.length && /^\d+$/.test(params[0]) ? params.shift() : '1';
+            producer = { type: 'decklink', name: `DECKLINK ${device}`, device: Number(device) };
+        } else if (upper.startsWith('ROUTE://')) {
+            producer = { type: 'route', name: source };
+        } else if (/^#[0-9A-F]{6,8}$/i.test(source)) {
+            producer = { type: 'color', name: source };
+        } else {
+            const duration = this._findMediaDuration(source);
+            if (duration === null) throw new AmcpError(404);
+
+            producer = {
+                type: 'ffmpeg',
+                name: source,
+                totalFrames: Math.round(duration * ch.frameRate),
+                seek: 0,
+                length: null,
+                loop: false
+            };
+        }
+
+        producer.transition = null;
+
+        // Remaining parameters: transition, SEEK, LENGTH, LOOP (AUTO is read by LOADBG)
+        for (let i = 0; i < params.length; i++) {
+            const param = params[i].toUpperCase();
+
+            if (TRANSITION_TYPES.includes(param)) {
+                producer.transition = { type: param, durationFrames: parseInt(params[i + 1], 10) || 0 };
+                i++;
+            } else if (param === 'SEEK' && producer.type === 'ffmpeg') {
+                producer.seek = Math.max(0, parseInt(params[++i], 10) || 0);
+            } else if (param === 'LENGTH' && producer.type === 'ffmpeg') {
+                producer.length = Math.max(0, parseInt(params[++i], 10) || 0);
+            } else if (param === 'LOOP' && producer.type === 'ffmpeg') {
+                producer.loop = true;
+            }
+        }
+
+        if (producer.type === 'ffmpeg' && producer.seek >= producer.totalFrames) {
+            throw new AmcpError(403);
+        }
+
+        return producer;
+    }
+
+    /**
+     * Duration of a clip in seconds, null if unknown
+     * @private
+     */
+    _findMediaDuration(name) {
+        const key = normalizeMediaName(name);
+        if (this.media.has(key)) return this.media.get(key);
+
+        if (this.resolveMedia) {
+            const resolved = this.resolveMedia(name);
+            if (typeof resolved === 'number' && resolved > 0) return resolved;
+        }
+
+        return this.defaultDuration;
+    }
+
+    /**
+     * Put a producer on the foreground, running from a given time
+     * @private
+     */
+    _startProducer(state, producer, startedAt) {
+        if (!producer || producer.type === 'empty') {
+            state.foreground = null;
+            return;
+        }
+
+        producer.startedAt = startedAt;
+        producer.paused = false;
+        producer.pausedFrame = null;
+        state.foreground = producer;
+    }
+
+    /**
+     * Number of frames a clip plays before its end (SEEK/LENGTH applied)
+     * @private
+     */
+    _clipSpan(producer) {
+        const available = producer.totalFrames - producer.seek;
+        return producer.length !== null ? Math.min(producer.length, available) : available;
+    }
+
+    /**
+     * Current frame of a clip in its file
+     * @private
+     */
+    _currentFrame(ch, producer) {
+        if (producer.paused) return producer.pausedFrame;
+
+        const span = this._clipSpan(producer);
+        const elapsed = Math.floor((this.now() - producer.startedAt) * ch.frameRate / 1000);
+
+        if (producer.loop && span > 0) {
+            return producer.seek + (elapsed % span);
+        }
+
+        // A finished clip stays on its last frame
+        return producer.seek + Math.min(Math.max(elapsed, 0), span);
+    }
+
+    /**
+     * Apply what happened since the last read: AUTO background taking over at the end of the clip
+     * @private
+     */
+    _updateLayer(ch, state) {
+        if (!state.auto || !state.background) return state;
+
+        const fg = state.foreground;
+        let takeAt = null;
+
+        if (!fg) {
+            takeAt = state.background.loadedAt;
+        } else if (fg.type === 'ffmpeg' && !fg.loop && !fg.paused) {
+            const endAt = fg.startedAt + this._clipSpan(fg) * 1000 / ch.frameRate;
+            const transition = state.background.transition;
+            takeAt = endAt - (transition ? transition.durationFrames * 1000 / ch.frameRate : 0);
+        }
+
+        if (takeAt !== null && this.now() >= takeAt) {
+            this._startProducer(state, state.background, Math.max(takeAt, state.background.loadedAt));
+            state.background = null;
+            state.auto = false;
+        }
+
+        return state;
+    }
+
+    /**
+     * INFO [channel[-layer]]
+     * @private
+     */
+    _info(params) {
+        if (params.length === 0) {
+            const lines = this.channels.map(ch => `${ch.id} ${ch.videoMode} PLAYING`);
+            return `200 INFO OK\r\n${lines.join('\r\n')}\r\n\r\n`;
+        }
+
+        const { ch, layerNumber } = this._parseAddress(params[0]);
+        const xml = layerNumber !== null
+            ? this._layerXml(ch, layerNumber, ch.layers.has(layerNumber) ? this._updateLayer(ch, ch.layers.get(layerNumber)) : null, '')
+            : this._channelXml(ch);
+
+        return `201 INFO OK\r\n<?xml version="1.0" encoding="utf-8"?>\r\n${xml.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * INFO XML of a channel (lines)
+     * @private
+     */
+    _channelXml(ch) {
+        const layers = Array.from(ch.layers.keys())
+            .sort((a, b) => a - b)
+            .map(layerNumber => this._layerXml(ch, layerNumber, this._updateLayer(ch, ch.layers.get(layerNumber)), '         '))
+            .reduce((all, lines) => all.concat(lines), []);
+
+        return [
+            '<channel>',
+            `   <format>${ch.videoMode}</format>`,
+            `   <framerate>${ch.frameRate}</framerate>`,
+            '   <stage>',
+            '      <layer>',
+            ...layers,
+            '      </layer>',
+            '   </stage>',
+            '</channel>'
+        ];
+    }
+
+    /**
+     * INFO XML of a layer (lines)
+     * @private
+     */
+    _layerXml(ch, layerNumber, state, indent) {
+        const lines = [`${indent}<layer_${layerNumber}>`];
+
+        const side = (tag, producer) => {
+            lines.push(`${indent}   <${tag}>`);
+            this._producerXml(ch, producer, tag === 'background' && state && state.auto)
+                .forEach(line => lines.push(`${indent}      ${line}`));
+            lines.push(`${indent}   </${tag}>`);
+        };
+
+        side('background', state ? state.background : null);
+        side('foreground', state ? state.foreground : null);
+
+        lines.push(`${indent}</layer_${layerNumber}>`);
+        return lines;
+    }
+
+    /**
+     * INFO XML of a producer (lines)
+     * @private
+     */
+    _producerXml(ch, producer, auto = false) {
+        if (!producer) {
+            return ['<producer>empty</producer>'];
+        }
+
+        switch (producer.type) {
+            case 'ffmpeg': {
+                const frame = producer.startedAt !== undefined ? this._currentFrame(ch, producer) : producer.seek;
+                const endFrame = producer.seek + this._clipSpan(producer);
+                const lines = [
+                    '<file>',
+                    `   <clip>${(producer.seek / ch.frameRate).toFixed(2)}</clip>`,
+                    `   <clip>${(endFrame / ch.frameRate).toFixed(2)}</clip>`,
+                    `   <name>${escapeXml(producer.name)}</name>`,
+                    `   <path>media/${escapeXml(producer.name)}</path>`,
+                    `   <time>${(frame / ch.frameRate).toFixed(2)}</time>`,
+                    `   <time>${(endFrame / ch.frameRate).toFixed(2)}</time>`,
+                    '</file>',
+                    `<loop>${producer.loop}</loop>`,
+                    `<paused>${!!producer.paused}</paused>`,
+                    '<producer>ffmpeg</producer>'
+                ];
+                if (auto) lines.push('<auto>true</auto>');
+                return lines;
+            }
+
+            case 'html':
+                return [
+                    `<path>${escapeXml(producer.path)}</path>`,
+                    '<producer>html</producer>'
+                ];
+
+            default:
+                return [
+                    `<name>${escapeXml(producer.name)}</name>`,
+                    `<producer>${producer.type}</producer>`
+                ];
+        }
+    }
+
+    /**
+     * PLAY channel-layer [clip [transition] [SEEK n] [LENGTH n] [LOOP]]
+     * Without a clip, plays the background (or resumes a paused foreground)
+     * @private
+     */
+    _play(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const state = this._getLayerState(ch, layerNumber);
+
+        if (params.length > 0) {
+            // PLAY with a clip loads it through the background: a cued clip is discarded
+            this._startProducer(state, this._createProducer(ch, params), this.now());
+            state.background = null;
+            state.auto = false;
+        } else if (state.background) {
+            this._startProducer(state, state.background, this.now());
+            state.background = null;
+            state.auto = false;
+        } else if (state.foreground && state.foreground.paused) {
+            this._resumeProducer(ch, state.foreground);
+        }
+
+        return '202 PLAY OK\r\n';
+    }
+
+    /**
+     * LOADBG channel-layer clip [transition] [SEEK n] [LENGTH n] [LOOP] [AUTO]
+     * @private
+     */
+    _loadbg(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const state = this._getLayerState(ch, layerNumber);
+
+        const auto = params.some(param => param.toUpperCase() === 'AUTO');
+        const producer = this._createProducer(ch, params.filter(param => param.toUpperCase() !== 'AUTO'));
+
+        if (producer.type === 'empty') {
+            state.background = null;
+            state.auto = false;
+        } else {
+            producer.loadedAt = this.now();
+            state.background = producer;
+            state.auto = auto;
+            this._updateLayer(ch, state);
+        }
+
+        return '202 LOADBG OK\r\n';
+    }
+
+    /**
+     * LOAD channel-layer clip: foreground on its first frame, paused
+     * @private
+     */
+    _load(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const state = this._getLayerState(ch, layerNumber);
+
+        const producer = this._createProducer(ch, params);
+        this._startProducer(state, producer, this.now());
+        if (producer.type === 'ffmpeg') {
+            producer.paused = true;
+            producer.pausedFrame = producer.seek;
+        }
+
+        return '202 LOAD OK\r\n';
+    }
+
+    /**
+     * PAUSE channel-layer
+     * @private
+     */
+    _pause(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const fg = this._getLayerState(ch, layerNumber).foreground;
+
+        if (fg && fg.type === 'ffmpeg' && !fg.paused) {
+            fg.pausedFrame = this._currentFrame(ch, fg);
+            fg.paused = true;
+        }
+
+        return '202 PAUSE OK\r\n';
+    }
+
+    /**
+     * RESUME channel-layer
+     * @private
+     */
+    _resume(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const fg = this._getLayerState(ch, layerNumber).foreground;
+
+        if (fg && fg.paused) {
+            this._resumeProducer(ch, fg);
+        }
+
+        return '202 RESUME OK\r\n';
+    }
+
+    /**
+     * Restart a paused clip from its paused frame
+     * @private
+     */
+    _resumeProducer(ch, producer) {
+        producer.startedAt = this.now() - (producer.pausedFrame - producer.seek) * 1000 / ch.frameRate;
+        producer.paused = false;
+        producer.pausedFrame = null;
+    }
+
+    /**
+     * STOP channel-layer: removes the foreground, the background stays loaded
+     * @private
+     */
+    _stop(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const state = this._getLayerState(ch, layerNumber);
+
+        state.foreground = null;
+        state.templates.clear();
+
+        return '202 STOP OK\r\n';
+    }
+
+    /**
+     * CLEAR channel[-layer]: removes producers and templates (mixer settings stay)
+     * @private
+     */
+    _clear(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift());
+
+        const targets = layerNumber !== null ? [layerNumber] : Array.from(ch.layers.keys());
+        targets.forEach(number => {
+            const state = ch.layers.get(number);
+            if (!state) return;
+            state.foreground = null;
+            state.background = null;
+            state.auto = false;
+            state.templates.clear();
+        });
+
+        return '202 CLEAR OK\r\n';
+    }
+
+    /**
+     * CG channel-layer ADD|PLAY|STOP|NEXT|UPDATE|INVOKE|REMOVE|CLEAR ...
+     * @private
+     */
+    _cg(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift(), { requireLayer: true });
+        const state = this._getLayerState(ch, layerNumber);
+        const action = (params.shift() || '').toUpperCase();
+
+        if (action === 'CLEAR') {
+            state.templates.clear();
+            state.foreground = null;
+            return '202 CG OK\r\n';
+        }
+
+        const flashLayer = parseInt(params.shift(), 10);
+        if (isNaN(flashLayer)) throw new AmcpError(402);
+
+        if (action === 'ADD') {
+            const template = params.shift();
+            if (!template) throw new AmcpError(402);
+
+            const path = /^[a-z]+:\/\//i.test(template)
+                ? template
+                : `file://${this.templatePath}/${template.replace(/\.html?$/i, '')}/index.html`;
+
+            state.templates.set(flashLayer, {
+                template,
+                data: params[1] || null,
+                playing: params[0] === '1'
+            });
+            state.foreground = { type: 'html', name: template, path };
+            return '202 CG OK\r\n';
+        }
+
+        const template = state.templates.get(flashLayer);
+        if (!template) throw new AmcpError(404);
+
+        switch (action) {
+            case 'PLAY':
+                template.playing = true;
+                break;
+            case 'STOP':
+                template.playing = false;
+                break;
+            case 'NEXT':
+            case 'INVOKE':
+                break;
+            case 'UPDATE':
+                if (params[0] === undefined) throw new AmcpError(402);
+                template.data = params[0];
+                break;
+            case 'REMOVE':
+                state.templates.delete(flashLayer);
+                if (state.templates.size === 0) state.foreground = null;
+                break;
+            default:
+                throw new AmcpError(403);
+        }
+
+        return '202 CG OK\r\n';
+    }
+
+    /**
+     * MIXER channel[-layer] PROPERTY [values...] [duration [tween]] | COMMIT | CLEAR
+     * Without values, answers the current value (201)
+     * @private
+     */
+    _mixer(params) {
+        const { ch, layerNumber } = this._parseAddress(params.shift());
+        const property = (params.shift() || '').toUpperCase();
+        if (!property) throw new AmcpError(402);
+
+        // Channel-wide properties (MASTERVOLUME...) are kept on the channel
+        const state = layerNumber !== null ? this._getLayerState(ch, layerNumber) : ch;
+
+        if (property === 'COMMIT') {
+            return '202 MIXER OK\r\n';
+        }
+
+        if (property === 'CLEAR') {
+            const targets = layerNumber !== null ? [state] : [ch, ...ch.layers.values()];
+            targets.forEach(target => { target.mixer = {}; });
+            return '202 MIXER OK\r\n';
+        }
+
+        const values = params.filter(param => param.toUpperCase() !== 'DEFER');
+
+        if (values.length === 0) {
+            const current = state.mixer[property] || MIXER_DEFAULTS[property];
+            if (!current) throw new AmcpError(403);
+            return `201 MIXER OK\r\n${current.join(' ')}\r\n`;
+        }
+
+        // Known properties: keep their values, not the trailing duration/tween
+        const arity = MIXER_DEFAULTS[property] ? MIXER_DEFAULTS[property].length : values.length;
+        state.mixer[property] = values.slice(0, arity);
+        return '202 MIXER OK\r\n';
+    }
+
+    /**
+     * CLS/CINF line of a clip ("NAME" MOVIE size modified frames timebase, at the rate of channel 1)
+     * @private
+     */
+    _clipLine(key) {
+        const frameRate = this.channels[0] ? this.channels[0].frameRate : 25;
+        const duration = this.media.get(key);
+        const modified = this.mediaModified.get(key) || this.now();
+
+        return `"${key}" MOVIE ${Math.round(duration * 1000000)} ${clsDate(modified)} ${Math.round(duration * frameRate)} ${timeBaseOf(frameRate)}`;
+    }
+
+    /**
+     * CLS - Declared clips, sorted by name
+     * @private
+     */
+    _cls() {
+        const lines = Array.from(this.media.keys()).sort().map(key => this._clipLine(key));
+        return `200 CLS OK\r\n${lines.map(line => `${line}\r\n`).join('')}\r\n`;
+    }
+
+    /**
+     * TLS - Declared templates
+     * @private
+     */
+    _tls() {
+        const lines = this.templates.map(name => `"${name}" 0 ${clsDate(this.now())} HTML`);
+        return `200 TLS OK\r\n${lines.map(line => `${line}\r\n`).join('')}\r\n`;
+    }
+
+    /**
+     * CINF "name" - One clip
+     * @private
+     */
+    _cinf(params) {
+        if (!params[0]) throw new AmcpError(402);
+
+        const key = normalizeMediaName(params[0]);
+        if (!this.media.has(key)) throw new AmcpError(404);
+        return `201 CINF OK\r\n${this._clipLine(key)}\r\n`;
+    }
+
+    /**
+     * THUMBNAIL RETRIEVE "name" - Thumbnail of a clip (base64 PNG)
+     * @private
+     */
+    _thumbnail(params) {
+        if ((params[0] || '').toUpperCase() !== 'RETRIEVE') throw new AmcpError(400);
+        if (!params[1]) throw new AmcpError(402);
+
+        if (!this.media.has(normalizeMediaName(params[1]))) throw new AmcpError(404);
+        return `201 THUMBNAIL RETRIEVE OK\r\n${THUMBNAIL_PNG}\r\n`;
+    }
+
+    /**
+     * Public view of a producer (for getLayer)
+     * @private
+     */
+    _describeProducer(ch, producer) {
+        if (producer.type !== 'ffmpeg') {
+            return { type: producer.type, name: producer.name || null };
+        }
+
+        const frame = producer.startedAt !== undefined ? this._currentFrame(ch, producer) : producer.seek;
+        const endFrame = producer.seek + this._clipSpan(producer);
+
+        return {
+            type: producer.type,
+            name: producer.name,
+            frame,
+            time: frame / ch.frameRate,
+            duration: endFrame / ch.frameRate,
+            loop: producer.loop,
+            paused: !!producer.paused,
+            finished: !producer.loop && frame >= endFrame
+        };
+    }
+}
+
+FakeCasparServer.tokenize = tokenize;
+
+module.exports = FakeCasparServer;
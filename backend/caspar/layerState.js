@@ -0,0 +1,181 @@
+/**
+ * Layer State Store - Live CasparCG layer state fed by OSC
+ *
+ * Keeps, per channel-layer, what is on the foreground (producer, file, time,
+ * frame, paused) and loaded in the background. Supports the CasparCG 2.3
+ * addresses (/channel/1/stage/layer/10/foreground/file/time) and the older
+ * 2.0/2.1 ones without foreground/background (/channel/1/stage/layer/10/file/time).
+ *
+ * A channel without OSC packets for STALE_MS is unknown (readers fall back to INFO).
+ * A layer that stopped reporting while its channel still does is empty.
+ * Ages are measured on the playout clock, as the scheduler reading the store.
+ */
+
+const EventEmitter = require('events');
+const clock = require('../utils/clock');
+
+const LAYER_ADDRESS = /^\/channel\/(\d+)\/stage\/layer\/(\d+)\/(.+)$/;
+const CHANNEL_ADDRESS = /^\/channel\/(\d+)\//;
+
+/**
+ * Empty foreground/background state
+ */
+function emptySide() {
+    return {
+        producer: null,
+        file: null,
+        time: null,
+        duration: null,
+        frame: null,
+        totalFrames: null,
+        paused: false
+    };
+}
+
+class LayerStateStore extends EventEmitter {
+    /**
+     * @param {number} staleMs - Age after which OSC data is considered lost
+     */
+    constructor(staleMs = 1000) {
+        super();
+        this.STALE_MS = staleMs;
+        this.layers = new Map();        // Map<"channel-layer", state>
+        this.channelUpdates = new Map(); // Map<channel, last packet timestamp>
+    }
+
+    /**
+     * Apply the messages of an OSC packet, then emit one 'change' per updated layer
+     *
+     * @param {Array<{address: string, args: Array}>} messages - Decoded OSC messages
+     */
+    handlePacket(messages) {
+        const changed = new Set();
+
+        messages.forEach(({ address, args }) => {
+            const key = this.update(address, args);
+            if (key) changed.add(key);
+        });
+
+        changed.forEach(key => {
+            const state = this.layers.get(key);
+            this.emit('change', state.channel, state.layer, state);
+        });
+    }
+
+    /**
+     * Apply a single OSC message
+     *
+     * @param {string} address - OSC address
+     * @param {Array} args - OSC arguments
+     * @returns {string|null} - Updated layer key, or null if the message is not about a layer
+     */
+    update(address, args) {
+        const channelMatch = address.match(CHANNEL_ADDRESS);
+        if (!channelMatch) return null;
+
+        const now = clock.now();
+        this.channelUpdates.set(Number(channelMatch[1]), now);
+
+        const match = address.match(LAYER_ADDRESS);
+        if (!match) return null;
+
+        const channel = Number(match[1]);
+        const layer = Number(match[2]);
+        const key = `${channel}-${layer}`;
+
+        let state = this.layers.get(key);
+        if (!state) {
+            state = { channel, layer, foreground: emptySide(), background: emptySide(), updatedAt: now };
+            this.layers.set(key, state);
+        }
+        state.updatedAt = now;
+
+        // 2.0/2.1 addresses have no foreground/background level
+        let path = match[3];
+        let side = state.foreground;
+        if (path.startsWith('foreground/')) {
+            path = path.slice('foreground/'.length);
+        } else if (path.startsWith('background/')) {
+            path = path.slice('background/'.length);
+            side = state.background;
+        }
+
+        switch (path) {
+            case 'producer':
+            case 'type':
+                side.producer = args[0] !== undefined ? String(args[0]) : null;
+                break;
+
+            case 'file/name':
+            case 'file/path':
+                side.file = args[0] !== undefined ? String(args[0]) : null;
+                break;
+
+            case 'file/time':
+                side.time = typeof args[0] === 'number' ? args[0] : null;
+                if (typeof args[1] === 'number') side.duration = args[1];
+                break;
+
+            case 'file/frame':
+            case 'frame':
+                side.frame = typeof args[0] === 'number' ? args[0] : null;
+                if (typeof args[1] === 'number') side.totalFrames = args[1];
+                break;
+
+            case 'paused':
+                side.paused = args[0] === true;
+                break;
+
+            default:
+                // Other layer data (streams, audio, template host...) is not tracked
+                break;
+        }
+
+        return key;
+    }
+
+    /**
+     * Check if OSC data is flowing for a channel
+     *
+     * @param {number} channel - Channel number
+     * @returns {boolean}
+     */
+    isChannelLive(channel) {
+        const updatedAt = this.channelUpdates.get(channel);
+        return updatedAt !== undefined && clock.now() - updatedAt <= this.STALE_MS;
+    }
+
+    /**
+     * Get the live state of a layer
+     *
+     * @param {number} channel - Channel number
+     * @param {number} layer - Layer number
+     * @returns {Object|null} - Layer state, null when no OSC data is received for the channel
+     */
+    getLayer(channel, layer) {
+        if (!this.isChannelLive(channel)) return null;
+
+        const state = this.layers.get(`${channel}-${layer}`);
+        if (!state || clock.now() - state.updatedAt > this.STALE_MS) {
+            return { channel, layer, foreground: emptySide(), background: emptySide(), updatedAt: null };
+        }
+
+        return state;
+    }
+
+    /**
+     * Get store statistics
+     */
+    getStats() {
+        return {
+            channels: Array.from(this.channelUpdates.keys()).map(channel => ({
+                channel,
+                live: this.isChannelLive(channel),
+                lastUpdate: new Date(this.channelUpdates.get(channel)).toISOString()
+            })),
+            layers: this.layers.size
+        };
+    }
+}
+
+module.exports = LayerStateStore;
@@ -0,0 +1,220 @@
+/**
+ * OSC Listener - Receive CasparCG OSC messages over UDP
+ *
+ * CasparCG pushes its state (layer file time, frame, paused...) every frame to the
+ * OSC clients declared in casparcg.config (<osc><predefined-clients>). Packets are
+ * decoded here (OSC 1.0 messages and bundles) and emitted as 'packet' events
+ * (array of { address, args }, then the sender { address, port }).
+ */
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+/**
+ * Read a null-terminated OSC string (padded to 4 bytes)
+ * @returns {{value: string, offset: number}}
+ */
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) {
+        throw new Error('Unterminated OSC string');
+    }
+
+    return {
+        value: buffer.toString('utf8', offset, end),
+        offset: (end + 4) & ~3
+    };
+}
+
+/**
+ * Decode the arguments of an OSC message from its type tags
+ */
+function readArguments(buffer, offset, typeTags) {
+    const args = [];
+
+    for (const tag of typeTags) {
+        switch (tag) {
+            case 'i':
+                args.push(buffer.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(buffer.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'h':
+                args.push(Number(buffer.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 'd':
+                args.push(buffer.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 's': {
+                const str = readString(buffer, offset);
+                args.push(str.value);
+                offset = str.offset;
+                break;
+            }
+            case 'b': {
+                const size = buffer.readInt32BE(offset);
+                if (size < 0 || offset + 4 + size > buffer.length) {
+                    throw new Error(`Truncated OSC blob (${size} bytes)`);
+                }
+                args.push(buffer.slice(offset + 4, offset + 4 + size));
+                offset = (offset + 4 + size + 3) & ~3;
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+                args.push(null);
+                break;
+            default:
+                throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Decode an OSC packet (message or bundle) into a flat list of messages
+ *
+ * @param {Buffer} buffer - UDP payload
+ * @returns {Array<{address: string, args: Array}>}
+ */
+function decodePacket(buffer) {
+    const address = readString(buffer, 0);
+
+    if (address.value === '#bundle') {
+        const messages = [];
+        let offset = address.offset + 8; // Skip time tag
+
+        while (offset < buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            if (size <= 0 || offset + 4 + size > buffer.length) {
+                throw new Error(`Truncated OSC bundle element (${size} bytes)`);
+            }
+            messages.push(...decodePacket(buffer.slice(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+
+        return messages;
+    }
+
+    // Type tags are optional in OSC 1.0
+    if (address.offset >= buffer.length || buffer[address.offset] !== 0x2c) {
+        return [{ address: address.value, args: [] }];
+    }
+
+    const typeTags = readString(buffer, address.offset);
+    return [{
+        address: address.value,
+        args: readArguments(buffer, typeTags.offset, typeTags.value.slice(1))
+    }];
+}
+
+class OscListener extends EventEmitter {
+    /**
+     * @param {number} port - UDP port CasparCG sends OSC to
+     * @param {string} host - Local address to bind
+     */
+    constructor(port = 6250, host = '0.0.0.0') {
+        super();
+        this.port = port;
+        this.host = host;
+        this.socket = null;
+        this.listening = false;
+        this.packetCount = 0;
+        this.errorCount = 0;
+        this.lastPacketAt = null;
+    }
+
+    /**
+     * Start listening for OSC packets
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            if (this.socket) return resolve();
+
+            this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+            this.socket.on('message', (buffer, source) => this.handlePacket(buffer, source));
+
+            this.socket.on('error', (error) => {
+                console.error('[OSC] Socket error:', error.message);
+
+                if (!this.listening) {
+                    this.socket.close();
+                    this.socket = null;
+                    reject(error);
+                }
+            });
+
+            this.socket.bind(this.port, this.host, () => {
+                this.listening = true;
+                console.log(`[OSC] Listening on udp://${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Decode a packet and emit its messages
+     * @param {Buffer} buffer - UDP payload
+     * @param {Object} [source] - Sender ({ address, port })
+     */
+    handlePacket(buffer, source = null) {
+        let messages;
+
+        try {
+            messages = decodePacket(buffer);
+        } catch (error) {
+            this.errorCount++;
+            // Log only the first errors, CasparCG sends packets every frame
+            if (this.errorCount <= 10) {
+                console.error('[OSC] Invalid packet:', error.message);
+            }
+            return;
+        }
+
+        this.packetCount++;
+        this.lastPacketAt = Date.now();
+
+        this.emit('packet', messages, source);
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+            this.listening = false;
+            console.log('[OSC] Listener stopped');
+        }
+    }
+
+    /**
+     * Get listener statistics
+     */
+    getStats() {
+        return {
+            listening: this.listening,
+            port: this.port,
+            packets: this.packetCount,
+            errors: this.errorCount,
+            lastPacketAt: this.lastPacketAt ? new Date(this.lastPacketAt).toISOString() : null
+        };
+    }
+}
+
+OscListener.decodePacket = decodePacket;
+
+module.exports = OscListener;
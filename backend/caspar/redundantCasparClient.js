@@ -0,0 +1,730 @@
+/**
+ * Redundant CasparCG Client - Main and backup CasparCG servers driven as one
+ *
+ * Every playout, CG and MIXER command is sent to both servers at the same time, so the
+ * backup shows the same picture as the main server and can take over at any time.
+ * Queries (INFO, VERSION, CLS...) are answered by the server on air only.
+ *
+ * The layers that were commanded are compared on both servers every syncInterval: another
+ * clip or producer, a paused clip, another cued clip or a position drifting by more than
+ * positionTolerance is a divergence. A server coming back (restart, network) is first brought
+ * to the state of the server on air (clip at its current position, cued clip, templates, mixer).
+ *
+ * Failover: with 'auto', losing the server on air puts the other one on air; with
+ * 'manual', only the operator switches (setOnAir).
+ *
+ * Switches, failures and divergences are timed on the playout clock, like the as-run log.
+ */
+
+const CasparClient = require('./casparClient');
+const clock = require('../utils/clock');
+
+const SERVER_NAMES = ['main', 'backup'];
+const SERVER_LABELS = { main: 'principal', backup: 'secours' };
+
+// Commands answered by the server on air only: they do not change what goes to air
+const QUERY_COMMAND = /^(INFO|VERSION|CLS|TLS|CINF|THUMBNAIL|DATA|DIAG|HELP|PING)\b/i;
+
+// Template commands kept per flash layer to be replayed on a server coming back
+const MAX_CG_COMMANDS = 20;
+
+class RedundantCasparClient extends CasparClient {
+    /**
+     * @param {Object} servers
+     * @param {CasparClient} servers.main - Client of the main server
+     * @param {CasparClient} servers.backup - Client of the backup server
+     * @param {Object} [options]
+     * @param {string} [options.failover] - 'auto' (default) or 'manual'
+     * @param {number} [options.syncInterval] - Interval of the layer comparison in ms (0 = only on checkSync)
+     * @param {number} [options.positionTolerance] - Position drift allowed between the servers, in seconds
+     * @param {number} [options.reconnectInterval] - Interval of the connection retries of a lost server, in ms
+     */
+    constructor(servers, options = {}) {
+        super(servers.main.host, servers.main.port);
+        this.servers = { main: servers.main, backup: servers.backup };
+        this.failover = options.failover === 'manual' ? 'manual' : 'auto';
+        this.syncInterval = options.syncInterval !== undefined ? options.syncInterval : 2000;
+        this.positionTolerance = options.positionTolerance !== undefined ? options.positionTolerance : 0.5;
+        this.reconnectInterval = options.reconnectInterval !== undefined ? options.reconnectInterval : 30000;
+
+        this.onAir = 'main';
+        this.switches = [];
+        this.MAX_SWITCHES = 20;
+
+        // Layer state mirrored on both servers: Map<"channel-layer" | "channel", entry>
+        this.journal = new Map();
+
+        // Current divergences (layer comparison) and commands refused by one server only
+        this.divergences = [];
+        this.commandErrors = [];
+        this.MAX_COMMAND_ERRORS = 20;
+
+        this.frameRates = new Map();
+        this.serverState = {};
+        this.syncTimer = null;
+        this.checking = false;
+
+        SERVER_NAMES.forEach(name => this._watch(name));
+    }
+
+    /**
+     * Connect to both servers
+     * Resolves when at least one of them is reachable, the other one is retried
+     */
+    async connect() {
+        const results = await Promise.allSettled(SERVER_NAMES.map(name => this._connectServer(name)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.error(`[REDUNDANCY] Server ${SERVER_NAMES[index]} unreachable: ${result.reason.message}`);
+            }
+        });
+
+        if (!this.servers[this.onAir].connected) {
+            this._failoverFrom(this.onAir, 'injoignable');
+        }
+
+        this._updateConnected();
+        this._startTimer();
+
+        if (!this.connected) {
+            throw new Error('No CasparCG server reachable (main and backup)');
+        }
+    }
+
+    /**
+     * Send an AMCP command
+     * Queries go to the server on air; other commands go to both servers and the reply of
+     * the server on air is returned
+     */
+    async request(command, options = {}) {
+        if (this._isQuery(command)) {
+            return this._getOnAirClient().request(command, options);
+        }
+
+        const targets = SERVER_NAMES.filter(name => this.servers[name].connected);
+        if (targets.length === 0) {
+            throw new Error('Not connected to CasparCG');
+        }
+
+        this._record(command);
+
+        const settled = await Promise.allSettled(targets.map(name => this.servers[name].request(command, options)));
+        const results = {};
+        targets.forEach((name, index) => { results[name] = settled[index]; });
+
+        const onAirName = this.onAir;
+        const standbyName = this._other(onAirName);
+        const onAir = results[onAirName];
+        const standby = results[standbyName];
+
+        if (standby && standby.status === 'rejected' && onAir && onAir.status === 'fulfilled') {
+            this._reportCommandError(standbyName, command, standby.reason);
+        }
+
+        if (onAir && onAir.status === 'fulfilled') {
+            return onAir.value;
+        }
+
+        // Refused by the server on air (e.g. 404 on a clip missing there): no failover
+        if (onAir && typeof onAir.reason.code === 'number') {
+            if (standby && standby.status === 'fulfilled') {
+                this._reportCommandError(onAirName, command, onAir.reason);
+            }
+            throw onAir.reason;
+        }
+
+        // The server on air was lost: the standby, if it played the command, takes over
+        if (standby && standby.status === 'fulfilled' && !this.servers[onAirName].connected
+            && this._failoverFrom(onAirName, `perdu pendant ${command.split(' ')[0]}`)) {
+            return standby.value;
+        }
+
+        throw onAir ? onAir.reason : new Error(`CasparCG ${onAirName} (on air) not connected`);
+    }
+
+    /**
+     * Put a server on air (operator choice)
+     *
+     * @param {string} name - 'main' or 'backup'
+     * @param {string} [reason] - Why, kept in the switch history
+     * @returns {boolean} - False if the server was already on air
+     */
+    setOnAir(name, reason = 'opérateur') {
+        if (!SERVER_NAMES.includes(name)) {
+            throw new Error(`Unknown CasparCG server: ${name}`);
+        }
+        if (name === this.onAir) return false;
+        if (!this.servers[name].connected) {
+            throw new Error(`CasparCG ${SERVER_LABELS[name]} non connecté`);
+        }
+
+        this._switch(name, reason);
+        return true;
+    }
+
+    /**
+     * Bring a server to the state of the server on air (layers commanded so far)
+     *
+     * @param {string} [name] - Server to resync, the standby by default
+     * @returns {Promise<number>} - Number of commands sent
+     */
+    async resyncServer(name = this._other(this.onAir)) {
+        const source = this.servers[this.onAir];
+        const target = this.servers[name];
+        if (name === this.onAir || !source.connected || !target.connected) return 0;
+
+        this.serverState[name].syncing = true;
+        let count = 0;
+
+        try {
+            for (const entry of this.journal.values()) {
+                const commands = await this._getRestoreCommands(entry);
+                for (const command of commands) {
+                    try {
+                        await target.request(command);
+                    } catch (error) {
+                        console.warn(`[REDUNDANCY] Resync of ${name}: "${command}" failed: ${error.message}`);
+                    }
+                    count++;
+                }
+            }
+        } finally {
+            this.serverState[name].syncing = false;
+        }
+
+        this.commandErrors = this.commandErrors.filter(failure => failure.server !== name);
+        console.log(`[REDUNDANCY] Server ${name} resynced with ${this.onAir} (${count} commands)`);
+        this.emit('resync', { server: name, commands: count });
+
+        await this.checkSync();
+        return count;
+    }
+
+    /**
+     * Compare the commanded layers on both servers
+     * Emits 'divergence' when the list of divergences changes
+     *
+     * @returns {Promise<Array>} - Divergences: { layer, type, main, backup, since }
+     */
+    async checkSync() {
+        if (this.checking) return this.divergences;
+        this.checking = true;
+
+        try {
+            const standbyName = this._other(this.onAir);
+            const bothConnected = SERVER_NAMES.every(name => this.servers[name].connected);
+            const found = [];
+
+            if (bothConnected && !this.serverState[standbyName].syncing) {
+                for (const entry of this.journal.values()) {
+                    if (entry.layer === null || !entry.play) continue;
+
+                    const address = `${entry.channel}-${entry.layer}`;
+                    const [main, backup] = await Promise.all(SERVER_NAMES.map(name =>
+                        this.servers[name].request(`INFO ${address}`, { timeout: 2000 })
+                            .then(reply => parseLayerInfo(reply.data.join('\n')))));
+
+                    compareLayers(main, backup, this.positionTolerance)
+                        .forEach(divergence => found.push({ layer: address, ...divergence }));
+                }
+            }
+
+            this._setDivergences(found);
+        } catch (error) {
+            console.warn('[REDUNDANCY] Layer comparison failed:', error.message);
+        } finally {
+            this.checking = false;
+        }
+
+        return this.divergences;
+    }
+
+    /**
+     * Check if an OSC packet comes from the server on air
+     * (both servers on the same host cannot be told apart: their packets are accepted)
+     *
+     * @param {string} address - Sender address of the packet
+     */
+    isOnAirAddress(address) {
+        if (this.servers.main.host === this.servers.backup.host) return true;
+        return normalizeAddress(address) === normalizeAddress(this.servers[this.onAir].host);
+    }
+
+    /**
+     * Redundancy status for the operators and HEALTH_CHECK
+     */
+    getRedundancyStatus() {
+        const server = (name) => ({
+            host: this.servers[name].host,
+            port: this.servers[name].port,
+            connected: Boolean(this.servers[name].connected),
+            healthy: this.servers[name].isHealthy(),
+            lastError: this.serverState[name].lastError,
+            syncing: this.serverState[name].syncing
+        });
+
+        return {
+            onAir: this.onAir,
+            failover: this.failover,
+            main: server('main'),
+            backup: server('backup'),
+            divergences: this.divergences,
+            commandErrors: this.commandErrors.slice(-5),
+            lastSwitch: this.switches[this.switches.length - 1] || null
+        };
+    }
+
+    /**
+     * Disconnect from both servers
+     */
+    disconnect() {
+        if (this.syncTimer) {
+            clock.clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+
+        SERVER_NAMES.forEach(name => this.servers[name].disconnect());
+        this.connected = false;
+    }
+
+    /**
+     * Health of the server on air
+     */
+    isHealthy() {
+        return this.servers[this.onAir].isHealthy();
+    }
+
+    /**
+     * Connection statistics of both servers
+     */
+    getStats() {
+        return {
+            connected: this.connected,
+            onAir: this.onAir,
+            main: this.servers.main.getStats(),
+            backup: this.servers.backup.getStats(),
+            divergences: this.divergences.length,
+            switches: this.switches.length
+        };
+    }
+
+    /**
+     * Follow the connection of a server
+     * @private
+     */
+    _watch(name) {
+        const client = this.servers[name];
+        this.serverState[name] = { lastError: null, syncing: false, connecting: false, lastRetryAt: 0 };
+
+        // Socket errors are reported by the member clients (and must not go unhandled)
+        client.on('error', (error) => {
+            this.serverState[name].lastError = error.message;
+        });
+
+        client.on('connected', () => {
+            console.log(`[REDUNDANCY] Server ${name} connected`);
+            this.serverState[name].lastError = null;
+            this._updateConnected();
+
+            // A server coming back takes the state of the server on air before it is compared
+            if (name !== this.onAir && this.servers[this.onAir].connected) {
+                this.resyncServer(name).catch(error => console.error(`[REDUNDANCY] Resync of ${name} failed:`, error.message));
+            }
+        });
+
+        client.on('disconnected', () => {
+            console.warn(`[REDUNDANCY] Server ${name} disconnected`);
+            if (name === this.onAir) {
+                this._failoverFrom(name, 'perdu');
+            }
+            this._setDivergences([]);
+            this._updateConnected();
+        });
+    }
+
+    /**
+     * Connect one server (a connection in progress is not restarted)
+     * @private
+     */
+    async _connectServer(name) {
+        const state = this.serverState[name];
+        if (state.connecting || this.servers[name].connected) return;
+
+        state.connecting = true;
+        state.lastRetryAt = clock.now();
+        try {
+            await this.servers[name].connect();
+        } catch (error) {
+            state.lastError = error.message;
+            throw error;
+        } finally {
+            state.connecting = false;
+        }
+    }
+
+    /**
+     * Put the other server on air after losing one, if the failover is automatic
+     * @private
+     * @param {string} name - Server lost
+     * @param {string} why - What happened to it, for the operators (e.g. "perdu")
+     * @returns {boolean} - True if the other server went on air
+     */
+    _failoverFrom(name, why) {
+        if (name !== this.onAir) return false;
+
+        const other = this._other(name);
+        if (this.failover !== 'auto' || !this.servers[other].connected) {
+            console.error(`[REDUNDANCY] Server ${name} on air is down (${why}), no failover (${this.failover}, ${other} ${this.servers[other].connected ? 'connected' : 'not connected'})`);
+            return false;
+        }
+
+        this._switch(other, `serveur ${SERVER_LABELS[name]} ${why}`);
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _switch(name, reason) {
+        const change = { at: clock.date().toISOString(), from: this.onAir, to: name, reason };
+        this.onAir = name;
+
+        this.switches.push(change);
+        if (this.switches.length > this.MAX_SWITCHES) {
+            this.switches.shift();
+        }
+
+        console.warn(`[REDUNDANCY] On air: ${name} (was ${change.from}, ${reason})`);
+        this.emit('failover', change);
+    }
+
+    /**
+     * @private
+     */
+    _updateConnected() {
+        const connected = SERVER_NAMES.some(name => this.servers[name].connected);
+        if (connected === this.connected) return;
+
+        this.connected = connected;
+        this.emit(connected ? 'connected' : 'disconnected');
+    }
+
+    /**
+     * Client answering the queries: the server on air, or the other one if it was lost
+     * @private
+     */
+    _getOnAirClient() {
+        if (!this.servers[this.onAir].connected) {
+            this._failoverFrom(this.onAir, 'non connecté');
+        }
+        return this.servers[this.onAir];
+    }
+
+    /**
+     * @private
+     */
+    _other(name) {
+        return name === 'main' ? 'backup' : 'main';
+    }
+
+    /**
+     * @private
+     */
+    _isQuery(command) {
+        const text = command.trim();
+        if (QUERY_COMMAND.test(text)) return true;
+
+        // MIXER channel-layer PROPERTY without values reads the property
+        const tokens = text.split(/\s+/);
+        return tokens[0].toUpperCase() === 'MIXER' && tokens.length === 3
+            && !['COMMIT', 'CLEAR'].includes(tokens[2].toUpperCase());
+    }
+
+    /**
+     * Keep what a command leaves on its layer, to bring a server coming back to the same state
+     * @private
+     */
+    _record(command) {
+        const match = command.trim().match(/^(\w+)\s+(\d+)(?:-(\d+))?\s*(.*)$/);
+        if (!match) return;
+
+        const verb = match[1].toUpperCase();
+        const channel = parseInt(match[2], 10);
+        const layer = match[3] !== undefined ? parseInt(match[3], 10) : null;
+        const params = match[4];
+        const key = layer !== null ? `${channel}-${layer}` : `${channel}`;
+
+        if (verb === 'CLEAR') {
+            if (layer !== null) {
+                this.journal.delete(key);
+            } else {
+                Array.from(this.journal.values())
+                    .filter(entry => entry.channel === channel)
+                    .forEach(entry => this.journal.delete(entry.layer !== null ? `${channel}-${entry.layer}` : `${channel}`));
+            }
+            return;
+        }
+
+        if (!this.journal.has(key)) {
+            this.journal.set(key, { channel, layer, play: null, loadbg: null, paused: false, cg: new Map(), mixer: new Map() });
+        }
+        const entry = this.journal.get(key);
+
+        switch (verb) {
+            case 'PLAY':
+                if (params) {
+                    entry.play = command;
+                    entry.loadbg = null;
+                } else if (entry.loadbg) {
+                    entry.play = entry.loadbg.replace(/^LOADBG/i, 'PLAY').replace(/\s+AUTO\s*$/i, '');
+                    entry.loadbg = null;
+                }
+                entry.paused = false;
+                break;
+            case 'LOAD':
+                entry.play = command;
+                entry.paused = true;
+                break;
+            case 'LOADBG':
+                entry.loadbg = command;
+                break;
+            case 'PAUSE':
+                entry.paused = true;
+                break;
+            case 'RESUME':
+                entry.paused = false;
+                break;
+            case 'STOP':
+                entry.play = null;
+                break;
+            case 'CG':
+                this._recordTemplate(entry, command, params);
+                break;
+            case 'MIXER':
+                this._recordMixer(entry, command, params);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _recordTemplate(entry, command, params) {
+        const [action, flashLayer] = params.split(/\s+/);
+        const upper = (action || '').toUpperCase();
+
+        if (upper === 'CLEAR') {
+            entry.cg.clear();
+            return;
+        }
+        if (upper === 'REMOVE') {
+            entry.cg.delete(flashLayer);
+            return;
+        }
+        if (upper === 'ADD') {
+            entry.cg.set(flashLayer, [command]);
+            return;
+        }
+
+        const commands = entry.cg.get(flashLayer);
+        if (!commands) return;
+
+        // Only the last data update matters
+        const kept = upper === 'UPDATE'
+            ? commands.filter(previous => !/^CG\s+\S+\s+UPDATE\b/i.test(previous))
+            : commands;
+        kept.push(command);
+        entry.cg.set(flashLayer, kept.length > MAX_CG_COMMANDS ? [kept[0], ...kept.slice(-(MAX_CG_COMMANDS - 1))] : kept);
+    }
+
+    /**
+     * @private
+     */
+    _recordMixer(entry, command, params) {
+        const property = (params.split(/\s+/)[0] || '').toUpperCase();
+        if (property === 'CLEAR') {
+            entry.mixer.clear();
+        } else if (property && property !== 'COMMIT') {
+            // Replayed on its own: a deferred value would wait for a COMMIT that never comes
+            entry.mixer.set(property, command.replace(/\s+DEFER\s*$/i, ''));
+        }
+    }
+
+    /**
+     * Commands bringing a layer of the standby to the state of the server on air
+     * @private
+     */
+    async _getRestoreCommands(entry) {
+        const mixer = Array.from(entry.mixer.values());
+        if (entry.layer === null) return mixer;
+
+        const address = `${entry.channel}-${entry.layer}`;
+        const commands = [`CLEAR ${address}`];
+        const onAir = this.servers[this.onAir];
+
+        const reply = await onAir.request(`INFO ${address}`, { timeout: 2000 });
+        const state = parseLayerInfo(reply.data.join('\n'));
+        const fg = state.foreground;
+
+        if (entry.play && fg.producer && fg.producer !== 'empty') {
+            if (fg.producer === 'ffmpeg' && fg.name && !fg.loop && fg.time !== null && fg.end !== null) {
+                // Same clip from the frame the server on air is showing, ending with it
+                const frameRate = await this._getFrameRate(entry.channel);
+                const seek = Math.round(fg.time * frameRate);
+                const length = Math.max(1, Math.round((fg.end - fg.time) * frameRate));
+                commands.push(`PLAY ${address} "${fg.name}" SEEK ${seek} LENGTH ${length}`);
+            } else {
+                commands.push(entry.play);
+            }
+            if (fg.paused || entry.paused) {
+                commands.push(`PAUSE ${address}`);
+            }
+        }
+
+        if (entry.loadbg && state.background.producer && state.background.producer !== 'empty') {
+            commands.push(entry.loadbg);
+        }
+
+        entry.cg.forEach(templateCommands => commands.push(...templateCommands));
+        return commands.concat(mixer);
+    }
+
+    /**
+     * Frame rate of a channel on the server on air (read once)
+     * @private
+     */
+    async _getFrameRate(channel) {
+        if (!this.frameRates.has(channel)) {
+            const frameRate = await this.servers[this.onAir].getFrameRate(channel);
+            this.frameRates.set(channel, frameRate || 25);
+        }
+        return this.frameRates.get(channel);
+    }
+
+    /**
+     * @private
+     */
+    _reportCommandError(name, command, error) {
+        const failure = { server: name, command, error: error.message, at: clock.date().toISOString() };
+        this.commandErrors.push(failure);
+        if (this.commandErrors.length > this.MAX_COMMAND_ERRORS) {
+            this.commandErrors.shift();
+        }
+
+        console.warn(`[REDUNDANCY] "${command}" failed on ${name} only: ${error.message}`);
+        this.emit('divergence', { divergences: this.divergences, commandError: failure });
+    }
+
+    /**
+     * @private
+     */
+    _setDivergences(found) {
+        const key = (divergence) => `${divergence.layer}|${divergence.type}`;
+        const previous = new Map(this.divergences.map(divergence => [key(divergence), divergence]));
+
+        // A divergence already known keeps the time it was first seen
+        const divergences = found.map(divergence => ({
+            ...divergence,
+            since: previous.has(key(divergence)) ? previous.get(key(divergence)).since : clock.date().toISOString()
+        }));
+
+        const changed = divergences.length !== this.divergences.length
+            || divergences.some(divergence => !previous.has(key(divergence)));
+        this.divergences = divergences;
+
+        if (changed) {
+            if (divergences.length > 0) {
+                console.warn(`[REDUNDANCY] ${divergences.length} divergence(s): ${divergences.map(d => `${d.layer} ${d.type}`).join(', ')}`);
+            }
+            this.emit('divergence', { divergences });
+        }
+    }
+
+    /**
+     * Periodic layer comparison and connection retries of lost servers
+     * @private
+     */
+    _startTimer() {
+        if (this.syncTimer || !this.syncInterval) return;
+
+        this.syncTimer = clock.setInterval(() => {
+            SERVER_NAMES.forEach(name => {
+                const client = this.servers[name];
+                const state = this.serverState[name];
+                if (client.connected || client.reconnectTimer || clock.now() - state.lastRetryAt < this.reconnectInterval) return;
+
+                this._connectServer(name).catch(() => { /* retried at the next interval */ });
+            });
+
+            this.checkSync();
+        }, this.syncInterval);
+    }
+}
+
+/**
+ * Foreground and background of a layer in an INFO reply
+ * @returns {Object} - { foreground, background }: { producer, name, time, end, loop, paused }
+ */
+function parseLayerInfo(xml) {
+    const side = (tag) => {
+        const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`));
+        const content = match ? match[1] : '';
+        const value = (name) => {
+            const found = content.match(new RegExp(`<${name}>([^<]*)<\\/${name}>`));
+            return found ? found[1] : null;
+        };
+        // Two <time> tags: current position and end of the clip
+        const times = (content.match(/<time>([^<]+)<\/time>/g) || [])
+            .map(found => parseFloat(found.replace(/<\/?time>/g, '')));
+
+        return {
+            producer: value('producer'),
+            name: value('name'),
+            time: isNaN(times[0]) || times[0] === undefined ? null : times[0],
+            end: isNaN(times[1]) || times[1] === undefined ? null : times[1],
+            loop: value('loop') === 'true',
+            paused: value('paused') === 'true'
+        };
+    };
+
+    return { foreground: side('foreground'), background: side('background') };
+}
+
+/**
+ * Differences between the same layer on the main and backup servers
+ * @returns {Array} - { type: clip|paused|position|cue, main, backup }
+ */
+function compareLayers(main, backup, tolerance) {
+    const divergences = [];
+    const describe = (side) => (side.producer && side.producer !== 'empty' ? side.name || side.producer : 'vide');
+    const a = main.foreground;
+    const b = backup.foreground;
+
+    if (a.producer !== b.producer || normalizeClip(a.name) !== normalizeClip(b.name)) {
+        divergences.push({ type: 'clip', main: describe(a), backup: describe(b) });
+    } else if (a.paused !== b.paused) {
+        divergences.push({ type: 'paused', main: a.paused, backup: b.paused });
+    } else if (!a.loop && a.time !== null && b.time !== null && Math.abs(a.time - b.time) > tolerance) {
+        divergences.push({ type: 'position', main: a.time, backup: b.time });
+    }
+
+    if (normalizeClip(main.background.name) !== normalizeClip(backup.background.name)) {
+        divergences.push({ type: 'cue', main: describe(main.background), backup: describe(backup.background) });
+    }
+
+    return divergences;
+}
+
+function normalizeClip(name) {
+    return name ? name.toLowerCase().replace(/\.[^./]+$/, '') : null;
+}
+
+// IPv4 addresses mapped in IPv6 (::ffff:10.0.0.2) compare as IPv4
+function normalizeAddress(address) {
+    return String(address || '').replace(/^::ffff:/, '').replace(/^localhost$/, '127.0.0.1');
+}
+
+module.exports = RedundantCasparClient;
+module.exports.parseLayerInfo = parseLayerInfo;
@@ -0,0 +1,176 @@
+/**
+ * Broadcast Calendar - Dated playlists (one per broadcast day)
+ *
+ * A broadcast day runs from the day boundary (e.g. 06:00) to the same time the
+ * next calendar day: with a 06:00 boundary, 2026-10-20 04:00 belongs to the
+ * broadcast day 2026-10-19. Dates and boundaries are read in the station time zone.
+ *
+ * Day playlists are regular PlaylistModel instances registered in the
+ * PlaylistManager (ID "DAY-YYYY-MM-DD-CH<channel>"), so they can be edited like
+ * any other playlist. Each playout channel has its own calendar; its autoplay
+ * scheduler asks it which playlist to air when a new broadcast day starts.
+ */
+
+const PlaylistModel = require('./playlist');
+const { parseHardStartTime } = require('../utils/timingRobust');
+const clock = require('../utils/clock');
+const TimeZone = require('../utils/timezone');
+
+class BroadcastCalendar {
+    /**
+     * @param {PlaylistManager} playlistManager - Manager holding the day playlists
+     * @param {string} dayBoundary - Start of the broadcast day (HH:MM or HH:MM:SS)
+     * @param {number} channel - Playout channel of this calendar
+     */
+    constructor(playlistManager, dayBoundary = '06:00', channel = 1) {
+        this.playlists = playlistManager;
+        this.channel = channel;
+        this.setDayBoundary(dayBoundary);
+    }
+
+    /**
+     * Set the start time of the broadcast day
+     *
+     * @param {string} dayBoundary - HH:MM or HH:MM:SS
+     */
+    setDayBoundary(dayBoundary) {
+        const { hours, minutes, seconds } = parseHardStartTime(dayBoundary);
+        this.dayBoundary = dayBoundary;
+        this.boundary = { hours, minutes, seconds };
+    }
+
+    /**
+     * Check a broadcast date string (YYYY-MM-DD, existing calendar date)
+     *
+     * @param {string} date - Date string
+     * @returns {boolean}
+     */
+    static isValidDate(date) {
+        return TimeZone.parseDateKey(date) !== null;
+    }
+
+    /**
+     * Get the broadcast day a moment belongs to
+     *
+     * @param {Date} [date] - Moment (now by default)
+     * @returns {string} - Broadcast date (YYYY-MM-DD)
+     */
+    getBroadcastDate(date = clock.date()) {
+        const day = TimeZone.dateKey(date, clock.getTimeZone());
+
+        // Before the boundary we are still in the previous broadcast day
+        if (new Date(date) < this.getDayStart(day)) {
+            return TimeZone.addDays(day, -1);
+        }
+
+        return day;
+    }
+
+    /**
+     * Get the start of a broadcast day
+     *
+     * @param {string} date - Broadcast date (YYYY-MM-DD)
+     * @returns {Date} - Day boundary on that date
+     */
+    getDayStart(date) {
+        if (!BroadcastCalendar.isValidDate(date)) {
+            throw new Error(`Invalid broadcast date: ${date}`);
+        }
+
+        return TimeZone.fromLocal({ ...TimeZone.parseDateKey(date), ...this.boundary }, clock.getTimeZone());
+    }
+
+    /**
+     * Get the start of the broadcast day following the one containing a moment
+     *
+     * @param {Date} [date] - Moment (now by default)
+     * @returns {Date} - Next day boundary
+     */
+    getNextDayStart(date = clock.date()) {
+        return this.getDayStart(TimeZone.addDays(this.getBroadcastDate(date), 1));
+    }
+
+    /**
+     * Get the playlist ID used for a broadcast day
+     */
+    getDayPlaylistId(date) {
+        return `DAY-${date}-CH${this.channel}`;
+    }
+
+    /**
+     * Get the playlist scheduled for a broadcast day
+     *
+     * @param {string} date - Broadcast date (YYYY-MM-DD)
+     * @returns {PlaylistModel|null}
+     */
+    getDayPlaylist(date) {
+        return this.playlists.get(this.getDayPlaylistId(date));
+    }
+
+    /**
+     * Schedule a playlist for a broadcast day
+     * The day starts empty, or as a copy of an existing playlist
+     *
+     * @param {string} date - Broadcast date (YYYY-MM-DD)
+     * @param {PlaylistModel} [source] - Playlist to copy
+     * @returns {PlaylistModel} - The day playlist
+     */
+    createDay(date, source = null) {
+        if (!BroadcastCalendar.isValidDate(date)) {
+            throw new Error(`Invalid broadcast date: ${date}`);
+        }
+
+        if (this.getDayPlaylist(date)) {
+            throw new Error(`Broadcast day ${date} is already scheduled`);
+        }
+
+        const id = this.getDayPlaylistId(date);
+        const name = `Grille du ${date}`;
+        const playlist = source ? source.clone(id, name) : new PlaylistModel(id, name);
+
+        playlist.broadcastDate = date;
+        playlist.channel = this.channel;
+        playlist.baseStartAt = this.getDayStart(date);
+
+        this.playlists.add(playlist);
+        console.log(`[CALENDAR] Channel ${this.channel}: scheduled day ${date}${source ? ` from "${source.name}"` : ''}`);
+
+        return playlist;
+    }
+
+    /**
+     * Restore a day playlist from saved data
+     *
+     * @param {Object} data - Raw day playlist data
+     * @returns {PlaylistModel}
+     */
+    restoreDay(data) {
+        return this.playlists.restore({
+            ...data,
+            id: this.getDayPlaylistId(data.broadcastDate),
+            channel: this.channel
+        });
+    }
+
+    /**
+     * List scheduled broadcast days, sorted by date
+     *
+     * @returns {Array} - Day summaries
+     */
+    list() {
+        return this.playlists.list()
+            .filter(summary => summary.broadcastDate && summary.channel === this.channel)
+            .sort((a, b) => a.broadcastDate.localeCompare(b.broadcastDate))
+            .map(summary => ({
+                date: summary.broadcastDate,
+                playlistId: summary.id,
+                name: summary.name,
+                itemCount: summary.itemCount,
+                totalDurationSeconds: summary.totalDurationSeconds,
+                dayStart: this.getDayStart(summary.broadcastDate).toISOString(),
+                onAir: summary.onAir
+            }));
+    }
+}
+
+module.exports = BroadcastCalendar;
@@ -0,0 +1,305 @@
+/**
+ * Filler Pool - Promos, station IDs and loops used to fill schedule gaps
+ *
+ * The pool is the content of a MediaFolders folder (e.g. "Fillers"). When a hard start
+ * lands early (policy 'filler'), the playlist asks the pool for items filling the gap:
+ * - a combination of fillers fitting the gap to the frame (0/1 knapsack on frames)
+ * - items not aired recently (as-run log) are preferred
+ * - what no combination can fill is covered by a loopable slate, chained as needed
+ */
+
+const clock = require('../utils/clock');
+const { FRAME_RATES, roundToFrame } = require('../utils/timingRobust');
+
+// Above this number of candidates, only the least recently aired are combined
+const MAX_CANDIDATES = 64;
+
+class FillerPool {
+    /**
+     * @param {Object} options
+     * @param {MediaFolders} options.mediaFolders - Folder structure of the media library
+     * @param {Function} options.getMediaLibrary - Returns the scanned media (with durationSeconds)
+     * @param {string} [options.folderName='Fillers'] - Folder holding the fillers (case insensitive)
+     * @param {string} [options.slate] - Clip name or file of the loopable slate (null: no slate)
+     * @param {number} [options.frameRate=25] - Frame rate used to fit the gaps
+     * @param {number} [options.repeatWindowHours=4] - Fillers aired within this window are avoided
+     */
+    constructor(options = {}) {
+        this.mediaFolders = options.mediaFolders || null;
+        this.getMediaLibrary = options.getMediaLibrary || (() => []);
+        this.folderName = options.folderName || 'Fillers';
+        this.slate = options.slate || null;
+        this.frameRate = options.frameRate || FRAME_RATES.PAL;
+        this.repeatWindowMs = (options.repeatWindowHours || 4) * 3600 * 1000;
+
+        // Last airing of each file: Map<file, timestamp>
+        this.lastAired = new Map();
+    }
+
+    /**
+     * Load the last airings from the as-run logs (PLAY_START entries of the repeat window)
+     * @param {Array<AsRunLogger>} asRunLoggers
+     */
+    async loadHistory(asRunLoggers) {
+        const since = new Date(clock.now() - this.repeatWindowMs);
+
+        for (const asRunLogger of asRunLoggers) {
+            if (!asRunLogger) continue;
+
+            const logs = await asRunLogger.getLogs(since);
+            logs
+                .filter(entry => entry.eventType === 'PLAY_START' && entry.fileName)
+                .forEach(entry => this.recordAiring(entry.fileName, entry.timestamp));
+        }
+
+        console.log(`[FILLER] Loaded ${this.lastAired.size} recent airing(s) from the as-run log`);
+    }
+
+    /**
+     * Record that a file went on air
+     * @param {string} file - Media file (as in the playlist items)
+     * @param {Date|string|number} [at] - Airing time (now by default)
+     */
+    recordAiring(file, at = clock.now()) {
+        if (!file) return;
+
+        const time = new Date(at).getTime();
+        if (isNaN(time)) return;
+
+        const key = this._normalize(file);
+        if (!this.lastAired.has(key) || this.lastAired.get(key) < time) {
+            this.lastAired.set(key, time);
+        }
+    }
+
+    /**
+     * Fillers of the pool folder found in the media library (slate excluded)
+     * @returns {Array<Object>} - Media entries with a known duration
+     */
+    getCandidates() {
+        const folder = this._getFolder();
+        if (!folder) return [];
+
+        const files = new Set(this.mediaFolders.getMediaInFolder(folder.id).map(file => this._normalize(file)));
+
+        return this.getMediaLibrary().filter(media =>
+            files.has(this._normalize(media.file)) &&
+            media.durationSeconds > 0 &&
+            !this._isSlate(media)
+        );
+    }
+
+    /**
+     * Pick the items filling a gap
+     *
+     * @param {number} gapSeconds - Gap to fill
+     * @param {Object} [context] - { playlist, item, targetStart, frameRate }
+     * @returns {Array<Object>} - Playlist items (fillers, then slate), in playing order
+     */
+    fill(gapSeconds, context = {}) {
+        const frameRate = context.frameRate || this.frameRate;
+        const gapFrames = Math.floor(gapSeconds * frameRate + 1e-6);
+        if (gapFrames <= 0) return [];
+
+        const now = context.targetStart ? new Date(context.targetStart).getTime() : clock.now();
+        const scheduled = this._getPlaylistFillers(context.playlist);
+
+        const candidates = this.getCandidates()
+            .map(media => ({
+                media,
+                frames: Math.round(media.durationSeconds * frameRate),
+                weight: this._freshness(media.file, now, scheduled)
+            }))
+            .filter(candidate => candidate.frames > 0 && candidate.frames <= gapFrames)
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, MAX_CANDIDATES);
+
+        const picked = this._fitFrames(candidates, gapFrames)
+            .sort((a, b) => b.weight - a.weight);
+
+        const items = picked.map(candidate => this._toItem(candidate.media, candidate.frames / frameRate));
+        const filledFrames = picked.reduce((sum, candidate) => sum + candidate.frames, 0);
+        // Whole frames, as the hard start adjustments
+        const remaining = roundToFrame((gapSeconds - filledFrames / frameRate) * 1000, frameRate) / 1000;
+
+        if (remaining > 0) {
+            items.push(...this._slateItems(remaining, frameRate));
+        }
+
+        console.log(`[FILLER] Gap of ${gapSeconds.toFixed(3)}s: ${picked.length} filler(s), ${remaining > 0 ? `${remaining.toFixed(3)}s of slate` : 'frame exact'}`);
+        return items;
+    }
+
+    /**
+     * Pool content for the clients
+     */
+    getStatus() {
+        const now = clock.now();
+
+        return {
+            folderName: this.folderName,
+            slate: this.slate,
+            slateFound: Boolean(this._getSlate()),
+            fillers: this.getCandidates().map(media => ({
+                file: media.file,
+                name: media.name,
+                durationSeconds: media.durationSeconds,
+                lastAiredAt: this.lastAired.has(this._normalize(media.file))
+                    ? new Date(this.lastAired.get(this._normalize(media.file))).toISOString()
+                    : null,
+                recent: this._isRecent(media.file, now)
+            }))
+        };
+    }
+
+    /**
+     * Combination of candidates filling the most frames of the gap (exact fit when one exists),
+     * the freshest one among those filling as much
+     * @private
+     */
+    _fitFrames(candidates, gapFrames) {
+        const total = candidates.reduce((sum, candidate) => sum + candidate.frames, 0);
+        const size = Math.min(gapFrames, total);
+
+        // best[s]: best freshness of a combination lasting exactly s frames
+        const best = new Float64Array(size + 1).fill(-Infinity);
+        best[0] = 0;
+        const taken = candidates.map(() => new Uint8Array(size + 1));
+
+        candidates.forEach((candidate, i) => {
+            for (let s = size; s >= candidate.frames; s--) {
+                const score = best[s - candidate.frames] + candidate.weight;
+                if (score > best[s]) {
+                    best[s] = score;
+                    taken[i][s] = 1;
+                }
+            }
+        });
+
+        let frames = size;
+        while (frames > 0 && best[frames] === -Infinity) frames--;
+
+        const picked = [];
+        for (let i = candidates.length - 1; i >= 0 && frames > 0; i--) {
+            if (taken[i][frames]) {
+                picked.push(candidates[i]);
+                frames -= candidates[i].frames;
+            }
+        }
+
+        return picked;
+    }
+
+    /**
+     * Freshness of a filler: never aired > aired long ago > aired within the repeat window
+     * @private
+     */
+    _freshness(file, now, scheduled) {
+        const key = this._normalize(file);
+
+        if (scheduled.has(key) || this._isRecent(file, now)) return -1;
+        if (!this.lastAired.has(key)) return 2;
+
+        const hours = (now - this.lastAired.get(key)) / 3600000;
+        return 1 + Math.min(hours, 24) / 24;
+    }
+
+    /**
+     * @private
+     */
+    _isRecent(file, now) {
+        const lastAired = this.lastAired.get(this._normalize(file));
+        return lastAired !== undefined && now - lastAired < this.repeatWindowMs;
+    }
+
+    /**
+     * Files already used as fillers in the playlist (avoid the same promo in every gap)
+     * @private
+     */
+    _getPlaylistFillers(playlist) {
+        if (!playlist || !Array.isArray(playlist.items)) return new Set();
+
+        return new Set(playlist.items
+            .filter(item => item.fillerFor)
+            .map(item => this._normalize(item.file)));
+    }
+
+    /**
+     * Chain the slate to cover the rest of the gap (last copy cut to length)
+     * @private
+     */
+    _slateItems(seconds, frameRate) {
+        const slate = this._getSlate();
+        if (!slate) {
+            console.warn(`[FILLER] No slate "${this.slate}" in the media library: ${seconds.toFixed(3)}s left unfilled`);
+            return [];
+        }
+
+        // Unknown duration (still image): a single item holds the whole rest
+        const slateSeconds = slate.durationSeconds > 0
+            ? Math.round(slate.durationSeconds * frameRate) / frameRate
+            : seconds;
+
+        const items = [];
+        let remaining = seconds;
+        while (remaining > 0) {
+            const duration = Math.min(slateSeconds, remaining);
+            items.push(this._toItem(slate, duration));
+            remaining = roundToFrame((remaining - duration) * 1000, frameRate) / 1000;
+        }
+
+        return items;
+    }
+
+    /**
+     * @private
+     */
+    _toItem(media, durationSeconds) {
+        return {
+            name: media.name,
+            file: media.file,
+            type: 'clip',
+            durationSeconds: Math.round(durationSeconds * 1000) / 1000,
+            thumbnail: media.thumbnail || null
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getFolder() {
+        if (!this.mediaFolders) return null;
+
+        return this.mediaFolders.getAllFolders()
+            .find(folder => folder.name.toLowerCase() === this.folderName.toLowerCase()) || null;
+    }
+
+    /**
+     * @private
+     */
+    _getSlate() {
+        if (!this.slate) return null;
+        return this.getMediaLibrary().find(media => this._isSlate(media)) || null;
+    }
+
+    /**
+     * The slate is given as a clip name ("SLATE") or a file ("Fillers/slate.mov")
+     * @private
+     */
+    _isSlate(media) {
+        if (!this.slate) return false;
+
+        const slate = this._normalize(this.slate);
+        return [media.name, media.file, media.file.replace(/\.[^/.]+$/, '')]
+            .some(value => value && this._normalize(value) === slate);
+    }
+
+    /**
+     * @private
+     */
+    _normalize(file) {
+        return String(file).replace(/\\/g, '/').toLowerCase();
+    }
+}
+
+module.exports = FillerPool;
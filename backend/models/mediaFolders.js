@@ -29,6 +29,7 @@ class MediaFolders {
         this.createFolder('Jingles', null, '#06d6a0');
         this.createFolder('Publicités', null, '#e63946');
         this.createFolder('Génériques', null, '#f77f00');
+        this.createFolder('Fillers', null, '#8338ec');
     }
 
     /**
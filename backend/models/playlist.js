@@ -1,7 +1,12 @@
 /**
  * Playlist Model - In-memory playlist state management
- * 
- * Manages a single active playlist with timing calculations
+ *
+ * One instance per named playlist (rundown), with timing calculations.
+ * Instances are owned by the PlaylistManager.
+ *
+ * Items are clips, live inputs or blocks. A block ({ type: 'block', children }) is a
+ * programme segment (part 1, break, part 2...): it moves as a unit, carries the hard
+ * start of the segment and plays its items in order. Blocks are not nested.
  */
 
 const {
@@ -9,20 +14,152 @@ const {
     validateHardStarts,
     calculateHardStartTarget,
     parseHardStartTime,
+    roundToFrame,
     FRAME_RATES
 } = require('../utils/timingRobust');
+const Timecode = require('../utils/timecode');
+const clock = require('../utils/clock');
+const TimeZone = require('../utils/timezone');
+
+// CasparCG transitions (CUT = no transition)
+const TRANSITION_TYPES = ['CUT', 'MIX', 'WIPE', 'SLIDE', 'PUSH'];
+const TRANSITION_DIRECTIONS = ['LEFT', 'RIGHT'];
+
+// CasparCG tweens: linear, easenone and easein/easeout/easeinout/easeoutin + curve
+const TWEEN_CURVES = ['quad', 'cubic', 'quart', 'quint', 'sine', 'expo', 'circ', 'elastic', 'back', 'bounce'];
+const TWEENS = ['linear', 'easenone'].concat(
+    ...TWEEN_CURVES.map(curve => ['easein', 'easeout', 'easeinout', 'easeoutin'].map(ease => ease + curve))
+);
+
+// How a hard start is reached when the schedule does not land on it
+// trim: trim/extend the previous item, drop: skip droppable items, filler: fill the gap,
+// join: join the hard start item in progress
+const HARD_START_POLICIES = ['trim', 'drop', 'filler', 'join'];
+
+const generateItemId = (prefix = 'item') => `${prefix}-${clock.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Error of an edit refused because it changes a locked item (on air or cued)
+ */
+function lockedItemError(message) {
+    const error = new Error(message);
+    error.code = 'ITEM_LOCKED';
+    return error;
+}
 
 class PlaylistModel {
-    constructor() {
-        this.id = 'MAIN-CHANNEL-1';
+    /**
+     * @param {string} id - Unique playlist ID (also used as file name)
+     * @param {string} name - Display name of the rundown
+     */
+    constructor(id = 'MAIN-CHANNEL-1', name = 'Programme principal') {
+        this.id = id;
+        this.name = name;
         this.baseStartAt = null;  // Date object or null
         this.items = [];          // Array of PlaylistItem
+        this.broadcastDate = null; // 'YYYY-MM-DD' for broadcast calendar days, null otherwise
+        this.channel = null;       // Playout channel owning a calendar day, null otherwise
+        this.frameRate = null;     // Frame rate of the playout channel (null: PAL)
+        this.loop = false;         // Start again at the first item after the last one (carousel)
+        this.lockProvider = null;  // Returns the IDs of the on-air and cued items (set by the scheduler)
+    }
+
+    /**
+     * IDs of the locked items: the on-air item and the next cued ones of the scheduler driving
+     * this playlist. They cannot be removed, moved, trimmed or change duration unless forced.
+     *
+     * @returns {Array<string>}
+     */
+    getLockedItemIds() {
+        return this.lockProvider ? this.lockProvider() : [];
+    }
+
+    /**
+     * Check if an item is locked (a block is locked when one of its items is)
+     *
+     * @param {string} id - Item or block ID
+     * @returns {boolean}
+     */
+    isLocked(id) {
+        const lockedIds = this.getLockedItemIds();
+        if (lockedIds.length === 0) return false;
+
+        const item = this.getItem(id);
+        if (!item) return false;
+
+        return item.type === 'block'
+            ? item.children.some(child => lockedIds.includes(child.id))
+            : lockedIds.includes(item.id);
+    }
+
+    /**
+     * Apply an edit that must leave the locked items as they are: still scheduled, in the same
+     * order with nothing between them, with the same duration and trims. Otherwise the edit is
+     * undone and refused (error code ITEM_LOCKED), unless forced.
+     *
+     * @param {Function} edit - Mutates the playlist
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Apply the edit even if it changes locked items
+     * @returns {*} - What the edit returns
+     */
+    applyGuarded(edit, options = {}) {
+        const lockedIds = options.force ? [] : this.getLockedItemIds();
+        if (lockedIds.length === 0) {
+            return edit();
+        }
+
+        const before = this.getContent();
+        const signature = this._getLockSignature(lockedIds);
+        const result = edit();
+
+        if (this._getLockSignature(lockedIds) !== signature) {
+            this.setContent(before);
+            throw lockedItemError('The edit changes the on-air or cued items');
+        }
+
+        return result;
+    }
+
+    /**
+     * Set the frame rate used for scheduling, hard starts and timecode
+     *
+     * @param {number} frameRate - 25, 29.97, 50, 59.94...
+     * @returns {boolean} - True if the frame rate changed
+     */
+    setFrameRate(frameRate) {
+        const { fps } = Timecode.getRate(frameRate);
+        if (fps === this.frameRate) return false;
+
+        this.frameRate = fps;
+        console.log(`[PLAYLIST] Playlist ${this.id} frame rate: ${fps} fps`);
+        return true;
+    }
+
+    /**
+     * @returns {number} - Frame rate of the playlist (PAL when not set)
+     */
+    getFrameRate() {
+        return this.frameRate || FRAME_RATES.PAL;
+    }
+
+    /**
+     * Rename the playlist
+     *
+     * @param {string} name - New display name
+     */
+    rename(name) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('[PLAYLIST] Playlist name must be a non-empty string');
+        }
+
+        this.name = name.trim();
+        console.log(`[PLAYLIST] Playlist ${this.id} renamed to "${this.name}"`);
     }
 
     /**
      * Set the base start time for the playlist
      * 
-     * @param {Date|string|null} date - Date object, ISO string, or null for "now"
+     * @param {Date|string|null} date - Date object, ISO string (station time without offset), or null for "now"
      */
     setBaseStartAt(date) {
         if (date === null) {
@@ -32,7 +169,7 @@ class PlaylistModel {
         }
 
         if (typeof date === 'string') {
-            this.baseStartAt = new Date(date);
+            this.baseStartAt = TimeZone.parseDateTime(date, clock.getTimeZone());
         } else if (date instanceof Date) {
             this.baseStartAt = new Date(date);
         } else {
@@ -60,33 +197,249 @@ class PlaylistModel {
      * Add a single item to the playlist
      * 
      * @param {Object} item - Playlist item to add
+     * @param {string} [blockId] - Block to add the item to (at its end), top level by default
      * @returns {Object} - The added item with generated ID
      */
-    addItem(item) {
-        const validatedItem = this._validateItem(item);
+    addItem(item, blockId = null) {
+        const block = blockId ? this._getBlockOrThrow(blockId) : null;
+        const validatedItem = block ? this._validateBlockChild(item) : this._validateItem(item);
 
         // Generate ID if not provided
         if (!validatedItem.id) {
-            validatedItem.id = `item-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            validatedItem.id = generateItemId();
         }
 
-        this.items.push(validatedItem);
-        console.log(`[PLAYLIST] Added item: ${validatedItem.name} (${validatedItem.id})`);
+        if (block) {
+            block.children.push(validatedItem);
+            this._syncBlock(block);
+            console.log(`[PLAYLIST] Added item: ${validatedItem.name} (${validatedItem.id}) to block "${block.name}"`);
+        } else {
+            this.items.push(validatedItem);
+            console.log(`[PLAYLIST] Added item: ${validatedItem.name} (${validatedItem.id})`);
+        }
 
         return validatedItem;
     }
 
+    /**
+     * Group consecutive items into a block
+     * The hard start of the first item becomes the hard start of the block
+     *
+     * @param {Array<string>} itemIds - IDs of consecutive top level items (clips or live inputs)
+     * @param {string} name - Name of the block
+     * @returns {Object} - The new block
+     */
+    createBlock(itemIds, name) {
+        if (!Array.isArray(itemIds) || itemIds.length === 0) {
+            throw new Error('[PLAYLIST] A block needs at least one item');
+        }
+
+        const indexes = itemIds.map(id => {
+            const index = this.items.findIndex(item => item.id === id);
+            if (index < 0) {
+                throw new Error(`[PLAYLIST] Item not found at the top level: ${id}`);
+            }
+            return index;
+        }).sort((a, b) => a - b);
+
+        if (indexes[indexes.length - 1] - indexes[0] !== indexes.length - 1) {
+            throw new Error('[PLAYLIST] Block items must be consecutive');
+        }
+
+        const children = this.items.slice(indexes[0], indexes[0] + indexes.length);
+        if (children.some(item => item.type === 'block' || item.fillerFor)) {
+            throw new Error('[PLAYLIST] Blocks and fillers cannot be grouped into a block');
+        }
+        if (children.slice(1).some(item => item.hardStartTime)) {
+            throw new Error('[PLAYLIST] Only the first item of a block can have a hard start');
+        }
+
+        const [first] = children;
+        const block = this._validateItem({
+            id: generateItemId('block'),
+            name: name && String(name).trim() ? String(name).trim() : first.name,
+            type: 'block',
+            hardStartTime: first.hardStartTime,
+            hardStartPolicy: first.hardStartPolicy,
+            children: children.map(child => ({ ...child, hardStartTime: null, hardStartPolicy: null }))
+        });
+
+        this.items.splice(indexes[0], indexes.length, block);
+        console.log(`[PLAYLIST] Created block "${block.name}" (${block.id}): ${block.children.length} items`);
+
+        return block;
+    }
+
+    /**
+     * Put the items of a block back at the top level, in its place
+     * The hard start of the block goes to its first item
+     *
+     * @param {string} blockId - Block ID
+     * @returns {Array<Object>} - The items of the block
+     */
+    ungroupBlock(blockId) {
+        const block = this._getBlockOrThrow(blockId);
+        const children = block.children.map(child => ({ ...child }));
+
+        if (block.hardStartTime) {
+            children[0].hardStartTime = block.hardStartTime;
+            children[0].hardStartPolicy = block.hardStartPolicy;
+        }
+        children[0].droppedBy = block.droppedBy;
+
+        this.items.splice(this.items.indexOf(block), 1, ...children);
+        console.log(`[PLAYLIST] Ungrouped block "${block.name}" (${block.id})`);
+
+        return children;
+    }
+
+    /**
+     * Rename a block
+     *
+     * @param {string} blockId - Block ID
+     * @param {string} name - New name
+     * @returns {Object} - The block
+     */
+    renameBlock(blockId, name) {
+        const block = this._getBlockOrThrow(blockId);
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('[PLAYLIST] Block name must be a non-empty string');
+        }
+
+        block.name = name.trim();
+        console.log(`[PLAYLIST] Block ${blockId} renamed to "${block.name}"`);
+
+        return block;
+    }
+
+    /**
+     * Block containing an item (null for a top level item)
+     *
+     * @param {string} id - Item ID
+     * @returns {Object|null}
+     */
+    getParentBlock(id) {
+        return this.items.find(item => item.type === 'block' && item.children.some(child => child.id === id)) || null;
+    }
+
+    /**
+     * Playable items (clips and live inputs) in playing order, blocks opened
+     *
+     * @returns {Array<Object>}
+     */
+    getPlayableItems() {
+        return this._flatten(this.items);
+    }
+
+    /**
+     * Find an item by ID
+     *
+     * @param {string} id - Item ID
+     * @returns {Object|null} - The item or null if not found
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id) ||
+            this._flatten(this.items).find(item => item.id === id) ||
+            null;
+    }
+
+    /**
+     * Loop the whole playlist: the first item follows the last one (overnight carousel)
+     *
+     * @param {boolean} loop
+     * @returns {boolean} - The new setting
+     */
+    setLoop(loop) {
+        this.loop = Boolean(loop);
+        console.log(`[PLAYLIST] Playlist ${this.id} ${this.loop ? 'loops' : 'no longer loops'}`);
+        return this.loop;
+    }
+
+    /**
+     * Set or clear the loop of an item (CasparCG LOOP, taken off air on its schedule)
+     * - { count: n }: the item plays n times in a row
+     * - { untilHardStart: true }: the item loops until the hard start that follows it
+     *   (holding slate before a live event), whatever the policy of that hard start
+     *
+     * @param {string} id - Item ID
+     * @param {Object|null} loop - { count } or { untilHardStart: true }, null to play once
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Change the duration of a locked item
+     * @returns {Object} - The updated item
+     */
+    setItemLoop(id, loop, options = {}) {
+        const item = this.getItem(id);
+        if (!item) {
+            throw new Error(`[PLAYLIST] Item not found: ${id}`);
+        }
+        if (item.type !== 'clip') {
+            throw new Error('[PLAYLIST] Only clips can loop');
+        }
+        if (!options.force && this.isLocked(id)) {
+            throw lockedItemError(`"${item.name}" is on air or cued, its duration cannot change`);
+        }
+
+        // One pass is the item as it was before looping
+        const passSeconds = item.loop ? item.loop.passSeconds : item.durationSeconds;
+        item.loop = this._validateLoop(loop ? { ...loop, passSeconds } : null, item);
+        item.durationSeconds = item.loop && item.loop.count ? passSeconds * item.loop.count : passSeconds;
+        item.trimOutSeconds = 0;
+        this._syncBlock(this.getParentBlock(id));
+
+        console.log(`[PLAYLIST] Loop of ${id}: ${!item.loop ? 'none' : item.loop.count ? `${item.loop.count} times` : 'until hard start'}`);
+
+        return item;
+    }
+
+    /**
+     * Set or clear the transition used to take an item to air
+     *
+     * @param {string} id - Item ID
+     * @param {Object|null} transition - { type, durationFrames, direction, tween }, null for a cut
+     * @returns {Object} - The updated item
+     */
+    setItemTransition(id, transition) {
+        const item = this.getItem(id);
+        if (!item) {
+            throw new Error(`[PLAYLIST] Item not found: ${id}`);
+        }
+        if (item.type === 'block') {
+            throw new Error('[PLAYLIST] Transitions are set on the items of a block');
+        }
+
+        item.transition = this._validateTransition(transition);
+        console.log(`[PLAYLIST] Transition of ${id}: ${item.transition ? `${item.transition.type} ${item.transition.durationFrames}f` : 'CUT'}`);
+
+        return item;
+    }
+
     /**
      * Remove an item from the playlist by ID
      * 
      * @param {string} id - Item ID to remove
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Remove a locked item (it plays to its end)
      * @returns {boolean} - True if item was removed
      */
-    removeItem(id) {
+    removeItem(id, options = {}) {
+        if (!options.force && this.isLocked(id)) {
+            throw lockedItemError(`"${this.getItem(id).name}" is on air or cued, it cannot be removed`);
+        }
+
         const initialLength = this.items.length;
         this.items = this.items.filter(item => item.id !== id);
 
-        const removed = this.items.length < initialLength;
+        // Item of a block (an emptied block goes with its last item)
+        const block = this.getParentBlock(id);
+        if (block) {
+            block.children = block.children.filter(child => child.id !== id);
+            if (block.children.length === 0) {
+                this.items.splice(this.items.indexOf(block), 1);
+            }
+            this._syncBlock(block);
+        }
+
+        const removed = this.items.length < initialLength || Boolean(block);
         if (removed) {
             console.log(`[PLAYLIST] Removed item: ${id}`);
         } else {
@@ -98,22 +451,34 @@ class PlaylistModel {
 
     /**
      * Reorder items in the playlist
+     * Top level indexes move blocks as a unit; with a block ID the items of the block are reordered
      * 
      * @param {number} fromIndex - Original index
      * @param {number} toIndex - New index
+     * @param {string} [blockId] - Block whose items are reordered
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Move a locked item, or an item between locked ones
      * @returns {boolean} - True if successful
      */
-    reorderItems(fromIndex, toIndex) {
-        if (fromIndex < 0 || fromIndex >= this.items.length ||
-            toIndex < 0 || toIndex >= this.items.length) {
+    reorderItems(fromIndex, toIndex, blockId = null, options = {}) {
+        const list = blockId ? this._getBlockOrThrow(blockId).children : this.items;
+
+        if (fromIndex < 0 || fromIndex >= list.length ||
+            toIndex < 0 || toIndex >= list.length) {
             console.warn(`[PLAYLIST] Invalid reorder indices: ${fromIndex} -> ${toIndex}`);
             return false;
         }
 
-        const [movedItem] = this.items.splice(fromIndex, 1);
-        this.items.splice(toIndex, 0, movedItem);
+        if (!options.force && this.isLocked(list[fromIndex].id)) {
+            throw lockedItemError(`"${list[fromIndex].name}" is on air or cued, it cannot be moved`);
+        }
+
+        this.applyGuarded(() => {
+            const [movedItem] = list.splice(fromIndex, 1);
+            list.splice(toIndex, 0, movedItem);
+        }, options);
 
-        console.log(`[PLAYLIST] Reordered item ${fromIndex} to ${toIndex}`);
+        console.log(`[PLAYLIST] Reordered item ${fromIndex} to ${toIndex}${blockId ? ` in block ${blockId}` : ''}`);
         return true;
     }
 
@@ -129,19 +494,41 @@ class PlaylistModel {
         this.cleanOrphanedTrims();
 
         // Use current time if baseStartAt is null
-        const baseDate = this.baseStartAt || new Date();
+        const baseDate = this.baseStartAt || clock.date();
+        const frameRate = options.frameRate || this.getFrameRate();
 
         // Utiliser la version robuste avec frame-accuracy
-        const scheduledItems = computeScheduleRobust(this.items, baseDate, {
-            frameRate: options.frameRate || FRAME_RATES.PAL,
+        const schedule = computeScheduleRobust(this._getActiveItems(), baseDate, {
+            frameRate,
             frameAccurate: options.frameAccurate !== false, // true par défaut
             validateHardStartsFirst: options.validateHardStartsFirst !== false
         });
 
+        // Items in playing order (items of a block carry its blockId), blocks summarized aside
         return {
             id: this.id,
+            name: this.name,
+            broadcastDate: this.broadcastDate,
+            channel: this.channel,
             baseStartAt: baseDate.toISOString(),
-            items: scheduledItems
+            frameRate,
+            loop: this.loop,
+            items: this._flatten(schedule),
+            blocks: schedule
+                .filter(entry => entry.type === 'block')
+                .map(block => ({
+                    id: block.id,
+                    name: block.name,
+                    startAt: block.startAt,
+                    endAt: block.endAt,
+                    durationSeconds: block.durationSeconds,
+                    hardStartTime: block.hardStartTime,
+                    hardStartPolicy: block.hardStartPolicy,
+                    droppable: block.droppable,
+                    backtime: block.backtime,
+                    itemIds: block.children.map(child => child.id)
+                })),
+            droppedItems: this._getDroppedItems()
         };
     }
 
@@ -149,7 +536,7 @@ class PlaylistModel {
      * Reset the schedule base time to now
      */
     resetSchedule() {
-        this.baseStartAt = new Date();
+        this.baseStartAt = clock.date();
         console.log('[PLAYLIST] Schedule reset to:', this.baseStartAt.toISOString());
         return this.getScheduled();
     }
@@ -162,20 +549,105 @@ class PlaylistModel {
     getRaw() {
         return {
             id: this.id,
+            name: this.name,
+            broadcastDate: this.broadcastDate,
+            channel: this.channel,
+            frameRate: this.frameRate,
+            loop: this.loop,
             baseStartAt: this.baseStartAt ? this.baseStartAt.toISOString() : null,
             items: [...this.items]
         };
     }
 
+    /**
+     * Get a deep copy of what operators edit (items and playlist loop)
+     * Used by the undo history and the snapshots; start time and frame rate are not part of it
+     *
+     * @returns {Object} - { items, loop }
+     */
+    getContent() {
+        return {
+            items: JSON.parse(JSON.stringify(this.items)),
+            loop: this.loop
+        };
+    }
+
+    /**
+     * Replace the edited content by a copy taken with getContent (or a saved playlist)
+     *
+     * @param {Object} content - { items, loop }
+     */
+    setContent(content) {
+        if (!content || !Array.isArray(content.items)) {
+            throw new Error('[PLAYLIST] Content must have an items array');
+        }
+
+        this.setItems(JSON.parse(JSON.stringify(content.items)));
+        this.loop = Boolean(content.loop);
+    }
+
+    /**
+     * Create a deep copy of this playlist under a new ID
+     * Item and secondary event IDs are regenerated so both copies can be edited independently
+     *
+     * @param {string} id - ID of the copy
+     * @param {string} name - Display name of the copy
+     * @returns {PlaylistModel} - The new playlist
+     */
+    clone(id, name) {
+        const copy = new PlaylistModel(id, name);
+        copy.baseStartAt = this.baseStartAt ? new Date(this.baseStartAt) : null;
+        copy.frameRate = this.frameRate;
+        copy.loop = this.loop;
+
+        const newIds = new Map();
+        const copyItem = (item) => {
+            const itemCopy = JSON.parse(JSON.stringify(item));
+            itemCopy.id = generateItemId(item.type === 'block' ? 'block' : 'item');
+            if (item.type === 'block') {
+                itemCopy.children = item.children.map(copyItem);
+            } else {
+                itemCopy.secondaryEvents = itemCopy.secondaryEvents.map(event => ({
+                    ...event,
+                    id: `evt-${clock.now()}-${Math.random().toString(36).substr(2, 5)}`
+                }));
+            }
+            newIds.set(item.id, itemCopy.id);
+            return itemCopy;
+        };
+        copy.items = this.items.map(copyItem);
+
+        // Drops and fillers refer to their hard start item
+        copy.items.forEach(item => {
+            if (item.droppedBy) item.droppedBy = newIds.get(item.droppedBy) || null;
+            if (item.fillerFor) item.fillerFor = newIds.get(item.fillerFor) || null;
+        });
+
+        console.log(`[PLAYLIST] Cloned ${this.id} to ${id} (${copy.items.length} items)`);
+        return copy;
+    }
+
     /**
      * Recalculate schedule with hard start time constraints (VERSION ROBUSTE)
-     * Adjusts previous item durations if needed to respect hard start times
-     * @returns {Object} - Result object with success status and errors
+     * Each hard start item applies its policy (hardStartPolicy):
+     * - 'trim' (default): trim the previous item when late, extend it (hold) when early
+     * - 'drop': skip droppable items before the hard start when late, trim what remains
+     * - 'filler': fill an early gap with items from the filler pool, trim when late
+     * - 'join': join in progress when late (the item starts late with a seek), hold when early
+     * Drops, fillers and joins are undone and recomputed on every call.
+     *
+     * @param {Object} [options]
+     * @param {Object} [options.fillerPool] - Pool with fill(gapSeconds, context) returning filler items
+     * @param {number} [options.frameRate] - Frame rate (the playlist frame rate by default)
+     * @returns {Object} - Result object with success status, errors and adjustments
      */
-    recalculateWithHardStart() {
+    recalculateWithHardStart(options = {}) {
+        const previousFillers = this._resetHardStartAdjustments();
+
         // Utiliser la validation robuste des hard starts
-        const baseDate = this.baseStartAt || new Date();
-        const validation = validateHardStarts(this.items, baseDate);
+        const baseDate = this.baseStartAt || clock.date();
+        const frameRate = options.frameRate || this.getFrameRate();
+        const validation = validateHardStarts(this._getActiveItems(), baseDate, frameRate);
 
         if (!validation.valid) {
             console.error('[HARD START] Validation failed:', validation.errors);
@@ -193,8 +665,12 @@ class PlaylistModel {
         const errors = [];
         const adjustments = [];
 
-        // Pour chaque hard start validé
-        validation.hardStartTargets.forEach(({ index, itemId, itemName, scheduledStart, targetStart, diff }) => {
+        // Dans l'ordre: chaque hard start voit les ajustements faits pour les précédents
+        validation.hardStartTargets.forEach(({ itemId, itemName, targetStart }) => {
+            const active = this._getActiveItems();
+            const index = active.findIndex(i => i.id === itemId);
+            const item = active[index];
+
             if (index === 0) {
                 errors.push({
                     itemId,
@@ -204,65 +680,26 @@ class PlaylistModel {
                 return;
             }
 
-            const item = this.items[index];
-            const diffSeconds = diff / 1000;
+            const scheduledStart = new Date(this._getPlannedStart(active, index, baseDate));
+            // Adjustments are whole frames
+            const diffSeconds = Math.round(roundToFrame(targetStart - scheduledStart, frameRate)) / 1000;
+            const context = {
+                item,
+                itemName,
+                scheduledStart,
+                targetStart,
+                errors,
+                adjustments,
+                fillerPool: options.fillerPool || null,
+                frameRate,
+                previousFillers: previousFillers.get(itemId) || [],
+                reason: `Hard start "${itemName}" @ ${item.hardStartTime}`
+            };
 
             if (diffSeconds < 0) {
-                // En retard - besoin de trim
-                const trimNeeded = Math.abs(diffSeconds);
-                const prevItem = this.items[index - 1];
-
-                // Sécurité: garder au moins 5 secondes + trim déjà existant
-                const currentDuration = prevItem.durationSeconds;
-                const existingTrimOut = prevItem.trimOutSeconds || 0;
-                const maxTrim = Math.max(0, currentDuration - 5);
-
-                if (trimNeeded <= maxTrim) {
-                    // Ajuster la durée
-                    prevItem.durationSeconds -= trimNeeded;
-                    prevItem.trimOutSeconds = existingTrimOut + trimNeeded;
-
-                    adjustments.push({
-                        type: 'trim',
-                        itemId: prevItem.id,
-                        itemName: prevItem.name,
-                        amount: trimNeeded,
-                        reason: `Hard start "${itemName}" @ ${item.hardStartTime}`
-                    });
-
-                    console.log(`[HARD START] ✓ Trimmed ${trimNeeded.toFixed(3)}s from "${prevItem.name}" for hard start "${itemName}" @ ${item.hardStartTime}`);
-                } else {
-                    const errorMsg = `Cannot trim ${trimNeeded.toFixed(1)}s from previous item (max: ${maxTrim.toFixed(1)}s)`;
-                    console.error(`[HARD START] ✗ "${itemName}" @ ${item.hardStartTime}: ${errorMsg}`);
-
-                    errors.push({
-                        itemId,
-                        itemName,
-                        hardStartTime: item.hardStartTime,
-                        reason: errorMsg,
-                        trimNeeded: Math.round(trimNeeded * 1000) / 1000,
-                        maxTrim: Math.round(maxTrim * 1000) / 1000,
-                        scheduledStart: scheduledStart.toISOString(),
-                        targetStart: targetStart.toISOString()
-                    });
-                }
+                this._resolveLateHardStart(-diffSeconds, context);
             } else if (diffSeconds > 0) {
-                // En avance - étendre l'item précédent (créer un gap/hold)
-                const extendNeeded = diffSeconds;
-                const prevItem = this.items[index - 1];
-
-                prevItem.durationSeconds += extendNeeded;
-                prevItem.trimOutSeconds = (prevItem.trimOutSeconds || 0) - extendNeeded;
-
-                adjustments.push({
-                    type: 'extend',
-                    itemId: prevItem.id,
-                    itemName: prevItem.name,
-                    amount: extendNeeded,
-                    reason: `Hard start "${itemName}" @ ${item.hardStartTime}`
-                });
-
-                console.log(`[HARD START] ✓ Extended "${prevItem.name}" by ${extendNeeded.toFixed(3)}s (gap/hold) for hard start "${itemName}" @ ${item.hardStartTime}`);
+                this._resolveEarlyHardStart(diffSeconds, context);
             } else {
                 // Parfait timing - pas d'ajustement
                 console.log(`[HARD START] ✓ "${itemName}" @ ${item.hardStartTime} is perfectly timed (no adjustment needed)`);
@@ -277,6 +714,468 @@ class PlaylistModel {
         };
     }
 
+    /**
+     * Set the droppable flag of an item (may be skipped to reach a 'drop' hard start)
+     *
+     * @param {string} id - Item ID
+     * @param {boolean} droppable
+     * @returns {Object} - The updated item
+     */
+    setItemDroppable(id, droppable) {
+        const item = this._getTopLevelOrThrow(id);
+
+        item.droppable = Boolean(droppable);
+        console.log(`[PLAYLIST] Item ${id} ${item.droppable ? 'is' : 'is no longer'} droppable`);
+
+        return item;
+    }
+
+    /**
+     * Set the policy used to reach the hard start of an item
+     *
+     * @param {string} id - Item ID
+     * @param {string} policy - One of HARD_START_POLICIES
+     * @returns {Object} - The updated item
+     */
+    setItemHardStartPolicy(id, policy) {
+        const item = this._getTopLevelOrThrow(id);
+
+        item.hardStartPolicy = this._validateHardStartPolicy(policy);
+        console.log(`[PLAYLIST] Hard start policy of ${id}: ${item.hardStartPolicy}`);
+
+        return item;
+    }
+
+    /**
+     * Items skipped for a hard start, with the item they were placed before
+     * @private
+     */
+    _getDroppedItems() {
+        return this.items
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.droppedBy)
+            .map(({ item, index }) => {
+                const next = this.items.slice(index + 1).find(i => !i.droppedBy);
+                return {
+                    id: item.id,
+                    name: item.name,
+                    type: item.type,
+                    file: item.file,
+                    durationSeconds: item.durationSeconds,
+                    droppedBy: item.droppedBy,
+                    beforeItemId: next ? next.id : null
+                };
+            });
+    }
+
+    /**
+     * Items taking part in the schedule (not skipped for a hard start), blocks as a unit
+     * @private
+     */
+    _getActiveItems() {
+        return this.items.filter(item => !item.droppedBy);
+    }
+
+    /**
+     * What must not change on the locked items: presence, what follows them, duration and trims
+     * @private
+     */
+    _getLockSignature(lockedIds) {
+        const playable = this._flatten(this._getActiveItems());
+
+        return JSON.stringify(lockedIds.map(id => {
+            const index = playable.findIndex(item => item.id === id);
+            if (index === -1) return { id, missing: true };
+
+            const item = playable[index];
+            const next = playable[index + 1];
+            return {
+                id,
+                file: item.file,
+                durationSeconds: item.durationSeconds,
+                trimInSeconds: item.trimInSeconds,
+                trimOutSeconds: item.trimOutSeconds,
+                holdSeconds: item.holdSeconds,
+                joinInSeconds: item.joinInSeconds,
+                loop: item.loop,
+                next: next && lockedIds.includes(next.id) ? next.id : null
+            };
+        }));
+    }
+
+    /**
+     * Blocks replaced by their items
+     * @private
+     */
+    _flatten(items) {
+        return items.flatMap(item => item.type === 'block' ? item.children : [item]);
+    }
+
+    /**
+     * Keep the duration of a block equal to the sum of its items
+     * @private
+     */
+    _syncBlock(block) {
+        if (block && block.type === 'block') {
+            block.durationSeconds = block.children.reduce((sum, child) => sum + child.durationSeconds, 0);
+        }
+    }
+
+    /**
+     * Item played first or last by a top level item (a block plays its items)
+     * @private
+     */
+    _edgeItem(item, edge) {
+        if (item.type !== 'block') return item;
+        return edge === 'first' ? item.children[0] : item.children[item.children.length - 1];
+    }
+
+    /**
+     * @private
+     */
+    _getBlockOrThrow(blockId) {
+        const block = this.items.find(item => item.id === blockId && item.type === 'block');
+        if (!block) {
+            throw new Error(`[PLAYLIST] Block not found: ${blockId}`);
+        }
+        return block;
+    }
+
+    /**
+     * Hard starts and drops apply to top level items: the block, not its items
+     * @private
+     */
+    _getTopLevelOrThrow(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) {
+            throw new Error(this.getParentBlock(id)
+                ? '[PLAYLIST] Hard starts are set on the block, not on its items'
+                : `[PLAYLIST] Item not found: ${id}`);
+        }
+        return item;
+    }
+
+    /**
+     * Start of an active item from the base date, in milliseconds
+     * @private
+     */
+    _getPlannedStart(active, index, baseDate) {
+        let start = baseDate.getTime();
+        for (let i = 0; i < index; i++) {
+            start += active[i].durationSeconds * 1000;
+        }
+        return start;
+    }
+
+    /**
+     * Undo drops, joins and fillers of the previous calculation
+     * @private
+     * @returns {Map<string, Array>} - Removed fillers by hard start item ID (reused if they still fit)
+     */
+    _resetHardStartAdjustments() {
+        const previousFillers = new Map();
+
+        this.items = this.items.filter(item => {
+            if (!item.fillerFor) return true;
+
+            if (!previousFillers.has(item.fillerFor)) {
+                previousFillers.set(item.fillerFor, []);
+            }
+            previousFillers.get(item.fillerFor).push(item);
+            return false;
+        });
+
+        this.items.forEach(item => {
+            item.droppedBy = null;
+        });
+
+        this._flatten(this.items).forEach(item => {
+            if (item.joinInSeconds > 0) {
+                item.durationSeconds += item.joinInSeconds;
+                if (item.type !== 'live') {
+                    item.trimInSeconds = Math.max(0, (item.trimInSeconds || 0) - item.joinInSeconds);
+                }
+                item.joinInSeconds = 0;
+            }
+        });
+        this.items.forEach(item => this._syncBlock(item));
+
+        return previousFillers;
+    }
+
+    /**
+     * The hard start item would start late
+     * @private
+     */
+    _resolveLateHardStart(lateness, context) {
+        const policy = this._isHeldBefore(context.item) ? 'trim' : (context.item.hardStartPolicy || 'trim');
+
+        if (policy === 'join') {
+            this._joinInProgress(lateness, context);
+            return;
+        }
+
+        let remaining = lateness;
+        if (policy === 'drop') {
+            remaining = this._dropDroppableItems(lateness, context);
+        }
+
+        if (remaining > 0) {
+            this._trimPreviousItem(remaining, context);
+        }
+    }
+
+    /**
+     * The hard start item would start early (gap before it)
+     * @private
+     */
+    _resolveEarlyHardStart(gap, context) {
+        let remaining = gap;
+
+        if (context.item.hardStartPolicy === 'filler' && !this._isHeldBefore(context.item)) {
+            remaining = this._insertFillers(gap, context);
+        }
+
+        if (remaining > 0) {
+            this._extendPreviousItem(remaining, context);
+        }
+    }
+
+    /**
+     * The item before a hard start loops until it: it is cut or looped longer to
+     * reach the hard start, whatever its policy
+     * @private
+     */
+    _isHeldBefore(item) {
+        const active = this._getActiveItems();
+        const prevUnit = active[active.indexOf(item) - 1];
+        const prevItem = prevUnit ? this._edgeItem(prevUnit, 'last') : null;
+        return Boolean(prevItem && prevItem.loop && prevItem.loop.untilHardStart);
+    }
+
+    /**
+     * Trim the previous item (keeps at least 5 seconds)
+     * @private
+     */
+    _trimPreviousItem(trimNeeded, context) {
+        const { item, itemName, errors, adjustments } = context;
+        const active = this._getActiveItems();
+        const prevUnit = active[active.indexOf(item) - 1];
+        // A block ends with its last item
+        const prevItem = prevUnit ? this._edgeItem(prevUnit, 'last') : null;
+
+        if (!prevItem) {
+            errors.push({
+                itemId: item.id,
+                itemName,
+                hardStartTime: item.hardStartTime,
+                reason: 'No previous item left to trim'
+            });
+            return;
+        }
+
+        // Sécurité: garder au moins 5 secondes + trim déjà existant
+        const currentDuration = prevItem.durationSeconds;
+        const existingTrimOut = prevItem.trimOutSeconds || 0;
+        const maxTrim = Math.max(0, currentDuration - 5);
+
+        if (trimNeeded <= maxTrim) {
+            // Ajuster la durée: un maintien d'un calcul précédent est retiré avant de couper le clip
+            const fromHold = Math.min(prevItem.holdSeconds || 0, trimNeeded);
+            prevItem.durationSeconds -= trimNeeded;
+            prevItem.holdSeconds = (prevItem.holdSeconds || 0) - fromHold;
+            prevItem.trimOutSeconds = existingTrimOut + trimNeeded - fromHold;
+            this._syncBlock(prevUnit);
+
+            adjustments.push({
+                type: 'trim',
+                itemId: prevItem.id,
+                itemName: prevItem.name,
+                amount: trimNeeded,
+                reason: context.reason
+            });
+
+            console.log(`[HARD START] ✓ Trimmed ${trimNeeded.toFixed(3)}s from "${prevItem.name}" for hard start "${itemName}" @ ${item.hardStartTime}`);
+        } else {
+            const errorMsg = `Cannot trim ${trimNeeded.toFixed(1)}s from previous item (max: ${maxTrim.toFixed(1)}s)`;
+            console.error(`[HARD START] ✗ "${itemName}" @ ${item.hardStartTime}: ${errorMsg}`);
+
+            errors.push({
+                itemId: item.id,
+                itemName,
+                hardStartTime: item.hardStartTime,
+                reason: errorMsg,
+                trimNeeded: Math.round(trimNeeded * 1000) / 1000,
+                maxTrim: Math.round(maxTrim * 1000) / 1000,
+                scheduledStart: context.scheduledStart.toISOString(),
+                targetStart: context.targetStart.toISOString()
+            });
+        }
+    }
+
+    /**
+     * Extend the previous item: a trim of a previous calculation is given back first,
+     * then the item holds its last frame (holdSeconds)
+     * @private
+     */
+    _extendPreviousItem(extendNeeded, context) {
+        const { item, itemName, adjustments } = context;
+        const active = this._getActiveItems();
+        const prevUnit = active[active.indexOf(item) - 1];
+        const prevItem = this._edgeItem(prevUnit, 'last');
+
+        const fromTrim = Math.min(prevItem.trimOutSeconds || 0, extendNeeded);
+        prevItem.durationSeconds += extendNeeded;
+        prevItem.trimOutSeconds = (prevItem.trimOutSeconds || 0) - fromTrim;
+        prevItem.holdSeconds = (prevItem.holdSeconds || 0) + extendNeeded - fromTrim;
+        this._syncBlock(prevUnit);
+
+        adjustments.push({
+            type: 'extend',
+            itemId: prevItem.id,
+            itemName: prevItem.name,
+            amount: extendNeeded,
+            reason: context.reason
+        });
+
+        console.log(`[HARD START] ✓ Extended "${prevItem.name}" by ${extendNeeded.toFixed(3)}s (gap/hold) for hard start "${itemName}" @ ${item.hardStartTime}`);
+    }
+
+    /**
+     * Skip droppable items since the previous hard start, nearest first, as long as
+     * they fit in the overrun (never creates a gap)
+     * @private
+     * @returns {number} - Overrun left, in seconds
+     */
+    _dropDroppableItems(lateness, context) {
+        const { item, itemName, adjustments } = context;
+        const active = this._getActiveItems();
+        let remaining = lateness;
+
+        for (let i = active.indexOf(item) - 1; i >= 0 && !active[i].hardStartTime; i--) {
+            const candidate = active[i];
+            if (!candidate.droppable || candidate.durationSeconds > remaining) continue;
+
+            candidate.droppedBy = item.id;
+            remaining = Math.round((remaining - candidate.durationSeconds) * 1000) / 1000;
+
+            adjustments.push({
+                type: 'drop',
+                itemId: candidate.id,
+                itemName: candidate.name,
+                amount: candidate.durationSeconds,
+                reason: context.reason
+            });
+
+            console.log(`[HARD START] ✓ Dropped "${candidate.name}" (${candidate.durationSeconds}s) for hard start "${itemName}" @ ${item.hardStartTime}`);
+
+            if (remaining === 0) break;
+        }
+
+        return remaining;
+    }
+
+    /**
+     * Start the hard start item late, seeking into it so that it ends on time
+     * (keeps at least 5 seconds of the item)
+     * @private
+     */
+    _joinInProgress(lateness, context) {
+        const { itemName, errors, adjustments } = context;
+        // A block is joined in its first item
+        const item = this._edgeItem(context.item, 'first');
+        const maxJoin = Math.max(0, item.durationSeconds - 5);
+
+        if (lateness > maxJoin) {
+            const errorMsg = `Cannot join ${lateness.toFixed(1)}s late (max: ${maxJoin.toFixed(1)}s)`;
+            console.error(`[HARD START] ✗ "${itemName}" @ ${context.item.hardStartTime}: ${errorMsg}`);
+
+            errors.push({
+                itemId: context.item.id,
+                itemName,
+                hardStartTime: context.item.hardStartTime,
+                reason: errorMsg,
+                joinNeeded: Math.round(lateness * 1000) / 1000,
+                maxJoin: Math.round(maxJoin * 1000) / 1000,
+                scheduledStart: context.scheduledStart.toISOString(),
+                targetStart: context.targetStart.toISOString()
+            });
+            return;
+        }
+
+        // A live input cannot seek: it only starts late
+        item.joinInSeconds = lateness;
+        item.durationSeconds -= lateness;
+        if (item.type !== 'live') {
+            item.trimInSeconds = (item.trimInSeconds || 0) + lateness;
+        }
+        this._syncBlock(context.item);
+
+        adjustments.push({
+            type: 'join',
+            itemId: item.id,
+            itemName: item.name,
+            amount: lateness,
+            reason: context.reason
+        });
+
+        console.log(`[HARD START] ✓ "${itemName}" @ ${context.item.hardStartTime} joined in progress (+${lateness.toFixed(3)}s)`);
+    }
+
+    /**
+     * Insert fillers before the hard start item to cover an early gap
+     * Fillers of the previous calculation are kept while they still fit, so that an
+     * unrelated edit does not replace a filler already on air
+     * @private
+     * @returns {number} - Gap left, in seconds
+     */
+    _insertFillers(gap, context) {
+        const { item, itemName, adjustments, fillerPool, previousFillers } = context;
+        let remaining = gap;
+        const fillers = [];
+
+        for (const filler of previousFillers) {
+            if (filler.durationSeconds > remaining) break;
+            fillers.push(filler);
+            remaining = Math.round((remaining - filler.durationSeconds) * 1000) / 1000;
+        }
+
+        if (remaining > 0 && fillerPool) {
+            const picked = fillerPool.fill(remaining, { playlist: this, item, targetStart: context.targetStart, frameRate: context.frameRate }) || [];
+
+            for (const candidate of picked) {
+                if (candidate.durationSeconds > remaining) continue;
+
+                const filler = this._validateItem(candidate);
+                filler.id = generateItemId('filler');
+                fillers.push(filler);
+                remaining = Math.round((remaining - filler.durationSeconds) * 1000) / 1000;
+            }
+        } else if (remaining > 0) {
+            console.warn(`[HARD START] No filler pool: gap of ${remaining.toFixed(3)}s before "${itemName}"`);
+        }
+
+        const index = this.items.indexOf(item);
+        fillers.forEach(filler => {
+            filler.fillerFor = item.id;
+
+            adjustments.push({
+                type: 'filler',
+                itemId: filler.id,
+                itemName: filler.name,
+                amount: filler.durationSeconds,
+                reason: context.reason
+            });
+        });
+        this.items.splice(index, 0, ...fillers);
+
+        if (fillers.length > 0) {
+            console.log(`[HARD START] ✓ Inserted ${fillers.length} filler(s) before "${itemName}" @ ${item.hardStartTime} (${(gap - remaining).toFixed(3)}s)`);
+        }
+
+        return remaining;
+    }
+
     /**
      * Clean orphaned trim values (trim without hard start)
      * This removes trim values that don't make sense without a hard start constraint
@@ -284,15 +1183,20 @@ class PlaylistModel {
     cleanOrphanedTrims() {
         let cleanedCount = 0;
 
-        this.items.forEach((item, index) => {
+        this._flatten(this.items).forEach(item => {
             // If item has NO hard start but has suspicious trim values
             if (!item.hardStartTime) {
                 // Reset excessive trim values that are likely orphaned from removed hard starts
-                if (Math.abs(item.trimOutSeconds || 0) > item.durationSeconds * 0.5) {
+                if ((item.trimOutSeconds || 0) > item.durationSeconds * 0.5) {
                     console.log(`[PLAYLIST] Cleaning orphaned trim on "${item.name}": ${item.trimOutSeconds}s → 0s`);
                     item.trimOutSeconds = 0;
                     cleanedCount++;
                 }
+                if ((item.holdSeconds || 0) > item.durationSeconds * 0.5) {
+                    console.log(`[PLAYLIST] Cleaning orphaned hold on "${item.name}": ${item.holdSeconds}s → 0s`);
+                    item.holdSeconds = 0;
+                    cleanedCount++;
+                }
             }
         });
 
@@ -311,6 +1215,10 @@ class PlaylistModel {
      * @returns {Object} - Validated item
      */
     _validateItem(item) {
+        if (item.type === 'block') {
+            return this._validateBlock(item);
+        }
+
         if (!item.name || typeof item.name !== 'string') {
             throw new Error('[PLAYLIST] Item must have a valid name');
         }
@@ -331,13 +1239,158 @@ class PlaylistModel {
             type: item.type || 'clip', // 'clip', 'live', 'stream'
             durationSeconds: item.durationSeconds,
             trimInSeconds: item.trimInSeconds || 0,
-            trimOutSeconds: item.trimOutSeconds || 0,
+            // Older saves kept the hold as a negative trim out
+            trimOutSeconds: Math.max(0, item.trimOutSeconds || 0),
+            holdSeconds: (item.holdSeconds || 0) + Math.max(0, -(item.trimOutSeconds || 0)),
             thumbnail: item.thumbnail || null,
             hardStartTime: item.hardStartTime || null,
+            hardStartPolicy: this._validateHardStartPolicy(item.hardStartPolicy),
+            droppable: Boolean(item.droppable),
+            droppedBy: item.droppedBy || null,
+            joinInSeconds: item.joinInSeconds || 0,
+            fillerFor: item.fillerFor || null,
+            transition: this._validateTransition(item.transition),
+            loop: this._validateLoop(item.loop, item),
             secondaryEvents: Array.isArray(item.secondaryEvents) ? item.secondaryEvents : []
         };
     }
+
+    /**
+     * Validate a block and its items
+     *
+     * @private
+     * @param {Object} block - { id, name, children, hardStartTime, hardStartPolicy, droppable }
+     * @returns {Object} - Validated block (durationSeconds: sum of its items)
+     */
+    _validateBlock(block) {
+        if (!block.name || typeof block.name !== 'string') {
+            throw new Error('[PLAYLIST] Block must have a valid name');
+        }
+        if (!Array.isArray(block.children) || block.children.length === 0) {
+            throw new Error('[PLAYLIST] Block must contain at least one item');
+        }
+
+        const validated = {
+            id: block.id || generateItemId('block'),
+            name: block.name,
+            type: 'block',
+            durationSeconds: 0,
+            children: block.children.map(child => this._validateBlockChild(child)),
+            hardStartTime: block.hardStartTime || null,
+            hardStartPolicy: this._validateHardStartPolicy(block.hardStartPolicy),
+            droppable: Boolean(block.droppable),
+            droppedBy: block.droppedBy || null,
+            fillerFor: null
+        };
+        this._syncBlock(validated);
+
+        return validated;
+    }
+
+    /**
+     * Validate an item of a block (no nested block, no hard start of its own)
+     *
+     * @private
+     */
+    _validateBlockChild(item) {
+        if (item.type === 'block') {
+            throw new Error('[PLAYLIST] Blocks cannot be nested');
+        }
+        if (item.hardStartTime) {
+            throw new Error('[PLAYLIST] Hard starts are set on the block, not on its items');
+        }
+
+        const child = this._validateItem(item);
+        child.id = child.id || generateItemId();
+        child.droppedBy = null;
+        child.fillerFor = null;
+        return child;
+    }
+
+    /**
+     * Validate the loop of an item
+     *
+     * @private
+     * @param {Object|null} loop - { count } or { untilHardStart: true }, with passSeconds (one pass)
+     * @param {Object} item - Item the loop belongs to (one pass is its duration by default)
+     * @returns {Object|null} - { count, untilHardStart, passSeconds }, null to play once
+     */
+    _validateLoop(loop, item) {
+        if (!loop) return null;
+
+        if ((item.type || 'clip') !== 'clip') {
+            throw new Error('[PLAYLIST] Only clips can loop');
+        }
+
+        const untilHardStart = Boolean(loop.untilHardStart);
+        const count = untilHardStart ? null : Number(loop.count);
+        if (!untilHardStart && (!Number.isInteger(count) || count < 2)) {
+            throw new Error('[PLAYLIST] Loop count must be an integer >= 2 (or loop until the hard start)');
+        }
+
+        const passSeconds = Number(loop.passSeconds || (count ? item.durationSeconds / count : item.durationSeconds));
+        if (!(passSeconds > 0)) {
+            throw new Error('[PLAYLIST] Loop pass must be > 0 seconds');
+        }
+
+        return { count, untilHardStart, passSeconds };
+    }
+
+    /**
+     * Validate a hard start policy
+     *
+     * @private
+     * @param {string} [policy] - One of HARD_START_POLICIES ('trim' by default)
+     * @returns {string}
+     */
+    _validateHardStartPolicy(policy) {
+        if (!policy) return 'trim';
+
+        const normalized = String(policy).toLowerCase();
+        if (!HARD_START_POLICIES.includes(normalized)) {
+            throw new Error(`[PLAYLIST] Invalid hard start policy: ${policy}`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate an item transition
+     *
+     * @private
+     * @param {Object|null} transition - Transition to validate
+     * @returns {Object|null} - Normalized transition, null for a cut
+     */
+    _validateTransition(transition) {
+        if (!transition) return null;
+
+        const type = String(transition.type || 'CUT').toUpperCase();
+        if (!TRANSITION_TYPES.includes(type)) {
+            throw new Error(`[PLAYLIST] Invalid transition type: ${transition.type}`);
+        }
+
+        const durationFrames = Number(transition.durationFrames || 0);
+        if (!Number.isInteger(durationFrames) || durationFrames < 0) {
+            throw new Error('[PLAYLIST] Transition durationFrames must be an integer >= 0');
+        }
+
+        if (type === 'CUT' || durationFrames === 0) return null;
+
+        const direction = String(transition.direction || 'RIGHT').toUpperCase();
+        if (!TRANSITION_DIRECTIONS.includes(direction)) {
+            throw new Error(`[PLAYLIST] Invalid transition direction: ${transition.direction}`);
+        }
+
+        const tween = String(transition.tween || 'linear').toLowerCase();
+        if (!TWEENS.includes(tween)) {
+            throw new Error(`[PLAYLIST] Invalid transition tween: ${transition.tween}`);
+        }
+
+        return { type, durationFrames, direction, tween };
+    }
 }
 
-// Export singleton instance
-module.exports = new PlaylistModel();
+PlaylistModel.TRANSITION_TYPES = TRANSITION_TYPES;
+PlaylistModel.TWEENS = TWEENS;
+
+module.exports = PlaylistModel;
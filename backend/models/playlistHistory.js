@@ -0,0 +1,281 @@
+/**
+ * Playlist History - Undo/redo of operator edits
+ *
+ * Each edit is recorded as a command holding the playlist content before and after it
+ * (PlaylistModel.getContent). Undo reverts only what the edit changed, redo applies it
+ * again: entries it added or removed, entries it moved, fields it changed and the playlist
+ * loop. Whatever changed since and was not recorded (base start, hard start trims, holds,
+ * drops and fillers, later edits of the same fields) is kept, so the caller recalculates
+ * the hard starts afterwards. Fillers belong to that calculation and are left to it.
+ *
+ * The history lives on the server, so it is shared by every operator working on the
+ * playlist, and is bounded per playlist.
+ */
+
+const clock = require('../utils/clock');
+const { diffPlaylists } = require('../utils/playlistDiff');
+
+const DEFAULT_DEPTH = 50;
+
+class PlaylistHistory {
+    /**
+     * @param {number} [depth] - Maximum number of edits that can be undone per playlist
+     */
+    constructor(depth = DEFAULT_DEPTH) {
+        this.depth = depth;
+
+        // Stacks of each playlist: Map<playlistId, { undo: [command], redo: [command] }>
+        this.stacks = new Map();
+    }
+
+    /**
+     * Apply an edit to a playlist and record it
+     * Edits that throw or change nothing are not recorded
+     *
+     * @param {PlaylistModel} playlist - Edited playlist
+     * @param {string} label - What the edit does, shown to the operators (e.g. "Ajout de JINGLE")
+     * @param {Function} edit - Mutates the playlist
+     * @returns {*} - What the edit returns
+     */
+    record(playlist, label, edit) {
+        const before = playlist.getContent();
+        const result = edit();
+        const after = playlist.getContent();
+
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return result;
+        }
+
+        const stacks = this._getStacks(playlist.id);
+        stacks.undo.push({ label, before, after, at: clock.date().toISOString() });
+        if (stacks.undo.length > this.depth) {
+            stacks.undo.shift();
+        }
+        stacks.redo = [];
+
+        return result;
+    }
+
+    /**
+     * Undo the last edit of a playlist
+     * Only what the edit changed is reverted (see mergeChange)
+     *
+     * @param {PlaylistModel} playlist
+     * @param {Function} [apply] - Applies the content change it is given (e.g. through
+     *   PlaylistModel.applyGuarded); the history is left as it was if it throws
+     * @returns {Object|null} - The undone command ({ label, at }) or null when there is nothing to undo
+     */
+    undo(playlist, apply = change => change()) {
+        const stacks = this._getStacks(playlist.id);
+        const command = stacks.undo[stacks.undo.length - 1];
+        if (!command) return null;
+
+        apply(() => playlist.setContent(mergeChange(playlist.getContent(), command.after, command.before)));
+        stacks.redo.push(stacks.undo.pop());
+
+        console.log(`[HISTORY] ${playlist.id}: undone "${command.label}"`);
+        return { label: command.label, at: command.at };
+    }
+
+    /**
+     * Redo the last undone edit of a playlist
+     *
+     * @param {PlaylistModel} playlist
+     * @param {Function} [apply] - Applies the content change it is given (see undo)
+     * @returns {Object|null} - The redone command ({ label, at }) or null when there is nothing to redo
+     */
+    redo(playlist, apply = change => change()) {
+        const stacks = this._getStacks(playlist.id);
+        const command = stacks.redo[stacks.redo.length - 1];
+        if (!command) return null;
+
+        apply(() => playlist.setContent(mergeChange(playlist.getContent(), command.before, command.after)));
+        stacks.undo.push(stacks.redo.pop());
+
+        console.log(`[HISTORY] ${playlist.id}: redone "${command.label}"`);
+        return { label: command.label, at: command.at };
+    }
+
+    /**
+     * Get what can be undone and redone on a playlist
+     *
+     * @param {string} playlistId
+     * @returns {Object} - { canUndo, canRedo, undoLabel, redoLabel, depth }
+     */
+    getStatus(playlistId) {
+        const stacks = this.stacks.get(playlistId) || { undo: [], redo: [] };
+        const lastUndo = stacks.undo[stacks.undo.length - 1];
+        const lastRedo = stacks.redo[stacks.redo.length - 1];
+
+        return {
+            canUndo: Boolean(lastUndo),
+            canRedo: Boolean(lastRedo),
+            undoLabel: lastUndo ? lastUndo.label : null,
+            redoLabel: lastRedo ? lastRedo.label : null,
+            depth: stacks.undo.length
+        };
+    }
+
+    /**
+     * Forget the history of a playlist (deleted playlist)
+     *
+     * @param {string} playlistId
+     */
+    clear(playlistId) {
+        this.stacks.delete(playlistId);
+    }
+
+    /**
+     * @private
+     */
+    _getStacks(playlistId) {
+        if (!this.stacks.has(playlistId)) {
+            this.stacks.set(playlistId, { undo: [], redo: [] });
+        }
+        return this.stacks.get(playlistId);
+    }
+}
+
+/**
+ * Apply the change from one content to another onto the current content
+ * A field or the loop is changed only where the current content still has the value of
+ * `from`; entries are added back only if the change removed them, removed only if the
+ * change added them, and moved only if the change moved them (see diffPlaylists).
+ *
+ * @param {Object} current - Current content (getContent, mutated)
+ * @param {Object} from - Content the change starts from
+ * @param {Object} to - Content the change leads to
+ * @returns {Object} - Merged content ({ items, loop })
+ */
+function mergeChange(current, from, to) {
+    const items = current.items;
+    const fromEntries = indexEntries(from.items);
+    const toEntries = indexEntries(to.items);
+    // Blocks before the merge moves anything
+    const currentEntries = indexEntries(items);
+    const moved = new Set(diffPlaylists(from, to).moved.map(entry => entry.id));
+
+    // Fields of the entries in both contents
+    toEntries.forEach((entry, id) => {
+        const old = fromEntries.get(id);
+        const location = old && locate(items, id);
+        if (!location) return;
+
+        const item = location.list[location.index];
+        const fields = new Set([...Object.keys(old.item), ...Object.keys(entry.item)]);
+        fields.delete('id');
+        fields.delete('children');
+        fields.forEach(field => {
+            if (!sameValue(old.item[field], entry.item[field]) && sameValue(item[field], old.item[field])) {
+                if (entry.item[field] === undefined) {
+                    delete item[field];
+                } else {
+                    item[field] = copy(entry.item[field]);
+                }
+            }
+        });
+    });
+
+    // Entries the change removed come back and entries it moved go to their place in `to`,
+    // unless they were moved to another block since; in order of `to` (a block before its items)
+    toEntries.forEach((entry, id) => {
+        const old = fromEntries.get(id);
+        const location = locate(items, id);
+
+        if (!location) {
+            if (old) return; // Removed since
+            const item = copy(entry.item);
+            if (item.type === 'block') item.children = [];
+            insertEntry(items, item, entry, toEntries);
+            return;
+        }
+
+        if (moved.has(id) && currentEntries.get(id).parentId === old.parentId) {
+            const [item] = location.list.splice(location.index, 1);
+            insertEntry(items, item, entry, toEntries);
+        }
+    });
+
+    // Entries the change added are removed (what is left in a block takes its place)
+    fromEntries.forEach((entry, id) => {
+        if (toEntries.has(id)) return;
+        const location = locate(items, id);
+        if (!location) return;
+
+        const [item] = location.list.splice(location.index, 1);
+        if (item.type === 'block') {
+            location.list.splice(location.index, 0, ...item.children);
+        }
+    });
+
+    return {
+        // A block emptied by the change goes with it
+        items: items.filter(item => item.type !== 'block' || item.children.length > 0),
+        loop: Boolean(from.loop) !== Boolean(to.loop) && Boolean(current.loop) === Boolean(from.loop)
+            ? Boolean(to.loop)
+            : current.loop
+    };
+}
+
+/**
+ * Entries of a content by ID, in playing order, with their place: block and previous entry
+ * Fillers are left out
+ * @returns {Map<string, Object>} - { item, parentId, prevId }
+ */
+function indexEntries(items, parentId = null, entries = new Map()) {
+    let prevId = null;
+
+    items.forEach(item => {
+        if (item.fillerFor) return;
+        entries.set(item.id, { item, parentId, prevId });
+        prevId = item.id;
+        if (item.type === 'block') {
+            indexEntries(item.children, item.id, entries);
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Find an entry in the items of a content
+ * @returns {Object|null} - { list, index, parentId }
+ */
+function locate(items, id, parentId = null) {
+    for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        if (item.id === id) return { list: items, index, parentId };
+        if (item.type === 'block') {
+            const location = locate(item.children, id, item.id);
+            if (location) return location;
+        }
+    }
+    return null;
+}
+
+/**
+ * Insert an entry at its place in `to`: in its block if it is still there, after the
+ * nearest of its previous entries still there, first otherwise
+ */
+function insertEntry(items, item, entry, toEntries) {
+    const parent = entry.parentId ? locate(items, entry.parentId) : null;
+    const list = parent ? parent.list[parent.index].children : items;
+
+    let prevId = entry.prevId;
+    while (prevId && !list.some(other => other.id === prevId)) {
+        prevId = toEntries.get(prevId).prevId;
+    }
+
+    const index = prevId ? list.findIndex(other => other.id === prevId) + 1 : 0;
+    list.splice(index, 0, item);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = PlaylistHistory;
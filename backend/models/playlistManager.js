@@ -0,0 +1,274 @@
+/**
+ * Playlist Manager - Named playlists (rundowns) management
+ *
+ * Holds every PlaylistModel in memory and tracks which one is on air on each
+ * playout channel. Operators can prepare tomorrow's rundown while today's is playing.
+ */
+
+const PlaylistModel = require('./playlist');
+
+/**
+ * Default playlist ID of a playout channel
+ */
+function defaultPlaylistId(channel) {
+    return `MAIN-CHANNEL-${channel}`;
+}
+
+// Legacy single-playlist files (no ID) belong to the main channel
+const DEFAULT_PLAYLIST_ID = defaultPlaylistId(1);
+
+class PlaylistManager {
+    constructor() {
+        // Playlists: Map<playlistId, PlaylistModel> (insertion order = display order)
+        this.playlists = new Map();
+
+        // Playlist driven by the autoplay scheduler of each channel: Map<channel, playlistId>
+        this.onAir = new Map();
+    }
+
+    /**
+     * Generate a unique playlist ID
+     * @private
+     */
+    _generateId() {
+        let id;
+        do {
+            id = `pl-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        } while (this.playlists.has(id));
+        return id;
+    }
+
+    /**
+     * Create a new empty playlist
+     *
+     * @param {string} name - Display name
+     * @param {string} [id] - Optional ID (generated if omitted)
+     * @returns {PlaylistModel} - The created playlist
+     */
+    create(name, id = null) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('Playlist name is required');
+        }
+
+        const playlistId = id || this._generateId();
+        if (this.playlists.has(playlistId)) {
+            throw new Error(`Playlist ${playlistId} already exists`);
+        }
+
+        const playlist = new PlaylistModel(playlistId, name.trim());
+        this.playlists.set(playlistId, playlist);
+
+        console.log(`[PLAYLISTS] Created playlist "${playlist.name}" (${playlistId})`);
+        return playlist;
+    }
+
+    /**
+     * Restore a playlist from saved data
+     *
+     * @param {Object} data - Raw playlist data ({ id, name, baseStartAt, items })
+     * @returns {PlaylistModel} - The restored playlist
+     */
+    restore(data) {
+        const playlist = new PlaylistModel(data.id || DEFAULT_PLAYLIST_ID, data.name || 'Programme principal');
+        playlist.broadcastDate = data.broadcastDate || null;
+        playlist.channel = data.channel || null;
+        if (data.frameRate) playlist.setFrameRate(data.frameRate);
+        playlist.loop = Boolean(data.loop);
+        playlist.setItems(data.items || []);
+        playlist.setBaseStartAt(data.baseStartAt || null);
+
+        this.playlists.set(playlist.id, playlist);
+        return playlist;
+    }
+
+    /**
+     * Register an already built playlist (e.g. a broadcast calendar day)
+     *
+     * @param {PlaylistModel} playlist - Playlist to register
+     * @returns {PlaylistModel}
+     */
+    add(playlist) {
+        if (this.playlists.has(playlist.id)) {
+            throw new Error(`Playlist ${playlist.id} already exists`);
+        }
+
+        this.playlists.set(playlist.id, playlist);
+        return playlist;
+    }
+
+    /**
+     * Get a playlist by ID
+     *
+     * @param {string} id - Playlist ID
+     * @returns {PlaylistModel|null}
+     */
+    get(id) {
+        return this.playlists.get(id) || null;
+    }
+
+    /**
+     * Get a playlist by ID or throw
+     *
+     * @param {string} id - Playlist ID
+     * @returns {PlaylistModel}
+     */
+    getOrThrow(id) {
+        const playlist = this.get(id);
+        if (!playlist) {
+            throw new Error(`Playlist ${id} not found`);
+        }
+        return playlist;
+    }
+
+    /**
+     * Get the playlist currently on air on a channel
+     *
+     * @param {number} channel - Playout channel
+     * @returns {PlaylistModel|null}
+     */
+    getOnAir(channel) {
+        const id = this.onAir.get(channel);
+        return id ? this.get(id) : null;
+    }
+
+    /**
+     * Get the channel a playlist is on air on
+     *
+     * @param {string} id - Playlist ID
+     * @returns {number|null} - Channel, or null if the playlist is not on air
+     */
+    getOnAirChannel(id) {
+        for (const [channel, onAirId] of this.onAir) {
+            if (onAirId === id) return channel;
+        }
+        return null;
+    }
+
+    /**
+     * Mark a playlist as on air on a channel
+     * A playlist can only be on air on one channel (the scheduler re-anchors its timing)
+     *
+     * @param {string} id - Playlist ID
+     * @param {number} channel - Playout channel
+     * @returns {PlaylistModel} - The new on-air playlist
+     */
+    setOnAir(id, channel) {
+        const playlist = this.getOrThrow(id);
+
+        const currentChannel = this.getOnAirChannel(id);
+        if (currentChannel !== null && currentChannel !== channel) {
+            throw new Error(`Playlist ${id} is already on air on channel ${currentChannel}`);
+        }
+
+        this.onAir.set(channel, id);
+        console.log(`[PLAYLISTS] On air on channel ${channel}: "${playlist.name}" (${id})`);
+        return playlist;
+    }
+
+    /**
+     * Rename a playlist
+     */
+    rename(id, name) {
+        const playlist = this.getOrThrow(id);
+        playlist.rename(name);
+        return playlist;
+    }
+
+    /**
+     * Duplicate a playlist
+     *
+     * @param {string} id - Source playlist ID
+     * @param {string} [name] - Name of the copy (defaults to "<name> (copie)")
+     * @returns {PlaylistModel} - The copy
+     */
+    duplicate(id, name = null) {
+        const source = this.getOrThrow(id);
+        const copy = source.clone(this._generateId(), (name && name.trim()) || `${source.name} (copie)`);
+        this.playlists.set(copy.id, copy);
+        return copy;
+    }
+
+    /**
+     * Delete a playlist (on-air playlists cannot be deleted)
+     *
+     * @param {string} id - Playlist ID
+     * @returns {boolean} - True if deleted
+     */
+    delete(id) {
+        this.getOrThrow(id);
+
+        const channel = this.getOnAirChannel(id);
+        if (channel !== null) {
+            throw new Error(`Cannot delete the playlist currently on air on channel ${channel}`);
+        }
+
+        this.playlists.delete(id);
+        console.log(`[PLAYLISTS] Deleted playlist ${id}`);
+        return true;
+    }
+
+    /**
+     * List playlists (summary only, no items)
+     *
+     * @returns {Array} - Playlist summaries
+     */
+    list() {
+        return Array.from(this.playlists.values()).map(playlist => {
+            const onAirChannel = this.getOnAirChannel(playlist.id);
+            return {
+                id: playlist.id,
+                name: playlist.name,
+                broadcastDate: playlist.broadcastDate,
+                channel: playlist.channel,
+                itemCount: playlist.getPlayableItems().length,
+                totalDurationSeconds: playlist.items.filter(item => !item.droppedBy).reduce((sum, item) => sum + item.durationSeconds, 0),
+                baseStartAt: playlist.baseStartAt ? playlist.baseStartAt.toISOString() : null,
+                onAir: onAirChannel !== null,
+                onAirChannel
+            };
+        });
+    }
+
+    /**
+     * Serialize the manager index (order and on-air playlists) for persistence
+     */
+    toIndex() {
+        return {
+            onAir: Object.fromEntries(this.onAir),
+            order: Array.from(this.playlists.keys())
+        };
+    }
+
+    /**
+     * Apply a saved index (on-air playlists and display order)
+     *
+     * @param {Object|null} index - Saved index
+     */
+    applyIndex(index) {
+        if (!index) return;
+
+        if (Array.isArray(index.order)) {
+            const ordered = new Map();
+            index.order.forEach(id => {
+                if (this.playlists.has(id)) ordered.set(id, this.playlists.get(id));
+            });
+            this.playlists.forEach((playlist, id) => {
+                if (!ordered.has(id)) ordered.set(id, playlist);
+            });
+            this.playlists = ordered;
+        }
+
+        if (index.onAir) {
+            Object.entries(index.onAir).forEach(([channel, id]) => {
+                if (this.playlists.has(id)) {
+                    this.onAir.set(Number(channel), id);
+                }
+            });
+        }
+    }
+}
+
+PlaylistManager.DEFAULT_PLAYLIST_ID = DEFAULT_PLAYLIST_ID;
+PlaylistManager.defaultPlaylistId = defaultPlaylistId;
+
+module.exports = PlaylistManager;
@@ -5,17 +5,71 @@
  * Detects end of playback and automatically plays next item
  */
 
+const { FRAME_RATES } = require('../utils/timingRobust');
+const Timecode = require('../utils/timecode');
+const clock = require('../utils/clock');
+
+/**
+ * Normalize a clip name for comparison (no path, no extension, lowercase)
+ */
+function normalizeClipName(str) {
+    return str.replace(/^.*[\\/]/, '').replace(/\.[^/.]+$/, '').toLowerCase();
+}
+
+/**
+ * MIXER VOLUME gain of a level in dB (0 dB = 1, -6 dB = 0.5012)
+ */
+function dbToGain(db) {
+    return Math.round(Math.pow(10, db / 20) * 10000) / 10000;
+}
+
 console.log('[AUTOPLAY] *** MODULE LOADED - Version with dual <time> tag parsing and <5s protection ***');
 
 class AutoplayScheduler {
-    constructor(casparClient, playlist, broadcast) {
+    /**
+     * @param {CasparClient} casparClient - CasparCG client
+     * @param {PlaylistModel} playlist - On-air playlist
+     * @param {Function} broadcast - Broadcast function to WebSocket clients
+     * @param {Object} [options]
+     * @param {number} [options.channel] - CasparCG channel driven by this scheduler
+     * @param {number} [options.layer] - CasparCG layer used for playout
+     * @param {BroadcastCalendar} [options.calendar] - Broadcast calendar (switches playlist at the day boundary)
+     * @param {Function} [options.onDayChange] - Called with (playlist, date) when the scheduler switches day
+     * @param {LayerStateStore} [options.layerState] - Live layer state fed by OSC (INFO polling otherwise)
+     * @param {number} [options.frameRate] - Channel frame rate for playlists without one (PAL by default)
+     * @param {number} [options.lockedCuedItems] - Items after the on-air one locked against edits (1 by default)
+     */
+    constructor(casparClient, playlist, broadcast, options = {}) {
         this.casparClient = casparClient;
-        this.playlist = playlist;
         this.broadcast = broadcast;
 
+        // The on-air item and the next LOCKED_CUED_ITEMS are locked in the playlist
+        this.LOCKED_CUED_ITEMS = options.lockedCuedItems !== undefined ? options.lockedCuedItems : 1;
+        this._lockProvider = () => this.getLockedItemIds();
+        this.playlist = null;
+        this._attachPlaylist(playlist);
+
+        this.calendar = options.calendar || null;
+        this.onDayChange = options.onDayChange || null;
+
+        // OSC layer state: end of clip is detected on each update, INFO is only a fallback
+        this.layerState = options.layerState || null;
+        this.checkingStatus = false;
+        this._onLayerChange = (channel, layer) => {
+            if (channel === this.CASPAR_CHANNEL && layer === this.CASPAR_LAYER && this.statusPoller) {
+                this.checkPlaybackStatus();
+            }
+        };
+        this.broadcastDate = this.calendar ? this.calendar.getBroadcastDate() : null;
+
+        // Item still running from the previous broadcast day (not part of this.playlist)
+        this.carryOverItem = null;
+
         this.mode = 'MANUAL'; // 'AUTO' or 'MANUAL'
         this.currentItemId = null;
         this.currentIndex = -1;
+        this.onAirItem = null; // Scheduled item last taken to air (kept if it is removed from the playlist)
+        this.endOfPlaylistAt = null; // When the last item ended (items scheduled after it may play again)
 
         this.scheduleTimer = null;
         this.statusPoller = null;
@@ -24,8 +78,16 @@ class AutoplayScheduler {
         this.STATUS_POLL_INTERVAL = 500; // 500ms
         this.TIME_TOLERANCE = 2; // ±2 seconds
 
-        this.CASPAR_CHANNEL = 1;
-        this.CASPAR_LAYER = 10;
+        this.CASPAR_CHANNEL = options.channel || 1;
+        this.CASPAR_LAYER = options.layer || 10;
+        this.FRAME_RATE = options.frameRate || FRAME_RATES.PAL;
+
+        // Next item loaded in the CasparCG background (LOADBG), taken at the end of the current one
+        this.cuedItem = null;
+        this.cueTimer = null;
+        this.lastForegroundTime = null;
+        this.PRELOAD_LEAD_MS = 5000; // LOADBG 5 seconds before the end of the current item
+        this.CUE_GRACE_MS = 1000; // Cold PLAY if the cued item has not started 1s after its take time
 
         this.lastPlayTime = 0;
         this.lastLogTime = 0;
@@ -33,16 +95,32 @@ class AutoplayScheduler {
         // Playback failure detection
         this.playbackTimeout = null;
         this.PLAYBACK_TIMEOUT_MS = 10000; // 10 seconds
+
+        // Picture-in-picture started by a PIP_SQUEEZE event: { layer, template } of the second source
+        this.activePip = null;
+        this.pipRestoreTimer = null;
+
+        // Playout layer ducked by an audio event (restored when its item ends)
+        this.ducked = false;
+        this.volumeRestoreTimer = null;
+
+        // End of day playlist this close to the boundary: start the next day right away (no gap)
+        this.DAY_SWITCH_ANTICIPATION_MS = this.TIME_TOLERANCE * 1000 + this.STATUS_POLL_INTERVAL;
     }
 
     /**
      * Start the scheduler
      */
     start() {
-        console.log('[AUTOPLAY] Scheduler started');
-        this.scheduleTimer = setInterval(() => {
+        console.log(`[AUTOPLAY] Scheduler started (channel ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER})`);
+        this.scheduleTimer = clock.setInterval(() => {
+            this.checkDayBoundary();
             this.checkSchedule();
         }, this.SCHEDULE_CHECK_INTERVAL);
+
+        if (this.layerState) {
+            this.layerState.on('change', this._onLayerChange);
+        }
     }
 
     /**
@@ -52,11 +130,18 @@ class AutoplayScheduler {
         console.log('[AUTOPLAY] Scheduler stopped');
 
         if (this.scheduleTimer) {
-            clearInterval(this.scheduleTimer);
+            clock.clearInterval(this.scheduleTimer);
             this.scheduleTimer = null;
         }
 
+        if (this.layerState) {
+            this.layerState.removeListener('change', this._onLayerChange);
+        }
+
         this.stopStatusPolling();
+        this._clearPipRestore();
+        this._clearVolumeRestore();
+        this._resetSecondaryMixer();
     }
 
     /**
@@ -87,6 +172,151 @@ class AutoplayScheduler {
         return this.mode;
     }
 
+    /**
+     * Switch the playlist driven by the scheduler (on-air playlist)
+     * Playback state is reset: in AUTO mode the new playlist takes over according to its schedule
+     */
+    setPlaylist(playlist) {
+        if (!playlist) {
+            throw new Error('[AUTOPLAY] Playlist is required');
+        }
+
+        if (playlist === this.playlist) return;
+
+        console.log(`[AUTOPLAY] On-air playlist switched: ${this.playlist ? this.playlist.id : 'none'} → ${playlist.id}`);
+
+        this._attachPlaylist(playlist);
+        this.currentItemId = null;
+        this.currentIndex = -1;
+        this.carryOverItem = null;
+        this.uncue();
+        this.stopStatusPolling();
+        this.clearPlaybackTimeout();
+
+        if (this.mode === 'AUTO') {
+            this.checkSchedule();
+        }
+    }
+
+    /**
+     * Drive a playlist: its on-air and cued items are locked against edits
+     * The previous playlist is released
+     * @private
+     */
+    _attachPlaylist(playlist) {
+        if (this.playlist && this.playlist.lockProvider === this._lockProvider) {
+            this.playlist.lockProvider = null;
+        }
+
+        this.playlist = playlist;
+        if (playlist) {
+            playlist.lockProvider = this._lockProvider;
+        }
+    }
+
+    /**
+     * IDs of the items locked in the playlist: the on-air item, the LOCKED_CUED_ITEMS that
+     * follow it and the item loaded in the background (LOADBG)
+     *
+     * @returns {Array<string>}
+     */
+    getLockedItemIds() {
+        if (!this.currentItemId || !this.playlist) return [];
+
+        const items = this.playlist.getScheduled().items;
+        const ids = [this.currentItemId];
+        for (let offset = 1; offset <= this.LOCKED_CUED_ITEMS; offset++) {
+            const item = items[this.currentIndex + offset];
+            if (!item) break;
+            ids.push(item.id);
+        }
+
+        if (this.cuedItem && !ids.includes(this.cuedItem.id)) {
+            ids.push(this.cuedItem.id);
+        }
+
+        return ids;
+    }
+
+    /**
+     * Switch to the calendar playlist when a new broadcast day starts
+     */
+    checkDayBoundary(now = clock.date()) {
+        if (!this.calendar) return;
+
+        const date = this.calendar.getBroadcastDate(now);
+        if (date === this.broadcastDate) return;
+
+        this.broadcastDate = date;
+
+        const dayPlaylist = this.calendar.getDayPlaylist(date);
+        if (!dayPlaylist) {
+            console.log(`[AUTOPLAY] Broadcast day ${date} started, no scheduled playlist: keeping ${this.playlist.id}`);
+            return;
+        }
+
+        this.switchToDay(dayPlaylist, date);
+    }
+
+    /**
+     * Make a day playlist the on-air playlist
+     * An item still playing is carried over: it finishes, then the new day starts at its first item
+     */
+    switchToDay(playlist, date) {
+        if (playlist === this.playlist) return;
+
+        const runningItem = this.currentItemId ? this.getCurrentItem() : null;
+
+        console.log(`[AUTOPLAY] Broadcast day ${date}: switching ${this.playlist.id} → ${playlist.id}`);
+
+        this._attachPlaylist(playlist);
+        this.currentIndex = -1;
+
+        // The cued item belonged to the previous day
+        this.uncue();
+
+        if (runningItem) {
+            this.carryOverItem = runningItem;
+            this.currentItemId = runningItem.id;
+            console.log(`[AUTOPLAY] Carrying over running item across day boundary: ${runningItem.name}`);
+        } else {
+            this.carryOverItem = null;
+            this.currentItemId = null;
+        }
+
+        if (this.onDayChange) {
+            this.onDayChange(playlist, date);
+        }
+    }
+
+    /**
+     * At the end of a day playlist right before the boundary, start the next day immediately
+     * @private
+     * @returns {Promise<boolean>} - True if the next day was started
+     */
+    async _startNextDayEarly() {
+        if (!this.calendar || this.mode !== 'AUTO') return false;
+
+        const now = clock.date();
+        const nextDayStart = this.calendar.getNextDayStart(now);
+        if (nextDayStart.getTime() - now.getTime() > this.DAY_SWITCH_ANTICIPATION_MS) return false;
+
+        const date = this.calendar.getBroadcastDate(nextDayStart);
+        const dayPlaylist = this.calendar.getDayPlaylist(date);
+        if (!dayPlaylist || dayPlaylist === this.playlist) return false;
+
+        const scheduled = dayPlaylist.getScheduled();
+        if (!scheduled.items || scheduled.items.length === 0) return false;
+
+        // Current item has finished: nothing to carry over
+        this.currentItemId = null;
+        this.broadcastDate = date;
+        this.switchToDay(dayPlaylist, date);
+
+        await this.playItem(scheduled.items[0], 0);
+        return true;
+    }
+
     /**
      * Sync scheduler state with manual playback
      */
@@ -99,6 +329,8 @@ class AutoplayScheduler {
         if (index !== -1) {
             this.currentItemId = itemId;
             this.currentIndex = index;
+            this.onAirItem = scheduled.items[index];
+            this.carryOverItem = null;
 
             // Update playlist timing to anchor this item to NOW
             this._updatePlaylistTiming(index);
@@ -118,10 +350,42 @@ class AutoplayScheduler {
      * Handle playlist updates (re-sync state)
      */
     onPlaylistUpdated() {
-        if (this.currentItemId) {
-            console.log('[AUTOPLAY] Playlist updated, re-syncing state...');
-            this.syncState(this.currentItemId);
+        // A carried-over item is not part of the playlist, nothing to re-sync
+        if (this.currentItemId && !this.carryOverItem) {
+            // Removed, or dropped for a hard start: no longer in the schedule
+            if (this.playlist.getScheduled().items.some(item => item.id === this.currentItemId)) {
+                console.log('[AUTOPLAY] Playlist updated, re-syncing state...');
+                this.syncState(this.currentItemId);
+            } else {
+                this._onCurrentItemRemoved();
+            }
+        }
+
+        if (this.cuedItem) {
+            this._validateCue();
+        }
+    }
+
+    /**
+     * The on-air item left the schedule: it plays to its end (like an item
+     * carried over from the previous day), then the item that followed it goes on air
+     * @private
+     */
+    _onCurrentItemRemoved() {
+        const item = this.onAirItem && this.onAirItem.id === this.currentItemId ? this.onAirItem : null;
+
+        if (!item) {
+            console.warn(`[AUTOPLAY] On-air item ${this.currentItemId} removed from playlist, state reset`);
+            this.currentItemId = null;
+            this.currentIndex = -1;
+            return;
         }
+
+        // The following item now sits at the index of the removed one
+        this.carryOverItem = item;
+        this.currentIndex--;
+
+        console.log(`[AUTOPLAY] On-air item removed from playlist: ${item.name} plays to its end`);
     }
 
     /**
@@ -130,38 +394,34 @@ class AutoplayScheduler {
     async recoverState() {
         try {
             console.log('[AUTOPLAY] Attempting to recover state from CasparCG...');
-            const response = await this.casparClient.info(this.CASPAR_CHANNEL);
-            console.log('[AUTOPLAY] Raw CasparCG INFO response:', response);
 
-            // Extract file name from response
-            // <file>name_of_file</file>
             let playingFile = null;
             let currentPosition = 0;
 
-            // Pattern 1: Simple <file>name</file>
-            const simpleMatch = response.match(/<file>([^<]+)<\/file>/);
-            if (simpleMatch && !simpleMatch[1].trim().startsWith('<')) {
-                playingFile = simpleMatch[1];
-            }
+            const layer = this._getLayerState();
+            if (layer) {
+                // Live OSC layer state
+                playingFile = layer.foreground.file;
+                currentPosition = layer.foreground.time || 0;
+            } else {
+                const response = await this.casparClient.info(this.CASPAR_CHANNEL);
+                console.log('[AUTOPLAY] Raw CasparCG INFO response:', response);
 
-            // Pattern 2: Nested <file><name>name</name></file> inside layer 10 (CasparCG 2.2+)
-            if (!playingFile) {
-                // Find layer 10 block
-                const layerMatch = response.match(/<layer_10>[\s\S]*?<\/layer_10>/);
-                if (layerMatch) {
-                    // Look for foreground file name
-                    const foregroundMatch = layerMatch[0].match(/<foreground>[\s\S]*?<\/foreground>/);
-                    if (foregroundMatch) {
-                        const nameMatch = foregroundMatch[0].match(/<name>([^<]+)<\/name>/);
-                        if (nameMatch) {
-                            playingFile = nameMatch[1];
-                        }
+                // Extract file name from response
+                // <file>name_of_file</file>
 
-                        // Try to parse current time (position)
-                        const timeMatch = foregroundMatch[0].match(/<time>([\d.]+)<\/time>/);
-                        if (timeMatch) {
-                            currentPosition = parseFloat(timeMatch[1]);
-                        }
+                // Pattern 1: Simple <file>name</file>
+                const simpleMatch = response.match(/<file>([^<]+)<\/file>/);
+                if (simpleMatch && !simpleMatch[1].trim().startsWith('<')) {
+                    playingFile = simpleMatch[1];
+                }
+
+                // Pattern 2: Nested <file><name>name</name></file> inside the playout layer (CasparCG 2.2+)
+                if (!playingFile) {
+                    const foreground = this._getForeground(response);
+                    if (foreground) {
+                        playingFile = foreground.name;
+                        currentPosition = foreground.time || 0;
                     }
                 }
             }
@@ -174,12 +434,11 @@ class AutoplayScheduler {
                 if (!scheduled || !scheduled.items) return;
 
                 // Normalize for comparison (remove extension, lowercase)
-                const normalize = (str) => str.replace(/^.*[\\/]/, '').replace(/\.[^/.]+$/, '').toLowerCase();
-                const normalizedPlaying = normalize(playingFile);
+                const normalizedPlaying = normalizeClipName(playingFile);
 
                 const itemIndex = scheduled.items.findIndex(item => {
                     // Check for standard file match
-                    if (normalize(item.file) === normalizedPlaying) return true;
+                    if (normalizeClipName(item.file) === normalizedPlaying) return true;
                     
                     // Check for Live Input match (e.g. "DECKLINK 1" vs file "1")
                     if (item.type === 'live' && normalizedPlaying.includes('decklink') && normalizedPlaying.includes(item.file)) {
@@ -195,6 +454,7 @@ class AutoplayScheduler {
 
                     this.currentItemId = foundItem.id;
                     this.currentIndex = itemIndex;
+                    this.onAirItem = foundItem;
 
                     if (currentPosition > 0) {
                         // Calculate duration of all items BEFORE this one
@@ -204,7 +464,7 @@ class AutoplayScheduler {
                         }
 
                         // New Base Start = Now - (Position + PreviousItemsDuration)
-                        const newBaseStart = new Date(Date.now() - ((currentPosition + previousDuration) * 1000));
+                        const newBaseStart = new Date(clock.now() - ((currentPosition + previousDuration) * 1000));
                         this.playlist.setBaseStartAt(newBaseStart);
                         console.log(`[AUTOPLAY] Synced playlist timing. Base Start: ${newBaseStart.toISOString()}`);
 
@@ -235,17 +495,22 @@ class AutoplayScheduler {
     checkSchedule() {
         if (this.mode !== 'AUTO') return;
 
-        const now = new Date();
+        const now = clock.date();
         const scheduled = this.playlist.getScheduled();
 
         if (!scheduled || !scheduled.items || scheduled.items.length === 0) {
             return;
         }
 
+        // Let the item carried over from the previous day finish, the new day follows it
+        if (this.carryOverItem) {
+            return;
+        }
+
         // Debug log every 10 seconds (reduce spam)
-        if (!this.lastLogTime || Date.now() - this.lastLogTime > 10000) {
+        if (!this.lastLogTime || clock.now() - this.lastLogTime > 10000) {
             console.log(`[AUTOPLAY] Checking schedule, currentIndex: ${this.currentIndex}, items: ${scheduled.items.length}`);
-            this.lastLogTime = Date.now();
+            this.lastLogTime = clock.now();
         }
 
         // Find next item to play
@@ -332,6 +597,30 @@ class AutoplayScheduler {
                     );
                     break;
 
+                case 'PIP_SQUEEZE':
+                    await this.squeezeBack(event, item);
+                    break;
+
+                case 'PIP_RESTORE':
+                    await this.restoreFullFrame(event);
+                    break;
+
+                case 'AUDIO_PLAY':
+                    await this.playAudio(event, item);
+                    break;
+
+                case 'AUDIO_DUCK':
+                    await this.duck(event, item);
+                    break;
+
+                case 'AUDIO_RESTORE':
+                    await this.restoreVolume(event);
+                    break;
+
+                case 'AUDIO_STOP':
+                    await this.stopAudio(event);
+                    break;
+
                 default:
                     console.warn(`[SECONDARY] Unknown event type: ${event.type}`);
             }
@@ -340,6 +629,214 @@ class AutoplayScheduler {
         }
     }
 
+    /**
+     * Squeeze the playout layer into a box and play a second clip or template in the freed space
+     * The layer is back to full frame when its item ends, unless a PIP_RESTORE comes first
+     * event: { fill: { x, y, scaleX, scaleY }, durationFrames, tween, layer,
+     *          clip | template + data, contentFill: { x, y, scaleX, scaleY } (optional box of the second source) }
+     */
+    async squeezeBack(event, item = null) {
+        const layer = event.layer || 20;
+        const options = { duration: event.durationFrames || 0, tween: event.tween };
+        const { x, y, scaleX, scaleY } = event.fill;
+
+        // The second source is under way before the picture starts to shrink
+        if (event.template) {
+            console.log(`[SECONDARY] PIP template on layer ${layer}: ${event.template}`);
+            await this.casparClient.cgAdd(this.CASPAR_CHANNEL, layer, 1, event.template, true, JSON.stringify(event.data || {}));
+        } else if (event.clip) {
+            console.log(`[SECONDARY] PIP clip on layer ${layer}: ${event.clip}`);
+            await this.casparClient.play(this.CASPAR_CHANNEL, layer, event.clip.replace(/\.[^/.]+$/, ''));
+        }
+        this.activePip = { layer, template: Boolean(event.template) };
+        this._schedulePipRestore(item);
+
+        if (event.contentFill) {
+            const box = event.contentFill;
+            await this.casparClient.mixerFill(this.CASPAR_CHANNEL, layer, box.x, box.y, box.scaleX, box.scaleY);
+        }
+
+        console.log(`[SECONDARY] PIP squeeze ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER} to ${x} ${y} ${scaleX} ${scaleY}`);
+        await this.casparClient.mixerFill(this.CASPAR_CHANNEL, this.CASPAR_LAYER, x, y, scaleX, scaleY, options);
+    }
+
+    /**
+     * Bring the playout layer back to full frame and take the second source of the squeeze-back off
+     * event: { durationFrames, tween, layer } - null restores at once (next item on air)
+     */
+    async restoreFullFrame(event = null) {
+        this._clearPipRestore();
+        const options = event ? { duration: event.durationFrames || 0, tween: event.tween } : {};
+        const pip = this.activePip || (event ? { layer: event.layer || 20, template: false } : null);
+        this.activePip = null;
+
+        console.log(`[SECONDARY] PIP restore ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER} to full frame`);
+        await this.casparClient.mixerFill(this.CASPAR_CHANNEL, this.CASPAR_LAYER, 0, 0, 1, 1, options);
+
+        if (pip) {
+            if (pip.template) {
+                await this.casparClient.cgStop(this.CASPAR_CHANNEL, pip.layer, 1);
+            } else {
+                await this.casparClient.stop(this.CASPAR_CHANNEL, pip.layer);
+            }
+            await this.casparClient.mixerClear(this.CASPAR_CHANNEL, pip.layer);
+        }
+    }
+
+    /**
+     * Restore full frame at the end of the item of a squeeze-back, on the playout clock
+     * (the scheduler may notice the next item later, or there may be none)
+     * @private
+     */
+    _schedulePipRestore(item) {
+        this._clearPipRestore();
+        if (!item || !item.startAt) return;
+
+        const endsAt = new Date(item.startAt).getTime() + item.durationSeconds * 1000;
+
+        const pip = this.activePip;
+        this.pipRestoreTimer = clock.setTimeout(() => {
+            this.pipRestoreTimer = null;
+            if (this.activePip !== pip) return;
+
+            console.log('[SECONDARY] PIP squeeze ended');
+            this.restoreFullFrame().catch(error => {
+                console.error('[SECONDARY] PIP restore failed:', error.message);
+            });
+        }, Math.max(0, endsAt - clock.now()));
+    }
+
+    /**
+     * @private
+     */
+    _clearPipRestore() {
+        if (this.pipRestoreTimer) {
+            clock.clearTimeout(this.pipRestoreTimer);
+            this.pipRestoreTimer = null;
+        }
+    }
+
+    /**
+     * Play an audio file (voice-over, music bed) on its own layer, ducking the playout layer if asked
+     * event: { clip, layer, loop, levelDb (level of the audio, 0 by default), duckDb, rampFrames, tween }
+     */
+    async playAudio(event, item = null) {
+        const layer = event.layer || 30;
+
+        // Level set before PLAY: the file never starts louder than asked
+        await this.casparClient.mixerVolume(this.CASPAR_CHANNEL, layer, dbToGain(event.levelDb || 0));
+
+        console.log(`[SECONDARY] Audio on layer ${layer}: ${event.clip}${event.loop ? ' (loop)' : ''}`);
+        await this.casparClient.play(this.CASPAR_CHANNEL, layer, event.clip.replace(/\.[^/.]+$/, ''), null, null, null, { loop: Boolean(event.loop) });
+
+        if (event.duckDb) {
+            await this.duck(event, item);
+        }
+    }
+
+    /**
+     * Lower the playout layer by duckDb (attenuation in dB) over rampFrames
+     * The level comes back when its item ends, unless an AUDIO_RESTORE or AUDIO_STOP comes first
+     */
+    async duck(event, item = null) {
+        const gain = dbToGain(-Math.abs(event.duckDb || 0));
+
+        console.log(`[SECONDARY] Ducking ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER} by ${Math.abs(event.duckDb || 0)} dB`);
+        await this.casparClient.mixerVolume(this.CASPAR_CHANNEL, this.CASPAR_LAYER, gain, { duration: event.rampFrames || 0, tween: event.tween });
+        this.ducked = true;
+        this._scheduleVolumeRestore(item);
+    }
+
+    /**
+     * Bring the playout layer back to its level over rampFrames (null: at once, next item on air)
+     */
+    async restoreVolume(event = null) {
+        this._clearVolumeRestore();
+        const options = event ? { duration: event.rampFrames || 0, tween: event.tween } : {};
+        this.ducked = false;
+
+        console.log(`[SECONDARY] Restoring ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER} level`);
+        await this.casparClient.mixerVolume(this.CASPAR_CHANNEL, this.CASPAR_LAYER, 1, options);
+    }
+
+    /**
+     * Restore the level of the playout layer at the end of the item of a ducking, on the playout clock
+     * @private
+     */
+    _scheduleVolumeRestore(item) {
+        this._clearVolumeRestore();
+        if (!item || !item.startAt) return;
+
+        const endsAt = new Date(item.startAt).getTime() + item.durationSeconds * 1000;
+        this.volumeRestoreTimer = clock.setTimeout(() => {
+            this.volumeRestoreTimer = null;
+            if (!this.ducked) return;
+
+            console.log('[SECONDARY] Ducking ended with its item');
+            this.restoreVolume().catch(error => {
+                console.error('[SECONDARY] Level restore failed:', error.message);
+            });
+        }, Math.max(0, endsAt - clock.now()));
+    }
+
+    /**
+     * @private
+     */
+    _clearVolumeRestore() {
+        if (this.volumeRestoreTimer) {
+            clock.clearTimeout(this.volumeRestoreTimer);
+            this.volumeRestoreTimer = null;
+        }
+    }
+
+    /**
+     * Bring the playout layer back to full frame and to its level at once (playback stopped):
+     * the next PLAY on the layer would keep its MIXER state
+     * @private
+     */
+    async _resetSecondaryMixer() {
+        if (this.activePip) {
+            await this.restoreFullFrame().catch(error => {
+                console.error('[SECONDARY] PIP restore failed:', error.message);
+            });
+        }
+        if (this.ducked) {
+            await this.restoreVolume().catch(error => {
+                console.error('[SECONDARY] Level restore failed:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Fade the audio layer out over rampFrames then stop it; the playout layer comes back up with it
+     */
+    async stopAudio(event) {
+        const layer = event.layer || 30;
+        const rampFrames = event.rampFrames || 0;
+        const options = { duration: rampFrames, tween: event.tween };
+
+        const stop = async () => {
+            await this.casparClient.stop(this.CASPAR_CHANNEL, layer);
+            await this.casparClient.mixerClear(this.CASPAR_CHANNEL, layer);
+        };
+
+        console.log(`[SECONDARY] Audio stop on layer ${layer}${rampFrames ? ` (fade ${rampFrames} frames)` : ''}`);
+        if (rampFrames > 0) {
+            await this.casparClient.mixerVolume(this.CASPAR_CHANNEL, layer, 0, options);
+        }
+        if (this.ducked) {
+            await this.restoreVolume(event);
+        }
+
+        if (rampFrames > 0) {
+            clock.setTimeout(() => {
+                stop().catch(error => console.error('[SECONDARY] Audio stop failed:', error.message));
+            }, rampFrames / this.getFrameRate() * 1000);
+        } else {
+            await stop();
+        }
+    }
+
     /**
      * Determine if item should be played now
      */
@@ -352,7 +849,14 @@ class AutoplayScheduler {
         }
 
         // Don't go backwards - only play items AFTER current index
+        // (at the end of the playlist, unless the schedule was moved past the end, e.g. a new base start)
         if (this.currentIndex >= 0 && itemIndex <= this.currentIndex) {
+            const rescheduled = this.endOfPlaylistAt !== null && new Date(item.startAt).getTime() >= this.endOfPlaylistAt;
+            if (!rescheduled) return false;
+        }
+
+        // Cued in the background: CasparCG (AUTO) or the cue timer takes it on the frame
+        if (this._hasCue() && item.id === this.cuedItem.id && !this._isCueOverdue()) {
             return false;
         }
 
@@ -383,61 +887,32 @@ class AutoplayScheduler {
         try {
             console.log(`[AUTOPLAY] Playing item: ${item.name} (${item.file})`);
 
-            // Reset secondary events flags
-            if (item.secondaryEvents) {
-                item.secondaryEvents.forEach(e => e.executed = false);
-            }
-
             // Clear any existing timeout
             this.clearPlaybackTimeout();
 
+            // A cold PLAY replaces whatever is loaded in the background
+            this.clearCue();
+
+            const source = this.getItemSource(item);
+
             if (item.type === 'live') {
                 // Handle Live Input (DeckLink)
-                console.log(`[AUTOPLAY] Starting Live Input: DECKLINK ${item.file}`);
-                await this.casparClient.sendCommand(`PLAY ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER} DECKLINK ${item.file}`);
+                console.log(`[AUTOPLAY] Starting Live Input: ${source.file}`);
+                await this.casparClient.sendCommand(`PLAY ${this.CASPAR_CHANNEL}-${this.CASPAR_LAYER} ${source.file}${this.casparClient.transitionParams(source.transition)}`);
             } else {
-                // Handle Video Clip
-                // Remove file extension for CasparCG
-                const fileName = item.file.replace(/\.[^/.]+$/, '');
-
-                // Calculate Seek and Length in frames
-                const seekFrames = (item.trimInSeconds || 0) * this.FRAME_RATE;
-                const lengthFrames = item.durationSeconds * this.FRAME_RATE;
-
                 // Send PLAY command with Seek and Length
                 await this.casparClient.play(
                     this.CASPAR_CHANNEL,
                     this.CASPAR_LAYER,
-                    fileName,
-                    seekFrames > 0 ? seekFrames : null,
-                    lengthFrames > 0 ? lengthFrames : null
+                    source.file,
+                    source.seek,
+                    source.length,
+                    source.transition,
+                    { loop: source.loop }
                 );
             }
 
-            this.currentItemId = item.id;
-            this.currentIndex = index;
-            this.lastPlayTime = Date.now();
-
-            // Update playlist timing to anchor this item to NOW
-            this._updatePlaylistTiming(index);
-
-            // Broadcast status
-            this.broadcast({
-                type: 'PLAYBACK_STATUS',
-                data: {
-                    itemId: item.id,
-                    status: 'playing',
-                    file: item.file
-                }
-            });
-
-            // Start polling for end detection
-            this.startStatusPolling();
-
-            // Set timeout to detect playback failure
-            this.startPlaybackTimeout(item);
-
-            console.log(`[AUTOPLAY] Now playing: ${item.name}`);
+            this._markPlaying(item, index);
         } catch (error) {
             console.error('[AUTOPLAY] Play failed:', error.message);
 
@@ -449,13 +924,320 @@ class AutoplayScheduler {
             // If in AUTO mode, try playing next item after failure
             if (this.mode === 'AUTO') {
                 console.log('[AUTOPLAY] Play command failed, attempting next item in 2 seconds...');
-                setTimeout(() => {
+                clock.setTimeout(() => {
                     this.playNext();
                 }, 2000);
             }
         }
     }
 
+    /**
+     * Update scheduler state once an item is on air (cold PLAY or cued item taken)
+     * @private
+     */
+    _markPlaying(item, index) {
+        // Reset secondary events flags
+        if (item.secondaryEvents) {
+            item.secondaryEvents.forEach(e => e.executed = false);
+        }
+
+        // A squeeze-back never outlives its item: the next one airs full frame
+        if (this.activePip && item.id !== this.currentItemId) {
+            this.restoreFullFrame().catch(error => {
+                console.error('[SECONDARY] PIP restore failed:', error.message);
+            });
+        }
+
+        // Nor does ducking: the next item airs at its own level
+        if (this.ducked && item.id !== this.currentItemId) {
+            this.restoreVolume().catch(error => {
+                console.error('[SECONDARY] Level restore failed:', error.message);
+            });
+        }
+
+        this.clearPlaybackTimeout();
+
+        this.currentItemId = item.id;
+        this.currentIndex = index;
+        this.onAirItem = item;
+        this.carryOverItem = null;
+        this.endOfPlaylistAt = null;
+        this.lastPlayTime = clock.now();
+        this.lastForegroundTime = null;
+
+        // Update playlist timing to anchor this item to NOW
+        this._updatePlaylistTiming(index);
+
+        // Broadcast status
+        this.broadcast({
+            type: 'PLAYBACK_STATUS',
+            data: {
+                itemId: item.id,
+                status: 'playing',
+                file: item.file
+            }
+        });
+
+        // Start polling for end detection
+        this.startStatusPolling();
+
+        // Set timeout to detect playback failure
+        this.startPlaybackTimeout(item);
+
+        console.log(`[AUTOPLAY] Now playing: ${item.name}`);
+    }
+
+    /**
+     * Frame rate of the on-air playlist (set from the channel), else the channel default
+     * @returns {number}
+     */
+    getFrameRate() {
+        return (this.playlist && this.playlist.frameRate) || this.FRAME_RATE;
+    }
+
+    /**
+     * Get the CasparCG source of an item: clip name (no extension) with seek/length in frames,
+     * or the live input producer, and its transition
+     * A looping item loops one pass (LENGTH) until the next item is taken
+     * Also used for a manual PLAY, so an item plays the same whoever takes it
+     *
+     * @param {Object} item - Playlist item
+     * @param {number} [frameRate] - Frame rate of the item's playlist, the scheduled one by default
+     * @returns {Object} - { file, raw, seek, length, transition, loop }
+     */
+    getItemSource(item, frameRate = this.getFrameRate()) {
+        const transition = item.transition || null;
+
+        if (item.type === 'live') {
+            return { file: `DECKLINK ${item.file}`, raw: true, seek: null, length: null, transition, loop: false };
+        }
+
+        // Calculate Seek and Length in frames (exact at 29.97/59.94)
+        const seekFrames = Timecode.secondsToFrames(item.trimInSeconds || 0, frameRate);
+        const lengthFrames = Timecode.secondsToFrames(item.loop ? item.loop.passSeconds : item.durationSeconds, frameRate);
+
+        return {
+            file: item.file.replace(/\.[^/.]+$/, ''),
+            raw: false,
+            seek: seekFrames > 0 ? seekFrames : null,
+            length: lengthFrames > 0 ? lengthFrames : null,
+            transition,
+            loop: Boolean(item.loop)
+        };
+    }
+
+    /**
+     * Live inputs and looping clips never end by themselves: they go off air at their scheduled end
+     * @private
+     */
+    _endsOnSchedule(item) {
+        return item.type === 'live' || Boolean(item.loop);
+    }
+
+    /**
+     * Describe how the next item follows the current one
+     * Contiguous after a clip: CasparCG AUTO cuts on the last frame. After a live input, a
+     * looping clip or before a gap (hard start), a timed PLAY takes the background at its start time.
+     * @private
+     */
+    _buildCue(currentItem, nextItem) {
+        const endAt = new Date(currentItem.endAt).getTime();
+        const takeAt = Math.max(endAt, new Date(nextItem.startAt).getTime());
+
+        return {
+            ...this.getItemSource(nextItem),
+            id: nextItem.id,
+            name: nextItem.name,
+            takeAt,
+            auto: !this._endsOnSchedule(currentItem) && takeAt - endAt < 1000 / this.getFrameRate(),
+            failed: false
+        };
+    }
+
+    /**
+     * Load the next item in the CasparCG background before the current one ends
+     */
+    async cueNext() {
+        const currentItem = this.getCurrentItem();
+        const nextItem = this.getNextItem();
+        if (!currentItem || !nextItem || this.cuedItem) return;
+
+        const cue = this._buildCue(currentItem, nextItem);
+        this.cuedItem = cue;
+
+        try {
+            await this.casparClient.loadbg(this.CASPAR_CHANNEL, this.CASPAR_LAYER, cue.file, cue);
+        } catch (error) {
+            // The end of the current item falls back to a cold PLAY
+            console.error(`[AUTOPLAY] LOADBG failed for ${cue.name}:`, error.message);
+            if (this.cuedItem === cue) cue.failed = true;
+            return;
+        }
+
+        // Cue cleared while LOADBG was in flight
+        if (this.cuedItem !== cue) return;
+
+        if (!cue.auto) {
+            this._armCueTimer();
+        }
+
+        console.log(`[AUTOPLAY] Cued in background: ${cue.name} (${cue.auto ? 'AUTO' : `PLAY at ${new Date(cue.takeAt).toISOString()}`})`);
+
+        this.broadcast({
+            type: 'AUTOPLAY_STATUS',
+            data: this.getStatus()
+        });
+    }
+
+    /**
+     * Schedule the PLAY of a cued item at its take time
+     * @private
+     */
+    _armCueTimer() {
+        if (this.cueTimer) clock.clearTimeout(this.cueTimer);
+
+        const cue = this.cuedItem;
+        this.cueTimer = clock.setTimeout(() => {
+            this.cueTimer = null;
+            this.takeCuedItem(cue);
+        }, Math.max(0, cue.takeAt - clock.now()));
+    }
+
+    /**
+     * Play the item loaded in the background (timed PLAY)
+     */
+    async takeCuedItem(cue = this.cuedItem) {
+        if (!cue || cue !== this.cuedItem || cue.failed) return;
+
+        try {
+            await this.casparClient.playLoaded(this.CASPAR_CHANNEL, this.CASPAR_LAYER);
+            this._onCuedItemStarted();
+        } catch (error) {
+            console.error(`[AUTOPLAY] PLAY of cued item failed: ${error.message}, playing next item cold`);
+            cue.failed = true;
+            await this.playNext();
+        }
+    }
+
+    /**
+     * The cued item is on air: sync state without sending any command
+     * @private
+     */
+    _onCuedItemStarted() {
+        const cue = this.cuedItem;
+        this.clearCue();
+
+        const scheduled = this.playlist.getScheduled();
+        const index = scheduled.items.findIndex(item => item.id === cue.id);
+
+        if (index === -1) {
+            console.warn(`[AUTOPLAY] Cued item ${cue.id} no longer in playlist`);
+            return;
+        }
+
+        console.log(`[AUTOPLAY] Cued item on air: ${cue.name}`);
+        this._markPlaying(scheduled.items[index], index);
+    }
+
+    /**
+     * Check if CasparCG has taken the cued item (AUTO) from the layer foreground
+     * @private
+     */
+    _isCuedItemOnAir(foreground) {
+        const cue = this.cuedItem;
+        if (!foreground || !cue || !cue.auto || cue.failed) return false;
+
+        if (cue.raw) {
+            return foreground.producer === 'decklink';
+        }
+
+        if (!foreground.name || normalizeClipName(foreground.name) !== normalizeClipName(cue.file)) {
+            return false;
+        }
+
+        // Same clip aired twice in a row: the position jumps back
+        const currentItem = this.getCurrentItem();
+        const sameClip = currentItem && normalizeClipName(currentItem.file) === normalizeClipName(cue.file);
+        return !sameClip || (this.lastForegroundTime !== null && foreground.time !== null && foreground.time < this.lastForegroundTime);
+    }
+
+    /**
+     * Check if an item is loaded in the background
+     * @private
+     */
+    _hasCue() {
+        return Boolean(this.cuedItem && !this.cuedItem.failed);
+    }
+
+    /**
+     * Check if the cued item should already be on air
+     * @private
+     */
+    _isCueOverdue() {
+        return clock.now() > this.cuedItem.takeAt + this.CUE_GRACE_MS;
+    }
+
+    /**
+     * Re-check the cue after a playlist edit (next item changed, trimmed or retimed)
+     * @private
+     */
+    _validateCue() {
+        const currentItem = this.getCurrentItem();
+        const nextItem = this.getNextItem();
+        const cue = this.cuedItem;
+        const expected = currentItem && nextItem ? this._buildCue(currentItem, nextItem) : null;
+
+        const unchanged = expected &&
+            expected.id === cue.id &&
+            expected.file === cue.file &&
+            expected.seek === cue.seek &&
+            expected.length === cue.length &&
+            expected.loop === cue.loop &&
+            JSON.stringify(expected.transition) === JSON.stringify(cue.transition) &&
+            expected.auto === cue.auto;
+
+        if (!unchanged) {
+            console.log('[AUTOPLAY] Next item changed, clearing background');
+            this.uncue();
+            return;
+        }
+
+        if (!cue.auto && expected.takeAt !== cue.takeAt) {
+            cue.takeAt = expected.takeAt;
+            if (this.cueTimer) this._armCueTimer();
+        }
+    }
+
+    /**
+     * Forget the cued item (local state only, e.g. a manual PLAY replaced the background)
+     */
+    clearCue() {
+        if (this.cueTimer) {
+            clock.clearTimeout(this.cueTimer);
+            this.cueTimer = null;
+        }
+        this.cuedItem = null;
+    }
+
+    /**
+     * Unload the cued item from the CasparCG background
+     */
+    async uncue() {
+        if (!this.cuedItem) return;
+
+        const cue = this.cuedItem;
+        this.clearCue();
+
+        if (cue.failed) return;
+
+        try {
+            await this.casparClient.loadbg(this.CASPAR_CHANNEL, this.CASPAR_LAYER, 'EMPTY', { raw: true });
+            console.log(`[AUTOPLAY] Background cleared (was: ${cue.name})`);
+        } catch (error) {
+            console.error('[AUTOPLAY] Failed to clear background:', error.message);
+        }
+    }
+
     /**
      * Play next item in playlist
      */
@@ -470,9 +1252,22 @@ class AutoplayScheduler {
         const nextIndex = this.currentIndex + 1;
 
         if (nextIndex >= scheduled.items.length) {
+            if (await this._startNextDayEarly()) {
+                return;
+            }
+
+            // Carousel: the first item follows the last one (re-anchored to now)
+            if (this.playlist.loop && scheduled.items.length > 0) {
+                console.log('[AUTOPLAY] End of playlist reached, looping to the first item');
+                await this.playItem(scheduled.items[0], 0);
+                return;
+            }
+
             console.log('[AUTOPLAY] End of playlist reached');
+            // Keep the index: the last item is still on its final frames and must not be caught up again
             this.currentItemId = null;
-            this.currentIndex = -1;
+            this.carryOverItem = null;
+            this.endOfPlaylistAt = clock.now();
             this.stopStatusPolling();
 
             this.broadcast({
@@ -504,10 +1299,15 @@ class AutoplayScheduler {
             const previousMode = this.mode;
             this.mode = 'MANUAL';
 
+            // Do not let CasparCG chain the cued item (AUTO)
+            await this.uncue();
+
             await this.casparClient.stop(this.CASPAR_CHANNEL, this.CASPAR_LAYER);
+            await this._resetSecondaryMixer();
 
             this.currentItemId = null;
             this.currentIndex = -1;
+            this.carryOverItem = null;
             this.stopStatusPolling();
             this.clearPlaybackTimeout();
 
@@ -531,13 +1331,13 @@ class AutoplayScheduler {
     startStatusPolling() {
         this.stopStatusPolling();
 
-        this.statusPoller = setInterval(async () => {
+        this.statusPoller = clock.setInterval(async () => {
             await this.checkPlaybackStatus();
 
             // Check secondary events for current item (even in MANUAL mode)
             const currentItem = this.getCurrentItem();
             if (currentItem && currentItem.id === this.currentItemId) {
-                this.checkSecondaryEvents(currentItem, new Date());
+                this.checkSecondaryEvents(currentItem, clock.date());
             }
         }, this.STATUS_POLL_INTERVAL);
 
@@ -549,7 +1349,7 @@ class AutoplayScheduler {
      */
     stopStatusPolling() {
         if (this.statusPoller) {
-            clearInterval(this.statusPoller);
+            clock.clearInterval(this.statusPoller);
             this.statusPoller = null;
             console.log('[AUTOPLAY] Status polling stopped');
         }
@@ -561,7 +1361,7 @@ class AutoplayScheduler {
     startPlaybackTimeout(item) {
         this.clearPlaybackTimeout();
 
-        this.playbackTimeout = setTimeout(async () => {
+        this.playbackTimeout = clock.setTimeout(async () => {
             console.warn(`[AUTOPLAY] ⚠️  Playback timeout after ${this.PLAYBACK_TIMEOUT_MS / 1000}s for: ${item.name}`);
             console.warn(`[AUTOPLAY] File may be corrupted or not playing correctly: ${item.file}`);
 
@@ -582,6 +1382,8 @@ class AutoplayScheduler {
                 // In manual mode, just stop and clear
                 this.currentItemId = null;
                 this.currentIndex = -1;
+                this.carryOverItem = null;
+                this.uncue();
                 this.stopStatusPolling();
 
                 this.broadcast({
@@ -602,7 +1404,7 @@ class AutoplayScheduler {
      */
     clearPlaybackTimeout() {
         if (this.playbackTimeout) {
-            clearTimeout(this.playbackTimeout);
+            clock.clearTimeout(this.playbackTimeout);
             this.playbackTimeout = null;
         }
     }
@@ -611,41 +1413,178 @@ class AutoplayScheduler {
      * Check playback status via CasparCG INFO
      */
     async checkPlaybackStatus() {
+        // OSC updates arrive every frame: skip them while a check is running
+        if (this.checkingStatus) return;
+        this.checkingStatus = true;
+
         try {
             // Don't check if we just started playing (give it 2 seconds)
-            if (Date.now() - this.lastPlayTime < 2000) return;
+            if (clock.now() - this.lastPlayTime < 2000) return;
+
+            // OSC feeds the layer state: INFO is only polled when no OSC packets arrive
+            const layer = this._getLayerState();
+            if (layer) {
+                const foreground = {
+                    producer: layer.foreground.producer,
+                    name: layer.foreground.file,
+                    time: layer.foreground.time,
+                    duration: layer.foreground.duration,
+                    paused: layer.foreground.paused
+                };
+
+                await this._checkForeground(foreground, {
+                    playing: this._isForegroundPlaying(foreground),
+                    finished: () => this._isForegroundFinished(foreground)
+                });
+                return;
+            }
 
             const response = await this.casparClient.info(this.CASPAR_CHANNEL);
-            const currentItem = this.getCurrentItem();
+            await this._checkForeground(this._getForeground(response), {
+                playing: this.isVideoPlaying(response),
+                finished: () => this.isFinished(response)
+            });
+        } catch (error) {
+            console.error('[AUTOPLAY] Status check failed:', error.message);
+        } finally {
+            this.checkingStatus = false;
+        }
+    }
 
-            // Check if video is actually playing (has valid foreground)
-            if (this.isVideoPlaying(response)) {
-                // Video is playing successfully, clear the timeout
-                this.clearPlaybackTimeout();
-            }
+    /**
+     * Act on the playout layer foreground: take the cued item, preload, play next at the end
+     * @private
+     * @param {Object|null} foreground - { producer, name, time, duration }
+     * @param {Object} status
+     * @param {boolean} status.playing - Clip running (clears the playback failure timeout)
+     * @param {Function} status.finished - Returns true when the clip has ended
+     */
+    async _checkForeground(foreground, { playing, finished }) {
+        // CasparCG took the cued item on the last frame (AUTO)
+        if (this._isCuedItemOnAir(foreground)) {
+            this._onCuedItemStarted();
+            return;
+        }
 
-            // Special handling for Live items: check duration expiration
-            if (currentItem && currentItem.type === 'live') {
-                const now = Date.now();
-                const endTime = new Date(currentItem.endAt).getTime();
-                
-                // Check if duration expired
-                if (now >= endTime) {
-                    console.log('[AUTOPLAY] Live item finished (duration expired), playing next');
-                    this.clearPlaybackTimeout();
-                    await this.playNext();
-                    return;
-                }
-            }
+        if (foreground && foreground.time !== null) {
+            this.lastForegroundTime = foreground.time;
+        }
 
-            if (this.isFinished(response)) {
-                console.log('[AUTOPLAY] Video finished, playing next');
+        const currentItem = this.getCurrentItem();
+
+        // Check if video is actually playing (has valid foreground)
+        if (playing) {
+            // Video is playing successfully, clear the timeout
+            this.clearPlaybackTimeout();
+        }
+
+        // Live items and loops: check duration expiration (a looping clip never finishes)
+        const endsOnSchedule = Boolean(currentItem) && this._endsOnSchedule(currentItem);
+        if (endsOnSchedule) {
+            const now = clock.now();
+            const endTime = new Date(currentItem.endAt).getTime();
+
+            // Check if duration expired (a cued item is taken by its timer)
+            if (now >= endTime && (!this._hasCue() || this._isCueOverdue())) {
+                console.log(`[AUTOPLAY] ${currentItem.type === 'live' ? 'Live' : 'Looping'} item finished (duration expired), playing next`);
                 this.clearPlaybackTimeout();
                 await this.playNext();
+                return;
             }
-        } catch (error) {
-            console.error('[AUTOPLAY] Status check failed:', error.message);
         }
+
+        // Preload the next item a few seconds before the end
+        if (currentItem && !this.cuedItem && this._getRemainingMs(currentItem, foreground) <= this.PRELOAD_LEAD_MS) {
+            await this.cueNext();
+        }
+
+        if (!endsOnSchedule && finished()) {
+            // CasparCG cuts to the cued item by itself
+            if (this._hasCue() && !this._isCueOverdue()) return;
+
+            console.log('[AUTOPLAY] Video finished, playing next');
+            this.clearPlaybackTimeout();
+            await this.playNext();
+        }
+    }
+
+    /**
+     * Get the OSC state of the playout layer
+     * @private
+     * @returns {Object|null} - Null when OSC is not available (INFO fallback)
+     */
+    _getLayerState() {
+        return this.layerState ? this.layerState.getLayer(this.CASPAR_CHANNEL, this.CASPAR_LAYER) : null;
+    }
+
+    /**
+     * Check if the OSC foreground is a running clip or live input
+     * @private
+     */
+    _isForegroundPlaying(foreground) {
+        if (foreground.producer === 'decklink') return true;
+        return Boolean(foreground.name) && foreground.time !== null && foreground.time > 0 && !foreground.paused;
+    }
+
+    /**
+     * Check if the OSC foreground clip has ended (same rules as isFinished)
+     * @private
+     */
+    _isForegroundFinished(foreground) {
+        if (foreground.producer === 'empty' || (!foreground.producer && !foreground.name)) {
+            return true;
+        }
+
+        if (foreground.producer === 'decklink' || foreground.time === null || !foreground.duration) {
+            return false;
+        }
+
+        // Don't mark as finished if video just started (less than 5 seconds in)
+        if (foreground.time < 5) return false;
+
+        return foreground.duration - foreground.time <= this.TIME_TOLERANCE;
+    }
+
+    /**
+     * Extract the foreground producer, clip name and position of the playout layer
+     * @private
+     */
+    _getForeground(data) {
+        if (!data) return null;
+
+        const layerRegex = new RegExp(`<layer_${this.CASPAR_LAYER}\\b[^>]*>([\\s\\S]*?)<\\/layer_${this.CASPAR_LAYER}>`);
+        const layerMatch = data.match(layerRegex);
+        if (!layerMatch) return null;
+
+        const foregroundMatch = layerMatch[1].match(/<foreground>([\s\S]*?)<\/foreground>/);
+        if (!foregroundMatch) return null;
+
+        const content = foregroundMatch[1];
+        const producerMatch = content.match(/<producer>([^<]+)<\/producer>/);
+        const nameMatch = content.match(/<name>([^<]+)<\/name>/) || content.match(/<file>([^<]+)<\/file>/);
+        // CasparCG returns two <time> tags: current position and total duration
+        const times = (content.match(/<time>([^<]+)<\/time>/g) || [])
+            .map(tag => parseFloat(tag.replace(/<\/?time>/g, '')));
+        const valid = (value) => (value === undefined || isNaN(value) ? null : value);
+
+        return {
+            producer: producerMatch ? producerMatch[1] : null,
+            name: nameMatch ? nameMatch[1] : null,
+            time: valid(times[0]),
+            duration: valid(times[1])
+        };
+    }
+
+    /**
+     * Time left on the current item: clip position reported by CasparCG, else its scheduled end
+     * @private
+     */
+    _getRemainingMs(item, foreground) {
+        if (!this._endsOnSchedule(item) && foreground && foreground.time !== null && foreground.duration) {
+            return (foreground.duration - foreground.time) * 1000;
+        }
+
+        return new Date(item.endAt).getTime() - clock.now();
     }
 
     /**
@@ -806,18 +1745,19 @@ class AutoplayScheduler {
      */
     _updatePlaylistTiming(index) {
         try {
-            const rawPlaylist = this.playlist.getRaw();
-            if (!rawPlaylist || !rawPlaylist.items) return;
+            // Scheduled items: the index does not count items dropped for a hard start
+            const scheduled = this.playlist.getScheduled();
+            if (!scheduled || !scheduled.items) return;
 
             let elapsedDuration = 0;
             for (let i = 0; i < index; i++) {
-                const item = rawPlaylist.items[i];
+                const item = scheduled.items[i];
                 if (item && typeof item.durationSeconds === 'number') {
                     elapsedDuration += item.durationSeconds;
                 }
             }
 
-            const newBaseStart = new Date(Date.now() - (elapsedDuration * 1000));
+            const newBaseStart = new Date(clock.now() - (elapsedDuration * 1000));
             this.playlist.setBaseStartAt(newBaseStart);
             console.log(`[AUTOPLAY] Updated playlist base time: ${newBaseStart.toISOString()} (anchored item ${index} to now)`);
             
@@ -837,6 +1777,7 @@ class AutoplayScheduler {
      * Get current item
      */
     getCurrentItem() {
+        if (this.carryOverItem) return this.carryOverItem;
         if (this.currentIndex < 0) return null;
 
         const scheduled = this.playlist.getScheduled();
@@ -854,7 +1795,12 @@ class AutoplayScheduler {
 
         const nextIndex = this.currentIndex + 1;
         console.log(`[AUTOPLAY] getNextItem: currentIndex=${this.currentIndex}, nextIndex=${nextIndex}, totalItems=${scheduled.items.length}`);
-        
+
+        // Carousel: after the last item comes the first one (not across a day switch)
+        if (nextIndex >= scheduled.items.length && this.playlist.loop && !this.carryOverItem && scheduled.items.length > 0) {
+            return scheduled.items[0];
+        }
+
         if (nextIndex >= scheduled.items.length) {
             console.log('[AUTOPLAY] getNextItem: No next item (end of playlist)');
             return null;
@@ -878,6 +1824,7 @@ class AutoplayScheduler {
 
         return {
             mode: this.mode,
+            broadcastDate: this.broadcastDate,
             currentItem: currentItem ? {
                 id: currentItem.id,
                 name: currentItem.name,
@@ -892,7 +1839,15 @@ class AutoplayScheduler {
                 file: nextItem.file,
                 startAt: nextItem.startAt,
                 durationSeconds: nextItem.durationSeconds
-            } : null
+            } : null,
+            cuedItem: this._hasCue() ? {
+                id: this.cuedItem.id,
+                name: this.cuedItem.name,
+                file: this.cuedItem.file,
+                takeAt: new Date(this.cuedItem.takeAt).toISOString(),
+                auto: this.cuedItem.auto
+            } : null,
+            lockedItemIds: this.getLockedItemIds()
         };
     }
 }
@@ -10,13 +10,38 @@ const WebSocket = require('ws');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const playlist = require('./models/playlist');
+const PlaylistManager = require('./models/playlistManager');
+const PlaylistHistory = require('./models/playlistHistory');
+const BroadcastCalendar = require('./models/broadcastCalendar');
 const { scanMediaDirectoryQuick, scanMediaDirectory, watchMediaDirectory } = require('./utils/mediaScanner');
-const { loadPlaylist, savePlaylist } = require('./utils/persistence');
+const { scanCasparMedia, scanCasparTemplates, watchCasparMedia } = require('./utils/casparMediaSource');
+const {
+    loadAllPlaylists,
+    savePlaylist,
+    deletePlaylist,
+    savePlaylistIndex,
+    loadPlaylistIndex,
+    saveDayPlaylist,
+    loadScheduledDays,
+    deleteDayPlaylist,
+    savePlaylistRevision,
+    listPlaylistRevisions,
+    loadPlaylistRevision,
+    migrateSnapshots
+} = require('./utils/persistence');
+const { diffPlaylists } = require('./utils/playlistDiff');
 const { parseXMLPlaylist } = require('./utils/xmlParser');
+const { parseHardStartTime, FRAME_RATES } = require('./utils/timingRobust');
+const Timecode = require('./utils/timecode');
+const TimeZone = require('./utils/timezone');
 const CasparClient = require('./caspar/casparClient');
+const RedundantCasparClient = require('./caspar/redundantCasparClient');
+const FakeCasparServer = require('./caspar/fakeCasparServer');
+const OscListener = require('./caspar/oscListener');
+const LayerStateStore = require('./caspar/layerState');
 const TemplateController = require('./caspar/templateController');
 const MediaFolders = require('./models/mediaFolders');
+const FillerPool = require('./models/fillerPool');
 const { saveFolders, loadFolders } = require('./utils/folderPersistence');
 
 // Force reload of AutoplayScheduler to ensure latest code is used
@@ -31,6 +56,7 @@ const AutoplayScheduler = require('./scheduler/autoplayScheduler');
 const logger = require('./utils/logger');
 const ErrorHandler = require('./utils/errorHandler');
 const AsRunLogger = require('./utils/asRunLogger');
+const clock = require('./utils/clock');
 
 const WS_PORT = 8080;
 const HTTP_PORT = 3000;
@@ -42,19 +68,115 @@ const PREFERRED_IP = '172.16.4.180';
 // CasparCG Configuration
 const CASPAR_HOST = '127.0.0.1';
 const CASPAR_PORT = 5250;
-const CASPAR_CHANNEL = 1;
-const CASPAR_LAYER = 10;
+
+// Backup CasparCG (null = no redundancy): every playout, CG and MIXER command is sent to the main
+// and backup servers, whose layers are compared every CASPAR_SYNC_INTERVAL_MS.
+// CASPAR_FAILOVER 'auto' puts the other server on air when the one on air is lost, 'manual' leaves it to the operator
+const CASPAR_BACKUP_HOST = null;
+const CASPAR_BACKUP_PORT = 5250;
+const CASPAR_FAILOVER = 'auto';
+const CASPAR_SYNC_INTERVAL_MS = 2000;
+
+// Rehearsal mode: play out on a simulated CasparCG (no video output) to train operators
+// Clips last their library duration, or REHEARSAL_DEFAULT_DURATION seconds when unknown
+const REHEARSAL_MODE = false;
+const REHEARSAL_DEFAULT_DURATION = 30;
+
+// Station time zone (IANA name, null = time zone of the server): hard starts, broadcast days,
+// as-run files and the clocks of the interface follow its wall clock, DST included
+const STATION_TIMEZONE = 'Europe/Paris';
+
+// Simulated clock (rehearsal mode only): start time (null = now) and speed (1 = real time)
+// e.g. '2026-10-20T05:55:00' (station time) and 60 to check tomorrow's broadcast day in 24 minutes
+const SIMULATION_START_AT = null;
+const SIMULATION_CLOCK_RATE = 1;
+
+// CasparCG OSC: UDP port declared as predefined client in casparcg.config
+// Without OSC packets the schedulers fall back to INFO polling
+const OSC_PORT = 6250;
+const LAYER_STATE_BROADCAST_MS = 500;
+
+// Media library source: 'folder' scans MEDIA_PATH (utils/mediaScanner.js, FFprobe/FFmpeg on the server),
+// 'caspar' asks CasparCG for its clips (CLS), templates (TLS) and thumbnails (THUMBNAIL RETRIEVE),
+// polled every CASPAR_MEDIA_POLL_MS
+const MEDIA_SOURCE = 'folder';
+const CASPAR_MEDIA_POLL_MS = 30000;
+
+// Playout channels: one playlist, autoplay scheduler and as-run stream per CasparCG channel
+// The first channel is the default for messages without a channel field
+// frameRate: frames per second of the channel (null = read from the CasparCG video mode, PAL until connected)
+const CHANNELS = [
+    { channel: 1, layer: 10, name: 'Canal principal', frameRate: null },
+    { channel: 2, layer: 10, name: 'Canal thématique', frameRate: null }
+];
+
+// Filler pool: media folder filling the early gaps of hard starts ('filler' policy)
+// What the fillers cannot fill is covered by the loopable slate (clip name or file, null = hold)
+// Fillers aired within FILLER_REPEAT_WINDOW_HOURS (as-run log) are avoided
+const FILLER_FOLDER = 'Fillers';
+const FILLER_SLATE = 'SLATE';
+const FILLER_REPEAT_WINDOW_HOURS = 4;
+
+// Broadcast day boundary: the next day's calendar playlist goes on air at this time
+const BROADCAST_DAY_BOUNDARY = '06:00';
+
+// Edit history: number of edits each playlist can undo (shared by every operator)
+// Every save is also kept as a revision (data/revisions) with its time and author:
+// the last REVISION_KEEP of each playlist, and every named snapshot
+const HISTORY_DEPTH = 50;
+const REVISION_KEEP = 500;
+
+// Edit locking: the on-air item and the next LOCKED_CUED_ITEMS cannot be removed, moved,
+// trimmed or change duration unless the operator forces the edit
+const LOCKED_CUED_ITEMS = 1;
+
+// Named playlists (rundowns)
+const playlists = new PlaylistManager();
+const playlistHistory = new PlaylistHistory(HISTORY_DEPTH);
+
+// Content of the last revision of each playlist: Map<playlistId, JSON>
+const lastRevisionContent = new Map();
+
+// Runtime state of each playout channel: Map<channel, { id, name, layer, frameRate, calendar, scheduler, asRunLogger }>
+const channels = new Map(CHANNELS.map(config => [config.channel, {
+    id: config.channel,
+    name: config.name,
+    layer: config.layer,
+    frameRate: config.frameRate || FRAME_RATES.PAL,
+    detectFrameRate: !config.frameRate,
+    calendar: new BroadcastCalendar(playlists, BROADCAST_DAY_BOUNDARY, config.channel),
+    scheduler: null,
+    asRunLogger: null
+}]));
+const DEFAULT_CHANNEL = CHANNELS[0].channel;
 
 // Media library cache
 let mediaLibrary = [];
 let isScanning = false;
+// Templates listed by CasparCG (MEDIA_SOURCE 'caspar')
+let casparTemplates = [];
+// Stops watching the media source (folder watcher or CasparCG polling)
+let stopMediaWatch = null;
 
 // CasparCG client instance
 let casparClient = null;
 let casparConnected = false;
 
-// Autoplay scheduler instance
-let autoplayScheduler = null;
+// Simulated CasparCG (rehearsal mode only)
+let rehearsalServer = null;
+
+// Live layer state fed by CasparCG OSC
+const layerState = new LayerStateStore();
+const oscListener = new OscListener(OSC_PORT);
+oscListener.on('packet', (messages, source) => {
+    // With a backup server, only the layers of the server on air are followed
+    if (casparClient instanceof RedundantCasparClient && source && !casparClient.isOnAirAddress(source.address)) return;
+    layerState.handlePacket(messages);
+});
+let layerStateInterval = null;
+
+// Clients run their displayed clock from the server clock (simulated in rehearsal mode)
+clock.on('change', (status) => broadcast({ type: 'CLOCK_STATUS', data: status }));
 
 // Template controller instance
 let templateController = null;
@@ -65,8 +187,8 @@ let errorHandler = null;
 // Media folders instance
 let mediaFolders = null;
 
-// As-Run logger instance
-let asRunLogger = null;
+// Filler pool used by the 'filler' hard start policy (null: early gaps are held)
+let fillerPool = null;
 
 // Get local IP address
 function getLocalIP() {
@@ -89,6 +211,12 @@ function getLocalIP() {
 
 const localIP = getLocalIP();
 
+// Backend modules loaded as is by the browser (UMD, global of the same name)
+const SHARED_SCRIPTS = {
+    '/shared/timecode.js': path.join(__dirname, 'utils/timecode.js'),
+    '/shared/timezone.js': path.join(__dirname, 'utils/timezone.js')
+};
+
 // Create HTTP server for frontend
 const httpServer = http.createServer((req, res) => {
     const frontendPath = path.join(__dirname, '../frontend');
@@ -97,9 +225,10 @@ const httpServer = http.createServer((req, res) => {
     // Also remove query string if present
     const decodedUrl = decodeURIComponent(req.url.split('?')[0]);
     
-    let filePath = path.join(frontendPath, decodedUrl === '/' ? 'index.html' : decodedUrl);
+    let filePath = SHARED_SCRIPTS[decodedUrl]
+        || path.join(frontendPath, decodedUrl === '/' ? 'index.html' : decodedUrl);
 
-    if (!filePath.startsWith(frontendPath)) {
+    if (!SHARED_SCRIPTS[decodedUrl] && !filePath.startsWith(frontendPath)) {
         res.writeHead(403);
         res.end('Forbidden');
         return;
@@ -152,68 +281,223 @@ logger.info(`[WS] WebSocket server running on:`);
 logger.info(`     ws://localhost:${WS_PORT}`);
 logger.info(`     ws://${localIP}:${WS_PORT}`);
 
-// Initialize playlist from saved data
-async function initializePlaylist() {
-    const savedPlaylist = await loadPlaylist();
+// Initialize playlists from saved data
+async function initializePlaylists() {
+    try {
+        await migrateSnapshots();
+    } catch (error) {
+        logger.error('[PERSISTENCE] Snapshot migration failed:', error.message);
+    }
+
+    const savedPlaylists = await loadAllPlaylists();
 
-    if (savedPlaylist && savedPlaylist.items && savedPlaylist.items.length > 0) {
-        playlist.setItems(savedPlaylist.items);
-        if (savedPlaylist.baseStartAt) {
-            playlist.setBaseStartAt(savedPlaylist.baseStartAt);
+    savedPlaylists.forEach(savedPlaylist => {
+        try {
+            const playlist = playlists.restore(savedPlaylist);
+            logger.info(`[PLAYLIST] Loaded "${playlist.name}" (${playlist.id}): ${playlist.items.length} items`);
+        } catch (error) {
+            logger.error(`[PLAYLIST] Failed to restore playlist ${savedPlaylist.id}:`, error.message);
         }
-        logger.info(`[PLAYLIST] Loaded ${savedPlaylist.items.length} items from saved playlist`);
-    } else {
-        playlist.setBaseStartAt(null);
-        logger.info('[PLAYLIST] No saved playlist found, starting with empty playlist');
+    });
+
+    for (const ch of channels.values()) {
+        // Calendar days from the current broadcast day onwards (past days stay on disk)
+        const savedDays = await loadScheduledDays(ch.calendar.getBroadcastDate(), ch.id);
+
+        savedDays.forEach(savedDay => {
+            try {
+                const playlist = ch.calendar.restoreDay(savedDay);
+                logger.info(`[CALENDAR] Channel ${ch.id}: loaded day ${playlist.broadcastDate}: ${playlist.items.length} items`);
+            } catch (error) {
+                logger.error(`[CALENDAR] Channel ${ch.id}: failed to restore day ${savedDay.broadcastDate}:`, error.message);
+            }
+        });
+    }
+
+    playlists.applyIndex(await loadPlaylistIndex());
+
+    for (const ch of channels.values()) {
+        // Today's calendar playlist takes precedence over the saved on-air playlist
+        const todayPlaylist = ch.calendar.getDayPlaylist(ch.calendar.getBroadcastDate());
+        if (todayPlaylist) {
+            playlists.setOnAir(todayPlaylist.id, ch.id);
+        }
+
+        // Every channel needs an on-air playlist
+        if (!playlists.getOnAir(ch.id)) {
+            const defaultId = PlaylistManager.defaultPlaylistId(ch.id);
+            const playlist = playlists.get(defaultId) || playlists.create(ch.name, defaultId);
+            playlists.setOnAir(playlist.id, ch.id);
+            logger.info(`[PLAYLIST] Channel ${ch.id}: no on-air playlist saved, using "${playlist.name}"`);
+        }
+
+        logger.info(`[PLAYLIST] Channel ${ch.id} on air: ${playlists.onAir.get(ch.id)}`);
+        await applyChannelFrameRate(ch);
+    }
+}
+
+/**
+ * Read the frame rate of the channels without a configured one from their CasparCG video mode
+ * Unknown or unsupported modes keep the current frame rate
+ */
+async function detectChannelFrameRates() {
+    for (const ch of channels.values()) {
+        if (!ch.detectFrameRate) continue;
+
+        try {
+            const frameRate = await casparClient.getFrameRate(ch.id);
+            if (!frameRate) {
+                logger.warn(`[CASPAR] Channel ${ch.id}: video mode not reported, keeping ${ch.frameRate} fps`);
+                continue;
+            }
+
+            ch.frameRate = Timecode.getRate(frameRate).fps;
+            logger.info(`[CASPAR] Channel ${ch.id}: ${ch.frameRate} fps`);
+        } catch (error) {
+            logger.warn(`[CASPAR] Channel ${ch.id}: cannot read the frame rate (${error.message}), keeping ${ch.frameRate} fps`);
+        }
+
+        await applyChannelFrameRate(ch);
+    }
+}
+
+/**
+ * Time the playlists of a channel (on-air playlist and calendar days), its scheduler
+ * and its as-run stream at the channel frame rate
+ */
+async function applyChannelFrameRate(ch) {
+    if (ch.scheduler) ch.scheduler.FRAME_RATE = ch.frameRate;
+    if (ch.asRunLogger) ch.asRunLogger.frameRate = ch.frameRate;
+
+    const onAir = playlists.getOnAir(ch.id);
+    for (const playlist of playlists.playlists.values()) {
+        if (playlist !== onAir && playlist.channel !== ch.id) continue;
+        if (!playlist.setFrameRate(ch.frameRate)) continue;
+
+        // Hard starts land on frames of the new rate
+        recalculateHardStarts(playlist);
+        await autoSavePlaylist(playlist, { label: `Cadence ${ch.frameRate} i/s` });
+        broadcastPlaylistUpdated(playlist);
+    }
+}
+
+/**
+ * Resolve the playout channel targeted by a client message
+ * Messages without channel target the default (first configured) channel
+ */
+function getChannel(channelId) {
+    if (channelId === undefined || channelId === null) {
+        return channels.get(DEFAULT_CHANNEL);
+    }
+
+    const ch = channels.get(Number(channelId));
+    if (!ch) {
+        throw new Error(`Unknown channel: ${channelId}`);
+    }
+    return ch;
+}
+
+/**
+ * Get the channel a playlist is on air on (null if not on air)
+ */
+function getChannelOfPlaylist(playlist) {
+    const channelId = playlist ? playlists.getOnAirChannel(playlist.id) : null;
+    return channelId === null ? null : channels.get(channelId);
+}
+
+/**
+ * Resolve the playlist targeted by a client message
+ * Messages without playlistId target the on-air playlist of the channel
+ */
+function resolvePlaylist(data, ch = getChannel()) {
+    if (data && data.playlistId) {
+        return playlists.getOrThrow(data.playlistId);
     }
+    return playlists.getOnAir(ch.id);
 }
 
-// Initialize media library (quick scan)
+// Initialize media library (quick scan, or CasparCG polling)
 async function initializeMediaLibrary() {
+    if (stopMediaWatch) {
+        stopMediaWatch();
+        stopMediaWatch = null;
+    }
+
+    if (MEDIA_SOURCE === 'caspar') {
+        // The first poll fills the library as soon as CasparCG answers
+        logger.info('[MEDIA] Media library read from CasparCG (CLS/TLS)');
+        stopMediaWatch = watchCasparMedia(() => (casparConnected ? casparClient : null), (newFiles, templates) => {
+            casparTemplates = templates;
+            updateMediaLibrary(newFiles);
+        }, CASPAR_MEDIA_POLL_MS);
+        return;
+    }
+
     logger.info('[MEDIA] Performing quick scan of media directory...');
     mediaLibrary = await scanMediaDirectoryQuick();
     logger.info(`[MEDIA] Quick scan complete: ${mediaLibrary.length} files found`);
 
     // Start watching for changes
-    watchMediaDirectory((newFiles) => {
-        logger.info(`[MEDIA] Detected changes, updating library (${newFiles.length} files)`);
-        mediaLibrary = newFiles;
-        
-        // Sync folders if initialized
-        if (mediaFolders) {
-             mediaFolders.syncWithPhysicalStructure(mediaLibrary);
-             mediaFolders.recalculateCounts();
-             
-             // Broadcast folder updates
-             broadcast({
-                type: 'FOLDER_LIST',
-                data: { folders: mediaFolders.getAllFolders() }
-             });
-        }
-        
-        // Broadcast media library
-        // We need to enrich files with folder IDs before sending
-        const enrichedFiles = mediaLibrary.map(media => {
-            const folderId = mediaFolders ? mediaFolders.getFolderForMedia(media.file) : 1;
-            return {
-                ...media,
-                folderId
-            };
-        });
+    stopMediaWatch = watchMediaDirectory(updateMediaLibrary);
+}
 
-        broadcast({
-            type: 'MEDIA_LIBRARY',
-            data: {
-                files: enrichedFiles,
-                isScanning: false
-            }
-        });
+/**
+ * Replace the media library after a change of the media source
+ */
+function updateMediaLibrary(newFiles) {
+    logger.info(`[MEDIA] Detected changes, updating library (${newFiles.length} files)`);
+    mediaLibrary = newFiles;
+
+    // Sync folders if initialized
+    if (mediaFolders) {
+         mediaFolders.syncWithPhysicalStructure(mediaLibrary);
+         mediaFolders.recalculateCounts();
+
+         // Broadcast folder updates
+         broadcast({
+            type: 'FOLDER_LIST',
+            data: { folders: mediaFolders.getAllFolders() }
+         });
+    }
+
+    // Broadcast media library
+    // We need to enrich files with folder IDs before sending
+    const enrichedFiles = mediaLibrary.map(media => {
+        const folderId = mediaFolders ? mediaFolders.getFolderForMedia(media.file) : 1;
+        return {
+            ...media,
+            folderId
+        };
+    });
+
+    broadcast({
+        type: 'MEDIA_LIBRARY',
+        data: {
+            files: enrichedFiles,
+            templates: casparTemplates,
+            isScanning: false
+        }
     });
 }
 
 // Initialize CasparCG connection
 async function initializeCaspar() {
-    casparClient = new CasparClient(CASPAR_HOST, CASPAR_PORT);
+    // A new connection replaces the previous client (timers, sockets)
+    if (casparClient) casparClient.disconnect();
+
+    if (REHEARSAL_MODE) {
+        const port = await startRehearsalServer();
+        casparClient = new CasparClient('127.0.0.1', port);
+    } else if (CASPAR_BACKUP_HOST) {
+        casparClient = createRedundantClient();
+    } else {
+        casparClient = new CasparClient(CASPAR_HOST, CASPAR_PORT);
+    }
+
+    // Schedulers must drive the new client after a reconnection
+    channels.forEach(ch => {
+        if (ch.scheduler) ch.scheduler.casparClient = casparClient;
+    });
     
     // Prevent crash on connection error
     casparClient.on('error', (err) => {
@@ -241,6 +525,8 @@ async function initializeCaspar() {
         logger.info(`[CASPAR] Connected successfully: ${version}`);
         casparConnected = true;
 
+        await detectChannelFrameRates();
+
         // Now that CasparCG is connected, sync templates
         if (templateController) {
             await templateController.syncWithCaspar();
@@ -252,14 +538,172 @@ async function initializeCaspar() {
     }
 }
 
-// Auto-save playlist after changes
-async function autoSavePlaylist() {
+/**
+ * Create the client driving the main and backup CasparCG servers
+ * Failovers and divergences are reported to the operators
+ */
+function createRedundantClient() {
+    const client = new RedundantCasparClient({
+        main: new CasparClient(CASPAR_HOST, CASPAR_PORT),
+        backup: new CasparClient(CASPAR_BACKUP_HOST, CASPAR_BACKUP_PORT)
+    }, {
+        failover: CASPAR_FAILOVER,
+        syncInterval: CASPAR_SYNC_INTERVAL_MS
+    });
+
+    client.on('failover', (change) => {
+        logger.warn(`[CASPAR] On air: ${change.to} (${change.reason})`);
+        broadcast({
+            type: 'NOTIFICATION',
+            data: {
+                level: 'warning',
+                message: `CasparCG ${change.to === 'main' ? 'principal' : 'de secours'} à l'antenne (${change.reason})`
+            }
+        });
+        broadcastCasparRedundancy();
+    });
+
+    client.on('divergence', () => broadcastCasparRedundancy());
+    client.on('resync', () => broadcastCasparRedundancy());
+    client.on('connected', () => { casparConnected = true; });
+    client.on('disconnected', () => { casparConnected = false; });
+
+    return client;
+}
+
+/**
+ * Broadcast the state of the main and backup CasparCG servers
+ */
+function broadcastCasparRedundancy() {
+    if (!(casparClient instanceof RedundantCasparClient)) return;
+
+    broadcast({
+        type: 'CASPAR_REDUNDANCY',
+        data: casparClient.getRedundancyStatus()
+    });
+}
+
+/**
+ * Start the simulated CasparCG used in rehearsal mode (once)
+ * @returns {Promise<number>} - AMCP port
+ */
+async function startRehearsalServer() {
+    if (!rehearsalServer) {
+        rehearsalServer = new FakeCasparServer({
+            port: 0,
+            now: () => clock.now(),
+            channels: Array.from({ length: Math.max(...CHANNELS.map(config => config.channel)) }, (_, index) => {
+                const config = CHANNELS.find(c => c.channel === index + 1);
+                return { frameRate: (config && config.frameRate) || FRAME_RATES.PAL };
+            }),
+            resolveMedia: findMediaDuration,
+            defaultDuration: REHEARSAL_DEFAULT_DURATION
+        });
+        await rehearsalServer.start();
+        logger.warn('[REHEARSAL] Rehearsal mode: playing out on the simulated CasparCG (no video output)');
+    }
+
+    return rehearsalServer.port;
+}
+
+/**
+ * Apply the station time zone and the simulated clock configuration (rehearsal mode
+ * only: a real CasparCG plays clips in real time)
+ */
+function initializeClock() {
+    clock.setTimeZone(STATION_TIMEZONE);
+
+    if (SIMULATION_START_AT === null && SIMULATION_CLOCK_RATE === 1) return;
+
+    if (!REHEARSAL_MODE) {
+        logger.warn('[CLOCK] Simulated clock ignored: only available in rehearsal mode');
+        return;
+    }
+
+    if (SIMULATION_START_AT !== null) {
+        clock.setTime(TimeZone.parseDateTime(SIMULATION_START_AT, clock.getTimeZone()));
+    }
+    if (SIMULATION_CLOCK_RATE !== 1) {
+        clock.setRate(SIMULATION_CLOCK_RATE);
+    }
+
+    logger.warn(`[CLOCK] Simulated clock: ${clock.date().toISOString()} (x${clock.rate})`);
+}
+
+/**
+ * Duration of a clip from the media library or the playlists (rehearsal mode)
+ * @param {string} name - Clip name as sent to CasparCG
+ * @returns {number|null} - Seconds
+ */
+function findMediaDuration(name) {
+    const normalize = (file) => file.replace(/\\/g, '/').replace(/\.[^/.]+$/, '').toLowerCase();
+    const key = normalize(name);
+
+    const media = mediaLibrary.find(m => m.durationSeconds > 0 && normalize(m.file) === key);
+    if (media) return media.durationSeconds;
+
+    for (const playlist of playlists.playlists.values()) {
+        const item = playlist.getPlayableItems().find(i => i.type !== 'live' && i.durationSeconds > 0 && i.file && normalize(i.file) === key);
+        if (item) return item.durationSeconds;
+    }
+
+    return null;
+}
+
+/**
+ * Auto-save playlist after changes (calendar days are saved in data/schedule)
+ * The save is kept as a revision, unless nothing changed since the last one
+ *
+ * @param {PlaylistModel} playlist
+ * @param {Object|null} [revision] - { author, label, name } of the revision, null to save without one
+ */
+async function autoSavePlaylist(playlist, revision = {}) {
     const playlistData = playlist.getRaw();
-    await savePlaylist(playlistData);
+    if (playlistData.broadcastDate) {
+        await saveDayPlaylist(playlistData);
+    } else {
+        await savePlaylist(playlistData);
+    }
+
+    if (!revision) return;
+
+    // Named snapshots are kept even when the content did not change
+    const content = JSON.stringify(playlistData);
+    if (!revision.name && lastRevisionContent.get(playlist.id) === content) return;
+
+    const saved = await savePlaylistRevision(playlistData, {
+        author: revision.author || 'Serveur',
+        label: revision.label || 'Enregistrement',
+        name: revision.name || null
+    }, REVISION_KEEP);
+    if (saved) {
+        lastRevisionContent.set(playlist.id, content);
+    }
+    return saved;
+}
+
+/**
+ * Who made an edit, for the revisions: the operator name given by the client, or its address
+ */
+function getAuthor(ws) {
+    return ws.operator || `Poste ${ws.clientIp || 'inconnu'}`;
+}
+
+/**
+ * Revision info of an operator edit
+ */
+function editedBy(ws, label) {
+    return { author: getAuthor(ws), label };
+}
+
+// Save playlists index (order, on-air playlist)
+async function autoSavePlaylistIndex() {
+    await savePlaylistIndex(playlists.toIndex());
 }
 
 /**
  * Broadcast message to all connected clients (version robuste)
+ * Every message carries a channel field (null for messages not tied to a channel)
  */
 function broadcast(message) {
     if (!message || !message.type) {
@@ -269,7 +713,7 @@ function broadcast(message) {
 
     let messageStr;
     try {
-        messageStr = JSON.stringify(message);
+        messageStr = JSON.stringify({ channel: null, ...message });
     } catch (error) {
         logger.error('[WS] Failed to serialize broadcast message:', error.message);
         return;
@@ -296,20 +740,41 @@ function broadcast(message) {
     });
 
     // Don't log every broadcast to avoid clutter, only important ones
-    if (message.type !== 'PLAYBACK_STATUS' && message.type !== 'AUTOPLAY_STATUS') {
+    if (message.type !== 'PLAYBACK_STATUS' && message.type !== 'AUTOPLAY_STATUS' && message.type !== 'LAYER_STATE') {
         logger.info(`[WS] Broadcast to ${sentCount} client(s): ${message.type}${errorCount > 0 ? ` (${errorCount} errors)` : ''}`);
     }
 }
 
+/**
+ * Broadcast a playlist update (tagged with the channel it is on air on, if any)
+ */
+function broadcastPlaylistUpdated(playlist) {
+    const ch = getChannelOfPlaylist(playlist);
+    broadcast({
+        type: 'PLAYLIST_UPDATED',
+        channel: ch ? ch.id : null,
+        data: {
+            ...playlist.getScheduled(),
+            history: playlistHistory.getStatus(playlist.id)
+        }
+    });
+}
+
 /**
  * Send playlist to a specific client (version robuste)
  */
-function sendPlaylist(ws, type = 'PLAYLIST_FULL') {
+function sendPlaylist(ws, type = 'PLAYLIST_FULL', playlistId = null, ch = getChannel()) {
     try {
+        const playlist = resolvePlaylist({ playlistId }, ch);
+        const onAirChannel = getChannelOfPlaylist(playlist);
         const scheduled = playlist.getScheduled();
         const message = {
             type,
-            data: scheduled
+            channel: onAirChannel ? onAirChannel.id : null,
+            data: {
+                ...scheduled,
+                history: playlistHistory.getStatus(playlist.id)
+            }
         };
 
         if (ws.readyState === WebSocket.OPEN) {
@@ -345,6 +810,7 @@ function sendMediaLibrary(ws) {
             type: 'MEDIA_LIBRARY',
             data: {
                 files: enrichedFiles,
+                templates: casparTemplates,
                 isScanning: isScanning
             }
         };
@@ -370,27 +836,61 @@ function sendMediaLibrary(ws) {
 function handleMessage(ws, data) {
     try {
         const message = JSON.parse(data);
-        logger.info(`[WS] Received: ${message.type}`);
+        logger.info(`[WS] Received: ${message.type}${message.channel ? ` (channel ${message.channel})` : ''}`);
+
+        const ch = getChannel(message.channel);
 
         switch (message.type) {
             case 'ADD_ITEM':
-                handleAddItem(message.data);
+                handleAddItem(ws, message.data, ch);
                 break;
 
             case 'REMOVE_ITEM':
-                handleRemoveItem(message.data);
+                handleRemoveItem(ws, message.data, ch);
                 break;
 
             case 'REORDER_PLAYLIST':
-                handleReorderPlaylist(message.data);
+                handleReorderPlaylist(ws, message.data, ch);
                 break;
 
             case 'SET_BASE_START':
-                handleSetBaseStart(message.data);
+                handleSetBaseStart(ws, message.data, ch);
                 break;
 
             case 'GET_PLAYLIST':
-                sendPlaylist(ws, 'PLAYLIST_FULL');
+                sendPlaylist(ws, 'PLAYLIST_FULL', message.data && message.data.playlistId, ch);
+                break;
+
+            case 'LIST_PLAYLISTS':
+                sendPlaylistList(ws);
+                break;
+
+            case 'CREATE_PLAYLIST':
+                handleCreatePlaylist(ws, message.data, ch);
+                break;
+
+            case 'RENAME_PLAYLIST':
+                handleRenamePlaylist(ws, message.data);
+                break;
+
+            case 'DUPLICATE_PLAYLIST':
+                handleDuplicatePlaylist(ws, message.data);
+                break;
+
+            case 'DELETE_PLAYLIST':
+                handleDeletePlaylist(message.data);
+                break;
+
+            case 'SET_ON_AIR_PLAYLIST':
+                handleSetOnAirPlaylist(message.data, ch);
+                break;
+
+            case 'SCHEDULE_GET_ALL':
+                sendScheduleList(ws, ch);
+                break;
+
+            case 'SCHEDULE_DAY_CREATE':
+                handleScheduleDayCreate(ws, message.data, ch);
                 break;
 
             case 'GET_MEDIA_LIBRARY':
@@ -402,31 +902,39 @@ function handleMessage(ws, data) {
                 break;
 
             case 'CLEAR_PLAYLIST':
-                handleClearPlaylist();
+                handleClearPlaylist(ws, message.data, ch);
                 break;
 
             case 'IMPORT_XML':
-                handleImportXML(message.data);
+                handleImportXML(ws, message.data, ch);
                 break;
 
             case 'PLAY_ITEM':
-                handlePlayItem(message.data);
+                handlePlayItem(message.data, ch);
                 break;
 
             case 'STOP_PLAYBACK':
-                handleStopPlayback(message.data);
+                handleStopPlayback(message.data, ch);
                 break;
 
             case 'CONNECT_CASPAR':
                 handleConnectCaspar();
                 break;
 
+            case 'CASPAR_SET_ON_AIR':
+                handleCasparSetOnAir(ws, message.data);
+                break;
+
+            case 'CASPAR_RESYNC':
+                handleCasparResync(ws);
+                break;
+
             case 'SET_AUTOPLAY_MODE':
-                handleSetAutoplayMode(message.data);
+                handleSetAutoplayMode(message.data, ch);
                 break;
 
             case 'GET_AUTOPLAY_STATUS':
-                handleGetAutoplayStatus(ws);
+                handleGetAutoplayStatus(ws, ch);
                 break;
 
             // Template control messages
@@ -451,13 +959,29 @@ function handleMessage(ws, data) {
                 break;
 
             case 'TEMPLATE_LOAD_AND_PLAY':
-                handleTemplateLoadAndPlay(message.data);
+                handleTemplateLoadAndPlay(message.data, ch);
                 break;
 
             case 'TEMPLATE_GET_ACTIVE':
                 handleTemplateGetActive(ws);
                 break;
 
+            case 'MIXER_SET':
+                handleMixerSet(ws, message.data, ch);
+                break;
+
+            case 'MIXER_COMMIT':
+                handleMixerCommit(ws, ch);
+                break;
+
+            case 'MIXER_CLEAR':
+                handleMixerClear(ws, message.data, ch);
+                break;
+
+            case 'MIXER_GET':
+                handleMixerGet(ws, message.data, ch);
+                break;
+
             case 'PRESET_SAVE':
                 handlePresetSave(message.data);
                 break;
@@ -500,19 +1024,71 @@ function handleMessage(ws, data) {
                 break;
 
             case 'PLAYLIST_SET_HARD_START':
-                handleSetHardStart(message.data);
+                handleSetHardStart(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_SET_TRANSITION':
+                handleSetTransition(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_SET_ITEM_LOOP':
+                handleSetItemLoop(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_SET_LOOP':
+                handleSetPlaylistLoop(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_CREATE_BLOCK':
+                handleCreateBlock(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_UNGROUP_BLOCK':
+                handleUngroupBlock(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_RENAME_BLOCK':
+                handleRenameBlock(ws, message.data, ch);
                 break;
 
             case 'PLAYLIST_CLEAN_ORPHANED_TRIMS':
-                handleCleanOrphanedTrims();
+                handleCleanOrphanedTrims(ws, message.data, ch);
                 break;
 
             case 'SECONDARY_EVENT_ADD':
-                handleSecondaryEventAdd(message.data);
+                handleSecondaryEventAdd(ws, message.data, ch);
                 break;
             
             case 'SECONDARY_EVENT_REMOVE':
-                handleSecondaryEventRemove(message.data);
+                handleSecondaryEventRemove(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_UNDO':
+                handleUndo(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_REDO':
+                handleRedo(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_REVISION_LIST':
+                handleRevisionList(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_REVISION_DIFF':
+                handleRevisionDiff(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_REVISION_RESTORE':
+                handleRevisionRestore(ws, message.data, ch);
+                break;
+
+            case 'PLAYLIST_SNAPSHOT_CREATE':
+                handleSnapshotCreate(ws, message.data, ch);
+                break;
+
+            case 'SET_OPERATOR':
+                handleSetOperator(ws, message.data);
                 break;
 
             case 'HEALTH_CHECK':
@@ -524,11 +1100,15 @@ function handleMessage(ws, data) {
                 break;
 
             case 'ASRUN_GET_LOGS':
-                handleAsRunGetLogs(ws, message.data);
+                handleAsRunGetLogs(ws, message.data, ch);
                 break;
 
             case 'ASRUN_GENERATE_REPORT':
-                handleAsRunGenerateReport(ws, message.data);
+                handleAsRunGenerateReport(ws, message.data, ch);
+                break;
+
+            case 'SET_CLOCK':
+                handleSetClock(message.data);
                 break;
 
             default:
@@ -549,148 +1129,253 @@ function handleMessage(ws, data) {
 
 /**
  * Helper to notify scheduler of playlist updates
+ * Only on-air playlists concern the scheduler of their channel
  */
-function notifyPlaylistUpdate() {
-    if (autoplayScheduler) {
-        autoplayScheduler.onPlaylistUpdated();
-        broadcast({
-            type: 'AUTOPLAY_STATUS',
-            data: autoplayScheduler.getStatus()
-        });
+function notifyPlaylistUpdate(playlist) {
+    const ch = getChannelOfPlaylist(playlist);
+    if (!ch) return;
+
+    if (ch.scheduler) {
+        ch.scheduler.onPlaylistUpdated();
+        broadcastAutoplayStatus(ch);
     }
 }
 
 /**
- * Handle ADD_ITEM message
+ * Broadcast the OSC state of each channel playout layer (progress bar)
  */
-async function handleAddItem(data) {
-    try {
-        const item = playlist.addItem(data);
-        logger.info(`[PLAYLIST] Item added: ${item.name}`);
-
-        // Recalculate hard start timings
-        playlist.recalculateWithHardStart();
+function broadcastLayerStates() {
+    if (wss.clients.size === 0) return;
 
-        await autoSavePlaylist();
+    channels.forEach(ch => {
+        const state = layerState.getLayer(ch.id, ch.layer);
+        if (!state) return;
 
         broadcast({
-            type: 'PLAYLIST_UPDATED',
-            data: playlist.getScheduled()
+            type: 'LAYER_STATE',
+            channel: ch.id,
+            data: {
+                layer: ch.layer,
+                ...state.foreground
+            }
         });
-
-        notifyPlaylistUpdate();
-    } catch (error) {
-        logger.error('[PLAYLIST] Error adding item:', error.message);
-        throw error;
-    }
+    });
 }
 
 /**
- * Handle REMOVE_ITEM message
+ * Broadcast the autoplay status of a channel
  */
-async function handleRemoveItem(data) {
-    try {
-        const removed = playlist.removeItem(data.id);
+function broadcastAutoplayStatus(ch) {
+    broadcast({
+        type: 'AUTOPLAY_STATUS',
+        channel: ch.id,
+        data: ch.scheduler.getStatus()
+    });
+}
+
+/**
+ * Handle ADD_ITEM message
+ * data.blockId adds the item at the end of a block
+ */
+async function handleAddItem(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const { result: item } = applyEdit(playlist, `Ajout de ${data.name}`, data,
+            () => playlist.addItem(data, data.blockId || null));
+        logger.info(`[PLAYLIST] Item added: ${item.name}`);
+
+        await autoSavePlaylist(playlist, editedBy(ws, `Ajout de ${item.name}`));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error adding item:', error.message);
+        reportEditError(ws, error, 'Ajout impossible');
+    }
+}
+
+/**
+ * Handle REMOVE_ITEM message
+ */
+async function handleRemoveItem(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const target = playlist.getItem(data.id);
+        const label = `Suppression de ${target ? target.name : data.id}`;
+        const { result: removed } = applyEdit(playlist, label, data,
+            () => playlist.removeItem(data.id, { force: isForced(data) }));
 
         if (removed) {
             logger.info(`[PLAYLIST] Item removed: ${data.id}`);
 
-            // Recalculate hard start timings
-            playlist.recalculateWithHardStart();
+            await autoSavePlaylist(playlist, editedBy(ws, label));
 
-            await autoSavePlaylist();
+            broadcastPlaylistUpdated(playlist);
 
-            broadcast({
-                type: 'PLAYLIST_UPDATED',
-                data: playlist.getScheduled()
-            });
-
-            notifyPlaylistUpdate();
+            notifyPlaylistUpdate(playlist);
         }
     } catch (error) {
         logger.error('[PLAYLIST] Error removing item:', error.message);
-        throw error;
+        reportEditError(ws, error, 'Suppression impossible');
     }
 }
 
 /**
  * Handle REORDER_PLAYLIST message
+ * Top level indexes move blocks as a unit; with data.blockId the items of the block are reordered
  */
-async function handleReorderPlaylist(data) {
+async function handleReorderPlaylist(ws, data, ch) {
     try {
+        const playlist = resolvePlaylist(data, ch);
         const { fromIndex, toIndex } = data;
-        const success = playlist.reorderItems(fromIndex, toIndex);
+        const { result: success } = applyEdit(playlist, 'Déplacement', data,
+            () => playlist.reorderItems(fromIndex, toIndex, data.blockId || null, { force: isForced(data) }));
 
         if (success) {
             logger.info(`[PLAYLIST] Items reordered: ${fromIndex} -> ${toIndex}`);
 
-            // Recalculate hard start timings
-            playlist.recalculateWithHardStart();
-
-            await autoSavePlaylist();
+            await autoSavePlaylist(playlist, editedBy(ws, 'Déplacement'));
 
-            broadcast({
-                type: 'PLAYLIST_UPDATED',
-                data: playlist.getScheduled()
-            });
+            broadcastPlaylistUpdated(playlist);
 
-            notifyPlaylistUpdate();
+            notifyPlaylistUpdate(playlist);
         }
     } catch (error) {
         logger.error('[PLAYLIST] Error reordering items:', error.message);
-        throw error;
+        reportEditError(ws, error, 'Déplacement impossible');
     }
 }
 
 /**
  * Handle SET_BASE_START message
+ * Not an edit of the undo history: an undo keeps the base start and recalculates the hard starts for it
  */
-async function handleSetBaseStart(data) {
+async function handleSetBaseStart(ws, data, ch) {
     try {
+        const playlist = resolvePlaylist(data, ch);
         playlist.setBaseStartAt(data.isoDate);
         logger.info(`[PLAYLIST] Base start time updated`);
 
         // Recalculate hard start timings
-        playlist.recalculateWithHardStart();
+        recalculateHardStarts(playlist);
 
-        await autoSavePlaylist();
+        await autoSavePlaylist(playlist, editedBy(ws, 'Heure de début'));
 
-        broadcast({
-            type: 'PLAYLIST_UPDATED',
-            data: playlist.getScheduled()
-        });
+        broadcastPlaylistUpdated(playlist);
 
-        notifyPlaylistUpdate();
+        notifyPlaylistUpdate(playlist);
     } catch (error) {
         logger.error('[PLAYLIST] Error setting base start:', error.message);
-        throw error;
+        reportEditError(ws, error, 'Heure de début invalide');
+    }
+}
+
+/**
+ * Recalculate the hard starts of a playlist with the filler pool
+ * @returns {Object} - Result of PlaylistModel.recalculateWithHardStart
+ */
+function recalculateHardStarts(playlist) {
+    return playlist.recalculateWithHardStart({ fillerPool });
+}
+
+/**
+ * Apply an operator edit to a playlist, then recalculate its hard starts
+ * The edit is recorded in the undo history. It is refused (error code ITEM_LOCKED) when it
+ * removes, moves, trims or changes the duration of the on-air or cued items, unless forced.
+ *
+ * @param {PlaylistModel} playlist - Edited playlist
+ * @param {string} label - Label of the edit in the undo history
+ * @param {Object} data - Message data (data.force applies the edit to locked items)
+ * @param {Function} edit - Mutates the playlist
+ * @returns {Object} - { result: what the edit returns, hardStarts: result of recalculateHardStarts }
+ */
+function applyEdit(playlist, label, data, edit) {
+    let hardStarts = null;
+    const result = playlistHistory.record(playlist, label, () => playlist.applyGuarded(() => {
+        const value = edit();
+        hardStarts = recalculateHardStarts(playlist);
+        return value;
+    }, { force: isForced(data) }));
+
+    return { result, hardStarts };
+}
+
+/**
+ * Apply a content change of the undo history or of a revision, with the same locking as applyEdit
+ */
+function applyGuardedChange(playlist, data, change) {
+    playlist.applyGuarded(() => {
+        change();
+        recalculateHardStarts(playlist);
+    }, { force: isForced(data) });
+}
+
+/**
+ * Check if the operator forces an edit of locked items
+ */
+function isForced(data) {
+    return Boolean(data && data.force);
+}
+
+/**
+ * Report a failed playlist edit
+ * Edits refused because of locked items (ITEM_LOCKED) go to the operator who made them,
+ * who may force them; other failures are broadcast
+ */
+function reportEditError(ws, error, message) {
+    const payload = {
+        type: 'ERROR',
+        data: {
+            message: `${message}: ${error.message}`,
+            code: error.code || null
+        }
+    };
+
+    if (error.code !== 'ITEM_LOCKED') {
+        broadcast(payload);
+    } else if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ channel: null, ...payload }));
     }
 }
 
 /**
  * Handle PLAYLIST_SET_HARD_START message
+ * data: { itemId, hardStartTime, hardStartPolicy?, droppable? }
  */
-async function handleSetHardStart(data) {
+async function handleSetHardStart(ws, data, ch) {
     try {
+        const playlist = resolvePlaylist(data, ch);
         const { itemId, hardStartTime } = data;
 
         // Find the item
-        const item = playlist.items.find(i => i.id === itemId);
+        const item = playlist.getItem(itemId);
         if (!item) {
             throw new Error(`Item ${itemId} not found`);
         }
-
-        // Set or clear hard start time
-        if (hardStartTime) {
-            item.hardStartTime = hardStartTime;
-            logger.info(`[PLAYLIST] Hard start time set for item ${itemId}: ${hardStartTime}`);
-        } else {
-            delete item.hardStartTime;
-            logger.info(`[PLAYLIST] Hard start time removed for item ${itemId}`);
+        if (playlist.getParentBlock(itemId)) {
+            throw new Error('Hard starts are set on the block, not on its items');
         }
 
-        // Recalculate schedule with hard start constraints
-        const result = playlist.recalculateWithHardStart();
+        // Set the hard start, then recalculate the schedule with hard start constraints
+        const { hardStarts: result } = applyEdit(playlist, `Heure fixe de ${item.name}`, data, () => {
+            // Set or clear hard start time (HH:MM:SS, HH:MM:SS.mmm or timecode HH:MM:SS:FF / HH:MM:SS;FF)
+            if (hardStartTime) {
+                parseHardStartTime(hardStartTime, playlist.getFrameRate());
+                item.hardStartTime = hardStartTime;
+                logger.info(`[PLAYLIST] Hard start time set for item ${itemId}: ${hardStartTime}`);
+            } else {
+                delete item.hardStartTime;
+                logger.info(`[PLAYLIST] Hard start time removed for item ${itemId}`);
+            }
+
+            if (data.hardStartPolicy !== undefined) {
+                playlist.setItemHardStartPolicy(itemId, data.hardStartPolicy);
+            }
+            if (data.droppable !== undefined) {
+                playlist.setItemDroppable(itemId, data.droppable);
+            }
+        });
 
         // If there are errors, send them to the client but still save
         if (!result.success && result.errors.length > 0) {
@@ -705,17 +1390,158 @@ async function handleSetHardStart(data) {
             });
         }
 
-        await autoSavePlaylist();
+        // Report drops, fillers, joins and trims to the operators
+        if (result.adjustments && result.adjustments.length > 0) {
+            broadcast({
+                type: 'HARD_START_ADJUSTMENTS',
+                data: {
+                    playlistId: playlist.id,
+                    adjustments: result.adjustments
+                }
+            });
+        }
+
+        await autoSavePlaylist(playlist, editedBy(ws, `Heure fixe de ${item.name}`));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error setting hard start:', error.message);
+        reportEditError(ws, error, 'Démarrage strict impossible');
+    }
+}
+
+/**
+ * Handle PLAYLIST_SET_TRANSITION
+ * Set or clear the transition (MIX, WIPE, SLIDE, PUSH) used to take an item to air
+ */
+async function handleSetTransition(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        playlistHistory.record(playlist, 'Transition',
+            () => playlist.setItemTransition(data.itemId, data.transition));
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Transition'));
+
+        broadcastPlaylistUpdated(playlist);
 
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error setting transition:', error.message);
         broadcast({
-            type: 'PLAYLIST_UPDATED',
-            data: playlist.getScheduled()
+            type: 'ERROR',
+            data: { message: `Transition invalide: ${error.message}` }
         });
+    }
+}
 
-        notifyPlaylistUpdate();
+/**
+ * Handle PLAYLIST_SET_ITEM_LOOP
+ * data: { itemId, loop: { count } | { untilHardStart: true } | null }
+ */
+async function handleSetItemLoop(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        // The loop changes the duration of the item
+        applyEdit(playlist, 'Boucle', data,
+            () => playlist.setItemLoop(data.itemId, data.loop, { force: isForced(data) }));
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Boucle'));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
     } catch (error) {
-        logger.error('[PLAYLIST] Error setting hard start:', error.message);
-        throw error;
+        logger.error('[PLAYLIST] Error setting loop:', error.message);
+        reportEditError(ws, error, 'Boucle invalide');
+    }
+}
+
+/**
+ * Handle PLAYLIST_SET_LOOP
+ * data: { loop } - the first item follows the last one (carousel)
+ */
+async function handleSetPlaylistLoop(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        playlistHistory.record(playlist, 'Boucle de la playlist', () => playlist.setLoop(data.loop));
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Boucle de la playlist'));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error setting playlist loop:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Boucle de playlist impossible: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Handle PLAYLIST_CREATE_BLOCK
+ * data: { itemIds, name } - consecutive top level items grouped into a programme block
+ */
+async function handleCreateBlock(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const label = `Création du bloc ${data.name || ''}`.trim();
+        const { result: block } = applyEdit(playlist, label, data,
+            () => playlist.createBlock(data.itemIds, data.name));
+        logger.info(`[PLAYLIST] Block created: ${block.name} (${block.children.length} items)`);
+
+        await autoSavePlaylist(playlist, editedBy(ws, label));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error creating block:', error.message);
+        reportEditError(ws, error, 'Création du bloc impossible');
+    }
+}
+
+/**
+ * Handle PLAYLIST_UNGROUP_BLOCK
+ * data: { blockId } - the items of the block go back to the top level
+ */
+async function handleUngroupBlock(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        applyEdit(playlist, 'Dégroupage du bloc', data, () => playlist.ungroupBlock(data.blockId));
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Dégroupage du bloc'));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error ungrouping block:', error.message);
+        reportEditError(ws, error, 'Dégroupage impossible');
+    }
+}
+
+/**
+ * Handle PLAYLIST_RENAME_BLOCK
+ * data: { blockId, name }
+ */
+async function handleRenameBlock(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        playlistHistory.record(playlist, 'Renommage du bloc', () => playlist.renameBlock(data.blockId, data.name));
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Renommage du bloc'));
+
+        broadcastPlaylistUpdated(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error renaming block:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Renommage du bloc impossible: ${error.message}` }
+        });
     }
 }
 
@@ -723,19 +1549,17 @@ async function handleSetHardStart(data) {
  * Handle PLAYLIST_CLEAN_ORPHANED_TRIMS
  * Clean trim values that exist without hard start constraints
  */
-async function handleCleanOrphanedTrims() {
+async function handleCleanOrphanedTrims(ws, data, ch) {
     try {
+        const playlist = resolvePlaylist(data, ch);
         const cleanedCount = playlist.cleanOrphanedTrims();
 
         if (cleanedCount > 0) {
             logger.info(`[PLAYLIST] Cleaned ${cleanedCount} orphaned trim value(s)`);
 
-            await autoSavePlaylist();
+            await autoSavePlaylist(playlist, editedBy(ws, 'Nettoyage des trims orphelins'));
 
-            broadcast({
-                type: 'PLAYLIST_UPDATED',
-                data: playlist.getScheduled()
-            });
+            broadcastPlaylistUpdated(playlist);
 
             broadcast({
                 type: 'NOTIFICATION',
@@ -745,7 +1569,7 @@ async function handleCleanOrphanedTrims() {
                 }
             });
 
-            notifyPlaylistUpdate();
+            notifyPlaylistUpdate(playlist);
         } else {
             broadcast({
                 type: 'NOTIFICATION',
@@ -756,140 +1580,635 @@ async function handleCleanOrphanedTrims() {
             });
         }
     } catch (error) {
-        logger.error('[PLAYLIST] Error cleaning orphaned trims:', error.message);
+        logger.error('[PLAYLIST] Error cleaning orphaned trims:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Échec du nettoyage: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Check the fields a secondary event needs before it reaches the playlist
+ * (an invalid event would only fail on air)
+ */
+function validateSecondaryEvent(event) {
+    if (!event || !event.type) throw new Error('Secondary event without type');
+
+    const isBox = box => box && ['x', 'y', 'scaleX', 'scaleY'].every(key => typeof box[key] === 'number' && isFinite(box[key]));
+
+    if (event.type === 'PIP_SQUEEZE') {
+        if (!isBox(event.fill)) throw new Error('PIP_SQUEEZE needs a fill box { x, y, scaleX, scaleY }');
+        if (event.contentFill && !isBox(event.contentFill)) throw new Error('Invalid PIP_SQUEEZE contentFill box');
+        if (!event.clip && !event.template) throw new Error('PIP_SQUEEZE needs a clip or a template');
+    }
+
+    if (event.type === 'AUDIO_PLAY' && !event.clip) {
+        throw new Error('AUDIO_PLAY needs an audio clip');
+    }
+
+    ['durationFrames', 'rampFrames'].forEach(field => {
+        if (event[field] !== undefined && !(event[field] >= 0)) {
+            throw new Error(`Invalid ${event.type} ${field}: ${event[field]}`);
+        }
+    });
+
+    ['duckDb', 'levelDb'].forEach(field => {
+        if (event[field] !== undefined && !(typeof event[field] === 'number' && isFinite(event[field]))) {
+            throw new Error(`Invalid ${event.type} ${field}: ${event[field]}`);
+        }
+    });
+}
+
+/**
+ * Handle SECONDARY_EVENT_ADD
+ */
+async function handleSecondaryEventAdd(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const { itemId, event } = data;
+        
+        const item = playlist.getItem(itemId);
+        if (!item) throw new Error(`Item ${itemId} not found`);
+        if (item.type === 'block') throw new Error('Secondary events are set on the items of a block');
+        validateSecondaryEvent(event);
+
+        const label = `Événement secondaire sur ${item.name}`;
+        playlistHistory.record(playlist, label, () => {
+            if (!item.secondaryEvents) item.secondaryEvents = [];
+
+            // Add ID if missing
+            if (!event.id) event.id = `evt-${clock.now()}-${Math.random().toString(36).substr(2, 5)}`;
+
+            item.secondaryEvents.push(event);
+        });
+        logger.info(`[SECONDARY] Added event to ${item.name}: ${event.type} (${event.trigger})`);
+
+        await autoSavePlaylist(playlist, editedBy(ws, label));
+        broadcastPlaylistUpdated(playlist);
+        notifyPlaylistUpdate(playlist);
+
+    } catch (error) {
+        logger.error('[SECONDARY] Add failed:', error.message);
+        broadcast({ type: 'ERROR', data: { message: `Add event failed: ${error.message}` } });
+    }
+}
+
+/**
+ * Handle SECONDARY_EVENT_REMOVE
+ */
+async function handleSecondaryEventRemove(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const { itemId, eventId } = data;
+        
+        const item = playlist.getItem(itemId);
+        if (!item) throw new Error(`Item ${itemId} not found`);
+
+        const label = `Suppression d'un événement secondaire sur ${item.name}`;
+        if (item.secondaryEvents) {
+            playlistHistory.record(playlist, label, () => {
+                item.secondaryEvents = item.secondaryEvents.filter(e => e.id !== eventId);
+            });
+            logger.info(`[SECONDARY] Removed event ${eventId} from ${item.name}`);
+        }
+
+        await autoSavePlaylist(playlist, editedBy(ws, label));
+        broadcastPlaylistUpdated(playlist);
+        notifyPlaylistUpdate(playlist);
+
+    } catch (error) {
+        logger.error('[SECONDARY] Remove failed:', error.message);
+        broadcast({ type: 'ERROR', data: { message: `Remove event failed: ${error.message}` } });
+    }
+}
+
+/**
+ * Handle PLAYLIST_UNDO
+ * Undo the last edit of the playlist, whoever made it
+ */
+async function handleUndo(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const command = playlistHistory.undo(playlist, change => applyGuardedChange(playlist, data, change));
+        if (!command) throw new Error('rien à annuler');
+
+        await autoSavePlaylist(playlist, editedBy(ws, `Annulation : ${command.label}`));
+
+        broadcastPlaylistUpdated(playlist);
+
+        broadcast({
+            type: 'NOTIFICATION',
+            data: { level: 'info', message: `Annulé : ${command.label}` }
+        });
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[HISTORY] Undo failed:', error.message);
+        reportEditError(ws, error, 'Annulation impossible');
+    }
+}
+
+/**
+ * Handle PLAYLIST_REDO
+ * Redo the last undone edit of the playlist (a new edit clears what can be redone)
+ */
+async function handleRedo(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const command = playlistHistory.redo(playlist, change => applyGuardedChange(playlist, data, change));
+        if (!command) throw new Error('rien à rétablir');
+
+        await autoSavePlaylist(playlist, editedBy(ws, `Rétablissement : ${command.label}`));
+
+        broadcastPlaylistUpdated(playlist);
+
+        broadcast({
+            type: 'NOTIFICATION',
+            data: { level: 'info', message: `Rétabli : ${command.label}` }
+        });
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[HISTORY] Redo failed:', error.message);
+        reportEditError(ws, error, 'Rétablissement impossible');
+    }
+}
+
+/**
+ * Send a message to the requesting client only
+ */
+function sendToClient(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type, channel: null, data }));
+    }
+}
+
+/**
+ * Handle PLAYLIST_REVISION_LIST
+ * Send the revisions of a playlist (most recent first) to the requesting client
+ */
+async function handleRevisionList(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const revisions = await listPlaylistRevisions(playlist.id);
+
+        sendToClient(ws, 'PLAYLIST_REVISIONS', { playlistId: playlist.id, revisions });
+    } catch (error) {
+        logger.error('[HISTORY] Revision list failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Lecture des versions impossible: ${error.message}` });
+    }
+}
+
+/**
+ * Handle PLAYLIST_REVISION_DIFF
+ * data: { fromId, toId } - toId omitted compares with the current playlist
+ */
+async function handleRevisionDiff(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const from = await loadPlaylistRevision(playlist.id, data.fromId);
+        const to = data.toId
+            ? (await loadPlaylistRevision(playlist.id, data.toId)).playlist
+            : playlist.getRaw();
+
+        sendToClient(ws, 'PLAYLIST_REVISION_DIFF', {
+            playlistId: playlist.id,
+            fromId: from.id,
+            toId: data.toId || null,
+            diff: diffPlaylists(from.playlist, to)
+        });
+    } catch (error) {
+        logger.error('[HISTORY] Revision diff failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Comparaison des versions impossible: ${error.message}` });
+    }
+}
+
+/**
+ * Handle PLAYLIST_REVISION_RESTORE
+ * data: { revisionId } - the playlist takes back the items of the revision
+ * The current content is already a revision, and the restore can be undone
+ */
+async function handleRevisionRestore(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const revision = await loadPlaylistRevision(playlist.id, data.revisionId);
+
+        const createdAt = new Date(revision.createdAt);
+        const zone = clock.getTimeZone();
+        const label = `Restauration de la version ${revision.name ? `"${revision.name}"` : 'du'} ${TimeZone.dateKey(createdAt, zone)} ${TimeZone.formatTime(createdAt, zone)}`;
+        playlistHistory.record(playlist, label,
+            () => applyGuardedChange(playlist, data, () => playlist.setContent(revision.playlist)));
+        logger.info(`[HISTORY] Playlist ${playlist.id} restored from revision ${revision.id}`);
+
+        await autoSavePlaylist(playlist, editedBy(ws, label));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[HISTORY] Revision restore failed:', error.message);
+        reportEditError(ws, error, 'Restauration impossible');
+    }
+}
+
+/**
+ * Handle PLAYLIST_SNAPSHOT_CREATE
+ * data: { name } - keep the current playlist as a named revision
+ */
+async function handleSnapshotCreate(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        const name = String((data && data.name) || '').trim();
+        if (!name) throw new Error('nom manquant');
+
+        const revision = await autoSavePlaylist(playlist, { ...editedBy(ws, 'Instantané'), name });
+        if (!revision) throw new Error('enregistrement échoué');
+        logger.info(`[HISTORY] Playlist ${playlist.id}: snapshot "${name}" (${revision.id})`);
+
+        broadcast({
+            type: 'NOTIFICATION',
+            data: { level: 'success', message: `Instantané "${name}" enregistré` }
+        });
+
+        handleRevisionList(ws, data, ch);
+    } catch (error) {
+        logger.error('[HISTORY] Snapshot failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Instantané impossible: ${error.message}` });
+    }
+}
+
+/**
+ * Handle SET_OPERATOR
+ * data: { name } - name of the operator of a client, written as the author of its edits
+ */
+function handleSetOperator(ws, data) {
+    const name = String((data && data.name) || '').trim().slice(0, 60);
+    ws.operator = name || null;
+    logger.info(`[WS] Client ${ws.clientIp} operator: ${ws.operator || '(anonyme)'}`);
+}
+
+/**
+ * Handle SCAN_MEDIA message (full scan with FFprobe, or CLS/TLS with the thumbnails of CasparCG)
+ */
+async function handleScanMedia(ws) {
+    if (isScanning) {
+        ws.send(JSON.stringify({
+            type: 'ERROR',
+            data: { message: 'Scan already in progress' }
+        }));
+        return;
+    }
+
+    isScanning = true;
+    logger.info(`[MEDIA] Starting full media scan ${MEDIA_SOURCE === 'caspar' ? 'from CasparCG' : 'with FFprobe'}...`);
+
+    broadcast({
+        type: 'SCAN_STARTED',
+        data: {}
+    });
+
+    try {
+        if (MEDIA_SOURCE === 'caspar') {
+            if (!casparConnected) {
+                logger.info('[CASPAR] Not connected, attempting to connect...');
+                await initializeCaspar();
+            }
+            mediaLibrary = await scanCasparMedia(casparClient, { thumbnails: true });
+            casparTemplates = await scanCasparTemplates(casparClient);
+        } else {
+            mediaLibrary = await scanMediaDirectory();
+        }
+        logger.info(`[MEDIA] Full scan complete: ${mediaLibrary.length} files`);
+
+        if (mediaFolders) {
+            mediaFolders.syncWithPhysicalStructure(mediaLibrary);
+            await saveFolders(mediaFolders);
+        }
+
+        broadcast({
+            type: 'MEDIA_LIBRARY',
+            data: {
+                files: mediaLibrary,
+                templates: casparTemplates,
+                isScanning: false
+            }
+        });
+        
+        if (mediaFolders) {
+            broadcast({
+                type: 'FOLDER_LIST',
+                data: { folders: mediaFolders.getAllFolders() }
+            });
+        }
+    } catch (error) {
+        logger.error('[MEDIA] Error during scan:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: 'Media scan failed: ' + error.message }
+        });
+    } finally {
+        isScanning = false;
+    }
+}
+
+/**
+ * Handle CLEAR_PLAYLIST message
+ */
+async function handleClearPlaylist(ws, data, ch) {
+    try {
+        const playlist = resolvePlaylist(data, ch);
+        applyEdit(playlist, 'Vidage de la playlist', data, () => playlist.setItems([]));
+        logger.info('[PLAYLIST] Playlist cleared');
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Vidage de la playlist'));
+
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error clearing playlist:', error.message);
+        reportEditError(ws, error, 'Vidage impossible');
+    }
+}
+
+/**
+ * Send the configured playout channels to a specific client
+ */
+function sendChannelList(ws) {
+    try {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+                type: 'CHANNEL_LIST',
+                channel: null,
+                data: {
+                    defaultChannel: DEFAULT_CHANNEL,
+                    rehearsal: REHEARSAL_MODE,
+                    channels: Array.from(channels.values()).map(ch => ({
+                        channel: ch.id,
+                        name: ch.name,
+                        layer: ch.layer,
+                        frameRate: ch.frameRate,
+                        onAirId: playlists.onAir.get(ch.id) || null,
+                        mode: ch.scheduler ? ch.scheduler.getMode() : 'MANUAL'
+                    }))
+                }
+            }));
+        }
+    } catch (error) {
+        logger.error('[WS] Error in sendChannelList:', error.message);
+    }
+}
+
+/**
+ * Send the list of named playlists to a specific client
+ */
+function sendPlaylistList(ws) {
+    try {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+                type: 'PLAYLIST_LIST',
+                data: {
+                    playlists: playlists.list(),
+                    onAir: Object.fromEntries(playlists.onAir)
+                }
+            }));
+        }
+    } catch (error) {
+        logger.error('[WS] Error in sendPlaylistList:', error.message);
+    }
+}
+
+/**
+ * Broadcast the list of named playlists to all clients
+ */
+function broadcastPlaylistList() {
+    broadcast({
+        type: 'PLAYLIST_LIST',
+        data: {
+            playlists: playlists.list(),
+            onAir: Object.fromEntries(playlists.onAir)
+        }
+    });
+}
+
+/**
+ * Handle CREATE_PLAYLIST message
+ */
+async function handleCreatePlaylist(ws, data, ch) {
+    try {
+        const playlist = playlists.create(data.name);
+        // Timed at the frame rate of the channel it is prepared for
+        playlist.setFrameRate(ch.frameRate);
+        logger.info(`[PLAYLIST] Playlist created: "${playlist.name}" (${playlist.id})`);
+
+        await autoSavePlaylist(playlist, editedBy(ws, 'Création de la playlist'));
+        await autoSavePlaylistIndex();
+
+        broadcastPlaylistList();
+
+        // Open the new playlist on the requesting client
+        sendPlaylist(ws, 'PLAYLIST_FULL', playlist.id);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error creating playlist:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Création de playlist échouée: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Handle RENAME_PLAYLIST message
+ */
+async function handleRenamePlaylist(ws, data) {
+    try {
+        const playlist = playlists.rename(data.playlistId, data.name);
+        logger.info(`[PLAYLIST] Playlist renamed: ${playlist.id} → "${playlist.name}"`);
+
+        await autoSavePlaylist(playlist, editedBy(ws, `Renommage en ${playlist.name}`));
+
+        broadcastPlaylistList();
+        broadcastPlaylistUpdated(playlist);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error renaming playlist:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Renommage de playlist échoué: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Handle DUPLICATE_PLAYLIST message
+ */
+async function handleDuplicatePlaylist(ws, data) {
+    try {
+        const copy = playlists.duplicate(data.playlistId, data.name);
+        logger.info(`[PLAYLIST] Playlist duplicated: ${data.playlistId} → ${copy.id}`);
+
+        await autoSavePlaylist(copy, editedBy(ws, 'Duplication de la playlist'));
+        await autoSavePlaylistIndex();
+
+        broadcastPlaylistList();
+        sendPlaylist(ws, 'PLAYLIST_FULL', copy.id);
+    } catch (error) {
+        logger.error('[PLAYLIST] Error duplicating playlist:', error.message);
         broadcast({
             type: 'ERROR',
-            data: { message: `Échec du nettoyage: ${error.message}` }
+            data: { message: `Duplication de playlist échouée: ${error.message}` }
         });
     }
 }
 
 /**
- * Handle SECONDARY_EVENT_ADD
+ * Handle DELETE_PLAYLIST message
  */
-async function handleSecondaryEventAdd(data) {
+async function handleDeletePlaylist(data) {
     try {
-        const { itemId, event } = data;
-        
-        const item = playlist.items.find(i => i.id === itemId);
-        if (!item) throw new Error(`Item ${itemId} not found`);
+        const { broadcastDate, channel } = playlists.getOrThrow(data.playlistId);
 
-        if (!item.secondaryEvents) item.secondaryEvents = [];
-        
-        // Add ID if missing
-        if (!event.id) event.id = `evt-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-        
-        item.secondaryEvents.push(event);
-        logger.info(`[SECONDARY] Added event to ${item.name}: ${event.type} (${event.trigger})`);
+        playlists.delete(data.playlistId);
+        playlistHistory.clear(data.playlistId);
+        logger.info(`[PLAYLIST] Playlist deleted: ${data.playlistId}`);
 
-        await autoSavePlaylist();
-        broadcast({ type: 'PLAYLIST_UPDATED', data: playlist.getScheduled() });
-        notifyPlaylistUpdate();
+        if (broadcastDate) {
+            await deleteDayPlaylist(broadcastDate, channel);
+            broadcastScheduleList(getChannel(channel));
+        } else {
+            await deletePlaylist(data.playlistId);
+        }
+        await autoSavePlaylistIndex();
 
+        broadcastPlaylistList();
     } catch (error) {
-        logger.error('[SECONDARY] Add failed:', error.message);
-        broadcast({ type: 'ERROR', data: { message: `Add event failed: ${error.message}` } });
+        logger.error('[PLAYLIST] Error deleting playlist:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Suppression de playlist échouée: ${error.message}` }
+        });
     }
 }
 
 /**
- * Handle SECONDARY_EVENT_REMOVE
+ * Handle SET_ON_AIR_PLAYLIST message
  */
-async function handleSecondaryEventRemove(data) {
+async function handleSetOnAirPlaylist(data, ch) {
     try {
-        const { itemId, eventId } = data;
-        
-        const item = playlist.items.find(i => i.id === itemId);
-        if (!item) throw new Error(`Item ${itemId} not found`);
+        const playlist = playlists.setOnAir(data.playlistId, ch.id);
+        logger.info(`[PLAYLIST] Channel ${ch.id} on-air playlist: "${playlist.name}" (${playlist.id})`);
 
-        if (item.secondaryEvents) {
-            item.secondaryEvents = item.secondaryEvents.filter(e => e.id !== eventId);
-            logger.info(`[SECONDARY] Removed event ${eventId} from ${item.name}`);
+        await autoSavePlaylistIndex();
+        await applyChannelFrameRate(ch);
+
+        if (ch.scheduler) {
+            ch.scheduler.setPlaylist(playlist);
         }
 
-        await autoSavePlaylist();
-        broadcast({ type: 'PLAYLIST_UPDATED', data: playlist.getScheduled() });
-        notifyPlaylistUpdate();
+        broadcastPlaylistList();
+        broadcastPlaylistUpdated(playlist);
 
+        notifyPlaylistUpdate(playlist);
     } catch (error) {
-        logger.error('[SECONDARY] Remove failed:', error.message);
-        broadcast({ type: 'ERROR', data: { message: `Remove event failed: ${error.message}` } });
+        logger.error('[PLAYLIST] Error switching on-air playlist:', error.message);
+        broadcast({
+            type: 'ERROR',
+            data: { message: `Changement de playlist à l'antenne échoué: ${error.message}` }
+        });
     }
 }
 
 /**
- * Handle SCAN_MEDIA message (full scan with FFprobe)
+ * Build the SCHEDULE_LIST payload of a channel
  */
-async function handleScanMedia(ws) {
-    if (isScanning) {
-        ws.send(JSON.stringify({
-            type: 'ERROR',
-            data: { message: 'Scan already in progress' }
-        }));
-        return;
-    }
+function getScheduleList(ch) {
+    return {
+        dayBoundary: ch.calendar.dayBoundary,
+        currentBroadcastDate: ch.calendar.getBroadcastDate(),
+        days: ch.calendar.list()
+    };
+}
 
-    isScanning = true;
-    logger.info('[MEDIA] Starting full media scan with FFprobe...');
+/**
+ * Send the broadcast calendar of a channel to a specific client
+ */
+function sendScheduleList(ws, ch) {
+    try {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+                type: 'SCHEDULE_LIST',
+                channel: ch.id,
+                data: getScheduleList(ch)
+            }));
+        }
+    } catch (error) {
+        logger.error('[WS] Error in sendScheduleList:', error.message);
+    }
+}
 
+/**
+ * Broadcast the broadcast calendar of a channel to all clients
+ */
+function broadcastScheduleList(ch) {
     broadcast({
-        type: 'SCAN_STARTED',
-        data: {}
+        type: 'SCHEDULE_LIST',
+        channel: ch.id,
+        data: getScheduleList(ch)
     });
+}
 
+/**
+ * Handle SCHEDULE_DAY_CREATE message
+ * Schedules a playlist for a broadcast day of the channel, empty or copied from sourcePlaylistId
+ */
+async function handleScheduleDayCreate(ws, data, ch) {
     try {
-        mediaLibrary = await scanMediaDirectory();
-        logger.info(`[MEDIA] Full scan complete: ${mediaLibrary.length} files`);
+        const source = data.sourcePlaylistId ? playlists.getOrThrow(data.sourcePlaylistId) : null;
+        const playlist = ch.calendar.createDay(data.date, source);
+        playlist.setFrameRate(ch.frameRate);
+        logger.info(`[CALENDAR] Channel ${ch.id}: day ${data.date} scheduled (${playlist.items.length} items)`);
 
-        if (mediaFolders) {
-            mediaFolders.syncWithPhysicalStructure(mediaLibrary);
-            await saveFolders(mediaFolders);
-        }
+        await autoSavePlaylist(playlist, editedBy(ws, `Programmation du ${data.date}`));
+        await autoSavePlaylistIndex();
 
-        broadcast({
-            type: 'MEDIA_LIBRARY',
-            data: {
-                files: mediaLibrary,
-                isScanning: false
-            }
-        });
-        
-        if (mediaFolders) {
-            broadcast({
-                type: 'FOLDER_LIST',
-                data: { folders: mediaFolders.getAllFolders() }
-            });
-        }
+        broadcastScheduleList(ch);
+        broadcastPlaylistList();
+
+        // Open the day playlist on the requesting client
+        sendPlaylist(ws, 'PLAYLIST_FULL', playlist.id);
     } catch (error) {
-        logger.error('[MEDIA] Error during scan:', error.message);
+        logger.error('[CALENDAR] Error scheduling day:', error.message);
         broadcast({
             type: 'ERROR',
-            data: { message: 'Media scan failed: ' + error.message }
+            data: { message: `Programmation de la journée échouée: ${error.message}` }
         });
-    } finally {
-        isScanning = false;
     }
 }
 
 /**
- * Handle CLEAR_PLAYLIST message
+ * Scheduler callback: a new broadcast day has gone on air on a channel
  */
-async function handleClearPlaylist() {
+async function handleBroadcastDayChange(ch, playlist, date) {
     try {
-        playlist.setItems([]);
-        logger.info('[PLAYLIST] Playlist cleared');
+        playlists.setOnAir(playlist.id, ch.id);
+        logger.info(`[CALENDAR] Channel ${ch.id}: broadcast day ${date} on air: "${playlist.name}"`);
 
-        await autoSavePlaylist();
+        await autoSavePlaylistIndex();
+        await applyChannelFrameRate(ch);
 
-        broadcast({
-            type: 'PLAYLIST_UPDATED',
-            data: playlist.getScheduled()
-        });
+        if (ch.asRunLogger) {
+            await ch.asRunLogger.logSystemEvent('BROADCAST_DAY_CHANGE', {
+                date,
+                playlistId: playlist.id,
+                carryOver: ch.scheduler && ch.scheduler.carryOverItem ? ch.scheduler.carryOverItem.name : null
+            });
+        }
 
-        notifyPlaylistUpdate();
+        broadcastPlaylistList();
+        broadcastScheduleList(ch);
+        broadcastPlaylistUpdated(playlist);
     } catch (error) {
-        logger.error('[PLAYLIST] Error clearing playlist:', error.message);
-        throw error;
+        logger.error('[CALENDAR] Error switching broadcast day:', error.message);
     }
 }
 
@@ -908,41 +2227,76 @@ async function handleConnectCaspar() {
     }
 }
 
+/**
+ * Handle CASPAR_SET_ON_AIR message
+ * data: { server: 'main' | 'backup' } - the operator chooses the CasparCG server on air
+ */
+function handleCasparSetOnAir(ws, data) {
+    try {
+        if (!(casparClient instanceof RedundantCasparClient)) {
+            throw new Error('pas de CasparCG de secours configuré');
+        }
+
+        if (casparClient.setOnAir(data.server, `choix de ${getAuthor(ws)}`)) {
+            logger.info(`[CASPAR] ${data.server} put on air by ${getAuthor(ws)}`);
+        }
+        broadcastCasparRedundancy();
+    } catch (error) {
+        logger.error('[CASPAR] On-air switch failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Bascule impossible: ${error.message}` });
+    }
+}
+
+/**
+ * Handle CASPAR_RESYNC message
+ * Bring the standby CasparCG server to the state of the server on air
+ */
+async function handleCasparResync(ws) {
+    try {
+        if (!(casparClient instanceof RedundantCasparClient)) {
+            throw new Error('pas de CasparCG de secours configuré');
+        }
+
+        const count = await casparClient.resyncServer();
+        broadcast({
+            type: 'NOTIFICATION',
+            data: { level: 'info', message: `CasparCG de réserve resynchronisé (${count} commande(s))` }
+        });
+        broadcastCasparRedundancy();
+    } catch (error) {
+        logger.error('[CASPAR] Resync failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Resynchronisation impossible: ${error.message}` });
+    }
+}
+
 /**
  * Handle IMPORT_XML message
  */
-async function handleImportXML(data) {
+async function handleImportXML(ws, data, ch) {
     try {
+        const playlist = resolvePlaylist(data, ch);
         logger.info(`[XML] Importing playlist from: ${data.xmlPath}`);
 
         const result = await parseXMLPlaylist(data.xmlPath);
-        playlist.setItems(result.items);
-        
-        // Recalculate hard start timings
-        playlist.recalculateWithHardStart();
 
-        await autoSavePlaylist();
+        applyEdit(playlist, 'Import XML', data, () => playlist.setItems(result.items));
 
-        broadcast({
-            type: 'PLAYLIST_UPDATED',
-            data: playlist.getScheduled()
-        });
+        await autoSavePlaylist(playlist, editedBy(ws, 'Import XML'));
 
-        notifyPlaylistUpdate();
+        broadcastPlaylistUpdated(playlist);
+
+        notifyPlaylistUpdate(playlist);
     } catch (error) {
         logger.error('[XML] Import failed:', error.message);
-        broadcast({
-            type: 'ERROR',
-            data: { message: `XML import failed: ${error.message}` }
-        });
+        reportEditError(ws, error, 'XML import failed');
     }
 }
 
 /**
  * Handle PLAY_ITEM message
  */
-async function handlePlayItem(data) {
-    const startTime = new Date();
+async function handlePlayItem(data, ch) {
+    const startTime = clock.date();
 
     try {
         if (!casparConnected) {
@@ -955,23 +2309,31 @@ async function handlePlayItem(data) {
         }
 
         // Find the item to check its type
-        const item = playlist.items.find(i => i.id === data.id);
-
-        if (item && item.type === 'live') {
-            logger.info(`[CASPAR] Playing Live Input: DECKLINK ${item.file}`);
-            await casparClient.sendCommand(`PLAY ${CASPAR_CHANNEL}-${CASPAR_LAYER} DECKLINK ${item.file}`);
+        const playlist = resolvePlaylist(data, ch);
+        const item = playlist.getItem(data.id);
+
+        // Same PLAY as the scheduler: trims, loop pass, live input
+        const source = item ? ch.scheduler.getItemSource(item, playlist.frameRate || ch.frameRate) : null;
+
+        if (source && source.raw) {
+            logger.info(`[CASPAR] Playing Live Input on ${ch.id}-${ch.layer}: ${source.file}`);
+            await casparClient.sendCommand(`PLAY ${ch.id}-${ch.layer} ${source.file}${casparClient.transitionParams(source.transition)}`);
+        } else if (source) {
+            logger.info(`[CASPAR] Playing Clip on ${ch.id}-${ch.layer}: ${item.file}`);
+            await casparClient.play(ch.id, ch.layer, source.file, source.seek, source.length, source.transition, { loop: source.loop });
+            logger.info(`[CASPAR] Now playing: ${source.file}`);
         } else {
-            logger.info(`[CASPAR] Playing Clip: ${data.file}`);
+            logger.info(`[CASPAR] Playing Clip on ${ch.id}-${ch.layer}: ${data.file}`);
             // Remove file extension for CasparCG
             const fileName = data.file.replace(/\.[^/.]+$/, '');
-            await casparClient.play(CASPAR_CHANNEL, CASPAR_LAYER, fileName);
+            await casparClient.play(ch.id, ch.layer, fileName);
             logger.info(`[CASPAR] Now playing: ${fileName}`);
         }
 
         // Log As-Run start
-        if (asRunLogger && item) {
+        if (ch.asRunLogger && item) {
             const scheduledTime = item.start || startTime;
-            await asRunLogger.logPlayStart(
+            await ch.asRunLogger.logPlayStart(
                 data.id,
                 data.file,
                 scheduledTime,
@@ -979,24 +2341,31 @@ async function handlePlayItem(data) {
             );
         }
 
+        if (fillerPool) {
+            fillerPool.recordAiring(data.file);
+        }
+
         // Reset retry count for this item if playback succeeds
         if (errorHandler) {
             errorHandler.resetRetries(data.id);
         }
 
-        // Sync autoplay scheduler state
-        if (autoplayScheduler) {
-            autoplayScheduler.syncState(data.id);
+        // The PLAY replaced the item cued in the background
+        if (ch.scheduler) {
+            ch.scheduler.clearCue();
+        }
+
+        // Sync autoplay scheduler state (only the channel's on-air playlist is tracked)
+        if (ch.scheduler && playlists.getOnAirChannel(playlist.id) === ch.id) {
+            ch.scheduler.syncState(data.id);
 
             // Broadcast updated autoplay status (for next item display)
-            broadcast({
-                type: 'AUTOPLAY_STATUS',
-                data: autoplayScheduler.getStatus()
-            });
+            broadcastAutoplayStatus(ch);
         }
 
         broadcast({
             type: 'PLAYBACK_STATUS',
+            channel: ch.id,
             data: {
                 itemId: data.id,
                 status: 'playing',
@@ -1008,16 +2377,16 @@ async function handlePlayItem(data) {
         logger.error('[CASPAR] Play failed:', error.message);
 
         // Log As-Run error
-        if (asRunLogger) {
-            await asRunLogger.logPlayError(data.id, data.file, error);
+        if (ch.asRunLogger) {
+            await ch.asRunLogger.logPlayError(data.id, data.file, error);
         }
 
         // Use ErrorHandler for retry/fallback
         if (errorHandler) {
             // Find item in playlist to pass full item object
-            const item = playlist.getItem(data.id);
+            const item = resolvePlaylist(data, ch).getItem(data.id);
             if (item) {
-                await errorHandler.handlePlayError(error, item, CASPAR_CHANNEL, CASPAR_LAYER);
+                await errorHandler.handlePlayError(error, item, ch.id, ch.layer);
             }
         } else {
             broadcast({
@@ -1031,7 +2400,7 @@ async function handlePlayItem(data) {
 /**
  * Handle STOP_PLAYBACK message
  */
-async function handleStopPlayback(data) {
+async function handleStopPlayback(data, ch) {
     logger.info('[STOP] handleStopPlayback called with data:', data);
 
     try {
@@ -1040,30 +2409,28 @@ async function handleStopPlayback(data) {
             throw new Error('CasparCG not connected');
         }
 
-        logger.info(`[CASPAR] Stopping playback on ${CASPAR_CHANNEL}-${CASPAR_LAYER}`);
+        logger.info(`[CASPAR] Stopping playback on ${ch.id}-${ch.layer}`);
 
-        await casparClient.stop(CASPAR_CHANNEL, CASPAR_LAYER);
+        await casparClient.stop(ch.id, ch.layer);
 
         logger.info('[CASPAR] Playback stopped');
 
         // Log As-Run stop
-        if (asRunLogger && data.itemId) {
-            await asRunLogger.logPlayStop(data.itemId, data.file || 'unknown', data.reason || 'manual');
+        if (ch.asRunLogger && data.itemId) {
+            await ch.asRunLogger.logPlayStop(data.itemId, data.file || 'unknown', data.reason || 'manual');
         }
 
         // Sync autoplay scheduler state
-        if (autoplayScheduler) {
+        if (ch.scheduler) {
             // This will reset current item and stop polling
-            autoplayScheduler.stopPlayback();
+            ch.scheduler.stopPlayback();
 
-            broadcast({
-                type: 'AUTOPLAY_STATUS',
-                data: autoplayScheduler.getStatus()
-            });
+            broadcastAutoplayStatus(ch);
         }
 
         broadcast({
             type: 'PLAYBACK_STATUS',
+            channel: ch.id,
             data: {
                 itemId: null,
                 status: 'stopped'
@@ -1081,19 +2448,16 @@ async function handleStopPlayback(data) {
 /**
  * Handle SET_AUTOPLAY_MODE message
  */
-function handleSetAutoplayMode(data) {
+function handleSetAutoplayMode(data, ch) {
     try {
-        if (!autoplayScheduler) {
+        if (!ch.scheduler) {
             throw new Error('Autoplay scheduler not initialized');
         }
 
-        autoplayScheduler.setMode(data.mode);
-        logger.info(`[AUTOPLAY] Mode changed to: ${data.mode}`);
+        ch.scheduler.setMode(data.mode);
+        logger.info(`[AUTOPLAY] Channel ${ch.id} mode changed to: ${data.mode}`);
 
-        broadcast({
-            type: 'AUTOPLAY_STATUS',
-            data: autoplayScheduler.getStatus()
-        });
+        broadcastAutoplayStatus(ch);
     } catch (error) {
         logger.error('[AUTOPLAY] Set mode failed:', error.message);
         broadcast({
@@ -1106,15 +2470,16 @@ function handleSetAutoplayMode(data) {
 /**
  * Handle GET_AUTOPLAY_STATUS message
  */
-function handleGetAutoplayStatus(ws) {
+function handleGetAutoplayStatus(ws, ch) {
     try {
-        if (!autoplayScheduler) {
+        if (!ch.scheduler) {
             throw new Error('Autoplay scheduler not initialized');
         }
 
         ws.send(JSON.stringify({
             type: 'AUTOPLAY_STATUS',
-            data: autoplayScheduler.getStatus()
+            channel: ch.id,
+            data: ch.scheduler.getStatus()
         }));
 
         logger.info('[AUTOPLAY] Sent status to client');
@@ -1241,7 +2606,7 @@ async function handleTemplateRemove(data) {
     }
 }
 
-async function handleTemplateLoadAndPlay(data) {
+async function handleTemplateLoadAndPlay(data, ch) {
     try {
         if (!casparConnected) {
             logger.info('[CASPAR] Not connected, attempting to connect...');
@@ -1257,8 +2622,8 @@ async function handleTemplateLoadAndPlay(data) {
         logger.info(`[TEMPLATE] Loaded and played ${templateName} on ${channel}-${layer}`);
 
         // Log As-Run template display
-        if (asRunLogger) {
-            await asRunLogger.logTemplateShow(templateName, channel, layer, templateData);
+        if (ch.asRunLogger) {
+            await ch.asRunLogger.logTemplateShow(templateName, channel, layer, templateData);
         }
     } catch (error) {
         logger.error('[TEMPLATE] Load and play failed:', error.message);
@@ -1287,6 +2652,136 @@ function handleTemplateGetActive(ws) {
     }
 }
 
+/**
+ * Mixer handlers
+ * The layer defaults to the playout layer of the channel
+ */
+
+// Layer properties answered by MIXER_GET (MASTERVOLUME is read on the channel)
+const MIXER_PROPERTIES = ['FILL', 'CLIP', 'OPACITY', 'VOLUME', 'KEYER', 'BLEND', 'CHROMA', 'BRIGHTNESS', 'CONTRAST', 'SATURATION', 'PERSPECTIVE'];
+
+/**
+ * Layer of a MIXER message: a positive integer, `fallback` when none is given
+ */
+function mixerLayer(data, fallback) {
+    if (data.layer === undefined || data.layer === null || data.layer === '') return fallback;
+
+    const layer = Number(data.layer);
+    if (!Number.isInteger(layer) || layer < 1) {
+        throw new Error(`couche invalide: ${data.layer}`);
+    }
+    return layer;
+}
+
+/**
+ * Send one MIXER property with the typed CasparClient method
+ */
+function setMixerProperty(channel, layer, data) {
+    const options = { duration: Number(data.duration) || 0, tween: data.tween, defer: Boolean(data.defer) };
+
+    switch (String(data.property || '').toUpperCase()) {
+        case 'FILL':
+            return casparClient.mixerFill(channel, layer, data.x, data.y, data.scaleX, data.scaleY, options);
+        case 'CLIP':
+            return casparClient.mixerClip(channel, layer, data.x, data.y, data.width, data.height, options);
+        case 'OPACITY':
+            return casparClient.mixerOpacity(channel, layer, data.value, options);
+        case 'VOLUME':
+            return casparClient.mixerVolume(channel, layer, data.value, options);
+        case 'MASTERVOLUME':
+            return casparClient.mixerMasterVolume(channel, data.value, options);
+        case 'KEYER':
+            return casparClient.mixerKeyer(channel, layer, Boolean(data.enabled), options);
+        case 'BLEND':
+            return casparClient.mixerBlend(channel, layer, data.mode, options);
+        case 'CHROMA':
+            return casparClient.mixerChroma(channel, layer, data.chroma || null, options);
+        case 'BRIGHTNESS':
+            return casparClient.mixerBrightness(channel, layer, data.value, options);
+        case 'CONTRAST':
+            return casparClient.mixerContrast(channel, layer, data.value, options);
+        case 'SATURATION':
+            return casparClient.mixerSaturation(channel, layer, data.value, options);
+        case 'PERSPECTIVE':
+            return casparClient.mixerPerspective(channel, layer, data.corners, options);
+        default:
+            throw new Error(`propriété inconnue: ${data.property}`);
+    }
+}
+
+/**
+ * Handle MIXER_SET message
+ * data: { layer?, property, value | x/y/scaleX/scaleY | x/y/width/height | enabled | mode | chroma | corners,
+ *         duration? (frames), tween?, defer? }
+ */
+async function handleMixerSet(ws, data, ch) {
+    try {
+        const layer = mixerLayer(data, ch.layer);
+
+        if (!casparConnected) {
+            logger.info('[CASPAR] Not connected, attempting to connect...');
+            await initializeCaspar();
+        }
+
+        await setMixerProperty(ch.id, layer, data);
+        logger.info(`[MIXER] ${data.property} on ${ch.id}-${layer}${data.defer ? ' (deferred)' : ''}`);
+    } catch (error) {
+        logger.error('[MIXER] Set failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Mixer: ${error.message}` });
+    }
+}
+
+/**
+ * Handle MIXER_COMMIT message
+ * Apply the deferred MIXER commands of the channel at once
+ */
+async function handleMixerCommit(ws, ch) {
+    try {
+        await casparClient.mixerCommit(ch.id);
+        logger.info(`[MIXER] Committed channel ${ch.id}`);
+    } catch (error) {
+        logger.error('[MIXER] Commit failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Mixer: ${error.message}` });
+    }
+}
+
+/**
+ * Handle MIXER_CLEAR message
+ * data: { layer? } - without layer, the whole channel is reset
+ */
+async function handleMixerClear(ws, data, ch) {
+    try {
+        const layer = mixerLayer(data || {}, null);
+        await casparClient.mixerClear(ch.id, layer);
+        logger.info(`[MIXER] Cleared ${layer !== null ? `${ch.id}-${layer}` : `channel ${ch.id}`}`);
+        await handleMixerGet(ws, { layer }, ch);
+    } catch (error) {
+        logger.error('[MIXER] Clear failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Mixer: ${error.message}` });
+    }
+}
+
+/**
+ * Handle MIXER_GET message
+ * data: { layer? } - answers MIXER_STATE with the current values of the layer
+ */
+async function handleMixerGet(ws, data, ch) {
+    try {
+        const layer = mixerLayer(data || {}, ch.layer);
+        const values = {};
+
+        for (const property of MIXER_PROPERTIES) {
+            values[property] = await casparClient.getMixer(ch.id, layer, property);
+        }
+        values.MASTERVOLUME = await casparClient.getMixer(ch.id, null, 'MASTERVOLUME');
+
+        sendToClient(ws, 'MIXER_STATE', { channel: ch.id, layer, values });
+    } catch (error) {
+        logger.error('[MIXER] Get failed:', error.message);
+        sendToClient(ws, 'ERROR', { message: `Mixer: ${error.message}` });
+    }
+}
+
 /**
  * Preset handlers
  */
@@ -1547,6 +3042,46 @@ function handleFolderGetAll(ws) {
     }
 }
 
+/**
+ * Handle SET_CLOCK message (rehearsal mode only)
+ * data: { startAt } to jump to a time, { offsetMs } to run ahead of the system time,
+ * { rate } to accelerate, { reset: true } to return to the system time
+ * Clients receive CLOCK_STATUS from the clock change event
+ */
+function handleSetClock(data = {}) {
+    if (!REHEARSAL_MODE) {
+        throw new Error('Horloge simulée disponible uniquement en mode répétition');
+    }
+
+    if (data.reset) {
+        clock.reset();
+        return;
+    }
+
+    if (data.startAt) {
+        clock.setTime(TimeZone.parseDateTime(data.startAt, clock.getTimeZone()));
+    } else if (data.offsetMs !== undefined) {
+        clock.setOffset(Number(data.offsetMs));
+    }
+
+    if (data.rate !== undefined) {
+        clock.setRate(Number(data.rate));
+    }
+}
+
+/**
+ * Send the clock state to a specific client (simulated time in rehearsal mode)
+ */
+function sendClockStatus(ws) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'CLOCK_STATUS',
+            channel: null,
+            data: clock.getStatus()
+        }));
+    }
+}
+
 /**
  * Health check handler
  */
@@ -1556,16 +3091,31 @@ function handleHealthCheck(ws) {
             status: 'healthy',
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
+            clock: clock.getStatus(),
             caspar: {
                 connected: casparConnected,
-                healthy: casparClient ? casparClient.isHealthy() : false
+                healthy: casparClient ? casparClient.isHealthy() : false,
+                rehearsal: rehearsalServer ? rehearsalServer.getStats() : null,
+                redundancy: casparClient instanceof RedundantCasparClient ? casparClient.getRedundancyStatus() : null
+            },
+            osc: {
+                ...oscListener.getStats(),
+                ...layerState.getStats()
             },
             websocket: {
                 clients: wss.clients.size
             },
             playlist: {
-                items: playlist.items.length
+                count: playlists.playlists.size
             },
+            fillers: fillerPool ? fillerPool.getStatus() : null,
+            channels: Array.from(channels.values()).map(ch => ({
+                channel: ch.id,
+                name: ch.name,
+                onAirId: playlists.onAir.get(ch.id) || null,
+                items: playlists.getOnAir(ch.id) ? playlists.getOnAir(ch.id).getPlayableItems().length : 0,
+                mode: ch.scheduler ? ch.scheduler.getMode() : null
+            })),
             media: {
                 files: mediaLibrary.length,
                 scanning: isScanning
@@ -1602,17 +3152,27 @@ function handleGetServerStats(ws) {
                 caspar: casparClient ? casparClient.getStats() : null
             },
             playlist: {
-                itemCount: playlist.items.length,
-                baseStartAt: playlist.baseStartAt
+                playlists: playlists.list()
             },
             media: {
                 fileCount: mediaLibrary.length,
                 scanning: isScanning
             },
-            autoplay: autoplayScheduler ? {
-                mode: autoplayScheduler.getMode(),
-                status: autoplayScheduler.getStatus()
-            } : null
+            channels: Array.from(channels.values()).map(ch => {
+                const onAir = playlists.getOnAir(ch.id);
+                return {
+                    channel: ch.id,
+                    name: ch.name,
+                    layer: ch.layer,
+                    onAirId: onAir ? onAir.id : null,
+                    itemCount: onAir ? onAir.getPlayableItems().length : 0,
+                    baseStartAt: onAir ? onAir.baseStartAt : null,
+                    autoplay: ch.scheduler ? {
+                        mode: ch.scheduler.getMode(),
+                        status: ch.scheduler.getStatus()
+                    } : null
+                };
+            })
         };
 
         ws.send(JSON.stringify({
@@ -1629,20 +3189,19 @@ function handleGetServerStats(ws) {
 /**
  * As-Run Get Logs handler
  */
-async function handleAsRunGetLogs(ws, data) {
+async function handleAsRunGetLogs(ws, data, ch) {
     try {
-        if (!asRunLogger) {
+        if (!ch.asRunLogger) {
             throw new Error('As-Run logger not initialized');
         }
 
         const { startDate, endDate } = data;
-        const logs = await asRunLogger.getLogs(
-            new Date(startDate),
-            endDate ? new Date(endDate) : new Date()
-        );
+        // Days (YYYY-MM-DD) are station days
+        const logs = await ch.asRunLogger.getLogs(startDate, endDate || clock.date());
 
         ws.send(JSON.stringify({
             type: 'ASRUN_LOGS',
+            channel: ch.id,
             data: { logs, count: logs.length }
         }));
 
@@ -1659,17 +3218,18 @@ async function handleAsRunGetLogs(ws, data) {
 /**
  * As-Run Generate Report handler
  */
-async function handleAsRunGenerateReport(ws, data) {
+async function handleAsRunGenerateReport(ws, data, ch) {
     try {
-        if (!asRunLogger) {
+        if (!ch.asRunLogger) {
             throw new Error('As-Run logger not initialized');
         }
 
-        const date = data.date ? new Date(data.date) : new Date();
-        const result = await asRunLogger.generateDailyReport(date);
+        const date = data.date || clock.date();
+        const result = await ch.asRunLogger.generateDailyReport(date);
 
         ws.send(JSON.stringify({
             type: 'ASRUN_REPORT_GENERATED',
+            channel: ch.id,
             data: {
                 reportFile: result.reportFile,
                 stats: result.stats
@@ -1689,6 +3249,7 @@ async function handleAsRunGenerateReport(ws, data) {
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
     const clientIp = req.socket.remoteAddress;
+    ws.clientIp = clientIp;
     logger.info(`[WS] New client connected from ${clientIp}`);
 
     // Heartbeat pour détecter les connexions mortes
@@ -1702,7 +3263,14 @@ wss.on('connection', (ws, req) => {
         ws.pong();
     });
 
+    sendChannelList(ws);
+    sendClockStatus(ws);
+    if (casparClient instanceof RedundantCasparClient) {
+        sendToClient(ws, 'CASPAR_REDUNDANCY', casparClient.getRedundancyStatus());
+    }
     sendPlaylist(ws, 'PLAYLIST_FULL');
+    sendPlaylistList(ws);
+    channels.forEach(ch => sendScheduleList(ws, ch));
     sendMediaLibrary(ws);
 
     // Send folder list if available
@@ -1713,32 +3281,36 @@ wss.on('connection', (ws, req) => {
         }));
     }
 
-    // Send autoplay status if available
-    if (autoplayScheduler) {
-        const status = autoplayScheduler.getStatus();
-        
+    // Send autoplay status of every channel
+    channels.forEach(ch => {
+        if (!ch.scheduler) return;
+
+        const status = ch.scheduler.getStatus();
+
         // Send current status immediately
         ws.send(JSON.stringify({
             type: 'AUTOPLAY_STATUS',
+            channel: ch.id,
             data: status
         }));
 
         // If no item is currently tracked as playing, try to recover from CasparCG
         // This handles cases where server restarted or state was lost but Caspar is playing
         if (!status.currentItem) {
-             logger.info('[WS] No active item detected, attempting to recover state from CasparCG...');
-             autoplayScheduler.recoverState().then(() => {
+             logger.info(`[WS] No active item detected on channel ${ch.id}, attempting to recover state from CasparCG...`);
+             ch.scheduler.recoverState().then(() => {
                  // Send updated status after recovery attempt
-                 const newStatus = autoplayScheduler.getStatus();
+                 const newStatus = ch.scheduler.getStatus();
                  if (newStatus.currentItem) {
                      ws.send(JSON.stringify({
                         type: 'AUTOPLAY_STATUS',
+                        channel: ch.id,
                         data: newStatus
                      }));
                  }
              });
         }
-    }
+    });
 
     // Send presets to client
     if (templateController) {
@@ -1817,46 +3389,116 @@ async function initializeMediaFolders() {
     mediaFolders.recalculateCounts();
 }
 
+// Initialize the filler pool (after the media folders and the as-run loggers)
+async function initializeFillerPool() {
+    fillerPool = new FillerPool({
+        mediaFolders,
+        getMediaLibrary: () => mediaLibrary,
+        folderName: FILLER_FOLDER,
+        slate: FILLER_SLATE,
+        repeatWindowHours: FILLER_REPEAT_WINDOW_HOURS
+    });
+
+    try {
+        await fillerPool.loadHistory(Array.from(channels.values()).map(ch => ch.asRunLogger));
+    } catch (error) {
+        logger.warn(`[FILLER] Could not read the as-run history: ${error.message}`);
+    }
+
+    logger.info(`[FILLER] Pool "${FILLER_FOLDER}": ${fillerPool.getCandidates().length} filler(s)`);
+}
+
 // Initialize server
 async function startServer() {
-    await initializePlaylist();
-    await initializeMediaLibrary();
+    initializeClock();
+    await initializePlaylists();
+    if (MEDIA_SOURCE !== 'caspar') {
+        await initializeMediaLibrary();
+    }
     await initializeCaspar();
+    // The first CasparCG poll needs the connection
+    if (MEDIA_SOURCE === 'caspar') {
+        await initializeMediaLibrary();
+    }
     await initializeMediaFolders();
 
-    // Initialize As-Run logger
-    asRunLogger = new AsRunLogger();
-    await asRunLogger.initialize();
-    await asRunLogger.logSystemEvent('SERVER_START', {
-        version: '1.0.0',
-        ip: localIP,
-        ports: { http: HTTP_PORT, ws: WS_PORT }
-    });
+    // Initialize As-Run loggers (one stream per channel, main channel in logs/as-run)
+    // Rehearsal broadcasts (possibly on a simulated day) stay out of the regulatory log
+    const asRunRoot = path.join(__dirname, REHEARSAL_MODE ? 'logs/as-run-rehearsal' : 'logs/as-run');
+    for (const ch of channels.values()) {
+        const logDir = ch.id === 1
+            ? asRunRoot
+            : path.join(asRunRoot, `channel-${ch.id}`);
+
+        ch.asRunLogger = new AsRunLogger(logDir, { frameRate: ch.frameRate });
+        await ch.asRunLogger.initialize();
+        await ch.asRunLogger.logSystemEvent('SERVER_START', {
+            version: '1.0.0',
+            ip: localIP,
+            ports: { http: HTTP_PORT, ws: WS_PORT },
+            channel: ch.id
+        });
+    }
+
+    await initializeFillerPool();
+
+    // Initialize OSC receiver (optional: INFO polling is used without it)
+    try {
+        await oscListener.start();
+    } catch (error) {
+        logger.warn(`[OSC] Cannot listen on UDP ${OSC_PORT}: ${error.message} (falling back to INFO polling)`);
+    }
+    layerStateInterval = setInterval(broadcastLayerStates, LAYER_STATE_BROADCAST_MS);
 
     // Initialize error handler
     errorHandler = new ErrorHandler(casparClient, broadcast);
     logger.info('[ERROR] Error handler initialized');
 
-    // Initialize autoplay scheduler
-    autoplayScheduler = new AutoplayScheduler(casparClient, playlist, broadcast);
-    autoplayScheduler.start();
-    logger.info('[AUTOPLAY] Scheduler initialized in MANUAL mode');
+    // Initialize one autoplay scheduler per channel (status broadcasts tagged with the channel)
+    channels.forEach(ch => {
+        ch.scheduler = new AutoplayScheduler(
+            casparClient,
+            playlists.getOnAir(ch.id),
+            (message) => {
+                // Aired fillers go to the back of the pool
+                if (fillerPool && message.type === 'PLAYBACK_STATUS' && message.data.status === 'playing') {
+                    fillerPool.recordAiring(message.data.file);
+                }
+                broadcast({ ...message, channel: ch.id });
+            },
+            {
+                channel: ch.id,
+                layer: ch.layer,
+                frameRate: ch.frameRate,
+                calendar: ch.calendar,
+                layerState,
+                lockedCuedItems: LOCKED_CUED_ITEMS,
+                onDayChange: (playlist, date) => handleBroadcastDayChange(ch, playlist, date)
+            }
+        );
+        ch.scheduler.start();
+        logger.info(`[AUTOPLAY] Channel ${ch.id} (${ch.name}) scheduler initialized in MANUAL mode`);
+    });
 
     console.log('\n========================================');
     console.log('RTG PLAYOUT SERVER READY');
     console.log('========================================');
     console.log(`Frontend: http://${localIP}:${HTTP_PORT}`);
     console.log(`WebSocket: ws://${localIP}:${WS_PORT}`);
-    console.log(`CasparCG: ${casparConnected ? '✓ Connected' : '✗ Not connected'}`);
-    console.log(`Autoplay: ${autoplayScheduler.getMode()}`);
+    console.log(`CasparCG: ${casparConnected ? '✓ Connected' : '✗ Not connected'}${REHEARSAL_MODE ? ' (REHEARSAL - simulated)' : ''}`);
+    channels.forEach(ch => {
+        console.log(`Channel ${ch.id}: ${ch.name} (layer ${ch.layer}) - Autoplay: ${ch.scheduler.getMode()}`);
+    });
     console.log('========================================\n');
     logger.info('[WS] Waiting for client connections...');
 
     // Attempt to recover state after a short delay to ensure everything is settled
     setTimeout(() => {
-        if (autoplayScheduler) {
-            autoplayScheduler.recoverState();
-        }
+        channels.forEach(ch => {
+            if (ch.scheduler) {
+                ch.scheduler.recoverState();
+            }
+        });
     }, 2000);
 }
 
@@ -1948,10 +3590,12 @@ async function gracefulShutdown(exitCode = 0) {
         logger.error('[WS] Error closing WebSocket server:', error.message);
     }
 
-    // 3. Sauvegarder la playlist
+    // 3. Sauvegarder les playlists
     try {
-        const playlistData = playlist.getRaw();
-        await savePlaylist(playlistData);
+        for (const playlist of playlists.playlists.values()) {
+            await autoSavePlaylist(playlist, null);
+        }
+        await autoSavePlaylistIndex();
         logger.info('[PLAYLIST] Final save completed');
     } catch (error) {
         logger.error('[PLAYLIST] Error during final save:', error.message);
@@ -1959,33 +3603,50 @@ async function gracefulShutdown(exitCode = 0) {
 
     // 4. Déconnecter CasparCG
     try {
+        if (stopMediaWatch) {
+            stopMediaWatch();
+            stopMediaWatch = null;
+        }
+        if (layerStateInterval) {
+            clearInterval(layerStateInterval);
+        }
+        oscListener.stop();
+
         if (casparClient) {
             casparClient.disconnect();
             logger.info('[CASPAR] Disconnected');
         }
+
+        if (rehearsalServer) {
+            await rehearsalServer.stop();
+        }
     } catch (error) {
         logger.error('[CASPAR] Error disconnecting:', error.message);
     }
 
     // 5. Arrêter l'autoplay scheduler
     try {
-        if (autoplayScheduler) {
-            autoplayScheduler.stop();
-            logger.info('[AUTOPLAY] Scheduler stopped');
-        }
+        channels.forEach(ch => {
+            if (ch.scheduler) {
+                ch.scheduler.stop();
+                logger.info(`[AUTOPLAY] Channel ${ch.id} scheduler stopped`);
+            }
+        });
     } catch (error) {
         logger.error('[AUTOPLAY] Error stopping scheduler:', error.message);
     }
 
     // 6. Arrêter l'As-Run logger et générer rapport final
     try {
-        if (asRunLogger) {
-            await asRunLogger.logSystemEvent('SERVER_SHUTDOWN', {
-                reason: exitCode === 0 ? 'graceful' : 'error',
-                uptime: process.uptime()
-            });
-            await asRunLogger.stop();
-            logger.info('[AS-RUN] Logger stopped and flushed');
+        for (const ch of channels.values()) {
+            if (ch.asRunLogger) {
+                await ch.asRunLogger.logSystemEvent('SERVER_SHUTDOWN', {
+                    reason: exitCode === 0 ? 'graceful' : 'error',
+                    uptime: process.uptime()
+                });
+                await ch.asRunLogger.stop();
+                logger.info(`[AS-RUN] Channel ${ch.id} logger stopped and flushed`);
+            }
         }
     } catch (error) {
         logger.error('[AS-RUN] Error stopping logger:', error.message);
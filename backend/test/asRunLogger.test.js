@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const AsRunLogger = require('../utils/asRunLogger');
+const FakeClock = require('./helpers/fakeClock');
+const playoutClock = require('../utils/clock');
+
+describe('AsRunLogger.generateDailyReport', () => {
+    let logDir;
+    let clock;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rtg-as-run-'));
+    });
+
+    afterEach(async () => {
+        if (clock) clock.uninstall();
+        clock = null;
+        mock.restoreAll();
+        await fs.rm(logDir, { recursive: true, force: true });
+    });
+
+    it('summarizes the events of the day', async () => {
+        clock = new FakeClock('2026-10-19T09:00:00.000Z').install();
+        const logger = new AsRunLogger(logDir);
+        await logger.initialize();
+
+        await logger.logSystemEvent('SERVER_START', { version: '1.0.0' });
+        await logger.logPlayStart('a', 'A.mp4', new Date('2026-10-19T09:00:00.000Z'), new Date());
+        clock.tick(60000);
+        await logger.logPlayEnd('a', 'A.mp4', new Date('2026-10-19T09:00:00.000Z'), new Date(), 60000);
+        clock.tick(3600000);
+        await logger.logPlayStart('b', 'B.mp4', new Date('2026-10-19T10:01:00.000Z'), new Date());
+        await logger.logPlayError('c', 'C.mp4', new Error('File not found'));
+        await logger.logPlayStop('b', 'B.mp4');
+        await logger.logTemplateShow('lower-third', 1, 20, { title: 'News' });
+        await logger.stop();
+
+        const { reportFile, stats } = await logger.generateDailyReport(new Date());
+
+        assert.deepEqual(stats, {
+            totalEvents: 7,
+            playStarts: 2,
+            playEnds: 1,
+            playErrors: 1,
+            playStops: 1,
+            templatesShown: 1,
+            templatesHidden: 0,
+            systemEvents: 1
+        });
+
+        assert.equal(reportFile, path.join(logDir, 'report-2026-10-19.txt'));
+
+        const report = await fs.readFile(reportFile, 'utf8');
+        assert.match(report, /AS-RUN REPORT - 2026-10-19/);
+        assert.match(report, /09:00 - 09:59 {2}=> {2}3 events/);
+        assert.match(report, /10:00 - 10:59 {2}=> {2}4 events/);
+        assert.match(report, /\[2026-10-19T10:01:00\.000Z\] C\.mp4: File not found/);
+        assert.match(report, /\[09:00:00\] START {4}\| A\.mp4/);
+        assert.match(report, /\[09:01:00\] END {6}\| A\.mp4/);
+        assert.match(report, /\[10:01:00\] STOP {5}\| B\.mp4/);
+    });
+
+    it('fails when the day has no log file', async () => {
+        mock.method(console, 'error', () => {});
+        const logger = new AsRunLogger(logDir);
+
+        await assert.rejects(logger.generateDailyReport(new Date('2026-10-18T12:00:00.000Z')), /ENOENT/);
+    });
+
+    it('stamps the entries with a time of day timecode', async () => {
+        clock = new FakeClock(new Date(2026, 9, 19, 10, 1, 0, 20)).install();
+        const logger = new AsRunLogger(logDir, { frameRate: 29.97 });
+        await logger.initialize();
+
+        await logger.logPlayStart('a', 'A.mp4', new Date(), new Date());
+        await logger.stop();
+
+        const [entry] = await logger.getLogs(new Date());
+        assert.equal(entry.timecode, '10:01:00;02');
+    });
+
+    it('writes one file per station day', async () => {
+        playoutClock.setTimeZone('Asia/Tokyo');
+        try {
+            // 23:30 UTC is 08:30 the next day in Tokyo
+            clock = new FakeClock('2026-10-19T23:30:00.000Z').install();
+            const logger = new AsRunLogger(logDir);
+            await logger.initialize();
+
+            await logger.logPlayStart('a', 'A.mp4', new Date(), new Date());
+            await logger.stop();
+
+            assert.deepEqual(await fs.readdir(logDir), ['as-run-2026-10-20.log']);
+            const [entry] = await logger.getLogs('2026-10-20', '2026-10-20');
+            assert.equal(entry.timecode, '08:30:00:00');
+        } finally {
+            playoutClock.setTimeZone(null);
+        }
+    });
+});
@@ -0,0 +1,792 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AutoplayScheduler = require('../scheduler/autoplayScheduler');
+const PlaylistModel = require('../models/playlist');
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const FakeCasparClient = require('./helpers/fakeCasparClient');
+const FakeClock = require('./helpers/fakeClock');
+const LayerStateStore = require('../caspar/layerState');
+const playoutClock = require('../utils/clock');
+
+const item = (id, durationSeconds, extra = {}) => ({ id, name: id, file: `${id}.mp4`, durationSeconds, ...extra });
+
+/**
+ * INFO XML of channel 1 with layer 10 content
+ */
+function infoXml(foreground) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<channel>
+   <framerate>25</framerate>
+   <stage>
+      <layer>
+         <layer_10>
+            <background>
+               <producer>empty</producer>
+            </background>
+            <foreground>
+${foreground}
+            </foreground>
+         </layer_10>
+      </layer>
+   </stage>
+</channel>`;
+}
+
+const clipXml = (name, time, duration) => `
+               <file>
+                  <name>${name}</name>
+                  <time>${time}</time>
+                  <time>${duration}</time>
+               </file>
+               <producer>ffmpeg</producer>`;
+
+let harness = null;
+
+/**
+ * Scheduler on channel 1-10 driving a fake CasparCG, on a fake clock
+ * @param {Array} items - Playlist items (clips are declared to the fake server)
+ * @param {Date} start - Clock start, also the playlist base start
+ * @param {Object} [simulation] - Playout clock { startAt, rate } (the playlist starts at startAt)
+ * @param {Object} [options] - Extra scheduler options (e.g. layerState)
+ */
+function createHarness(items, start, simulation = null, options = {}) {
+    const clock = new FakeClock(start).install();
+
+    if (simulation) {
+        playoutClock.setTime(simulation.startAt);
+        playoutClock.setRate(simulation.rate);
+    }
+
+    // Simulated CasparCG on the playout clock, like rehearsal mode
+    const server = new FakeCasparServer({ now: () => playoutClock.now() });
+    items.forEach(i => server.addMedia(i.file, i.durationSeconds));
+    const client = new FakeCasparClient(server);
+
+    const playlist = new PlaylistModel('TEST', 'Test');
+    playlist.setBaseStartAt(simulation ? new Date(simulation.startAt) : new Date(start));
+    playlist.setItems(items);
+
+    // Playout time at which each item was reported on air
+    const onAirAt = {};
+    const messages = [];
+    const scheduler = new AutoplayScheduler(client, playlist, (message) => {
+        messages.push(message);
+        if (message.type === 'PLAYBACK_STATUS' && message.data.itemId) {
+            onAirAt[message.data.itemId] = playoutClock.date();
+        }
+    }, { channel: 1, layer: 10, ...options });
+
+    harness = {
+        clock,
+        server,
+        client,
+        playlist,
+        scheduler,
+        messages,
+        onAirAt,
+        onAir: () => {
+            const layer = server.getLayer(1, 10);
+            return layer && layer.foreground ? layer.foreground.name : null;
+        }
+    };
+    return harness;
+}
+
+function quiet() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+}
+
+function cleanup() {
+    if (harness) {
+        harness.scheduler.stop();
+        harness.scheduler.clearPlaybackTimeout();
+        harness.scheduler.clearCue();
+        playoutClock.reset();
+        harness.clock.uninstall();
+        harness = null;
+    }
+    mock.restoreAll();
+}
+
+describe('AutoplayScheduler.shouldPlay', () => {
+    beforeEach(quiet);
+    afterEach(cleanup);
+
+    const at = (seconds) => new Date(2026, 9, 19, 10, 0, seconds);
+
+    function setup() {
+        const { scheduler, playlist } = createHarness([item('a', 60), item('b', 60), item('c', 60)], at(0));
+        return { scheduler, items: playlist.getScheduled().items };
+    }
+
+    it('plays an item within the tolerance window around its start', () => {
+        const { scheduler, items } = setup();
+
+        assert.equal(scheduler.shouldPlay(items[1], at(58.5), 1), true);
+        assert.equal(scheduler.shouldPlay(items[1], at(61), 1), true);
+        assert.equal(scheduler.shouldPlay(items[1], at(57), 1), false);
+    });
+
+    it('catches up an item that should already be playing, not a finished one', () => {
+        const { scheduler, items } = setup();
+
+        assert.equal(scheduler.shouldPlay(items[1], at(90), 1), true);
+        assert.equal(scheduler.shouldPlay(items[1], at(121), 1), false);
+    });
+
+    it('never replays the current item or goes backwards', () => {
+        const { scheduler, items } = setup();
+        scheduler.currentItemId = 'b';
+        scheduler.currentIndex = 1;
+
+        assert.equal(scheduler.shouldPlay(items[1], at(60), 1), false);
+        assert.equal(scheduler.shouldPlay(items[0], at(30), 0), false);
+        assert.equal(scheduler.shouldPlay(items[2], at(120), 2), true);
+    });
+
+    it('leaves a cued item to CasparCG until it is overdue', () => {
+        const { scheduler, items } = setup();
+        scheduler.currentItemId = 'a';
+        scheduler.currentIndex = 0;
+        scheduler.cuedItem = { id: 'b', takeAt: at(60).getTime(), auto: true, failed: false };
+
+        assert.equal(scheduler.shouldPlay(items[1], at(60), 1), false);
+
+        harness.clock.setTime(at(62));
+        assert.equal(scheduler.shouldPlay(items[1], at(62), 1), true);
+    });
+});
+
+describe('AutoplayScheduler.isFinished', () => {
+    beforeEach(quiet);
+    afterEach(cleanup);
+
+    function scheduler() {
+        return createHarness([item('a', 60)], new Date(2026, 9, 19, 10, 0, 0)).scheduler;
+    }
+
+    it('is finished when the layer or its foreground is empty', () => {
+        const s = scheduler();
+
+        assert.equal(s.isFinished('<channel><stage><layer></layer></stage></channel>'), true);
+        assert.equal(s.isFinished(infoXml('<producer>empty</producer>')), true);
+        assert.equal(s.isFinished(''), false);
+    });
+
+    it('uses the clip position and duration', () => {
+        const s = scheduler();
+
+        assert.equal(s.isFinished(infoXml(clipXml('a', 30, 60))), false);
+        assert.equal(s.isFinished(infoXml(clipXml('a', 58.5, 60))), true);
+        assert.equal(s.isFinished(infoXml(clipXml('a', 60, 60))), true);
+    });
+
+    it('never ends a clip in its first 5 seconds', () => {
+        const s = scheduler();
+
+        assert.equal(s.isFinished(infoXml(clipXml('a', 3, 4))), false);
+    });
+
+    it('reads the INFO reply of the fake server', async () => {
+        const { scheduler: s, client, clock } = createHarness([item('a', 20)], new Date(2026, 9, 19, 10, 0, 0));
+
+        await client.play(1, 10, 'a');
+        clock.tick(10000);
+        assert.equal(s.isFinished(await client.info(1)), false);
+        assert.equal(s.isVideoPlaying(await client.info(1)), true);
+
+        clock.tick(10000);
+        assert.equal(s.isFinished(await client.info(1)), true);
+    });
+});
+
+describe('AutoplayScheduler scenarios', () => {
+    beforeEach(quiet);
+    afterEach(cleanup);
+
+    it('chains the playlist in AUTO with background preloading', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, client, clock, onAir, onAirAt } = createHarness([item('a', 20), item('b', 20), item('c', 20)], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        assert.deepEqual(client.sent('PLAY'), ['PLAY 1-10 "a" LENGTH 500']);
+
+        await clock.tickAsync(21000);
+        assert.equal(onAir(), 'b');
+        assert.equal(scheduler.currentItemId, 'b');
+        assert.deepEqual(client.sent('LOADBG')[0], 'LOADBG 1-10 "b" LENGTH 500 AUTO');
+        // CasparCG took b on the last frame of a: no cold PLAY
+        assert.equal(client.sent('PLAY').length, 1);
+
+        await clock.tickAsync(20000);
+        assert.equal(onAir(), 'c');
+        assert.equal(scheduler.currentItemId, 'c');
+        assert.ok(onAirAt.c - start <= 41000);
+
+        // End of playlist: the last item is not played again
+        await clock.tickAsync(20000);
+        assert.equal(scheduler.currentItemId, null);
+        assert.equal(client.sent('PLAY').length, 1);
+    });
+
+    it('follows the OSC layer state without polling INFO', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const layerState = new LayerStateStore();
+        const { scheduler, server, client, clock, onAir } = createHarness([item('a', 20), item('b', 20)], start, null, { layerState });
+
+        // CasparCG sends the playout layer every frame, here every 200 ms
+        setInterval(() => {
+            const layer = server.getLayer(1, 10);
+            const foreground = layer && layer.foreground;
+            if (!foreground) return;
+            layerState.handlePacket([
+                { address: '/channel/1/stage/layer/10/foreground/producer', args: [foreground.type] },
+                { address: '/channel/1/stage/layer/10/foreground/file/name', args: [foreground.name] },
+                { address: '/channel/1/stage/layer/10/foreground/file/time', args: [foreground.time, foreground.duration] },
+                { address: '/channel/1/stage/layer/10/foreground/paused', args: [foreground.paused] }
+            ]);
+        }, 200);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(21000);
+
+        assert.equal(onAir(), 'b');
+        assert.equal(scheduler.currentItemId, 'b');
+        assert.deepEqual(client.sent('LOADBG'), ['LOADBG 1-10 "b" LENGTH 500 AUTO']);
+        assert.deepEqual(client.sent('INFO'), []);
+    });
+
+    it('plays a finished playlist again from a new base start', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, client, clock, onAir } = createHarness([item('a', 20), item('b', 20)], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(45000);
+        assert.equal(scheduler.currentItemId, null);
+
+        // Unchanged schedule: nothing is caught up
+        scheduler.onPlaylistUpdated();
+        await clock.tickAsync(5000);
+        assert.equal(client.sent('PLAY').length, 1);
+
+        playlist.setBaseStartAt(new Date(start.getTime() + 60000));
+        scheduler.onPlaylistUpdated();
+        await clock.tickAsync(11000);
+
+        assert.equal(onAir(), 'a');
+        assert.equal(scheduler.currentItemId, 'a');
+        assert.equal(client.sent('PLAY').length, 2);
+
+        await clock.tickAsync(21000);
+        assert.equal(scheduler.currentItemId, 'b');
+    });
+
+    it('sends SEEK and LENGTH in frames of the playlist rate', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, client, clock, playlist } = createHarness([item('a', 20, { trimInSeconds: 10 }), item('b', 20)], start);
+        playlist.setFrameRate(29.97);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        // 10 s and 20 s at 30000/1001: 299.7 and 599.4 frames
+        assert.deepEqual(client.sent('PLAY'), ['PLAY 1-10 "a" SEEK 300 LENGTH 599']);
+    });
+
+    it('crosses midnight and takes a hard start on the next day', async () => {
+        const start = new Date(2026, 9, 19, 23, 59, 30);
+        const { scheduler, playlist, clock, onAir, onAirAt } = createHarness([
+            item('a', 20),
+            item('b', 20),
+            item('c', 20, { hardStartTime: '00:00:10' })
+        ], start);
+
+        assert.equal(playlist.recalculateWithHardStart().success, true);
+        const c = playlist.getScheduled().items[2];
+        assert.equal(c.startAt, new Date(2026, 9, 20, 0, 0, 10).toISOString());
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(45000);
+
+        assert.equal(onAir(), 'c');
+        assert.equal(scheduler.currentItemId, 'c');
+        assert.equal(onAirAt.c.getDate(), 20);
+        assert.ok(Math.abs(onAirAt.c - new Date(2026, 9, 20, 0, 0, 10)) <= 1000);
+    });
+
+    it('trims the previous item to honour a late hard start', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, client, clock, onAir, onAirAt } = createHarness([
+            item('a', 60),
+            item('b', 30, { hardStartTime: '10:00:50' })
+        ], start);
+
+        const result = playlist.recalculateWithHardStart();
+        assert.equal(result.adjustments[0].type, 'trim');
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        // a is cut after 50 seconds (1250 frames)
+        assert.deepEqual(client.sent('PLAY'), ['PLAY 1-10 "a" LENGTH 1250']);
+
+        await clock.tickAsync(52000);
+        assert.equal(onAir(), 'b');
+        assert.equal(scheduler.currentItemId, 'b');
+        assert.ok(Math.abs(onAirAt.b - new Date(2026, 9, 19, 10, 0, 50)) <= 1000);
+    });
+
+    it('lets a removed on-air item finish, then plays the item that followed it', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, client, clock, onAir } = createHarness([item('a', 20), item('b', 20), item('c', 20)], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(5000);
+        assert.equal(onAir(), 'a');
+
+        // The on-air item is locked: only a forced removal goes through
+        assert.throws(() => playlist.removeItem('a'), { code: 'ITEM_LOCKED' });
+        playlist.removeItem('a', { force: true });
+        scheduler.onPlaylistUpdated();
+
+        await clock.tickAsync(5000);
+        assert.equal(onAir(), 'a');
+        assert.equal(scheduler.getCurrentItem().id, 'a');
+        assert.equal(scheduler.getNextItem().id, 'b');
+
+        await clock.tickAsync(11000);
+        assert.equal(onAir(), 'b');
+        assert.equal(scheduler.currentItemId, 'b');
+        assert.equal(client.commands.some(command => command.includes('"c"')), false);
+    });
+
+    it('locks the on-air and cued items against edits', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, clock } = createHarness([item('a', 20), item('b', 20), item('c', 20), item('d', 20)], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(16000);
+        assert.deepEqual(scheduler.getStatus().lockedItemIds, ['a', 'b']);
+
+        assert.throws(() => playlist.reorderItems(1, 3), { code: 'ITEM_LOCKED' });
+        assert.throws(() => playlist.setItemLoop('b', { count: 2 }), { code: 'ITEM_LOCKED' });
+
+        // Nothing can come between the on-air item and the cued one
+        assert.throws(() => playlist.reorderItems(3, 1), { code: 'ITEM_LOCKED' });
+        assert.deepEqual(playlist.items.map(i => i.id), ['a', 'b', 'c', 'd']);
+
+        // Items further down stay editable
+        playlist.reorderItems(3, 2);
+        playlist.removeItem('c');
+        assert.deepEqual(playlist.items.map(i => i.id), ['a', 'b', 'd']);
+
+        // A hard start trimming the on-air item is refused, then forced
+        const hardStart = () => {
+            playlist.getItem('b').hardStartTime = '10:00:15';
+            playlist.recalculateWithHardStart();
+        };
+        assert.throws(() => playlist.applyGuarded(hardStart), { code: 'ITEM_LOCKED' });
+        assert.equal(playlist.getItem('a').trimOutSeconds, 0);
+        assert.equal(playlist.getItem('b').hardStartTime, null);
+
+        playlist.applyGuarded(hardStart, { force: true });
+        assert.equal(playlist.getItem('a').trimOutSeconds, 5);
+    });
+
+    it('releases the locks of a playlist taken off air', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, clock } = createHarness([item('a', 20), item('b', 20)], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        assert.equal(playlist.isLocked('a'), true);
+
+        scheduler.setPlaylist(new PlaylistModel('other', 'Autre'));
+        assert.equal(playlist.isLocked('a'), false);
+        playlist.removeItem('a');
+    });
+
+    it('follows a manual play during AUTO without airing the cued item', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, client, clock, onAir } = createHarness([item('a', 20), item('b', 20), item('c', 20), item('d', 20)], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(16000);
+        assert.equal(scheduler.getStatus().cuedItem.id, 'b');
+
+        // What the server does for PLAY_ITEM
+        await client.play(1, 10, 'c');
+        scheduler.clearCue();
+        scheduler.syncState('c');
+
+        await clock.tickAsync(9000);
+        assert.equal(onAir(), 'c');
+        assert.equal(scheduler.currentItemId, 'c');
+
+        await clock.tickAsync(12000);
+        assert.equal(onAir(), 'd');
+        assert.equal(scheduler.currentItemId, 'd');
+        assert.equal(client.commands.some(command => command.startsWith('PLAY 1-10 "b"')), false);
+    });
+
+    it('loops an item a number of times, then takes the next one on time', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, client, clock, onAir, onAirAt } = createHarness([item('slate', 10), item('b', 20)], start);
+        playlist.setItemLoop('slate', { count: 3 });
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        // One pass of 250 frames, looped by CasparCG
+        assert.deepEqual(client.sent('PLAY'), ['PLAY 1-10 "slate" LOOP LENGTH 250']);
+
+        await clock.tickAsync(25000);
+        assert.equal(onAir(), 'slate');
+        assert.equal(scheduler.currentItemId, 'slate');
+
+        // A looping clip never ends: b is taken by a timed PLAY, not AUTO
+        await clock.tickAsync(6000);
+        assert.equal(onAir(), 'b');
+        assert.equal(client.sent('LOADBG')[0], 'LOADBG 1-10 "b" LENGTH 500');
+        assert.ok(Math.abs(onAirAt.b - new Date(2026, 9, 19, 10, 0, 30)) <= 1000);
+    });
+
+    it('gives a manual PLAY the trims and the loop pass of an item', () => {
+        const { scheduler } = createHarness([], new Date(2026, 9, 19, 10, 0, 0));
+
+        assert.deepEqual(scheduler.getItemSource({ ...item('slate', 60), trimInSeconds: 2, loop: { passSeconds: 10 } }, 29.97), {
+            file: 'slate',
+            raw: false,
+            seek: 60,
+            length: 300,
+            transition: null,
+            loop: true
+        });
+    });
+
+    it('holds a looping slate until the hard start that follows it', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, clock, onAir, onAirAt } = createHarness([
+            item('slate', 10),
+            item('show', 60, { hardStartTime: '10:01:05', hardStartPolicy: 'filler' })
+        ], start);
+        playlist.setItemLoop('slate', { untilHardStart: true });
+
+        // The loop absorbs the gap (no filler)
+        const result = playlist.recalculateWithHardStart();
+        assert.equal(result.success, true);
+        assert.equal(playlist.items.length, 2);
+        assert.equal(playlist.getScheduled().items[0].loopPasses, 6.5);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(60000);
+        assert.equal(onAir(), 'slate');
+
+        await clock.tickAsync(7000);
+        assert.equal(onAir(), 'show');
+        assert.ok(Math.abs(onAirAt.show - new Date(2026, 9, 19, 10, 1, 5)) <= 1000);
+    });
+
+    it('starts a looping playlist again after its last item', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, playlist, clock, onAir } = createHarness([item('a', 20), item('b', 20)], start);
+        playlist.setLoop(true);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+        await clock.tickAsync(25000);
+        assert.equal(onAir(), 'b');
+        assert.equal(scheduler.getNextItem().id, 'a');
+
+        await clock.tickAsync(20000);
+        assert.equal(onAir(), 'a');
+        assert.equal(scheduler.currentIndex, 0);
+        // Re-anchored: the next cycle is scheduled from now
+        assert.equal(new Date(playlist.getScheduled().items[1].startAt).getTime(), new Date(2026, 9, 19, 10, 1, 0).getTime());
+
+        await clock.tickAsync(20000);
+        assert.equal(onAir(), 'b');
+        assert.equal(scheduler.currentItemId, 'b');
+    });
+
+    it('squeezes the clip back for an end-credit promo, then airs the next item full frame', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, server, client, clock, onAir } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{
+                    id: 'pip',
+                    type: 'PIP_SQUEEZE',
+                    trigger: 'END',
+                    offsetMs: 8000,
+                    layer: 20,
+                    clip: 'promo.mp4',
+                    fill: { x: 0.05, y: 0.05, scaleX: 0.45, scaleY: 0.45 },
+                    durationFrames: 25,
+                    tween: 'easeinoutsine'
+                }]
+            }),
+            item('b', 20)
+        ], start);
+        server.addMedia('promo.mp4', 10);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(13000);
+        assert.deepEqual(client.sent('MIXER'), ['MIXER 1-10 FILL 0.05 0.05 0.45 0.45 25 easeinoutsine']);
+        assert.equal(server.getLayer(1, 20).foreground.name, 'promo');
+
+        await clock.tickAsync(8000);
+        assert.equal(onAir(), 'b');
+        assert.deepEqual(server.getLayer(1, 10).mixer.FILL, ['0', '0', '1', '1']);
+        assert.ok(client.commands.includes('STOP 1-20'));
+        assert.equal(scheduler.activePip, null);
+    });
+
+    it('ends a squeeze-back with its item, even the last one of the playlist', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, server, client, clock } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{
+                    id: 'pip',
+                    type: 'PIP_SQUEEZE',
+                    trigger: 'START',
+                    offsetMs: 5000,
+                    layer: 20,
+                    template: 'rtg-promo',
+                    fill: { x: 0.5, y: 0, scaleX: 0.5, scaleY: 0.5 }
+                }]
+            })
+        ], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(6000);
+        assert.equal(scheduler.activePip.layer, 20);
+
+        await clock.tickAsync(13990);
+        assert.equal(client.sent('CG').length, 1);
+
+        await clock.tickAsync(10);
+        assert.deepEqual(server.getLayer(1, 10).mixer.FILL, ['0', '0', '1', '1']);
+        assert.deepEqual(client.sent('CG').slice(1), ['CG 1-20 STOP 1']);
+        assert.equal(scheduler.activePip, null);
+    });
+
+    it('brings the picture back to full frame when playback is stopped during a squeeze-back', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, server, client, clock } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{
+                    id: 'pip',
+                    type: 'PIP_SQUEEZE',
+                    trigger: 'START',
+                    offsetMs: 2000,
+                    layer: 20,
+                    template: 'rtg-promo',
+                    fill: { x: 0.5, y: 0, scaleX: 0.5, scaleY: 0.5 },
+                    durationFrames: 25
+                }]
+            }),
+            item('b', 20)
+        ], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(3000);
+        assert.equal(scheduler.activePip.layer, 20);
+
+        await scheduler.stopPlayback();
+        assert.deepEqual(server.getLayer(1, 10).mixer.FILL, ['0', '0', '1', '1']);
+        assert.equal(client.sent('MIXER').at(-2), 'MIXER 1-10 FILL 0 0 1 1');
+        assert.deepEqual(client.sent('CG').slice(1), ['CG 1-20 STOP 1']);
+        assert.equal(scheduler.activePip, null);
+    });
+
+    it('brings the picture back to full frame when the scheduler stops during a squeeze-back', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, server, clock } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{
+                    id: 'pip',
+                    type: 'PIP_SQUEEZE',
+                    trigger: 'START',
+                    offsetMs: 2000,
+                    layer: 20,
+                    clip: 'promo.mp4',
+                    fill: { x: 0.5, y: 0, scaleX: 0.5, scaleY: 0.5 }
+                }]
+            })
+        ], start);
+        server.addMedia('promo.mp4', 10);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(3000);
+        scheduler.stop();
+        await clock.flush();
+
+        assert.deepEqual(server.getLayer(1, 10).mixer.FILL, ['0', '0', '1', '1']);
+        assert.equal(scheduler.activePip, null);
+    });
+
+    it('ducks the clip under a voice-over, then fades the voice-over out', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, server, client, clock } = createHarness([
+            item('a', 30, {
+                secondaryEvents: [
+                    { id: 'vo', type: 'AUDIO_PLAY', trigger: 'START', offsetMs: 2000, layer: 30, clip: 'vo.wav', duckDb: 12, rampFrames: 10 },
+                    { id: 'vo-end', type: 'AUDIO_STOP', trigger: 'START', offsetMs: 10000, layer: 30, rampFrames: 25 }
+                ]
+            }),
+            item('b', 20)
+        ], start);
+        server.addMedia('vo.wav', 8);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(3000);
+        assert.deepEqual(client.sent('MIXER'), [
+            'MIXER 1-30 VOLUME 1',
+            'MIXER 1-10 VOLUME 0.2512 10 linear'
+        ]);
+        assert.equal(server.getLayer(1, 30).foreground.name, 'vo');
+        assert.equal(scheduler.ducked, true);
+
+        await clock.tickAsync(7500);
+        assert.deepEqual(client.sent('MIXER').slice(2), [
+            'MIXER 1-30 VOLUME 0 25 linear',
+            'MIXER 1-10 VOLUME 1 25 linear'
+        ]);
+        // Stopped once faded out (25 frames at 25 fps)
+        assert.equal(client.sent('STOP').length, 0);
+        await clock.tickAsync(1000);
+        assert.deepEqual(client.sent('STOP'), ['STOP 1-30']);
+        assert.equal(scheduler.ducked, false);
+    });
+
+    it('brings a ducked clip back to its level when it ends, even the last one of the playlist', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, client, clock } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{ id: 'duck', type: 'AUDIO_DUCK', trigger: 'START', offsetMs: 2000, duckDb: 6 }]
+            })
+        ], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(3000);
+        assert.equal(scheduler.ducked, true);
+
+        await clock.tickAsync(16990);
+        assert.deepEqual(client.sent('MIXER'), ['MIXER 1-10 VOLUME 0.5012']);
+
+        await clock.tickAsync(10);
+        assert.deepEqual(client.sent('MIXER').slice(1), ['MIXER 1-10 VOLUME 1']);
+        assert.equal(scheduler.ducked, false);
+    });
+
+    it('brings a ducked clip back to its level at once when playback is stopped', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, server, client, clock } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{ id: 'duck', type: 'AUDIO_DUCK', trigger: 'START', offsetMs: 2000, duckDb: 6, rampFrames: 25 }]
+            }),
+            item('b', 20)
+        ], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(3000);
+        assert.equal(scheduler.ducked, true);
+
+        await scheduler.stopPlayback();
+        assert.deepEqual(client.sent('MIXER'), ['MIXER 1-10 VOLUME 0.5012 25 linear', 'MIXER 1-10 VOLUME 1']);
+        assert.equal(server.getLayer(1, 10).mixer.VOLUME[0], '1');
+        assert.equal(scheduler.ducked, false);
+    });
+
+    it('brings a ducked clip back to its level when the scheduler stops', async () => {
+        const start = new Date(2026, 9, 19, 10, 0, 0);
+        const { scheduler, client, clock } = createHarness([
+            item('a', 20, {
+                secondaryEvents: [{ id: 'duck', type: 'AUDIO_DUCK', trigger: 'START', offsetMs: 2000, duckDb: 6 }]
+            })
+        ], start);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        await clock.tickAsync(3000);
+        scheduler.stop();
+        await clock.flush();
+
+        assert.deepEqual(client.sent('MIXER'), ['MIXER 1-10 VOLUME 0.5012', 'MIXER 1-10 VOLUME 1']);
+        assert.equal(scheduler.ducked, false);
+    });
+
+    it('runs tomorrow\'s schedule on an accelerated playout clock', async () => {
+        const dayStart = new Date(2026, 9, 20, 5, 59, 0);
+        const { scheduler, playlist, clock, onAir, onAirAt } = createHarness([
+            item('a', 120),
+            item('b', 120, { hardStartTime: '06:00:30' }),
+            item('c', 60)
+        ], new Date(2026, 9, 19, 10, 0, 0), { startAt: dayStart, rate: 60 });
+
+        // a is trimmed to 90 seconds
+        assert.equal(playlist.recalculateWithHardStart().success, true);
+
+        scheduler.start();
+        scheduler.setMode('AUTO');
+        await clock.flush();
+
+        // 1 real second = 1 minute of playout
+        await clock.tickAsync(2000);
+        assert.equal(onAir(), 'b');
+        assert.ok(Math.abs(onAirAt.b - new Date(2026, 9, 20, 6, 0, 30)) <= 2000);
+
+        await clock.tickAsync(2000);
+        assert.equal(onAir(), 'c');
+        assert.equal(scheduler.currentItemId, 'c');
+        assert.ok(Math.abs(onAirAt.c - new Date(2026, 9, 20, 6, 2, 30)) <= 2000);
+    });
+});
@@ -0,0 +1,252 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CasparClient = require('../caspar/casparClient');
+const { videoModeFrameRate, parseClipLine, parseTemplateLine } = CasparClient;
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const FakeCasparClient = require('./helpers/fakeCasparClient');
+
+describe('CasparClient frame rate', () => {
+    it('reads the frame rate of the CasparCG video modes', () => {
+        assert.equal(videoModeFrameRate('PAL'), 25);
+        assert.equal(videoModeFrameRate('NTSC'), 29.97);
+        assert.equal(videoModeFrameRate('1080i5000'), 25);
+        assert.equal(videoModeFrameRate('1080i5994'), 29.97);
+        assert.equal(videoModeFrameRate('720p5000'), 50);
+        assert.equal(videoModeFrameRate('1080p2997'), 29.97);
+        assert.equal(videoModeFrameRate('2160p5994'), 59.94);
+        assert.equal(videoModeFrameRate('custom'), null);
+    });
+
+    it('gets the frame rate of each channel from INFO', async () => {
+        const server = new FakeCasparServer({ channels: [{ frameRate: 25 }, { frameRate: 29.97 }, { frameRate: 50 }] });
+        const client = new FakeCasparClient(server);
+
+        assert.equal(await client.getFrameRate(1), 25);
+        assert.equal(await client.getFrameRate(2), 29.97);
+        assert.equal(await client.getFrameRate(3), 50);
+        assert.equal(server.channels[1].videoMode, '1080i5994');
+    });
+});
+
+describe('CasparClient commands', () => {
+    it('loops a clip with LOOP', async () => {
+        const server = new FakeCasparServer();
+        server.addMedia('slate.mov', 10);
+        const client = new FakeCasparClient(server);
+
+        await client.play(1, 10, 'slate', null, 250, { type: 'MIX', durationFrames: 25 }, { loop: true });
+        await client.loadbg(1, 10, 'slate', { loop: true, length: 250 });
+
+        assert.deepEqual(client.commands.slice(-2), [
+            'PLAY 1-10 "slate" LOOP MIX 25 linear LENGTH 250',
+            'LOADBG 1-10 "slate" LOOP LENGTH 250'
+        ]);
+        assert.equal(server.getLayer(1, 10).foreground.loop, true);
+    });
+
+    it('gives a direction to the SLIDE, PUSH and WIPE transitions only', () => {
+        const client = new CasparClient();
+
+        assert.equal(client.transitionParams({ type: 'MIX', durationFrames: 25, direction: 'LEFT' }), ' MIX 25 linear');
+        assert.equal(client.transitionParams({ type: 'CUT', durationFrames: 25, direction: 'LEFT' }), '');
+        assert.equal(client.transitionParams({ type: 'WIPE', durationFrames: 10, tween: 'easeinsine' }), ' WIPE 10 easeinsine RIGHT');
+        assert.equal(client.transitionParams({ type: 'SLIDE', durationFrames: 10, direction: 'LEFT' }), ' SLIDE 10 linear LEFT');
+        assert.equal(client.transitionParams({ type: 'PUSH', durationFrames: 10, direction: 'LEFT' }), ' PUSH 10 linear LEFT');
+    });
+});
+
+describe('CasparClient MIXER', () => {
+    it('sends typed MIXER commands with duration and tween', async () => {
+        const server = new FakeCasparServer();
+        const client = new FakeCasparClient(server);
+
+        await client.mixerFill(1, 20, 0.05, 0.05, 0.45, 0.45, { duration: 25, tween: 'easeinoutsine' });
+        await client.mixerVolume(1, 10, 0.25, { duration: 12 });
+        await client.mixerMasterVolume(1, 0.8);
+        await client.mixerKeyer(1, 19, true);
+        await client.mixerChroma(1, 30, { targetHue: 120, hueWidth: 0.1, minSaturation: 0.3, minBrightness: 0.1, softness: 0.1, spillSuppress: 10, spillSuppressSaturation: 0.5 });
+        await client.mixerPerspective(1, 20, { topLeft: [0.1, 0], topRight: [0.9, 0], bottomRight: [1, 1], bottomLeft: [0, 1] });
+
+        assert.deepEqual(client.commands, [
+            'MIXER 1-20 FILL 0.05 0.05 0.45 0.45 25 easeinoutsine',
+            'MIXER 1-10 VOLUME 0.25 12 linear',
+            'MIXER 1 MASTERVOLUME 0.8',
+            'MIXER 1-19 KEYER 1',
+            'MIXER 1-30 CHROMA 1 120 0.1 0.3 0.1 0.1 10 0.5 0',
+            'MIXER 1-20 PERSPECTIVE 0.1 0 0.9 0 1 1 0 1'
+        ]);
+        assert.deepEqual(server.getLayer(1, 20).mixer.FILL, ['0.05', '0.05', '0.45', '0.45']);
+        assert.deepEqual(await client.getMixer(1, 10, 'VOLUME'), [0.25]);
+    });
+
+    it('defers MIXER commands until COMMIT and clears them', async () => {
+        const server = new FakeCasparServer();
+        const client = new FakeCasparClient(server);
+
+        await client.mixerOpacity(1, 20, 0.5, { defer: true });
+        await client.mixerBlend(1, 20, 'Screen', { defer: true });
+        await client.mixerCommit(1);
+        await client.mixerClear(1, 20);
+
+        assert.deepEqual(client.commands, [
+            'MIXER 1-20 OPACITY 0.5 DEFER',
+            'MIXER 1-20 BLEND Screen DEFER',
+            'MIXER 1 COMMIT',
+            'MIXER 1-20 CLEAR'
+        ]);
+        assert.deepEqual(await client.getMixer(1, 20, 'OPACITY'), [1]);
+    });
+
+    it('refuses invalid MIXER values before sending them', async () => {
+        const client = new FakeCasparClient(new FakeCasparServer());
+
+        await assert.rejects(() => client.mixerOpacity(1, 20, NaN), /Invalid MIXER OPACITY value/);
+        await assert.rejects(() => client.mixerBlend(1, 20, 'Screen 25'), /Invalid MIXER blend mode/);
+        await assert.rejects(() => client.mixerFill(1, 20, 0, 0, 1, 1, { duration: 10, tween: 'ease in' }), /Invalid MIXER tween/);
+        assert.deepEqual(client.commands, []);
+    });
+});
+
+describe('CasparClient media replies', () => {
+    it('parses CLS lines of movies and stills', () => {
+        const movie = parseClipLine('"NEWS/OPEN" MOVIE 6445960 20260413012438 900 1001/30000');
+        assert.equal(movie.name, 'NEWS/OPEN');
+        assert.equal(movie.type, 'MOVIE');
+        assert.equal(movie.frameRate, 29.97);
+        assert.equal(movie.durationSeconds, 30.03);
+        assert.equal(movie.modified.getTime(), new Date(2026, 3, 13, 1, 24, 38).getTime());
+
+        const still = parseClipLine('"LOGO" STILL 1234 20260413012438 0 0/1');
+        assert.equal(still.durationSeconds, 0);
+        assert.equal(still.frameRate, null);
+        assert.equal(parseClipLine(''), null);
+    });
+
+    it('parses TLS lines with or without details', () => {
+        assert.equal(parseTemplateLine('"rtg-lower-third/index" 6192 20130523153213 HTML'), 'rtg-lower-third/index');
+        assert.equal(parseTemplateLine('CASPAR_TEXT'), 'CASPAR_TEXT');
+        assert.equal(parseTemplateLine('  '), null);
+    });
+});
+
+describe('CasparClient over TCP', () => {
+    let server;
+    let client;
+
+    /**
+     * Client connected to the fake server, REQ/RES detection done
+     */
+    async function connect(serverOptions = {}, clientOptions = {}) {
+        server = new FakeCasparServer({ port: 0, media: { news: 30, promo: 20 }, ...serverOptions });
+        const port = await server.start();
+        client = new CasparClient('127.0.0.1', port, clientOptions);
+        await client.connect();
+        if (client.detection) await client.detection;
+        return client;
+    }
+
+    const reconnected = () => new Promise(resolve => client.once('connected', resolve));
+    // Well under the 30 s idle timeout after which the socket would be reset anyway
+    const QUICK = { timeout: 3000 };
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        if (client) client.disconnect();
+        if (server) await server.stop();
+        client = null;
+        server = null;
+        mock.restoreAll();
+    });
+
+    it('answers concurrent commands in order without request IDs', async () => {
+        await connect({}, { requestIds: false });
+        server.setLatency(10);
+
+        const [version, play, info, clips, stop] = await Promise.all([
+            client.version(),
+            client.sendCommand('PLAY 1-10 "news"'),
+            client.info(1),
+            client.cls(),
+            client.sendCommand('STOP 1-10')
+        ]);
+
+        assert.equal(version, '2.3.3 FAKE');
+        assert.equal(play, '202 PLAY OK');
+        assert.match(info, /^<\?xml[\s\S]*<channel>[\s\S]*<\/channel>$/);
+        assert.deepEqual(clips.map(clip => clip.name), ['NEWS', 'PROMO']);
+        assert.equal(stop, '202 STOP OK');
+    });
+
+    it('matches tagged replies by ID, with 201 and 200 multi-line data', async () => {
+        await connect();
+        assert.equal(client.useRequestIds, true);
+
+        const [info, clips, version] = await Promise.all([client.info(1), client.request('CLS'), client.version()]);
+
+        assert.ok(info.split('\n').length > 1);
+        assert.match(info, /<\/channel>$/);
+        assert.equal(clips.code, 200);
+        assert.match(clips.requestId, /^rtg-/);
+        assert.equal(clips.data.length, 2);
+        assert.equal(version, '2.3.3 FAKE');
+    });
+
+    it('falls back to order matching on servers without REQ, holding commands during detection', async () => {
+        server = new FakeCasparServer({ port: 0, media: { news: 30 }, requestIds: false });
+        client = new CasparClient('127.0.0.1', await server.start());
+        await client.connect();
+
+        // Sent while the REQ probe waits for its 400 ERROR
+        const version = await client.version();
+
+        assert.equal(version, '2.3.3 FAKE');
+        assert.equal(client.useRequestIds, false);
+        assert.equal(await client.sendCommand('PLAY 1-10 "news"'), '202 PLAY OK');
+    });
+
+    it('reconnects when an untagged reply never comes, then keeps replies in step', QUICK, async () => {
+        await connect({}, { requestIds: false });
+        client.commandTimeout = 200;
+        server.injectFault('VERSION', { noReply: true });
+
+        const back = reconnected();
+        await assert.rejects(() => client.version(), /Command timeout/);
+        await back;
+
+        assert.equal(await client.version(), '2.3.3 FAKE');
+        assert.equal(await client.sendCommand('PLAY 1-10 "news"'), '202 PLAY OK');
+        assert.match(await client.info(1), /<name>news<\/name>/i);
+    });
+
+    it('does not hand a late untagged reply to the next command', QUICK, async () => {
+        await connect({}, { requestIds: false });
+        server.injectFault('INFO', { latency: 300 });
+
+        const back = reconnected();
+        await assert.rejects(() => client.request('INFO 1', { timeout: 100 }), /Command timeout/);
+        await back;
+
+        assert.equal(await client.sendCommand('PLAY 1-10 "news"'), '202 PLAY OK');
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(await client.version(), '2.3.3 FAKE');
+    });
+
+    it('drops a late tagged reply without reconnecting', QUICK, async () => {
+        await connect();
+        server.injectFault('INFO', { latency: 300 });
+        let reconnections = 0;
+        client.on('connected', () => reconnections++);
+
+        await assert.rejects(() => client.request('INFO 1', { timeout: 100 }), /Command timeout/);
+
+        assert.equal(await client.version(), '2.3.3 FAKE');
+        assert.equal(await client.sendCommand('PLAY 1-10 "news"'), '202 PLAY OK');
+        assert.equal(reconnections, 0);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { scanCasparMedia, scanCasparTemplates, retrieveThumbnail } = require('../utils/casparMediaSource');
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const FakeCasparClient = require('./helpers/fakeCasparClient');
+
+describe('CasparCG media source', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        server = new FakeCasparServer({
+            channels: [{ frameRate: 29.97 }],
+            media: { 'news.mov': 30, 'Fillers/slate.mp4': 10 },
+            templates: ['rtg-lower-third/index', 'rtg-clock/index']
+        });
+        client = new FakeCasparClient(server);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lists the clips of CasparCG as media library entries', async () => {
+        const media = await scanCasparMedia(client);
+
+        assert.deepEqual(client.commands, ['CLS', 'CINF "FILLERS/SLATE"', 'CINF "NEWS"']);
+        assert.deepEqual(media.map(({ name, file, durationSeconds, frameRate, path }) => ({ name, file, durationSeconds, frameRate, path })), [
+            { name: 'SLATE', file: 'FILLERS/SLATE', durationSeconds: 10.01, frameRate: 29.97, path: null },
+            { name: 'NEWS', file: 'NEWS', durationSeconds: 30, frameRate: 29.97, path: null }
+        ]);
+        assert.equal(media[1].size, 30000000);
+        assert.ok(media[1].modified instanceof Date);
+    });
+
+    it('asks CINF again only for a replaced clip', async () => {
+        await scanCasparMedia(client);
+        server.addMedia('news.mov', 60);
+        client.commands.length = 0;
+
+        const media = await scanCasparMedia(client);
+
+        assert.deepEqual(client.commands, ['CLS', 'CINF "NEWS"']);
+        assert.equal(media[1].durationSeconds, 59.99);
+    });
+
+    it('keeps the CLS duration when CINF fails', async () => {
+        server.injectFault('CINF', { code: 500, times: 2 });
+
+        const media = await scanCasparMedia(client);
+
+        assert.deepEqual(media.map(m => m.durationSeconds), [10.01, 30]);
+    });
+
+    it('lists the templates and the info of one clip', async () => {
+        assert.deepEqual(await scanCasparTemplates(client), ['rtg-lower-third/index', 'rtg-clock/index']);
+
+        const clip = await client.cinf('news');
+        assert.equal(clip.frames, 899);
+        assert.equal(clip.frameRate, 29.97);
+        await assert.rejects(() => client.cinf('missing'), /404/);
+    });
+
+    it('keeps the thumbnails of clips in folders apart', async () => {
+        server.addMedia('a/b.mov', 10);
+        server.addMedia('a_b.mov', 10);
+        const written = [];
+        mock.method(fs, 'stat', async () => { throw Object.assign(new Error('missing'), { code: 'ENOENT' }); });
+        mock.method(fs, 'mkdir', async () => {});
+        mock.method(fs, 'writeFile', async (file) => { written.push(path.basename(file)); });
+
+        const urls = [
+            await retrieveThumbnail(client, { file: 'A/B', modified: new Date() }),
+            await retrieveThumbnail(client, { file: 'A_B', modified: new Date() })
+        ];
+
+        assert.deepEqual(written, ['A%2FB.png', 'A_B.png']);
+        // Encoded again in the URL: the HTTP server decodes it once
+        assert.deepEqual(urls, ['/thumbnails/A%252FB.png', '/thumbnails/A_B.png']);
+    });
+
+    it('retrieves the thumbnail of a clip as PNG', async () => {
+        const png = await client.thumbnailRetrieve('FILLERS/SLATE');
+
+        assert.deepEqual(png.subarray(1, 4).toString(), 'PNG');
+        assert.equal(client.commands[0], 'THUMBNAIL RETRIEVE "FILLERS/SLATE"');
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Clock } = require('../utils/clock');
+const FakeClock = require('./helpers/fakeClock');
+
+describe('Clock', () => {
+    let system;
+    let clock;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        system = new FakeClock('2026-10-19T10:00:00.000Z').install();
+        clock = new Clock();
+    });
+
+    afterEach(() => {
+        system.uninstall();
+        mock.restoreAll();
+    });
+
+    it('follows the system time by default', () => {
+        assert.equal(clock.now(), Date.now());
+        system.tick(1500);
+        assert.equal(clock.date().toISOString(), '2026-10-19T10:00:01.500Z');
+        assert.equal(clock.isSimulated(), false);
+    });
+
+    it('jumps to a time and keeps running from there', () => {
+        clock.setTime('2026-10-20T05:55:00.000Z');
+        system.tick(2000);
+
+        assert.equal(clock.date().toISOString(), '2026-10-20T05:55:02.000Z');
+        assert.equal(clock.isSimulated(), true);
+    });
+
+    it('runs ahead of the system time with an offset', () => {
+        clock.setOffset(24 * 3600 * 1000);
+
+        assert.equal(clock.date().toISOString(), '2026-10-20T10:00:00.000Z');
+        assert.equal(clock.getStatus().offsetMs, 24 * 3600 * 1000);
+    });
+
+    it('runs faster when accelerated, from the current time', () => {
+        system.tick(1000);
+        clock.setRate(60);
+        system.tick(1000);
+
+        assert.equal(clock.date().toISOString(), '2026-10-19T10:01:01.000Z');
+        assert.throws(() => clock.setRate(0), /positive/);
+        assert.throws(() => clock.setTime('tomorrow'), /Invalid clock time/);
+    });
+
+    it('goes back to the system time on reset', () => {
+        clock.setTime('2026-10-20T05:55:00.000Z');
+        clock.setRate(60);
+        clock.reset();
+
+        assert.equal(clock.now(), Date.now());
+        assert.equal(clock.rate, 1);
+    });
+
+    it('fires timers in simulated time', () => {
+        clock.setRate(60);
+        const fired = [];
+
+        clock.setTimeout(() => fired.push('timeout'), 60000);
+        const interval = clock.setInterval(() => fired.push('tick'), 30000);
+
+        system.tick(999);
+        assert.deepEqual(fired, ['tick']);
+
+        system.tick(1);
+        assert.deepEqual(fired, ['tick', 'timeout', 'tick']);
+
+        clock.clearInterval(interval);
+        system.tick(10000);
+        assert.equal(fired.length, 3);
+    });
+
+    it('re-arms timers when the rate changes or the time jumps', () => {
+        const fired = [];
+        clock.setTimeout(() => fired.push('take'), 60000);
+
+        // 30 simulated seconds left: 0.5 s at x60
+        system.tick(30000);
+        clock.setRate(60);
+        system.tick(499);
+        assert.deepEqual(fired, []);
+        system.tick(1);
+        assert.deepEqual(fired, ['take']);
+
+        // A jump past a due time fires it at once
+        clock.setTimeout(() => fired.push('cue'), 3600000);
+        clock.setOffset(2 * 3600 * 1000);
+        system.tick(0);
+        assert.deepEqual(fired, ['take', 'cue']);
+    });
+
+    it('notifies clock changes', () => {
+        const changes = [];
+        clock.on('change', status => changes.push(status));
+
+        clock.setRate(10);
+        clock.reset();
+
+        assert.equal(changes.length, 2);
+        assert.equal(changes[0].rate, 10);
+        assert.equal(changes[0].simulated, true);
+        assert.equal(changes[1].simulated, false);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ErrorHandler = require('../utils/errorHandler');
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const FakeCasparClient = require('./helpers/fakeCasparClient');
+const FakeClock = require('./helpers/fakeClock');
+const logger = require('../utils/logger');
+
+describe('ErrorHandler', () => {
+    let clock;
+    let server;
+    let client;
+    let notifications;
+    let handler;
+
+    const item = { id: 'item-1', name: 'News', file: 'news.mov' };
+
+    beforeEach(() => {
+        ['info', 'warn', 'error'].forEach(level => mock.method(logger, level, () => {}));
+        mock.method(console, 'log', () => {});
+
+        clock = new FakeClock(new Date(2026, 9, 19, 10, 0, 0)).install();
+        server = new FakeCasparServer({ media: { slate: 10 } });
+        client = new FakeCasparClient(server);
+        notifications = [];
+        handler = new ErrorHandler(client, message => notifications.push(message.data));
+    });
+
+    afterEach(() => {
+        clock.uninstall();
+        mock.restoreAll();
+    });
+
+    it('retries a missing clip, then plays the fallback slate', async () => {
+        await handler.handlePlayError(new Error('404 PLAY FILE NOT FOUND'), item, 1, 10);
+        await clock.tickAsync(3000);
+
+        assert.deepEqual(client.sent('PLAY'), [
+            'PLAY 1-10 "news"',
+            'PLAY 1-10 "news"',
+            'PLAY 1-10 "news"',
+            'PLAY 1-10 "SLATE"'
+        ]);
+        assert.equal(server.getLayer(1, 10).foreground.name, 'SLATE');
+        assert.equal(notifications.at(-1).message, 'Échec définitif. Passage au secours (SLATE).');
+        assert.equal(handler.retryCounts.size, 0);
+    });
+
+    it('stops retrying once the clip plays again', async () => {
+        server.addMedia('news.mov', 60);
+        server.injectFault('PLAY', { code: 500 });
+
+        await handler.handlePlayError(new Error('500 PLAY FAILED'), item, 1, 10);
+        await clock.tickAsync(1000);
+        // The injected error fails the first retry
+        assert.equal(server.getLayer(1, 10), null);
+
+        await clock.tickAsync(1000);
+        assert.equal(server.getLayer(1, 10).foreground.name, 'news');
+        assert.equal(notifications.at(-1).level, 'SUCCESS');
+        assert.equal(handler.retryCounts.size, 0);
+
+        await clock.tickAsync(5000);
+        assert.equal(client.sent('PLAY').length, 2);
+    });
+});
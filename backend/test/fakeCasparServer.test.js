@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const CasparClient = require('../caspar/casparClient');
+const FakeClock = require('./helpers/fakeClock');
+
+describe('FakeCasparServer', () => {
+    let now;
+    let server;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        now = 1000000;
+        server = new FakeCasparServer({ now: () => now, media: { news: 10, promo: 20, slate: 5 } });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        mock.restoreAll();
+    });
+
+    it('finishes a clip and takes the AUTO background on its last frame', () => {
+        server.execute('PLAY 1-10 "news"');
+        server.execute('LOADBG 1-10 "promo" AUTO');
+
+        now += 9960;
+        assert.equal(server.getLayer(1, 10).foreground.name, 'news');
+
+        now += 40;
+        const layer = server.getLayer(1, 10);
+        assert.equal(layer.foreground.name, 'promo');
+        assert.equal(layer.foreground.time, 0);
+        assert.equal(layer.background, null);
+    });
+
+    it('discards the cued clip when another clip is played', () => {
+        server.execute('PLAY 1-10 "news"');
+        server.execute('LOADBG 1-10 "promo" AUTO');
+        server.execute('PLAY 1-10 "slate"');
+
+        assert.equal(server.getLayer(1, 10).background, null);
+
+        now += 6000;
+        const layer = server.getLayer(1, 10);
+        assert.equal(layer.foreground.name, 'slate');
+        assert.equal(layer.foreground.finished, true);
+    });
+
+    it('describes the layers in INFO and refuses unknown clips', () => {
+        server.execute('PLAY 1-10 "news"');
+        now += 4000;
+
+        const info = server.execute('INFO 1');
+        assert.equal(info.code, 201);
+        const xml = info.data.join('\n');
+        assert.match(xml, /<layer_10>[\s\S]*<name>news<\/name>[\s\S]*<time>4\.00<\/time>\s*<time>10\.00<\/time>/);
+
+        assert.equal(server.execute('PLAY 1-10 "missing"').status, '404 PLAY FILE NOT FOUND');
+    });
+
+    it('follows a clock installed after it was created', () => {
+        const clock = new FakeClock(new Date(2026, 9, 19, 10, 0, 0));
+        server = new FakeCasparServer({ media: { news: 10 } });
+        clock.install();
+
+        try {
+            server.execute('PLAY 1-10 "news"');
+            clock.tick(11000);
+            assert.equal(server.getLayer(1, 10).foreground.finished, true);
+        } finally {
+            clock.uninstall();
+        }
+    });
+
+    it('injects error codes, latency and disconnects over TCP', async () => {
+        server = new FakeCasparServer({ port: 0, media: { news: 10 } });
+        const client = new CasparClient('127.0.0.1', await server.start(), { requestIds: false });
+        await client.connect();
+
+        try {
+            server.injectFault('PLAY', { code: 500 });
+            await assert.rejects(() => client.play(1, 10, 'news'), { code: 500 });
+            assert.equal(await client.sendCommand('PLAY 1-10 "news"'), '202 PLAY OK');
+
+            server.setLatency(100);
+            const sentAt = Date.now();
+            await client.version();
+            assert.ok(Date.now() - sentAt >= 90);
+
+            server.injectFault('STOP', { disconnect: true });
+            const lost = new Promise(resolve => client.once('disconnected', resolve));
+            await assert.rejects(() => client.stop(1, 10), /Connection closed/);
+            await lost;
+            assert.equal(client.connected, false);
+        } finally {
+            client.disconnect();
+        }
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FillerPool = require('../models/fillerPool');
+const MediaFolders = require('../models/mediaFolders');
+const PlaylistModel = require('../models/playlist');
+const FakeClock = require('./helpers/fakeClock');
+
+const media = (file, durationSeconds) => ({ name: file.split('/').pop().replace(/\.[^/.]+$/, ''), file, durationSeconds });
+
+/**
+ * Pool over a "Fillers" folder holding the given media, with a 10 s slate outside of it
+ */
+function createPool(fillers, options = {}) {
+    const folders = new MediaFolders();
+    const library = [...fillers, media('Slates/SLATE.mov', 10)];
+    folders.syncWithPhysicalStructure(library);
+
+    return new FillerPool({
+        mediaFolders: folders,
+        getMediaLibrary: () => library,
+        slate: 'SLATE',
+        ...options
+    });
+}
+
+const total = (items) => Math.round(items.reduce((sum, item) => sum + item.durationSeconds, 0) * 1000) / 1000;
+
+describe('FillerPool', () => {
+    let clock;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        clock = new FakeClock('2026-10-19T10:00:00.000Z').install();
+    });
+
+    afterEach(() => {
+        clock.uninstall();
+        mock.restoreAll();
+    });
+
+    it('takes its fillers from the pool folder only', () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 30), media('Clips/film.mp4', 20)]);
+
+        assert.deepEqual(pool.getCandidates().map(m => m.file), ['Fillers/promo1.mp4']);
+    });
+
+    it('fits a combination of fillers to the frame', () => {
+        const pool = createPool([
+            media('Fillers/promo1.mp4', 30),
+            media('Fillers/id1.mp4', 7.48),
+            media('Fillers/promo2.mp4', 25),
+            media('Fillers/id2.mp4', 12.52)
+        ]);
+
+        const items = pool.fill(50);
+
+        assert.equal(total(items), 50);
+        assert.deepEqual(items.map(i => i.name).sort(), ['id1', 'id2', 'promo1']);
+    });
+
+    it('prefers fillers not aired recently', () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 30), media('Fillers/promo2.mp4', 30)]);
+        pool.recordAiring('Fillers/promo1.mp4', '2026-10-19T09:30:00.000Z');
+
+        assert.deepEqual(pool.fill(30).map(i => i.name), ['promo2']);
+
+        pool.recordAiring('Fillers/promo2.mp4', '2026-10-19T09:45:00.000Z');
+        assert.deepEqual(pool.fill(30).map(i => i.name), ['promo1']);
+    });
+
+    it('loads the last airings from the as-run log', async () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 30), media('Fillers/promo2.mp4', 30)]);
+        const asRunLogger = {
+            getLogs: async () => [
+                { timestamp: '2026-10-19T09:50:00.000Z', eventType: 'PLAY_START', fileName: 'Fillers/promo2.mp4' },
+                { timestamp: '2026-10-19T09:55:00.000Z', eventType: 'SYSTEM', event: 'SERVER_START' }
+            ]
+        };
+
+        await pool.loadHistory([asRunLogger, null]);
+
+        assert.deepEqual(pool.fill(30).map(i => i.name), ['promo1']);
+        assert.equal(pool.getStatus().fillers.find(f => f.name === 'promo2').recent, true);
+    });
+
+    it('covers what the fillers cannot fill with the slate', () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 30)]);
+
+        const items = pool.fill(54.2);
+
+        assert.deepEqual(items.map(i => [i.name, i.durationSeconds]), [
+            ['promo1', 30],
+            ['SLATE', 10],
+            ['SLATE', 10],
+            ['SLATE', 4.2]
+        ]);
+    });
+
+    it('cuts the slate to whole frames', () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 30)]);
+
+        // 4.23 s are 105.75 frames at 25 fps
+        assert.deepEqual(pool.fill(54.23).map(i => i.durationSeconds), [30, 10, 10, 4.24]);
+
+        // 10.5 s are 314.69 frames at 29.97: 300 + 15 (durations are kept to the millisecond)
+        const ntsc = pool.fill(10.5, { frameRate: 29.97 });
+        assert.deepEqual(ntsc.map(i => Math.round(i.durationSeconds * 30000 / 1001)), [300, 15]);
+        assert.ok(Math.abs(total(ntsc) - 315 * 1001 / 30000) < 0.001);
+    });
+
+    it('leaves the gap to the hold without a slate', () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 30)], { slate: 'MISSING' });
+
+        assert.deepEqual(pool.fill(45).map(i => i.name), ['promo1']);
+    });
+
+    it('fills an early hard start in a playlist to the frame', () => {
+        const pool = createPool([media('Fillers/promo1.mp4', 20), media('Fillers/promo2.mp4', 15), media('Fillers/id1.mp4', 25)]);
+        const playlist = new PlaylistModel('TEST', 'Test');
+        playlist.setBaseStartAt(new Date(2026, 9, 19, 10, 0, 0));
+        playlist.setItems([
+            { id: 'a', name: 'a', file: 'a.mp4', durationSeconds: 300 },
+            { id: 'news', name: 'news', file: 'news.mp4', durationSeconds: 60, hardStartTime: '10:06:00', hardStartPolicy: 'filler' }
+        ]);
+
+        const result = playlist.recalculateWithHardStart({ fillerPool: pool });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.adjustments.map(a => a.type), ['filler', 'filler', 'filler']);
+        const scheduled = playlist.getScheduled();
+        assert.equal(scheduled.items[scheduled.items.length - 1].startAt, new Date(2026, 9, 19, 10, 6, 0).toISOString());
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Fake CasparCG Client - CasparClient answered in-process by a FakeCasparServer
+ *
+ * No socket: every command is executed synchronously by the fake server, which
+ * keeps the layer state on its simulated clock. Sent commands are recorded.
+ */
+
+const CasparClient = require('../../caspar/casparClient');
+const FakeCasparServer = require('../../caspar/fakeCasparServer');
+
+class FakeCasparClient extends CasparClient {
+    /**
+     * @param {FakeCasparServer} [server] - Server answering the commands (unknown clips last 60s by default)
+     */
+    constructor(server = new FakeCasparServer({ defaultDuration: 60 })) {
+        super();
+        this.server = server;
+        this.connected = true;
+        this.commands = [];
+    }
+
+    async connect() {
+        this.connected = true;
+        this.emit('connected');
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+
+    /**
+     * Lose the connection (server crash, network), as the socket close of CasparClient
+     */
+    drop() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+
+    isHealthy() {
+        return this.connected;
+    }
+
+    async request(command) {
+        if (!this.connected) {
+            throw new Error('Not connected to CasparCG');
+        }
+
+        this.commands.push(command);
+
+        const reply = this.server.execute(command);
+        if (reply.code >= 400) {
+            const error = new Error(reply.status);
+            error.code = reply.code;
+            error.command = command;
+            throw error;
+        }
+
+        return reply;
+    }
+
+    /**
+     * Commands sent so far starting with a verb (e.g. "PLAY", "LOADBG")
+     */
+    sent(verb) {
+        return this.commands.filter(command => command.startsWith(`${verb} `) || command === verb);
+    }
+}
+
+module.exports = FakeCasparClient;
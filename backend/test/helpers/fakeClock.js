@@ -0,0 +1,165 @@
+/**
+ * Fake Clock - Deterministic time for tests
+ *
+ * While installed, Date, setTimeout and setInterval are replaced: time only moves
+ * with tick(), which runs the timers falling due in chronological order.
+ */
+
+const RealDate = Date;
+const realTimers = {
+    setTimeout: global.setTimeout,
+    clearTimeout: global.clearTimeout,
+    setInterval: global.setInterval,
+    clearInterval: global.clearInterval
+};
+
+class FakeClock {
+    /**
+     * @param {Date|string|number} start - Initial time
+     */
+    constructor(start) {
+        this.time = new RealDate(start).getTime();
+        this.timers = new Map();
+        this.nextId = 1;
+        this.installed = false;
+    }
+
+    /**
+     * Replace the global clock and timers
+     * @returns {FakeClock}
+     */
+    install() {
+        const clock = this;
+
+        class FakeDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(clock.time);
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return clock.time;
+            }
+
+            // Dates created before install stay instances of Date
+            static [Symbol.hasInstance](value) {
+                return value instanceof RealDate;
+            }
+        }
+
+        global.Date = FakeDate;
+        global.setTimeout = (callback, delay = 0, ...args) => this._addTimer(callback, delay, args, false);
+        global.setInterval = (callback, delay = 0, ...args) => this._addTimer(callback, delay, args, true);
+        global.clearTimeout = (id) => this.timers.delete(id);
+        global.clearInterval = (id) => this.timers.delete(id);
+
+        this.installed = true;
+        return this;
+    }
+
+    /**
+     * Restore the real clock and timers (pending fake timers are dropped)
+     */
+    uninstall() {
+        global.Date = RealDate;
+        Object.assign(global, realTimers);
+        this.timers.clear();
+        this.installed = false;
+    }
+
+    /**
+     * Current fake time (ms)
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Move to an absolute time without running timers
+     */
+    setTime(date) {
+        this.time = new RealDate(date).getTime();
+    }
+
+    /**
+     * Advance time, running the timers that fall due (synchronous callbacks only)
+     * @param {number} ms - Milliseconds
+     */
+    tick(ms) {
+        const target = this.time + ms;
+
+        let timer;
+        while ((timer = this._nextDue(target))) {
+            this.time = timer.at;
+            this._fire(timer);
+        }
+
+        this.time = target;
+    }
+
+    /**
+     * Advance time step by step, letting promises and real I/O settle after each timer
+     * @param {number} ms - Milliseconds
+     */
+    async tickAsync(ms) {
+        const target = this.time + ms;
+
+        let timer;
+        while ((timer = this._nextDue(target))) {
+            this.time = timer.at;
+            this._fire(timer);
+            await this.flush();
+        }
+
+        this.time = target;
+        await this.flush();
+    }
+
+    /**
+     * Let pending promise chains and local socket I/O complete
+     */
+    async flush() {
+        for (let i = 0; i < 5; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        await new Promise(resolve => realTimers.setTimeout(resolve, 5));
+    }
+
+    /**
+     * Number of pending timers
+     */
+    pendingTimers() {
+        return this.timers.size;
+    }
+
+    _addTimer(callback, delay, args, repeat) {
+        const id = this.nextId++;
+        const interval = Math.max(1, Number(delay) || 0);
+        this.timers.set(id, { id, callback, args, repeat, interval, at: this.time + (repeat ? interval : Math.max(0, Number(delay) || 0)) });
+        return id;
+    }
+
+    _nextDue(target) {
+        let next = null;
+        for (const timer of this.timers.values()) {
+            if (timer.at <= target && (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id))) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+
+    _fire(timer) {
+        if (timer.repeat) {
+            timer.at += timer.interval;
+        } else {
+            this.timers.delete(timer.id);
+        }
+        timer.callback(...timer.args);
+    }
+}
+
+module.exports = FakeClock;
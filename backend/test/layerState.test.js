@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LayerStateStore = require('../caspar/layerState');
+const FakeClock = require('./helpers/fakeClock');
+const playoutClock = require('../utils/clock');
+
+const layerAddress = (path, layer = 10) => `/channel/1/stage/layer/${layer}/${path}`;
+
+describe('LayerStateStore', () => {
+    let clock;
+    let store;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        clock = new FakeClock(new Date(2026, 9, 19, 10, 0, 0)).install();
+        store = new LayerStateStore(1000);
+    });
+
+    afterEach(() => {
+        playoutClock.reset();
+        clock.uninstall();
+        mock.restoreAll();
+    });
+
+    it('reads the CasparCG 2.3 and 2.0 layer addresses', () => {
+        store.handlePacket([
+            { address: layerAddress('foreground/file/name'), args: ['news.mov'] },
+            { address: layerAddress('foreground/file/time'), args: [12.5, 30] },
+            { address: layerAddress('background/file/name'), args: ['promo.mov'] },
+            { address: layerAddress('file/frame', 20), args: [100, 250] }
+        ]);
+
+        const layer = store.getLayer(1, 10);
+        assert.equal(layer.foreground.file, 'news.mov');
+        assert.equal(layer.foreground.time, 12.5);
+        assert.equal(layer.foreground.duration, 30);
+        assert.equal(layer.background.file, 'promo.mov');
+        assert.equal(store.getLayer(1, 20).foreground.totalFrames, 250);
+    });
+
+    it('empties a silent layer and forgets a silent channel', () => {
+        store.handlePacket([{ address: layerAddress('foreground/file/name'), args: ['news.mov'] }]);
+
+        clock.tick(800);
+        store.handlePacket([{ address: layerAddress('foreground/file/name', 20), args: ['logo.png'] }]);
+        clock.tick(400);
+
+        assert.equal(store.getLayer(1, 10).foreground.file, null);
+        assert.equal(store.getLayer(1, 20).foreground.file, 'logo.png');
+
+        clock.tick(1000);
+        assert.equal(store.getLayer(1, 20), null);
+        assert.equal(store.isChannelLive(1), false);
+    });
+
+    it('ages the state on the playout clock', () => {
+        playoutClock.setRate(60);
+        store.handlePacket([{ address: layerAddress('foreground/file/name'), args: ['news.mov'] }]);
+
+        // 100 ms of system time are 6 seconds of simulated time
+        clock.tick(100);
+        assert.equal(store.isChannelLive(1), false);
+    });
+});
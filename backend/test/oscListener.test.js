@@ -0,0 +1,126 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OscListener = require('../caspar/oscListener');
+
+const { decodePacket } = OscListener;
+
+/**
+ * OSC string: UTF-8, null-terminated, padded to 4 bytes
+ */
+function oscString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([bytes, Buffer.alloc(4 - (bytes.length % 4))]);
+}
+
+function int32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value);
+    return buffer;
+}
+
+function float32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(value);
+    return buffer;
+}
+
+function int64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64BE(BigInt(value));
+    return buffer;
+}
+
+function message(address, typeTags, ...args) {
+    return Buffer.concat([oscString(address), oscString(`,${typeTags}`), ...args]);
+}
+
+function bundle(...elements) {
+    return Buffer.concat([
+        oscString('#bundle'),
+        Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]), // Time tag: immediately
+        ...elements.flatMap(element => [int32(element.length), element])
+    ]);
+}
+
+describe('OscListener.decodePacket', () => {
+    it('decodes the float message of the OSC 1.0 specification', () => {
+        const packet = Buffer.from([
+            0x2f, 0x6f, 0x73, 0x63, 0x69, 0x6c, 0x6c, 0x61, 0x74, 0x6f, 0x72, 0x2f,
+            0x34, 0x2f, 0x66, 0x72, 0x65, 0x71, 0x75, 0x65, 0x6e, 0x63, 0x79, 0x00,
+            0x2c, 0x66, 0x00, 0x00,
+            0x43, 0xdc, 0x00, 0x00
+        ]);
+
+        assert.deepEqual(decodePacket(packet), [{ address: '/oscillator/4/frequency', args: [440] }]);
+    });
+
+    it('decodes int32, string and float arguments with their padding', () => {
+        const packet = Buffer.from([
+            0x2f, 0x66, 0x6f, 0x6f, 0x00, 0x00, 0x00, 0x00,
+            0x2c, 0x69, 0x69, 0x73, 0x66, 0x66, 0x00, 0x00,
+            0x00, 0x00, 0x03, 0xe8,
+            0xff, 0xff, 0xff, 0xff,
+            0x68, 0x65, 0x6c, 0x6c, 0x6f, 0x00, 0x00, 0x00,
+            0x3f, 0x9d, 0xf3, 0xb6,
+            0x40, 0xb5, 0xb2, 0x2d
+        ]);
+
+        const [{ address, args }] = decodePacket(packet);
+        assert.equal(address, '/foo');
+        assert.deepEqual(args.slice(0, 3), [1000, -1, 'hello']);
+        assert.ok(Math.abs(args[3] - 1.234) < 1e-6);
+        assert.ok(Math.abs(args[4] - 5.678) < 1e-6);
+    });
+
+    it('decodes int64, booleans and messages without type tags', () => {
+        const packet = message('/channel/1/stage/layer/10/foreground/file/frame', 'hhT', int64(1500), int64(2 ** 40));
+
+        assert.deepEqual(decodePacket(packet), [{
+            address: '/channel/1/stage/layer/10/foreground/file/frame',
+            args: [1500, 2 ** 40, true]
+        }]);
+        assert.deepEqual(decodePacket(oscString('/ping')), [{ address: '/ping', args: [] }]);
+    });
+
+    it('flattens nested bundles in order', () => {
+        const time = message('/channel/1/stage/layer/10/foreground/file/time', 'ff', float32(12.5), float32(30));
+        const name = message('/channel/1/stage/layer/10/foreground/file/name', 's', oscString('news.mov'));
+        const paused = message('/channel/1/stage/layer/10/foreground/paused', 'F');
+
+        const messages = decodePacket(bundle(name, bundle(time, paused)));
+
+        assert.deepEqual(messages.map(m => m.address.split('/').slice(-2).join('/')), ['file/name', 'file/time', 'foreground/paused']);
+        assert.deepEqual(messages[1].args, [12.5, 30]);
+        assert.deepEqual(messages[2].args, [false]);
+    });
+
+    it('rejects malformed packets', () => {
+        // Address without terminator
+        assert.throws(() => decodePacket(Buffer.from('/channel')), /Unterminated OSC string/);
+        // Type tag announced without its argument
+        assert.throws(() => decodePacket(message('/foo', 'i')), RangeError);
+        assert.throws(() => decodePacket(message('/foo', 'x', int32(1))), /Unsupported OSC type tag: x/);
+        // Bundle element longer than the packet
+        const truncated = bundle(message('/foo', 'i', int32(1))).slice(0, -4);
+        assert.throws(() => decodePacket(truncated), /Truncated OSC bundle element/);
+    });
+});
+
+describe('OscListener.handlePacket', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('emits the decoded messages and counts invalid packets', () => {
+        mock.method(console, 'error', () => {});
+        const listener = new OscListener(0);
+        const packets = [];
+        listener.on('packet', (messages, source) => packets.push({ messages, source }));
+
+        listener.handlePacket(message('/foo', 'i', int32(7)), { address: '127.0.0.1', port: 6250 });
+        listener.handlePacket(Buffer.from('/broken'));
+
+        assert.deepEqual(packets, [{ messages: [{ address: '/foo', args: [7] }], source: { address: '127.0.0.1', port: 6250 } }]);
+        assert.equal(listener.getStats().packets, 1);
+        assert.equal(listener.getStats().errors, 1);
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { savePlaylistRevision, listPlaylistRevisions, pruneRevisions, migrateSnapshots, REVISIONS_DIR } = require('../utils/persistence');
+
+const playlist = (items = 1) => ({
+    id: 'pl-1',
+    name: 'Programme',
+    items: Array.from({ length: items }, (_, i) => ({ id: `item-${i}`, name: `Clip ${i}` }))
+});
+
+async function writeJson(file, payload) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(payload), 'utf8');
+}
+
+async function readIndex(dir) {
+    const data = await fs.readFile(path.join(dir, 'index.jsonl'), 'utf8');
+    return data.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Playlist revisions on disk', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rtg-revisions-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('prunes the oldest revisions beyond the limit, named snapshots aside', async () => {
+        const dir = path.join(dataDir, 'revisions', 'pl-1');
+        const ids = ['20261019T080000000Z', '20261019T090000000Z', '20261019T100000000Z', '20261019T110000000Z'];
+        const names = [null, 'Conducteur validé', null, null];
+        for (const [i, id] of ids.entries()) {
+            await writeJson(path.join(dir, `${id}.json`), { id, playlist: playlist() });
+            await fs.appendFile(path.join(dir, 'index.jsonl'), JSON.stringify({ id, name: names[i] }) + '\n');
+        }
+
+        assert.equal(await pruneRevisions(dir, 2), 1);
+
+        assert.deepEqual((await readIndex(dir)).map(revision => revision.id), ids.slice(1));
+        assert.deepEqual((await fs.readdir(dir)).sort(), [...ids.slice(1).map(id => `${id}.json`), 'index.jsonl']);
+        assert.equal(await pruneRevisions(dir, 2), 0);
+    });
+
+    it('keeps every revision of concurrent saves in the index', async () => {
+        const saved = { ...playlist(), id: `test-concurrent-${process.pid}` };
+        try {
+            const summaries = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+                savePlaylistRevision(saved, { label: `Modification ${i}` }, 3)));
+
+            const revisions = await listPlaylistRevisions(saved.id);
+            assert.deepEqual(revisions.map(revision => revision.id), summaries.slice(3).map(summary => summary.id).reverse());
+            const files = (await fs.readdir(path.join(REVISIONS_DIR, saved.id))).filter(file => file.endsWith('.json'));
+            assert.equal(files.length, 3);
+        } finally {
+            await fs.rm(path.join(REVISIONS_DIR, saved.id), { recursive: true, force: true });
+        }
+    });
+
+    it('migrates the snapshots of older versions once', async () => {
+        const snapshotsDir = path.join(dataDir, 'snapshots');
+        const revisionsDir = path.join(dataDir, 'revisions');
+        await writeJson(path.join(snapshotsDir, 'pl-1', '20261018T220000000Z.json'), {
+            id: '20261018T220000000Z',
+            label: 'Avant vidage',
+            createdAt: '2026-10-18T22:00:00.000Z',
+            playlist: playlist(3)
+        });
+
+        assert.equal(await migrateSnapshots(snapshotsDir, revisionsDir), 1);
+
+        assert.deepEqual(await readIndex(path.join(revisionsDir, 'pl-1')), [{
+            id: '20261018T220000000Z',
+            createdAt: '2026-10-18T22:00:00.000Z',
+            author: null,
+            label: 'Avant vidage',
+            name: null,
+            itemCount: 3
+        }]);
+        const revision = JSON.parse(await fs.readFile(path.join(revisionsDir, 'pl-1', '20261018T220000000Z.json'), 'utf8'));
+        assert.equal(revision.playlist.items.length, 3);
+        await assert.rejects(() => fs.access(snapshotsDir), { code: 'ENOENT' });
+
+        assert.equal(await migrateSnapshots(snapshotsDir, revisionsDir), 0);
+    });
+
+    it('leaves an unreadable snapshot in place next to the migrated ones', async () => {
+        const snapshotsDir = path.join(dataDir, 'snapshots');
+        const revisionsDir = path.join(dataDir, 'revisions');
+        await writeJson(path.join(snapshotsDir, 'pl-1', '20261018T220000000Z.json'), {
+            id: '20261018T220000000Z',
+            createdAt: '2026-10-18T22:00:00.000Z',
+            playlist: playlist()
+        });
+        await writeJson(path.join(snapshotsDir, 'pl-1', '20261018T230000000Z.json'), { broken: true });
+        await fs.writeFile(path.join(snapshotsDir, 'pl-1', '20261018T233000000Z.json'), '{"playlist": {"ite', 'utf8');
+
+        assert.equal(await migrateSnapshots(snapshotsDir, revisionsDir), 1);
+
+        assert.deepEqual((await fs.readdir(path.join(snapshotsDir, 'pl-1'))).sort(),
+            ['20261018T230000000Z.json', '20261018T233000000Z.json']);
+        assert.deepEqual((await readIndex(path.join(revisionsDir, 'pl-1'))).map(revision => revision.id), ['20261018T220000000Z']);
+        assert.equal(await migrateSnapshots(snapshotsDir, revisionsDir), 0);
+    });
+
+    it('does not add a snapshot already migrated', async () => {
+        const snapshotsDir = path.join(dataDir, 'snapshots');
+        const revisionsDir = path.join(dataDir, 'revisions');
+        const snapshot = { id: '20261018T220000000Z', label: 'Avant import', createdAt: '2026-10-18T22:00:00.000Z', playlist: playlist() };
+        await writeJson(path.join(snapshotsDir, 'pl-1', `${snapshot.id}.json`), snapshot);
+
+        // Same snapshots left by a migration interrupted before the snapshot directory was removed
+        await fs.cp(snapshotsDir, path.join(dataDir, 'copy'), { recursive: true });
+        await migrateSnapshots(path.join(dataDir, 'copy'), revisionsDir);
+
+        assert.equal(await migrateSnapshots(snapshotsDir, revisionsDir), 0);
+        assert.equal((await readIndex(path.join(revisionsDir, 'pl-1'))).length, 1);
+    });
+});
@@ -0,0 +1,574 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PlaylistModel = require('../models/playlist');
+const PlaylistManager = require('../models/playlistManager');
+const FakeClock = require('./helpers/fakeClock');
+const playoutClock = require('../utils/clock');
+
+const item = (id, durationSeconds, extra = {}) => ({ id, name: id, file: `${id}.mp4`, durationSeconds, ...extra });
+
+/**
+ * Playlist starting at 10:00:00 on 2026-10-19 (local time)
+ */
+function createPlaylist(items, base = new Date(2026, 9, 19, 10, 0, 0)) {
+    const playlist = new PlaylistModel('TEST', 'Test');
+    playlist.setBaseStartAt(base);
+    playlist.setItems(items);
+    return playlist;
+}
+
+describe('PlaylistModel.recalculateWithHardStart', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('succeeds without hard starts', () => {
+        const playlist = createPlaylist([item('a', 60), item('b', 60)]);
+        assert.deepEqual(playlist.recalculateWithHardStart(), { success: true, errors: [] });
+    });
+
+    it('trims the previous item when the hard start is late', () => {
+        const playlist = createPlaylist([item('a', 300), item('b', 60, { hardStartTime: '10:04:00' })]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.equal(result.adjustments.length, 1);
+        assert.equal(result.adjustments[0].type, 'trim');
+        assert.equal(result.adjustments[0].amount, 60);
+        assert.equal(playlist.items[0].durationSeconds, 240);
+        assert.equal(playlist.items[0].trimOutSeconds, 60);
+
+        const scheduled = playlist.getScheduled();
+        assert.equal(scheduled.items[1].startAt, new Date(2026, 9, 19, 10, 4, 0).toISOString());
+    });
+
+    it('extends the previous item when the hard start is early', () => {
+        const playlist = createPlaylist([item('a', 300), item('b', 60, { hardStartTime: '10:06:00' })]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.equal(result.adjustments[0].type, 'extend');
+        assert.equal(playlist.items[0].durationSeconds, 360);
+        assert.equal(playlist.items[0].trimOutSeconds, 0);
+        assert.equal(playlist.items[0].holdSeconds, 60);
+    });
+
+    it('gives back a hold before trimming, and a trim before holding', () => {
+        const playlist = createPlaylist([item('a', 300), item('b', 60, { hardStartTime: '10:06:00' })]);
+        playlist.recalculateWithHardStart();
+
+        playlist.getItem('b').hardStartTime = '10:04:00';
+        playlist.recalculateWithHardStart();
+        assert.deepEqual([playlist.items[0].durationSeconds, playlist.items[0].trimOutSeconds, playlist.items[0].holdSeconds], [240, 60, 0]);
+
+        playlist.getItem('b').hardStartTime = '10:05:30';
+        playlist.recalculateWithHardStart();
+        assert.deepEqual([playlist.items[0].durationSeconds, playlist.items[0].trimOutSeconds, playlist.items[0].holdSeconds], [330, 0, 30]);
+    });
+
+    it('reads the hold of older saves from a negative trim out', () => {
+        const playlist = createPlaylist([item('a', 360, { trimOutSeconds: -60 })]);
+
+        assert.equal(playlist.items[0].trimOutSeconds, 0);
+        assert.equal(playlist.items[0].holdSeconds, 60);
+    });
+
+    it('does not touch a perfectly timed hard start', () => {
+        const playlist = createPlaylist([item('a', 300), item('b', 60, { hardStartTime: '10:05:00' })]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.adjustments, []);
+        assert.equal(playlist.items[0].durationSeconds, 300);
+    });
+
+    it('reports a late hard start that cannot be reached by trimming', () => {
+        // Previous item must keep at least 5 seconds
+        const playlist = createPlaylist([item('a', 10), item('b', 60, { hardStartTime: '10:00:02' })]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, false);
+        assert.equal(result.errors.length, 1);
+        assert.equal(result.errors[0].itemId, 'b');
+        assert.equal(result.errors[0].trimNeeded, 8);
+        assert.equal(result.errors[0].maxTrim, 5);
+        assert.equal(playlist.items[0].durationSeconds, 10);
+    });
+
+    it('refuses a hard start on the first item', () => {
+        const playlist = createPlaylist([item('a', 60, { hardStartTime: '10:00:10' }), item('b', 60)]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, false);
+        assert.match(result.errors[0].reason, /first item/);
+    });
+
+    it('returns validation errors for hard starts out of order', () => {
+        const playlist = createPlaylist([
+            item('a', 60),
+            item('b', 60, { hardStartTime: '10:30:00' }),
+            item('c', 60, { hardStartTime: '10:10:00' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, false);
+        assert.equal(result.errors[0].itemId, 'c');
+    });
+
+    it('reaches a hard start after midnight', () => {
+        const playlist = createPlaylist(
+            [item('a', 900), item('b', 60, { hardStartTime: '00:00:00' })],
+            new Date(2026, 9, 19, 23, 50, 0)
+        );
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.equal(result.adjustments[0].type, 'trim');
+        assert.equal(result.adjustments[0].amount, 300);
+        assert.equal(playlist.getScheduled().items[1].startAt, new Date(2026, 9, 20, 0, 0, 0).toISOString());
+    });
+});
+
+describe('PlaylistModel hard start policies', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    const pool = (...durations) => ({
+        fill: (gap) => {
+            const picked = [];
+            let remaining = gap;
+            durations.forEach((duration, i) => {
+                if (duration <= remaining) {
+                    picked.push(item(`promo${i + 1}`, duration));
+                    remaining -= duration;
+                }
+            });
+            return picked;
+        }
+    });
+
+    it('drops droppable items nearest to the hard start, then trims the rest', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('promo1', 30, { droppable: true }),
+            item('b', 120),
+            item('promo2', 20, { droppable: true }),
+            item('news', 60, { hardStartTime: '10:06:50', hardStartPolicy: 'drop' })
+        ]);
+
+        // 470 s scheduled for 410 s: promo2 (20) and promo1 (30) dropped, b trimmed by 10
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.adjustments.map(a => [a.type, a.itemId, a.amount]), [
+            ['drop', 'promo2', 20],
+            ['drop', 'promo1', 30],
+            ['trim', 'b', 10]
+        ]);
+
+        const scheduled = playlist.getScheduled();
+        assert.deepEqual(scheduled.items.map(i => i.id), ['a', 'b', 'news']);
+        assert.equal(scheduled.items[2].startAt, new Date(2026, 9, 19, 10, 6, 50).toISOString());
+        assert.deepEqual(scheduled.droppedItems.map(i => [i.id, i.beforeItemId]), [['promo1', 'b'], ['promo2', 'news']]);
+    });
+
+    it('restores dropped items when the overrun disappears', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('promo', 30, { droppable: true }),
+            item('news', 60, { hardStartTime: '10:05:00', hardStartPolicy: 'drop' })
+        ]);
+        playlist.recalculateWithHardStart();
+        assert.equal(playlist.getScheduled().items.length, 2);
+
+        playlist.getItem('news').hardStartTime = '10:05:30';
+        const result = playlist.recalculateWithHardStart();
+
+        assert.deepEqual(result.adjustments, []);
+        assert.deepEqual(playlist.getScheduled().items.map(i => i.id), ['a', 'promo', 'news']);
+    });
+
+    it('fills an early gap from the filler pool and holds what is left', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('news', 60, { hardStartTime: '10:06:00', hardStartPolicy: 'filler' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart({ fillerPool: pool(30, 20, 20) });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.adjustments.map(a => [a.type, a.itemName, a.amount]), [
+            ['filler', 'promo1', 30],
+            ['filler', 'promo2', 20],
+            ['extend', 'promo2', 10]
+        ]);
+
+        const scheduled = playlist.getScheduled();
+        assert.deepEqual(scheduled.items.map(i => i.name), ['a', 'promo1', 'promo2', 'news']);
+        assert.equal(scheduled.items[3].startAt, new Date(2026, 9, 19, 10, 6, 0).toISOString());
+        assert.equal(playlist.items[0].durationSeconds, 300);
+    });
+
+    it('keeps the fillers already inserted when nothing changed', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('news', 60, { hardStartTime: '10:06:00', hardStartPolicy: 'filler' })
+        ]);
+        playlist.recalculateWithHardStart({ fillerPool: pool(30, 30) });
+        const ids = playlist.items.map(i => i.id);
+
+        playlist.recalculateWithHardStart({ fillerPool: pool(30, 30) });
+
+        assert.deepEqual(playlist.items.map(i => i.id), ids);
+    });
+
+    it('dates the filler IDs on the playout clock', () => {
+        const clock = new FakeClock(new Date(2026, 9, 19, 9, 0, 0)).install();
+        try {
+            playoutClock.setTime(new Date(2026, 9, 20, 9, 0, 0));
+            const playlist = createPlaylist([
+                item('a', 300),
+                item('news', 60, { hardStartTime: '10:06:00', hardStartPolicy: 'filler' })
+            ]);
+
+            playlist.recalculateWithHardStart({ fillerPool: pool(30, 30) });
+
+            assert.match(playlist.items[1].id, new RegExp(`^filler-${new Date(2026, 9, 20, 9, 0, 0).getTime()}-`));
+        } finally {
+            playoutClock.reset();
+            clock.uninstall();
+        }
+    });
+
+    it('holds the previous item when the filler pool is missing', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('news', 60, { hardStartTime: '10:06:00', hardStartPolicy: 'filler' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.deepEqual(result.adjustments.map(a => [a.type, a.itemId, a.amount]), [['extend', 'a', 60]]);
+    });
+
+    it('joins a late hard start in progress with a seek', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('match', 600, { hardStartTime: '10:04:00', hardStartPolicy: 'join' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.adjustments.map(a => [a.type, a.itemId, a.amount]), [['join', 'match', 60]]);
+
+        const match = playlist.getItem('match');
+        assert.equal(match.trimInSeconds, 60);
+        assert.equal(match.durationSeconds, 540);
+        assert.equal(playlist.getItem('a').durationSeconds, 300);
+
+        // Ends when it would have ended starting on time
+        assert.equal(playlist.getScheduled().items[1].endAt, new Date(2026, 9, 19, 10, 14, 0).toISOString());
+
+        // Recomputed, not accumulated
+        playlist.recalculateWithHardStart();
+        assert.equal(match.trimInSeconds, 60);
+    });
+
+    it('reports a join that would leave less than 5 seconds', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('short', 20, { hardStartTime: '10:04:40', hardStartPolicy: 'join' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, false);
+        assert.equal(result.errors[0].joinNeeded, 20);
+        assert.equal(result.errors[0].maxJoin, 15);
+    });
+
+    it('applies each hard start after the adjustments of the previous one', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            item('b', 60, { hardStartTime: '10:04:00' }),
+            item('c', 60, { hardStartTime: '10:06:00' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.deepEqual(result.adjustments.map(a => [a.type, a.itemId, a.amount]), [['trim', 'a', 60], ['extend', 'b', 60]]);
+        assert.equal(playlist.getScheduled().items[2].startAt, new Date(2026, 9, 19, 10, 6, 0).toISOString());
+    });
+
+    it('rejects an unknown policy', () => {
+        assert.throws(() => createPlaylist([item('a', 60, { hardStartPolicy: 'stretch' })]), /Invalid hard start policy/);
+    });
+});
+
+describe('PlaylistModel.cleanOrphanedTrims', () => {
+    beforeEach(() => mock.method(console, 'log', () => {}));
+    afterEach(() => mock.restoreAll());
+
+    it('resets trims larger than half the item without a hard start', () => {
+        const playlist = createPlaylist([
+            item('a', 60, { trimOutSeconds: 40 }),
+            item('b', 60, { trimOutSeconds: -45 }),
+            item('c', 60, { trimOutSeconds: 10 })
+        ]);
+
+        assert.equal(playlist.cleanOrphanedTrims(), 2);
+        assert.deepEqual(playlist.items.map(i => i.trimOutSeconds), [0, 0, 10]);
+    });
+
+    it('keeps trims of items with a hard start', () => {
+        const playlist = createPlaylist([
+            item('a', 60),
+            item('b', 60, { trimOutSeconds: 50, hardStartTime: '10:01:00' })
+        ]);
+
+        assert.equal(playlist.cleanOrphanedTrims(), 0);
+        assert.equal(playlist.items[1].trimOutSeconds, 50);
+    });
+
+    it('runs before each schedule computation', () => {
+        const playlist = createPlaylist([item('a', 60, { trimOutSeconds: 40 })]);
+
+        playlist.getScheduled();
+
+        assert.equal(playlist.items[0].trimOutSeconds, 0);
+    });
+});
+
+describe('PlaylistModel frame rate', () => {
+    beforeEach(() => mock.method(console, 'log', () => {}));
+    afterEach(() => mock.restoreAll());
+
+    it('is PAL until the channel frame rate is set', () => {
+        const playlist = createPlaylist([item('a', 60)]);
+
+        assert.equal(playlist.getFrameRate(), 25);
+        assert.equal(playlist.setFrameRate(30000 / 1001), true);
+        assert.equal(playlist.setFrameRate(29.97), false);
+        assert.equal(playlist.getScheduled().frameRate, 29.97);
+        assert.throws(() => playlist.setFrameRate(23), /Unsupported frame rate/);
+    });
+
+    it('is saved with the playlist', () => {
+        const playlist = createPlaylist([item('a', 60)]);
+        playlist.setFrameRate(59.94);
+
+        const manager = new PlaylistManager();
+        const restored = manager.restore(playlist.getRaw());
+
+        assert.equal(restored.frameRate, 59.94);
+        assert.equal(playlist.clone('COPY').frameRate, 59.94);
+    });
+
+    it('rounds hard start adjustments to whole frames of the playlist rate', () => {
+        const playlist = createPlaylist([item('a', 300), item('b', 60, { hardStartTime: '10:04:00' })]);
+        playlist.setFrameRate(29.97);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        const frames = playlist.items[0].durationSeconds * 30000 / 1001;
+        assert.ok(Math.abs(frames - Math.round(frames)) < 0.05, `${frames} frames`);
+        assert.notEqual(playlist.items[0].durationSeconds, 240);
+    });
+});
+
+describe('PlaylistModel blocks', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    const block = (id, children, extra = {}) => ({ id, name: id, type: 'block', children, ...extra });
+
+    it('schedules through the items of a block', () => {
+        const playlist = createPlaylist([
+            item('a', 60),
+            block('part1', [item('p1', 300), item('break', 120)]),
+            item('b', 30)
+        ]);
+
+        const scheduled = playlist.getScheduled();
+
+        assert.deepEqual(scheduled.items.map(i => i.id), ['a', 'p1', 'break', 'b']);
+        assert.equal(scheduled.items[1].blockId, 'part1');
+        assert.equal(scheduled.items[3].startAt, new Date(2026, 9, 19, 10, 8, 0).toISOString());
+
+        assert.equal(scheduled.blocks.length, 1);
+        assert.equal(scheduled.blocks[0].durationSeconds, 420);
+        assert.equal(scheduled.blocks[0].startAt, new Date(2026, 9, 19, 10, 1, 0).toISOString());
+        assert.equal(scheduled.blocks[0].endAt, scheduled.items[3].startAt);
+        assert.deepEqual(scheduled.blocks[0].itemIds, ['p1', 'break']);
+    });
+
+    it('moves a block as a unit and reorders inside it', () => {
+        const playlist = createPlaylist([item('a', 60), block('part1', [item('p1', 300), item('break', 120)]), item('b', 30)]);
+
+        assert.equal(playlist.reorderItems(1, 0), true);
+        assert.deepEqual(playlist.getPlayableItems().map(i => i.id), ['p1', 'break', 'a', 'b']);
+
+        assert.equal(playlist.reorderItems(1, 0, 'part1'), true);
+        assert.deepEqual(playlist.getPlayableItems().map(i => i.id), ['break', 'p1', 'a', 'b']);
+        assert.throws(() => playlist.reorderItems(0, 1, 'missing'), /Block not found/);
+    });
+
+    it('takes the hard start on the block and trims the last item before it', () => {
+        const playlist = createPlaylist([
+            block('part1', [item('p1', 300), item('break', 120)]),
+            block('part2', [item('p2', 600)], { hardStartTime: '10:06:00' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.equal(result.adjustments[0].itemId, 'break');
+        assert.equal(playlist.getItem('break').durationSeconds, 60);
+        assert.equal(playlist.getItem('part1').durationSeconds, 360);
+        assert.equal(playlist.getScheduled().items[2].startAt, new Date(2026, 9, 19, 10, 6, 0).toISOString());
+    });
+
+    it('joins a late block in its first item', () => {
+        const playlist = createPlaylist([
+            item('a', 300),
+            block('part2', [item('p2', 600), item('break', 120)], { hardStartTime: '10:04:00', hardStartPolicy: 'join' })
+        ]);
+
+        const result = playlist.recalculateWithHardStart();
+
+        assert.equal(result.success, true);
+        assert.equal(playlist.getItem('p2').joinInSeconds, 60);
+        assert.equal(playlist.getItem('part2').durationSeconds, 660);
+        assert.equal(playlist.getItem('a').durationSeconds, 300);
+    });
+
+    it('rejects hard starts on the items of a block', () => {
+        const playlist = createPlaylist([block('part1', [item('p1', 300)])]);
+
+        assert.throws(() => playlist.addItem(item('c', 10, { hardStartTime: '10:00:00' }), 'part1'), /set on the block/);
+        assert.throws(() => playlist.setItemHardStartPolicy('p1', 'drop'), /set on the block/);
+        assert.throws(() => playlist.addItem(block('inner', [item('x', 10)]), 'part1'), /nested/);
+        assert.throws(() => playlist.addItem(block('empty', [])), /at least one item/);
+    });
+
+    it('groups consecutive items and ungroups them with their hard start', () => {
+        const playlist = createPlaylist([
+            item('a', 60),
+            item('b', 60, { hardStartTime: '10:01:00' }),
+            item('c', 30),
+            item('d', 30)
+        ]);
+
+        assert.throws(() => playlist.createBlock(['b', 'd'], 'X'), /consecutive/);
+        assert.throws(() => playlist.createBlock(['a', 'b'], 'X'), /first item/);
+
+        const created = playlist.createBlock(['c', 'b'], 'Part 1');
+        assert.equal(created.hardStartTime, '10:01:00');
+        assert.equal(created.durationSeconds, 90);
+        assert.deepEqual(playlist.items.map(i => i.id), ['a', created.id, 'd']);
+        assert.equal(playlist.getItem('b').hardStartTime, null);
+
+        playlist.ungroupBlock(created.id);
+        assert.deepEqual(playlist.items.map(i => i.id), ['a', 'b', 'c', 'd']);
+        assert.equal(playlist.getItem('b').hardStartTime, '10:01:00');
+    });
+
+    it('removes a block emptied of its items', () => {
+        const playlist = createPlaylist([block('part1', [item('p1', 300), item('p2', 60)]), item('b', 30)]);
+
+        assert.equal(playlist.removeItem('p1'), true);
+        assert.equal(playlist.getItem('part1').durationSeconds, 60);
+        assert.equal(playlist.removeItem('p2'), true);
+        assert.deepEqual(playlist.items.map(i => i.id), ['b']);
+    });
+
+    it('is saved and duplicated with its items', () => {
+        const playlist = createPlaylist([block('part1', [item('p1', 300)], { hardStartTime: '10:00:00' })]);
+
+        const restored = new PlaylistManager().restore(playlist.getRaw());
+        assert.equal(restored.items[0].type, 'block');
+        assert.equal(restored.getItem('p1').durationSeconds, 300);
+
+        const copy = playlist.clone('COPY');
+        assert.notEqual(copy.items[0].id, 'part1');
+        assert.notEqual(copy.items[0].children[0].id, 'p1');
+        assert.equal(copy.items[0].hardStartTime, '10:00:00');
+    });
+});
+
+describe('PlaylistModel loops', () => {
+    beforeEach(() => mock.method(console, 'log', () => {}));
+    afterEach(() => mock.restoreAll());
+
+    it('plays an item a number of times', () => {
+        const playlist = createPlaylist([item('slate', 10), item('b', 30)]);
+
+        playlist.setItemLoop('slate', { count: 3 });
+        assert.deepEqual(playlist.getItem('slate').loop, { count: 3, untilHardStart: false, passSeconds: 10 });
+        assert.equal(playlist.getItem('slate').durationSeconds, 30);
+        assert.equal(playlist.getScheduled().items[1].startAt, new Date(2026, 9, 19, 10, 0, 30).toISOString());
+
+        // The pass is kept when the count changes or the loop is removed
+        playlist.setItemLoop('slate', { count: 2 });
+        assert.equal(playlist.getItem('slate').durationSeconds, 20);
+        playlist.setItemLoop('slate', null);
+        assert.equal(playlist.getItem('slate').loop, null);
+        assert.equal(playlist.getItem('slate').durationSeconds, 10);
+    });
+
+    it('rejects invalid loops', () => {
+        const playlist = createPlaylist([item('slate', 10), item('cam', 60, { type: 'live' })]);
+
+        assert.throws(() => playlist.setItemLoop('slate', { count: 1 }), /count/);
+        assert.throws(() => playlist.setItemLoop('cam', { count: 2 }), /Only clips/);
+    });
+
+    it('loops until the hard start whatever its policy', () => {
+        const playlist = createPlaylist([
+            item('slate', 10),
+            item('show', 60, { hardStartTime: '10:00:45', hardStartPolicy: 'filler' })
+        ]);
+        playlist.setItemLoop('slate', { untilHardStart: true });
+
+        const result = playlist.recalculateWithHardStart({ fillerPool: { fill: () => [item('promo', 20)] } });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(playlist.items.map(i => i.id), ['slate', 'show']);
+        assert.equal(playlist.getItem('slate').durationSeconds, 45);
+        assert.equal(playlist.getItem('slate').loop.passSeconds, 10);
+    });
+
+    it('saves the loops of the items and of the playlist', () => {
+        const playlist = createPlaylist([item('slate', 10)]);
+        playlist.setItemLoop('slate', { count: 4 });
+        playlist.setLoop(true);
+
+        const restored = new PlaylistManager().restore(JSON.parse(JSON.stringify(playlist.getRaw())));
+
+        assert.equal(restored.loop, true);
+        assert.equal(restored.getScheduled().loop, true);
+        assert.deepEqual(restored.getItem('slate').loop, { count: 4, untilHardStart: false, passSeconds: 10 });
+        assert.equal(restored.getItem('slate').durationSeconds, 40);
+        assert.equal(playlist.clone('COPY').loop, true);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffPlaylists } = require('../utils/playlistDiff');
+const PlaylistModel = require('../models/playlist');
+
+const clip = (id, durationSeconds = 60) => ({ id, name: id.toUpperCase(), file: `${id}.mov`, durationSeconds });
+const ids = (entries) => entries.map(entry => entry.id);
+// Revisions are saved as JSON, apart from the live items
+const saved = (playlist) => JSON.parse(JSON.stringify(playlist.getRaw()));
+
+describe('diffPlaylists', () => {
+    let playlist;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        playlist = new PlaylistModel('pl-test', 'Test');
+        ['a', 'b', 'c', 'd'].forEach(id => playlist.addItem(clip(id)));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('finds nothing between identical revisions', () => {
+        const revision = saved(playlist);
+
+        assert.deepEqual(diffPlaylists(revision, revision), {
+            added: [], removed: [], moved: [], retimed: [], loop: null
+        });
+    });
+
+    it('lists added and removed items with their positions', () => {
+        const before = saved(playlist);
+        playlist.removeItem('b');
+        playlist.addItem(clip('e'));
+
+        const diff = diffPlaylists(before, playlist.getRaw());
+        assert.deepEqual(diff.added, [{ id: 'e', name: 'E', type: 'clip', blockId: null, position: 4 }]);
+        assert.deepEqual(diff.removed, [{ id: 'b', name: 'B', type: 'clip', blockId: null, position: 2 }]);
+        assert.deepEqual(diff.moved, []);
+    });
+
+    it('reports only the moved item, not the ones it shifted', () => {
+        const before = saved(playlist);
+        playlist.reorderItems(3, 0);
+
+        const diff = diffPlaylists(before, playlist.getRaw());
+        assert.deepEqual(ids(diff.moved), ['d']);
+        assert.equal(diff.moved[0].from, 4);
+        assert.equal(diff.moved[0].to, 1);
+    });
+
+    it('reports items grouped into a block as moved into it', () => {
+        const before = saved(playlist);
+        const block = playlist.createBlock(['b', 'c'], 'Journal');
+
+        const diff = diffPlaylists(before, playlist.getRaw());
+        assert.deepEqual(ids(diff.added), [block.id]);
+        assert.deepEqual(ids(diff.moved), ['b', 'c']);
+        assert.equal(diff.moved[0].toBlockId, block.id);
+    });
+
+    it('lists the timing changes of retimed items', () => {
+        const before = saved(playlist);
+        playlist.setItemLoop('a', { count: 2 });
+        playlist.getItem('c').hardStartTime = '12:00:00';
+        playlist.setLoop(true);
+
+        const diff = diffPlaylists(before, playlist.getRaw());
+        assert.deepEqual(ids(diff.retimed), ['a', 'c']);
+        assert.deepEqual(diff.retimed[0].changes.durationSeconds, { from: 60, to: 120 });
+        assert.equal(diff.retimed[0].changes.loop.from, null);
+        assert.equal(diff.retimed[0].changes.loop.to.count, 2);
+        assert.deepEqual(diff.retimed[1].changes, { hardStartTime: { from: null, to: '12:00:00' } });
+        assert.deepEqual(diff.loop, { from: false, to: true });
+    });
+});
@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PlaylistHistory = require('../models/playlistHistory');
+const PlaylistModel = require('../models/playlist');
+
+const clip = (name, durationSeconds = 60) => ({ name, file: `${name}.mov`, durationSeconds });
+const names = (playlist) => playlist.items.map(item => item.name);
+
+describe('PlaylistHistory', () => {
+    let playlist;
+    let history;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        playlist = new PlaylistModel('pl-test', 'Test');
+        history = new PlaylistHistory(3);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('undoes and redoes edits in order', () => {
+        history.record(playlist, 'Ajout de A', () => playlist.addItem(clip('A')));
+        history.record(playlist, 'Ajout de B', () => playlist.addItem(clip('B')));
+        history.record(playlist, 'Déplacement', () => playlist.reorderItems(1, 0));
+        assert.deepEqual(names(playlist), ['B', 'A']);
+
+        assert.equal(history.undo(playlist).label, 'Déplacement');
+        assert.deepEqual(names(playlist), ['A', 'B']);
+        assert.equal(history.undo(playlist).label, 'Ajout de B');
+        assert.deepEqual(names(playlist), ['A']);
+
+        assert.equal(history.redo(playlist).label, 'Ajout de B');
+        assert.deepEqual(names(playlist), ['A', 'B']);
+        assert.deepEqual(history.getStatus('pl-test'), {
+            canUndo: true,
+            canRedo: true,
+            undoLabel: 'Ajout de B',
+            redoLabel: 'Déplacement',
+            depth: 2
+        });
+    });
+
+    it('recovers a cleared playlist with its blocks, loops and secondary events', () => {
+        const a = playlist.addItem(clip('A'));
+        playlist.addItem(clip('B'));
+        playlist.createBlock([a.id], 'Journal');
+        playlist.setItemLoop(playlist.items[1].id, { count: 3 });
+        playlist.items[1].secondaryEvents.push({ id: 'evt-1', type: 'template', trigger: 'start' });
+        playlist.setLoop(true);
+        const content = playlist.getContent();
+
+        history.record(playlist, 'Vidage de la playlist', () => playlist.setItems([]));
+        assert.equal(playlist.items.length, 0);
+
+        history.undo(playlist);
+        assert.deepEqual(playlist.getContent(), content);
+        assert.equal(playlist.items[1].durationSeconds, 180);
+        assert.equal(playlist.loop, true);
+    });
+
+    it('clears what can be redone on a new edit', () => {
+        history.record(playlist, 'Ajout de A', () => playlist.addItem(clip('A')));
+        history.undo(playlist);
+        history.record(playlist, 'Ajout de B', () => playlist.addItem(clip('B')));
+
+        assert.equal(history.redo(playlist), null);
+        assert.deepEqual(names(playlist), ['B']);
+    });
+
+    it('keeps only the last edits up to its depth', () => {
+        ['A', 'B', 'C', 'D'].forEach(name => {
+            history.record(playlist, `Ajout de ${name}`, () => playlist.addItem(clip(name)));
+        });
+
+        assert.equal(history.getStatus('pl-test').depth, 3);
+        while (history.undo(playlist)) { /* undo everything */ }
+        assert.deepEqual(names(playlist), ['A']);
+    });
+
+    it('does not record edits that change nothing or fail', () => {
+        history.record(playlist, 'Suppression', () => playlist.removeItem('missing'));
+        assert.throws(() => history.record(playlist, 'Ajout', () => playlist.addItem({ name: 'X' })));
+
+        assert.equal(history.getStatus('pl-test').canUndo, false);
+        assert.equal(history.undo(playlist), null);
+    });
+
+    it('keeps an undo refused on locked items in the history', () => {
+        history.record(playlist, 'Ajout de A', () => playlist.addItem({ ...clip('A'), id: 'a' }));
+        playlist.lockProvider = () => ['a'];
+
+        const guarded = change => playlist.applyGuarded(change);
+        assert.throws(() => history.undo(playlist, guarded), { code: 'ITEM_LOCKED' });
+        assert.deepEqual(names(playlist), ['A']);
+        assert.equal(history.getStatus('pl-test').canUndo, true);
+
+        history.undo(playlist, change => playlist.applyGuarded(change, { force: true }));
+        assert.deepEqual(names(playlist), []);
+    });
+
+    it('keeps the changes made since the edit it undoes', () => {
+        const a = history.record(playlist, 'Ajout de A', () => playlist.addItem(clip('A')));
+        history.record(playlist, 'Ajout de B', () => playlist.addItem(clip('B')));
+
+        // Not recorded
+        playlist.addItem(clip('C'));
+        playlist.setItemDroppable(a.id, true);
+        playlist.setLoop(true);
+
+        history.undo(playlist);
+        assert.deepEqual(names(playlist), ['A', 'C']);
+        assert.equal(playlist.getItem(a.id).droppable, true);
+        assert.equal(playlist.loop, true);
+
+        history.redo(playlist);
+        assert.deepEqual(names(playlist), ['A', 'B', 'C']);
+    });
+
+    it('keeps a field changed again since the edit', () => {
+        const a = playlist.addItem(clip('A'));
+        history.record(playlist, 'Transition', () => playlist.setItemTransition(a.id, { type: 'MIX', durationFrames: 25 }));
+        playlist.setItemTransition(a.id, { type: 'WIPE', durationFrames: 10 });
+
+        history.undo(playlist);
+        assert.equal(playlist.getItem(a.id).transition.type, 'WIPE');
+
+        history.redo(playlist);
+        assert.equal(playlist.getItem(a.id).transition.type, 'WIPE');
+    });
+
+    it('undoes and redoes blocks around the items added since', () => {
+        const a = playlist.addItem(clip('A'));
+        const b = playlist.addItem(clip('B'));
+        const block = history.record(playlist, 'Création du bloc', () => playlist.createBlock([a.id, b.id], 'Journal'));
+        playlist.addItem(clip('C'), block.id);
+        playlist.addItem(clip('D'));
+
+        history.undo(playlist);
+        assert.deepEqual(names(playlist), ['A', 'B', 'C', 'D']);
+
+        history.redo(playlist);
+        assert.deepEqual(names(playlist), ['Journal', 'C', 'D']);
+        assert.deepEqual(playlist.items[0].children.map(item => item.name), ['A', 'B']);
+
+        history.record(playlist, 'Dégroupage du bloc', () => playlist.ungroupBlock(playlist.items[0].id));
+        playlist.reorderItems(3, 0);
+        history.undo(playlist);
+        assert.deepEqual(names(playlist), ['Journal', 'D', 'C']);
+        assert.deepEqual(playlist.items[0].children.map(item => item.name), ['A', 'B']);
+    });
+
+    it('lets the hard starts be recalculated for a base start moved after the edit', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const later = new Date(2026, 9, 19, 10, 0, 30);
+        const item = (id, durationSeconds, extra = {}) => ({ ...clip(id, durationSeconds), id, ...extra });
+        playlist.setBaseStartAt(base);
+        playlist.setItems([item('a', 300), item('h', 60, { hardStartTime: '10:06:00' })]);
+        playlist.recalculateWithHardStart();
+
+        history.record(playlist, 'Ajout de X', () => {
+            playlist.addItem(item('x', 60));
+            playlist.reorderItems(2, 1);
+            playlist.recalculateWithHardStart();
+        });
+
+        // Not recorded: trims a for the new base start
+        playlist.setBaseStartAt(later);
+        playlist.recalculateWithHardStart();
+
+        history.undo(playlist);
+        playlist.recalculateWithHardStart();
+
+        const expected = new PlaylistModel('pl-expected', 'Attendu');
+        expected.setBaseStartAt(later);
+        expected.setItems([item('a', 300), item('h', 60, { hardStartTime: '10:06:00' })]);
+        expected.recalculateWithHardStart();
+
+        assert.deepEqual(names(playlist), ['a', 'h']);
+        assert.deepEqual(playlist.getContent(), expected.getContent());
+    });
+
+    it('keeps the history of each playlist apart', () => {
+        const other = new PlaylistModel('pl-other', 'Autre');
+        history.record(playlist, 'Ajout de A', () => playlist.addItem(clip('A')));
+        history.record(other, 'Ajout de B', () => other.addItem(clip('B')));
+
+        history.undo(other);
+        assert.deepEqual(names(playlist), ['A']);
+        assert.deepEqual(names(other), []);
+
+        history.clear('pl-test');
+        assert.equal(history.getStatus('pl-test').canUndo, false);
+    });
+});
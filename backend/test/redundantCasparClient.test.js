@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RedundantCasparClient = require('../caspar/redundantCasparClient');
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const FakeCasparClient = require('./helpers/fakeCasparClient');
+const playoutClock = require('../utils/clock');
+
+describe('RedundantCasparClient', () => {
+    let now;
+    let servers;
+    let main;
+    let backup;
+    let client;
+
+    const createClient = (options = {}) => new RedundantCasparClient({ main, backup }, { syncInterval: 0, ...options });
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+
+        now = 1000000;
+        servers = ['main', 'backup'].map(() => new FakeCasparServer({
+            now: () => now,
+            media: { news: 120, promo: 30 }
+        }));
+        main = new FakeCasparClient(servers[0]);
+        backup = new FakeCasparClient(servers[1]);
+    });
+
+    afterEach(() => {
+        if (client) client.disconnect();
+        playoutClock.reset();
+        mock.restoreAll();
+    });
+
+    it('sends playout commands to both servers and queries to the server on air', async () => {
+        client = createClient();
+        await client.connect();
+
+        await client.play(1, 10, 'news');
+        await client.cgAdd(1, 20, 0, 'lower-third/index', true, '{"name":"A"}');
+        await client.info(1);
+
+        assert.deepEqual(main.commands, backup.commands.concat('INFO 1'));
+        assert.equal(servers[1].getLayer(1, 10).foreground.name, 'news');
+    });
+
+    it('fails over to the backup when the main server is lost', async () => {
+        client = createClient();
+        await client.connect();
+        const switches = [];
+        client.on('failover', change => switches.push(change));
+
+        await client.play(1, 10, 'news');
+        main.drop();
+
+        assert.equal(client.onAir, 'backup');
+        assert.equal(switches[0].to, 'backup');
+        assert.equal(client.connected, true);
+
+        // The schedule goes on with the backup
+        await client.loadbg(1, 10, 'promo', { auto: true });
+        assert.equal(servers[1].getLayer(1, 10).background.name, 'promo');
+    });
+
+    it('times the switches and the failures on the playout clock', async () => {
+        playoutClock.setTime(new Date('2026-10-20T06:00:00.000Z'));
+        client = createClient();
+        await client.connect();
+        servers[1].media.delete('NEWS');
+
+        await client.play(1, 10, 'news');
+        main.drop();
+
+        const at = (iso) => Math.abs(new Date(iso) - new Date('2026-10-20T06:00:00.000Z')) < 5000;
+        assert.ok(at(client.commandErrors[0].at));
+        assert.ok(at(client.switches[0].at));
+    });
+
+    it('leaves the choice to the operator in manual failover', async () => {
+        client = createClient({ failover: 'manual' });
+        await client.connect();
+
+        main.drop();
+        assert.equal(client.onAir, 'main');
+        await assert.rejects(() => client.play(1, 10, 'news'), /not connected/);
+
+        assert.equal(client.setOnAir('backup'), true);
+        await client.play(1, 10, 'news');
+        assert.equal(client.getRedundancyStatus().lastSwitch.reason, 'opérateur');
+    });
+
+    it('brings a server coming back to the state of the server on air', async () => {
+        client = createClient();
+        await client.connect();
+
+        await client.play(1, 10, 'news');
+        await client.loadbg(1, 10, 'promo', { auto: true });
+        await client.sendCommand('MIXER 1-10 OPACITY 0.5');
+
+        backup.drop();
+        servers[1].execute('CLEAR 1');
+        now += 40000;
+
+        await backup.connect();
+        await new Promise(resolve => client.once('resync', resolve));
+
+        const layer = servers[1].getLayer(1, 10);
+        assert.equal(layer.foreground.name, 'news');
+        assert.ok(Math.abs(layer.foreground.time - 40) < 0.1);
+        assert.equal(layer.background.name, 'promo');
+        assert.deepEqual(await client.checkSync(), []);
+    });
+
+    it('reports the layers that diverge', async () => {
+        client = createClient();
+        await client.connect();
+        const events = [];
+        client.on('divergence', event => events.push(event));
+
+        await client.play(1, 10, 'news');
+        servers[1].execute('PLAY 1-10 "promo"');
+
+        const divergences = await client.checkSync();
+        assert.equal(divergences.length, 1);
+        assert.deepEqual({ ...divergences[0], since: null }, { layer: '1-10', type: 'clip', main: 'news', backup: 'promo', since: null });
+        assert.equal(events.length, 1);
+
+        await client.resyncServer();
+        assert.deepEqual(client.divergences, []);
+    });
+
+    it('keeps the reply-order resync of a connection apart from a server resync', async () => {
+        client = createClient();
+        await client.connect();
+        await client.play(1, 10, 'news');
+        const sent = backup.commands.length;
+
+        client.resync('no reply to INFO 1-10');
+
+        assert.equal(backup.commands.length, sent);
+        assert.equal(client.connected, true);
+    });
+
+    it('reports a command refused by one server only', async () => {
+        client = createClient();
+        await client.connect();
+        servers[1].media.delete('NEWS');
+
+        await client.play(1, 10, 'news');
+
+        const status = client.getRedundancyStatus();
+        assert.equal(status.commandErrors.length, 1);
+        assert.equal(status.commandErrors[0].server, 'backup');
+    });
+});
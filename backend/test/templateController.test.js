@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TemplateController = require('../caspar/templateController');
+const FakeCasparServer = require('../caspar/fakeCasparServer');
+const FakeCasparClient = require('./helpers/fakeCasparClient');
+
+describe('TemplateController', () => {
+    let server;
+    let client;
+    let messages;
+    let controller;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        server = new FakeCasparServer({ templatePath: 'Z:/nodal/templates' });
+        client = new FakeCasparClient(server);
+        messages = [];
+        controller = new TemplateController(client, message => messages.push(message));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('loads, plays, updates and removes a template on the server', async () => {
+        await controller.loadTemplate(1, 20, 'rtg-lower-third', { name: 'A' });
+        assert.deepEqual(server.getLayer(1, 20).templates, [
+            { flashLayer: 1, template: 'rtg-lower-third', data: '{"name":"A"}', playing: false }
+        ]);
+
+        await controller.playTemplate(1, 20);
+        await controller.updateTemplate(1, 20, { title: 'B' });
+        assert.deepEqual(server.getLayer(1, 20).templates[0], {
+            flashLayer: 1, template: 'rtg-lower-third', data: '{"title":"B"}', playing: true
+        });
+        assert.deepEqual(controller.getActiveTemplates()[0].data, { name: 'A', title: 'B' });
+
+        await controller.removeTemplate(1, 20);
+        assert.deepEqual(server.getLayer(1, 20).templates, []);
+        assert.deepEqual(messages.map(m => m.type), ['TEMPLATE_LOADED', 'TEMPLATE_PLAYING', 'TEMPLATE_UPDATED', 'TEMPLATE_REMOVED']);
+    });
+
+    it('fails to play a template that is not loaded', async () => {
+        await assert.rejects(() => controller.playTemplate(1, 20), { code: 404 });
+        assert.deepEqual(messages, []);
+    });
+
+    it('picks up the templates already on air from INFO', async () => {
+        server.execute('CG 1-30 ADD 1 "rtg-logo-clock" 1');
+        server.execute('PLAY 1-10 "news"');
+
+        await controller.syncWithCaspar();
+
+        const active = controller.getActiveTemplates();
+        assert.equal(active.length, 1);
+        assert.equal(active[0].key, '1-30');
+        assert.equal(active[0].templateName, 'rtg-logo-clock');
+        assert.equal(active[0].syncedFromCaspar, true);
+    });
+});
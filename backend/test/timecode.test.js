@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const Timecode = require('../utils/timecode');
+
+describe('Timecode', () => {
+    it('converts frames and timecode at 25 fps', () => {
+        assert.equal(Timecode.framesToTimecode(90000, 25), '01:00:00:00');
+        assert.equal(Timecode.framesToTimecode(2262, 25), '00:01:30:12');
+        assert.equal(Timecode.timecodeToFrames('00:01:30:12', 25), 2262);
+        assert.equal(Timecode.framesToMs(2262, 25), 90480);
+        assert.equal(Timecode.secondsToTimecode(-1.2, 25), '-00:00:01:05');
+    });
+
+    it('skips the dropped labels at 29.97 drop-frame', () => {
+        assert.equal(Timecode.framesToTimecode(1799, 29.97), '00:00:59;29');
+        assert.equal(Timecode.framesToTimecode(1800, 29.97), '00:01:00;02');
+        assert.equal(Timecode.framesToTimecode(17982, 29.97), '00:10:00;00');
+        assert.equal(Timecode.framesToTimecode(107892, 29.97), '01:00:00;00');
+        assert.equal(Timecode.timecodeToFrames('00:01:00;02', 29.97), 1800);
+        assert.throws(() => Timecode.timecodeToFrames('00:01:00;01', 29.97), /Dropped/);
+    });
+
+    it('keeps an hour of drop-frame timecode on the wall clock', () => {
+        const frames = Timecode.timecodeToFrames('01:00:00;00', 29.97);
+        assert.ok(Math.abs(Timecode.framesToMs(frames, 29.97) - 3600000) < 4);
+
+        // Non drop-frame at 29.97 runs 3.6 s slow per hour
+        assert.equal(Timecode.framesToTimecode(107892, 29.97, { dropFrame: false }), '00:59:56:12');
+        assert.equal(Timecode.timecodeToFrames('01:00:00:00', 29.97), 108000);
+    });
+
+    it('drops four labels per minute at 59.94', () => {
+        assert.equal(Timecode.framesToTimecode(3600, 59.94), '00:01:00;04');
+        assert.equal(Timecode.timecodeToFrames('01:00:00;00', 59.94), 215784);
+        assert.throws(() => Timecode.timecodeToFrames('00:01:00;03', 59.94), /Dropped/);
+        assert.throws(() => Timecode.timecodeToFrames('00:00:01;00', 25), /not defined/);
+    });
+
+    it('round-trips every frame of a day at the drop-frame rates', () => {
+        for (const fps of [29.97, 59.94]) {
+            for (let frames = 0; frames < Timecode.secondsToFrames(86400, fps); frames += 997) {
+                assert.equal(Timecode.timecodeToFrames(Timecode.framesToTimecode(frames, fps), fps), frames);
+            }
+        }
+    });
+
+    it('rounds milliseconds to the nearest frame', () => {
+        assert.equal(Timecode.msToFrames(33.3, 29.97), 1);
+        assert.equal(Timecode.msToFrames(39.9, 25), 1);
+        assert.equal(Timecode.roundToFrame(1010, 25), 1000);
+        assert.throws(() => Timecode.msToFrames(1000, 12), /Unsupported frame rate/);
+    });
+
+    it('formats and parses times of day on the wall clock', () => {
+        assert.equal(Timecode.formatTimeOfDay(new Date(2026, 9, 19, 10, 0, 5, 480), 25), '10:00:05:12');
+        assert.equal(Timecode.formatTimeOfDay(new Date(2026, 9, 19, 10, 1, 0, 20), 29.97), '10:01:00;02');
+        assert.deepEqual(Timecode.parseTimeOfDay('10:00:05:12', 25), { hours: 10, minutes: 0, seconds: 5, milliseconds: 480 });
+        assert.throws(() => Timecode.parseTimeOfDay('10:00:05:25', 25), /Frames must be 0-24/);
+        assert.throws(() => Timecode.parseTimeOfDay('10:01:00;00', 29.97), /Dropped/);
+    });
+
+    it('parses durations typed by the operator', () => {
+        assert.equal(Timecode.parseDuration('90', 25), 90);
+        assert.equal(Timecode.parseDuration('00:01:30', 25), 90);
+        assert.equal(Timecode.parseDuration('01:30.5', 25), 90.5);
+        assert.equal(Timecode.parseDuration('00:01:30:12', 25), 90.48);
+        assert.throws(() => Timecode.parseDuration('1m30', 25), /Invalid duration/);
+    });
+
+    it('loads in the browser as the global Timecode', () => {
+        const source = fs.readFileSync(path.join(__dirname, '../utils/timecode.js'), 'utf8');
+        const window = {};
+        vm.runInNewContext(source, window);
+        assert.equal(window.Timecode.framesToTimecode(1800, 29.97), '00:01:00;02');
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const TimeZone = require('../utils/timezone');
+
+const PARIS = 'Europe/Paris';
+
+describe('TimeZone', () => {
+    it('gives the wall clock of a moment in a zone', () => {
+        const parts = TimeZone.getParts('2026-10-19T08:00:00.250Z', PARIS);
+
+        assert.deepEqual(parts, { year: 2026, month: 10, day: 19, hours: 10, minutes: 0, seconds: 0, milliseconds: 250, offsetMinutes: 120 });
+        assert.equal(TimeZone.dateKey('2026-10-19T22:30:00.000Z', PARIS), '2026-10-20');
+        assert.equal(TimeZone.formatTime('2026-12-01T08:00:00.000Z', PARIS), '09:00:00');
+    });
+
+    it('resolves a wall clock time to a moment', () => {
+        const resolved = TimeZone.resolveLocal({ year: 2026, month: 10, day: 19, hours: 10 }, PARIS);
+
+        assert.equal(resolved.date.toISOString(), '2026-10-19T08:00:00.000Z');
+        assert.equal(resolved.status, 'ok');
+    });
+
+    it('moves a nonexistent time forward by the DST gap', () => {
+        const resolved = TimeZone.resolveLocal({ year: 2026, month: 3, day: 29, hours: 2, minutes: 30 }, PARIS);
+
+        assert.equal(resolved.status, 'nonexistent');
+        assert.equal(resolved.shiftMs, 3600000);
+        assert.equal(TimeZone.formatTime(resolved.date, PARIS), '03:30:00');
+    });
+
+    it('takes the first occurrence of an ambiguous time unless told otherwise', () => {
+        const local = { year: 2026, month: 10, day: 25, hours: 2, minutes: 30 };
+
+        const earlier = TimeZone.resolveLocal(local, PARIS);
+        assert.equal(earlier.status, 'ambiguous');
+        assert.equal(earlier.date.toISOString(), '2026-10-25T00:30:00.000Z');
+
+        const later = TimeZone.fromLocal(local, PARIS, { disambiguation: 'later' });
+        assert.equal(later.toISOString(), '2026-10-25T01:30:00.000Z');
+    });
+
+    it('parses date-times without offset as station time', () => {
+        assert.equal(TimeZone.parseDateTime('2026-10-20T05:55:00', PARIS).toISOString(), '2026-10-20T03:55:00.000Z');
+        assert.equal(TimeZone.parseDateTime('2026-10-20T05:55:00Z', PARIS).toISOString(), '2026-10-20T05:55:00.000Z');
+        assert.throws(() => TimeZone.parseDateTime('demain', PARIS), /Invalid date/);
+    });
+
+    it('adds days to calendar dates and checks zone names', () => {
+        assert.equal(TimeZone.addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(TimeZone.addDays('2026-03-01', -1), '2026-02-28');
+        assert.equal(TimeZone.parseDateKey('2026-02-30'), null);
+        assert.equal(TimeZone.isValidZone(PARIS), true);
+        assert.equal(TimeZone.isValidZone('Europe/Nowhere'), false);
+    });
+
+    it('loads in the browser as the global TimeZone', () => {
+        const source = fs.readFileSync(path.join(__dirname, '../utils/timezone.js'), 'utf8');
+        const window = { Intl };
+        vm.runInNewContext(source, window);
+        assert.equal(window.TimeZone.addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(window.TimeZone.isValidZone(PARIS), true);
+    });
+});
@@ -0,0 +1,237 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    computeScheduleRobust,
+    validateHardStarts,
+    calculateHardStartTarget,
+    parseHardStartTime
+} = require('../utils/timingRobust');
+const clock = require('../utils/clock');
+
+const item = (id, durationSeconds, extra = {}) => ({ id, name: id, file: `${id}.mp4`, durationSeconds, ...extra });
+
+describe('computeScheduleRobust', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('chains items from the base date', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const items = computeScheduleRobust([item('a', 60), item('b', 30)], base);
+
+        assert.equal(items.length, 2);
+        assert.equal(items[0].startAt, base.toISOString());
+        assert.equal(items[0].endAt, new Date(2026, 9, 19, 10, 1, 0).toISOString());
+        assert.equal(items[1].startAt, items[0].endAt);
+        assert.equal(items[1].endAt, new Date(2026, 9, 19, 10, 1, 30).toISOString());
+        assert.equal(items[1].frames, 750);
+    });
+
+    it('rounds durations to the frame (25 fps)', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const [scheduled] = computeScheduleRobust([item('a', 10.015)], base);
+
+        assert.equal(scheduled.durationMs, 10000);
+        assert.equal(scheduled.frames, 250);
+    });
+
+    it('keeps exact durations when frame accuracy is disabled', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const [scheduled] = computeScheduleRobust([item('a', 10.015)], base, { frameAccurate: false });
+
+        assert.equal(scheduled.durationMs, 10015);
+    });
+
+    it('skips items without a valid duration', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const items = computeScheduleRobust([item('a', 10), item('bad', 0), item('b', 10)], base);
+
+        assert.deepEqual(items.map(i => i.id), ['a', 'b']);
+        assert.equal(items[1].startAt, items[0].endAt);
+    });
+
+    it('rejects an invalid base date', () => {
+        assert.throws(() => computeScheduleRobust([], new Date('invalid')), /baseDate/);
+        assert.throws(() => computeScheduleRobust(null, new Date()), /items/);
+    });
+
+    it('crosses midnight into the next calendar day', () => {
+        const base = new Date(2026, 9, 19, 23, 59, 0);
+        const items = computeScheduleRobust([item('a', 60), item('b', 60)], base);
+
+        const start = new Date(items[1].startAt);
+        assert.equal(start.getDate(), 20);
+        assert.equal(start.getHours(), 0);
+        assert.equal(start.getMinutes(), 0);
+    });
+
+    it('computes the backtime to the next hard start', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const items = computeScheduleRobust([
+            item('a', 60),
+            item('b', 60),
+            item('c', 60, { hardStartTime: '10:05:00' })
+        ], base);
+
+        assert.equal(items[0].backtime.remainingSeconds, 240);
+        assert.equal(items[1].backtime.remainingSeconds, 180);
+        assert.equal(items[1].backtime.formatted, '00:03:00.000');
+        assert.equal(items[2].backtime, null);
+    });
+
+    it('computes the backtime to a hard start after midnight', () => {
+        const base = new Date(2026, 9, 19, 23, 58, 0);
+        const items = computeScheduleRobust([
+            item('a', 60),
+            item('b', 60, { hardStartTime: '00:00:30' })
+        ], base);
+
+        assert.equal(items[0].backtime.remainingSeconds, 90);
+        assert.equal(new Date(items[0].backtime.targetTime).getDate(), 20);
+    });
+
+    it('stretches a loop until the hard start that follows it', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const items = computeScheduleRobust([
+            item('slate', 10, { loop: { untilHardStart: true, count: null, passSeconds: 10 } }),
+            item('show', 60, { hardStartTime: '10:00:25' })
+        ], base);
+
+        assert.equal(items[0].durationMs, 25000);
+        assert.equal(items[0].loopPasses, 2.5);
+        assert.equal(items[1].startAt, new Date(2026, 9, 19, 10, 0, 25).toISOString());
+    });
+
+    it('schedules through the items of a block', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const items = computeScheduleRobust([
+            item('a', 60),
+            { id: 'part1', name: 'Part 1', type: 'block', children: [item('p1', 120), item('break', 60)] },
+            item('b', 60, { hardStartTime: '10:05:00' })
+        ], base);
+
+        assert.deepEqual(items.map(i => i.id), ['a', 'part1', 'b']);
+        assert.equal(items[1].durationMs, 180000);
+        assert.equal(items[1].endAt, items[2].startAt);
+        assert.equal(items[1].children[0].blockId, 'part1');
+        assert.equal(items[1].children[1].startAt, new Date(2026, 9, 19, 10, 3, 0).toISOString());
+        // Backtime of the items of a block runs to the next hard start after the block
+        assert.equal(items[1].children[0].backtime.remainingSeconds, 120);
+        assert.equal(items[1].backtime.remainingSeconds, 60);
+    });
+});
+
+describe('calculateHardStartTarget', () => {
+    it('targets the same day', () => {
+        const target = calculateHardStartTarget(new Date(2026, 9, 19, 10, 0, 0), '10:30:00');
+        assert.equal(target.getTime(), new Date(2026, 9, 19, 10, 30, 0).getTime());
+    });
+
+    it('targets the next day across midnight', () => {
+        const target = calculateHardStartTarget(new Date(2026, 9, 19, 23, 50, 0), '00:10:00');
+        assert.equal(target.getTime(), new Date(2026, 9, 20, 0, 10, 0).getTime());
+    });
+
+    it('targets the previous day when the reference is just after midnight', () => {
+        const target = calculateHardStartTarget(new Date(2026, 9, 20, 0, 10, 0), '23:50:00');
+        assert.equal(target.getTime(), new Date(2026, 9, 19, 23, 50, 0).getTime());
+    });
+
+    it('parses milliseconds', () => {
+        assert.deepEqual(parseHardStartTime('10:00:05.5'), { hours: 10, minutes: 0, seconds: 5, milliseconds: 500 });
+        assert.throws(() => parseHardStartTime('25:00'), /Hours/);
+    });
+
+    it('parses time of day timecodes', () => {
+        assert.deepEqual(parseHardStartTime('10:00:05:12'), { hours: 10, minutes: 0, seconds: 5, milliseconds: 480 });
+        assert.deepEqual(parseHardStartTime('10:00:05;15', 29.97), { hours: 10, minutes: 0, seconds: 5, milliseconds: 501 });
+
+        const target = calculateHardStartTarget(new Date(2026, 9, 19, 10, 0, 0), '10:30:00:20');
+        assert.equal(target.getTime(), new Date(2026, 9, 19, 10, 30, 0, 800).getTime());
+    });
+
+    describe('in the station time zone', () => {
+        beforeEach(() => {
+            mock.method(console, 'log', () => {});
+            clock.setTimeZone('America/New_York');
+        });
+        afterEach(() => {
+            clock.setTimeZone(null);
+            mock.restoreAll();
+        });
+
+        it('reads the time in the station zone, not the server zone', () => {
+            const target = calculateHardStartTarget(new Date('2026-10-19T13:00:00.000Z'), '10:30:00');
+            assert.equal(target.toISOString(), '2026-10-19T14:30:00.000Z');
+        });
+
+        it('moves a time skipped by the spring change forward by the gap', () => {
+            const target = calculateHardStartTarget(new Date('2026-03-08T06:00:00.000Z'), '02:30:00');
+            assert.equal(target.toISOString(), '2026-03-08T07:30:00.000Z'); // 03:30 EDT
+        });
+
+        it('takes the first occurrence of a time repeated by the autumn change', () => {
+            const target = calculateHardStartTarget(new Date('2026-11-01T04:00:00.000Z'), '01:30:00');
+            assert.equal(target.toISOString(), '2026-11-01T05:30:00.000Z'); // 01:30 EDT, not EST
+        });
+
+        it('wraps to the next station day across midnight on a 25 hour day', () => {
+            // 23:50 EDT on Oct 31 -> 00:10 on Nov 1
+            const target = calculateHardStartTarget(new Date('2026-11-01T03:50:00.000Z'), '00:10:00');
+            assert.equal(target.toISOString(), '2026-11-01T04:10:00.000Z');
+        });
+    });
+});
+
+describe('validateHardStarts', () => {
+    it('accepts a playlist without hard starts', () => {
+        assert.deepEqual(validateHardStarts([item('a', 10)], new Date()), { valid: true, errors: [] });
+    });
+
+    it('returns the target of each hard start', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const result = validateHardStarts([item('a', 60), item('b', 60, { hardStartTime: '10:02:00' })], base);
+
+        assert.equal(result.valid, true);
+        assert.equal(result.hardStartTargets.length, 1);
+        assert.equal(result.hardStartTargets[0].index, 1);
+        assert.equal(result.hardStartTargets[0].diff, 60000);
+    });
+
+    it('rejects hard starts out of chronological order', () => {
+        const base = new Date(2026, 9, 19, 10, 0, 0);
+        const result = validateHardStarts([
+            item('a', 60),
+            item('b', 60, { hardStartTime: '10:30:00' }),
+            item('c', 60, { hardStartTime: '10:20:00' })
+        ], base);
+
+        assert.equal(result.valid, false);
+        assert.equal(result.errors.length, 1);
+        assert.equal(result.errors[0].itemId, 'c');
+        assert.match(result.errors[0].reason, /before or equal/);
+    });
+
+    it('rejects an invalid hard start format', () => {
+        const result = validateHardStarts([item('a', 60), item('b', 60, { hardStartTime: '99:00' })], new Date(2026, 9, 19, 10, 0, 0));
+
+        assert.equal(result.valid, false);
+        assert.match(result.errors[0].reason, /Invalid hard start time format/);
+    });
+
+    it('accepts hard starts on both sides of midnight', () => {
+        const base = new Date(2026, 9, 19, 23, 50, 0);
+        const result = validateHardStarts([
+            item('a', 300),
+            item('b', 300, { hardStartTime: '23:55:00' }),
+            item('c', 300, { hardStartTime: '00:00:00' })
+        ], base);
+
+        assert.equal(result.valid, true);
+        assert.equal(result.hardStartTargets[1].targetStart.getDate(), 20);
+    });
+});
@@ -7,14 +7,19 @@
  * - Événements de contrôle (PLAY, STOP, erreurs)
  *
  * Format compatible avec les exigences des régies publicitaires et autorités de régulation
+ * Un fichier par jour calendaire du fuseau de la station (clock.getTimeZone())
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const clock = require('./clock');
+const Timecode = require('./timecode');
+const TimeZone = require('./timezone');
 
 class AsRunLogger {
-    constructor(logDir = path.join(__dirname, '../logs/as-run')) {
+    constructor(logDir = path.join(__dirname, '../logs/as-run'), options = {}) {
         this.logDir = logDir;
+        this.frameRate = options.frameRate || 25; // Timecode des entrées (HH:MM:SS:FF)
         this.currentLogFile = null;
         this.currentDate = null;
         this.buffer = []; // Buffer pour écriture par batch
@@ -50,8 +55,7 @@ class AsRunLogger {
      * Obtenir le nom du fichier de log du jour
      */
     getLogFileName() {
-        const now = new Date();
-        const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
+        const dateStr = TimeZone.dateKey(clock.date(), clock.getTimeZone()); // YYYY-MM-DD
 
         // Nouveau jour = nouveau fichier
         if (dateStr !== this.currentDate) {
@@ -65,10 +69,17 @@ class AsRunLogger {
     /**
      * Formater un timestamp pour les logs
      */
-    formatTimestamp(date = new Date()) {
+    formatTimestamp(date = clock.date()) {
         return date.toISOString(); // ISO 8601 pour compatibilité internationale
     }
 
+    /**
+     * Formater l'heure en timecode SMPTE (HH:MM:SS:FF, HH:MM:SS;FF en drop-frame)
+     */
+    formatTimecode(date = clock.date()) {
+        return Timecode.formatTimeOfDay(TimeZone.getParts(date, clock.getTimeZone()), this.frameRate);
+    }
+
     /**
      * Formater une durée en HH:MM:SS.mmm
      */
@@ -91,9 +102,10 @@ class AsRunLogger {
             return;
         }
 
-        const timestamp = this.formatTimestamp();
+        const now = clock.date();
         const logEntry = {
-            timestamp,
+            timestamp: this.formatTimestamp(now),
+            timecode: this.formatTimecode(now),
             eventType,
             ...data
         };
@@ -119,17 +131,22 @@ class AsRunLogger {
     async flush() {
         if (this.buffer.length === 0) return;
 
+        // Vider le buffer avant l'écriture: un flush concurrent (timer + PLAY_START)
+        // ne doit pas réécrire les mêmes lignes
+        const lines = this.buffer;
+        this.buffer = [];
+
         try {
             const logFile = this.getLogFileName();
-            const content = this.buffer.join('\n') + '\n';
+            const content = lines.join('\n') + '\n';
 
             // Append au fichier du jour
             await fs.appendFile(logFile, content, 'utf8');
-
-            // Vider le buffer
-            this.buffer = [];
         } catch (error) {
             console.error('[AS-RUN] Failed to flush logs:', error.message);
+
+            // Remettre les lignes non écrites en tête du buffer
+            this.buffer = lines.concat(this.buffer);
         }
     }
 
@@ -232,8 +249,8 @@ class AsRunLogger {
     /**
      * Générer un rapport quotidien
      */
-    async generateDailyReport(date = new Date()) {
-        const dateStr = date.toISOString().split('T')[0];
+    async generateDailyReport(date = clock.date()) {
+        const dateStr = this._dateKey(date);
         const logFile = path.join(this.logDir, `as-run-${dateStr}.log`);
         const reportFile = path.join(this.logDir, `report-${dateStr}.txt`);
 
@@ -316,7 +333,7 @@ class AsRunLogger {
 
             report += `\n=================================================\n`;
             report += `End of Report\n`;
-            report += `Generated: ${new Date().toISOString()}\n`;
+            report += `Generated: ${clock.date().toISOString()}\n`;
             report += `=================================================\n`;
 
             // Sauvegarder le rapport
@@ -333,12 +350,11 @@ class AsRunLogger {
     /**
      * Obtenir les logs d'une période
      */
-    async getLogs(startDate, endDate = new Date()) {
+    async getLogs(startDate, endDate = clock.date()) {
         const logs = [];
-        const current = new Date(startDate);
+        const lastDate = this._dateKey(endDate);
 
-        while (current <= endDate) {
-            const dateStr = current.toISOString().split('T')[0];
+        for (let dateStr = this._dateKey(startDate); dateStr <= lastDate; dateStr = TimeZone.addDays(dateStr, 1)) {
             const logFile = path.join(this.logDir, `as-run-${dateStr}.log`);
 
             try {
@@ -349,13 +365,20 @@ class AsRunLogger {
             } catch (error) {
                 // Fichier n'existe pas pour ce jour
             }
-
-            current.setDate(current.getDate() + 1);
         }
 
         return logs;
     }
 
+    /**
+     * Jour du fichier de log d'un moment (fuseau de la station), ou jour donné en YYYY-MM-DD
+     * @private
+     */
+    _dateKey(date) {
+        if (TimeZone.parseDateKey(date)) return date;
+        return TimeZone.dateKey(date, clock.getTimeZone());
+    }
+
     /**
      * Arrêter le logger proprement
      */
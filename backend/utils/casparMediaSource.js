@@ -0,0 +1,218 @@
+/**
+ * CasparCG Media Source - Media library read from CasparCG instead of a media folder
+ *
+ * The clip list comes from CLS (name, size, date), the duration and frame rate of each clip
+ * from CINF, the templates from TLS and the thumbnails from THUMBNAIL RETRIEVE, so the
+ * backend needs no access to the media share nor FFprobe/FFmpeg. Media objects have the
+ * fields of the media scanner, plus the frame rate of the clip.
+ *
+ * CINF is asked once per clip and client, and again when the clip is replaced (size or
+ * date of its CLS line).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { THUMBNAILS_DIR } = require('./mediaScanner');
+
+// Clip types listed in the library (stills and audio-only files are left out)
+const LIBRARY_TYPES = ['MOVIE'];
+
+// CINF replies of each client: WeakMap<CasparClient, Map<file, { key, info }>>
+const clipInfoCache = new WeakMap();
+
+/**
+ * Media object of a CLS clip
+ * @param {Object} clip - Parsed CLS line (CasparClient.parseClipLine)
+ */
+function toMedia(clip) {
+    return {
+        name: clip.name.split('/').pop(),   // Name without folder
+        file: clip.name,                    // CasparCG name (folders with forward slashes, no extension)
+        path: null,                         // Not reachable from the backend
+        size: clip.size,
+        durationSeconds: clip.durationSeconds,
+        frameRate: clip.frameRate,
+        modified: clip.modified,
+        thumbnail: null
+    };
+}
+
+/**
+ * Duration and frame rate of a clip from CINF (the CLS line is kept if CINF fails)
+ *
+ * @param {CasparClient} casparClient - Connected client
+ * @param {Object} clip - Parsed CLS line
+ * @returns {Promise<Object>} - Parsed CINF line, or the CLS line
+ */
+async function getClipInfo(casparClient, clip) {
+    if (!clipInfoCache.has(casparClient)) {
+        clipInfoCache.set(casparClient, new Map());
+    }
+    const cache = clipInfoCache.get(casparClient);
+    const key = `${clip.size} ${clip.modified.getTime()}`;
+
+    const cached = cache.get(clip.name);
+    if (cached && cached.key === key) return cached.info;
+
+    try {
+        const info = await casparClient.cinf(clip.name);
+        if (!info) throw new Error('unreadable CINF reply');
+
+        cache.set(clip.name, { key, info });
+        return info;
+    } catch (error) {
+        console.warn(`[CASPAR-MEDIA] CINF failed for ${clip.name}, using CLS:`, error.message);
+        return clip;
+    }
+}
+
+/**
+ * Thumbnail file name of a clip: the CasparCG name, URI-encoded so that folders
+ * cannot collide with names ("a/b" and "a_b")
+ */
+function thumbnailNameOf(media) {
+    return `${encodeURIComponent(media.file)}.png`;
+}
+
+/**
+ * URL of a thumbnail file (the HTTP server decodes it once)
+ */
+function thumbnailUrl(thumbnailName) {
+    return `/thumbnails/${encodeURIComponent(thumbnailName)}`;
+}
+
+/**
+ * Thumbnail of a clip, retrieved from CasparCG once and kept with the scanner thumbnails
+ *
+ * @param {CasparClient} casparClient - Connected client
+ * @param {Object} media - Media object
+ * @returns {Promise<string|null>} - Relative path to thumbnail
+ */
+async function retrieveThumbnail(casparClient, media) {
+    const thumbnailName = thumbnailNameOf(media);
+    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailName);
+    const relativePath = thumbnailUrl(thumbnailName);
+
+    try {
+        // A clip replaced since its thumbnail was taken gets a new one
+        const stats = await fs.stat(thumbnailPath);
+        if (stats.mtime >= media.modified) return relativePath;
+    } catch (e) {
+        // Does not exist, retrieve it
+    }
+
+    try {
+        const png = await casparClient.thumbnailRetrieve(media.file);
+        if (png.length === 0) return null;
+
+        await fs.mkdir(THUMBNAILS_DIR, { recursive: true });
+        await fs.writeFile(thumbnailPath, png);
+        return relativePath;
+    } catch (error) {
+        console.warn(`[CASPAR-MEDIA] Could not retrieve thumbnail for ${media.file}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Read the clip list of CasparCG (CLS), with the duration and frame rate of each clip (CINF)
+ *
+ * @param {CasparClient} casparClient - Connected client
+ * @param {Object} [options]
+ * @param {boolean} [options.thumbnails] - Also retrieve the missing thumbnails (slower)
+ * @returns {Promise<Array>} - Media objects, as the media scanner returns them
+ */
+async function scanCasparMedia(casparClient, options = {}) {
+    console.log('[CASPAR-MEDIA] Reading clip list (CLS)...');
+
+    const clips = (await casparClient.cls()).filter(clip => LIBRARY_TYPES.includes(clip.type));
+
+    const mediaFiles = [];
+    for (const clip of clips) {
+        const info = await getClipInfo(casparClient, clip);
+        mediaFiles.push(toMedia({ ...clip, durationSeconds: info.durationSeconds, frameRate: info.frameRate }));
+    }
+
+    if (options.thumbnails) {
+        for (const media of mediaFiles) {
+            media.thumbnail = await retrieveThumbnail(casparClient, media);
+        }
+    } else {
+        // Thumbnails already retrieved are shown at once
+        for (const media of mediaFiles) {
+            const thumbnailName = thumbnailNameOf(media);
+            try {
+                await fs.access(path.join(THUMBNAILS_DIR, thumbnailName));
+                media.thumbnail = thumbnailUrl(thumbnailName);
+            } catch (e) {
+                // Retrieved by the next full scan
+            }
+        }
+    }
+
+    console.log(`[CASPAR-MEDIA] Found ${mediaFiles.length} clip(s)`);
+    return mediaFiles;
+}
+
+/**
+ * Read the template list of CasparCG (TLS)
+ *
+ * @param {CasparClient} casparClient - Connected client
+ * @returns {Promise<string[]>} - Template names
+ */
+async function scanCasparTemplates(casparClient) {
+    const templates = await casparClient.tls();
+    console.log(`[CASPAR-MEDIA] Found ${templates.length} template(s)`);
+    return templates;
+}
+
+/**
+ * Poll CasparCG for library changes (clips added, removed or replaced, templates)
+ *
+ * @param {Function} getClient - Returns the current client (it changes on reconnection)
+ * @param {Function} callback - Called with (mediaFiles, templates) when the library changed
+ * @param {number} intervalMs - Polling interval
+ * @returns {Function} - Stops polling
+ */
+function watchCasparMedia(getClient, callback, intervalMs) {
+    let signature = null;
+    let polling = false;
+
+    const poll = async () => {
+        const casparClient = getClient();
+        if (polling || !casparClient || !casparClient.connected) return;
+
+        polling = true;
+        try {
+            const mediaFiles = await scanCasparMedia(casparClient);
+            const templates = await scanCasparTemplates(casparClient);
+
+            const current = JSON.stringify([
+                mediaFiles.map(media => [media.file, media.size, media.modified]),
+                templates
+            ]);
+            if (current !== signature) {
+                signature = current;
+                callback(mediaFiles, templates);
+            }
+        } catch (error) {
+            console.warn('[CASPAR-MEDIA] Library poll failed:', error.message);
+        } finally {
+            polling = false;
+        }
+    };
+
+    console.log(`[CASPAR-MEDIA] Polling CasparCG library every ${intervalMs / 1000}s`);
+    poll();
+    const timer = setInterval(poll, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    scanCasparMedia,
+    scanCasparTemplates,
+    retrieveThumbnail,
+    watchCasparMedia
+};
@@ -0,0 +1,249 @@
+/**
+ * Clock Service - Single source of "now" for the playout
+ *
+ * The scheduler, the playlists, the broadcast calendar and the as-run log read the
+ * time here instead of calling Date.now(). By default it is the system time.
+ *
+ * Simulation (rehearsal mode): the clock can be offset (e.g. run tomorrow's schedule)
+ * and accelerated (rate 60 = one hour per minute), so a full broadcast day with its
+ * hard starts and secondary events can be checked against the simulated CasparCG.
+ *
+ * Timers set through the clock are in simulated milliseconds: they fire faster when
+ * the clock is accelerated and are re-armed when the time jumps or the rate changes.
+ *
+ * The clock also holds the station time zone: wall clock times (hard starts, broadcast
+ * days, as-run files) are read in that zone, not in the zone of the server.
+ */
+
+const EventEmitter = require('events');
+const TimeZone = require('./timezone');
+
+const MIN_INTERVAL_MS = 1;
+
+class Clock extends EventEmitter {
+    constructor() {
+        super();
+
+        // Simulated time at anchorReal (null: system time)
+        this.anchorTime = null;
+        this.anchorReal = 0;
+        this.rate = 1;
+
+        // Station time zone (IANA name, null: system time zone)
+        this.timeZone = null;
+
+        // Pending timers: { callback, ms, repeat, due, handle }
+        this.timers = new Set();
+    }
+
+    /**
+     * Current time in milliseconds since the epoch
+     * @returns {number}
+     */
+    now() {
+        if (this.anchorTime === null) {
+            return Date.now();
+        }
+
+        return this.anchorTime + (Date.now() - this.anchorReal) * this.rate;
+    }
+
+    /**
+     * Current time as a Date
+     * @returns {Date}
+     */
+    date() {
+        return new Date(this.now());
+    }
+
+    /**
+     * Jump to a given time (the clock keeps running at its rate from there)
+     * @param {Date|string|number} time
+     */
+    setTime(time) {
+        const target = new Date(time).getTime();
+        if (isNaN(target)) {
+            throw new Error(`Invalid clock time: ${time}`);
+        }
+
+        this._anchor(target);
+        console.log(`[CLOCK] Time set to ${new Date(target).toISOString()} (rate x${this.rate})`);
+        this._changed();
+    }
+
+    /**
+     * Run ahead of (or behind) the system time
+     * @param {number} offsetMs - Milliseconds added to the system time
+     */
+    setOffset(offsetMs) {
+        if (!Number.isFinite(offsetMs)) {
+            throw new Error(`Invalid clock offset: ${offsetMs}`);
+        }
+
+        this._anchor(Date.now() + offsetMs);
+        console.log(`[CLOCK] Offset set to ${Math.round(offsetMs / 1000)}s (rate x${this.rate})`);
+        this._changed();
+    }
+
+    /**
+     * Change the speed of the clock from the current time
+     * @param {number} rate - Simulated milliseconds per real millisecond (1 = real time)
+     */
+    setRate(rate) {
+        if (!Number.isFinite(rate) || rate <= 0) {
+            throw new Error(`Clock rate must be a positive number: ${rate}`);
+        }
+
+        this._anchor(this.now());
+        this.rate = rate;
+        console.log(`[CLOCK] Rate set to x${rate}`);
+        this._changed();
+    }
+
+    /**
+     * Set the station time zone: hard starts, broadcast days and as-run files follow its wall clock
+     * @param {string|null} timeZone - IANA name (e.g. "Europe/Paris"), null for the system time zone
+     */
+    setTimeZone(timeZone) {
+        if (timeZone !== null && !TimeZone.isValidZone(timeZone)) {
+            throw new Error(`Unknown time zone: ${timeZone}`);
+        }
+
+        this.timeZone = timeZone;
+        console.log(`[CLOCK] Station time zone: ${this.getTimeZone()}`);
+        this._changed();
+    }
+
+    /**
+     * @returns {string} - IANA name of the station time zone
+     */
+    getTimeZone() {
+        return TimeZone.resolveZone(this.timeZone);
+    }
+
+    /**
+     * Back to the system time, at real speed (the time zone is kept)
+     */
+    reset() {
+        if (!this.isSimulated()) return;
+
+        this.anchorTime = null;
+        this.rate = 1;
+        console.log('[CLOCK] Back to system time');
+        this._changed();
+    }
+
+    /**
+     * @returns {boolean} - True if the clock is offset or accelerated
+     */
+    isSimulated() {
+        return this.anchorTime !== null;
+    }
+
+    /**
+     * Clock state for the clients (they run their own clock from it)
+     */
+    getStatus() {
+        const now = this.now();
+
+        return {
+            now: new Date(now).toISOString(),
+            rate: this.rate,
+            offsetMs: Math.round(now - Date.now()),
+            simulated: this.isSimulated(),
+            timeZone: this.getTimeZone()
+        };
+    }
+
+    /**
+     * setTimeout in simulated milliseconds
+     * @returns {Object} - Timer handle for clearTimeout
+     */
+    setTimeout(callback, ms = 0) {
+        const timer = { callback, ms, repeat: false, due: this.now() + ms, handle: null };
+        this._arm(timer);
+        return timer;
+    }
+
+    /**
+     * setInterval in simulated milliseconds
+     * @returns {Object} - Timer handle for clearInterval
+     */
+    setInterval(callback, ms) {
+        const period = Math.max(MIN_INTERVAL_MS, ms);
+        const timer = { callback, ms: period, repeat: true, due: this.now() + period, handle: null };
+        this._arm(timer);
+        return timer;
+    }
+
+    clearTimeout(timer) {
+        if (!timer || !this.timers.has(timer)) return;
+
+        clearTimeout(timer.handle);
+        this.timers.delete(timer);
+    }
+
+    clearInterval(timer) {
+        this.clearTimeout(timer);
+    }
+
+    /**
+     * @private
+     */
+    _anchor(time) {
+        this.anchorTime = time;
+        this.anchorReal = Date.now();
+    }
+
+    /**
+     * Wait in real time until the simulated due time of a timer
+     * @private
+     */
+    _arm(timer) {
+        this.timers.add(timer);
+
+        const delay = Math.max(0, (timer.due - this.now()) / this.rate);
+        timer.handle = setTimeout(() => this._fire(timer), delay);
+    }
+
+    /**
+     * @private
+     */
+    _fire(timer) {
+        if (!this.timers.has(timer)) return;
+
+        if (timer.repeat) {
+            // After a jump forward, the next tick is one period from now (no burst)
+            const now = this.now();
+            timer.due = timer.due + timer.ms > now ? timer.due + timer.ms : now + timer.ms;
+            this._arm(timer);
+        } else {
+            this.timers.delete(timer);
+        }
+
+        timer.callback();
+    }
+
+    /**
+     * Re-arm the timers for the new time or rate, then notify
+     * @private
+     */
+    _changed() {
+        const now = this.now();
+
+        this.timers.forEach(timer => {
+            clearTimeout(timer.handle);
+            // Intervals restart from the new time; timeouts keep their simulated due time
+            if (timer.repeat) {
+                timer.due = now + timer.ms;
+            }
+            this._arm(timer);
+        });
+
+        this.emit('change', this.getStatus());
+    }
+}
+
+// Export singleton instance
+module.exports = new Clock();
+module.exports.Clock = Clock;
@@ -243,9 +243,10 @@ let scanTimeout = null;
 /**
  * Watch media directory for changes
  * @param {Function} callback - Function to call with new media list
+ * @returns {Function} - Stops watching
  */
 function watchMediaDirectory(callback) {
-    if (watcher) return;
+    if (watcher) return stopWatchingMediaDirectory;
     
     console.log(`[WATCHER] Starting watch on ${MEDIA_PATH}`);
     try {
@@ -282,6 +283,23 @@ function watchMediaDirectory(callback) {
     } catch (error) {
         console.error(`[WATCHER] Error watching directory: ${error.message}`);
     }
+
+    return stopWatchingMediaDirectory;
+}
+
+/**
+ * Stop watching the media directory (and drop a pending scan)
+ */
+function stopWatchingMediaDirectory() {
+    if (scanTimeout) {
+        clearTimeout(scanTimeout);
+        scanTimeout = null;
+    }
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+        console.log('[WATCHER] Stopped');
+    }
 }
 
 module.exports = {
@@ -291,5 +309,6 @@ module.exports = {
     generateThumbnail,
     formatFileSize,
     watchMediaDirectory,
-    MEDIA_PATH
+    MEDIA_PATH,
+    THUMBNAILS_DIR
 };
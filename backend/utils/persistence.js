@@ -1,43 +1,82 @@
 /**
  * Playlist Persistence - Save and load playlists to/from JSON files
+ *
+ * Each named playlist is stored in its own file: data/playlists/<id>.json
+ * The index (display order, on-air playlist) is stored in data/playlists/index.json
+ * Broadcast calendar days are stored in data/schedule/YYYY-MM-DD.json for the main
+ * channel (1) and in data/schedule/channel-<N>/YYYY-MM-DD.json for other channels
+ * Saved revisions of a playlist are kept in data/revisions/<id>/<revisionId>.json,
+ * with one summary line per revision in data/revisions/<id>/index.jsonl: the most recent
+ * ones up to a limit, and every named snapshot
+ * The snapshots of older versions (data/snapshots/<id>/<snapshotId>.json) are migrated
+ * to revisions once
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 
 const DATA_DIR = path.join(__dirname, '../data');
+const PLAYLISTS_DIR = path.join(DATA_DIR, 'playlists');
+const INDEX_FILE = path.join(PLAYLISTS_DIR, 'index.json');
+const SCHEDULE_DIR = path.join(DATA_DIR, 'schedule');
+const REVISIONS_DIR = path.join(DATA_DIR, 'revisions');
+const REVISION_INDEX = 'index.jsonl';
+const DEFAULT_REVISION_KEEP = 500;
+
+// Snapshots of older versions, migrated to revisions
+const SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+
+// Pending revision writes by revision directory: the index of a playlist is appended
+// and pruned by one save at a time
+const revisionWrites = new Map();
+
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const REVISION_ID_PATTERN = /^\d{8}T\d{9}Z(-\d+)?$/;
+
+// Legacy single-playlist file (before named playlists)
 const PLAYLIST_FILE = path.join(DATA_DIR, 'playlist.json');
 
 /**
- * Ensure data directory exists
+ * Ensure data directories exist
  */
 async function ensureDataDirectory() {
     try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.mkdir(PLAYLISTS_DIR, { recursive: true });
+        await fs.mkdir(SCHEDULE_DIR, { recursive: true });
     } catch (error) {
         console.error('[PERSISTENCE] Error creating data directory:', error.message);
     }
 }
 
 /**
- * Save playlist to JSON file (atomic write pour éviter corruption)
- *
- * @param {Object} playlistData - Playlist data to save
- * @returns {Promise<boolean>} - True if saved successfully
+ * Sanitize a playlist ID for use in a file or directory name
  */
-async function savePlaylist(playlistData) {
-    const TEMP_FILE = PLAYLIST_FILE + '.tmp';
-    const BACKUP_FILE = PLAYLIST_FILE + '.backup';
+function toSafeId(playlistId) {
+    return String(playlistId).replace(/[^A-Za-z0-9_-]/g, '_');
+}
 
-    try {
-        await ensureDataDirectory();
+/**
+ * Get the file path of a playlist (IDs are sanitized to stay inside the playlists directory)
+ *
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} - Absolute file path
+ */
+function getPlaylistFile(playlistId) {
+    return path.join(PLAYLISTS_DIR, `${toSafeId(playlistId)}.json`);
+}
 
-        // Validation des données avant sauvegarde
-        if (!playlistData || !Array.isArray(playlistData.items)) {
-            throw new Error('Invalid playlist data structure');
-        }
+/**
+ * Write JSON to a file atomically, keeping a .backup copy of the previous version
+ *
+ * @param {string} file - Target file
+ * @param {Object} payload - Data to serialize
+ */
+async function writeJsonAtomic(file, payload) {
+    const TEMP_FILE = file + '.tmp';
+    const BACKUP_FILE = file + '.backup';
 
-        const data = JSON.stringify(playlistData, null, 2);
+    try {
+        const data = JSON.stringify(payload, null, 2);
 
         // Écriture atomique en 3 étapes pour éviter corruption
         // 1. Écrire dans fichier temporaire
@@ -45,20 +84,15 @@ async function savePlaylist(playlistData) {
 
         // 2. Backup de l'ancien fichier (si existe)
         try {
-            await fs.access(PLAYLIST_FILE);
-            await fs.copyFile(PLAYLIST_FILE, BACKUP_FILE);
+            await fs.access(file);
+            await fs.copyFile(file, BACKUP_FILE);
         } catch (error) {
             // Pas de fichier existant, pas grave
         }
 
         // 3. Renommer le temp en final (opération atomique sur la plupart des FS)
-        await fs.rename(TEMP_FILE, PLAYLIST_FILE);
-
-        console.log(`[PERSISTENCE] Playlist saved: ${playlistData.items.length} items`);
-        return true;
+        await fs.rename(TEMP_FILE, file);
     } catch (error) {
-        console.error('[PERSISTENCE] Error saving playlist:', error.message);
-
         // Nettoyer le fichier temp en cas d'échec
         try {
             await fs.unlink(TEMP_FILE);
@@ -66,21 +100,22 @@ async function savePlaylist(playlistData) {
             // Ignorer l'erreur de nettoyage
         }
 
-        return false;
+        throw error;
     }
 }
 
 /**
- * Load playlist from JSON file (avec récupération depuis backup si corrompu)
+ * Read a playlist file (avec récupération depuis backup si corrompu)
  *
- * @returns {Promise<Object|null>} - Loaded playlist data or null
+ * @param {string} file - Playlist file
+ * @returns {Promise<Object|null>} - Playlist data or null
  */
-async function loadPlaylist() {
-    const BACKUP_FILE = PLAYLIST_FILE + '.backup';
+async function readPlaylistFile(file) {
+    const BACKUP_FILE = file + '.backup';
 
     // Essayer de charger le fichier principal
     try {
-        const data = await fs.readFile(PLAYLIST_FILE, 'utf8');
+        const data = await fs.readFile(file, 'utf8');
         const playlistData = JSON.parse(data);
 
         // Validation de la structure
@@ -88,16 +123,14 @@ async function loadPlaylist() {
             throw new Error('Invalid playlist structure');
         }
 
-        console.log(`[PERSISTENCE] Playlist loaded: ${playlistData.items.length} items`);
         return playlistData;
     } catch (error) {
         if (error.code === 'ENOENT') {
-            console.log('[PERSISTENCE] No saved playlist found');
             return null;
         }
 
         // Fichier corrompu ou erreur de parsing
-        console.error('[PERSISTENCE] Error loading playlist:', error.message);
+        console.error(`[PERSISTENCE] Error loading ${path.basename(file)}:`, error.message);
         console.log('[PERSISTENCE] Attempting to restore from backup...');
 
         // Essayer de charger le backup
@@ -112,25 +145,553 @@ async function loadPlaylist() {
             console.log(`[PERSISTENCE] ✓ Playlist restored from backup: ${playlistData.items.length} items`);
 
             // Restaurer le fichier principal depuis le backup
-            await fs.copyFile(BACKUP_FILE, PLAYLIST_FILE);
+            await fs.copyFile(BACKUP_FILE, file);
 
             return playlistData;
         } catch (backupError) {
             console.error('[PERSISTENCE] Backup restoration failed:', backupError.message);
-            console.error('[PERSISTENCE] ✗ CRITICAL: Unable to load playlist. Starting fresh.');
+            console.error(`[PERSISTENCE] ✗ CRITICAL: Unable to load ${path.basename(file)}.`);
             return null;
         }
     }
 }
 
 /**
- * Check if saved playlist exists
- * 
+ * Save playlist to its JSON file (atomic write pour éviter corruption)
+ *
+ * @param {Object} playlistData - Playlist data to save (must contain id and items)
+ * @returns {Promise<boolean>} - True if saved successfully
+ */
+async function savePlaylist(playlistData) {
+    try {
+        await ensureDataDirectory();
+
+        // Validation des données avant sauvegarde
+        if (!playlistData || !playlistData.id || !Array.isArray(playlistData.items)) {
+            throw new Error('Invalid playlist data structure');
+        }
+
+        await writeJsonAtomic(getPlaylistFile(playlistData.id), playlistData);
+
+        console.log(`[PERSISTENCE] Playlist ${playlistData.id} saved: ${playlistData.items.length} items`);
+        return true;
+    } catch (error) {
+        console.error('[PERSISTENCE] Error saving playlist:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Load a playlist by ID
+ *
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Object|null>} - Loaded playlist data or null
+ */
+async function loadPlaylist(playlistId) {
+    const playlistData = await readPlaylistFile(getPlaylistFile(playlistId));
+
+    if (playlistData) {
+        console.log(`[PERSISTENCE] Playlist ${playlistId} loaded: ${playlistData.items.length} items`);
+    } else {
+        console.log(`[PERSISTENCE] No saved playlist found for ${playlistId}`);
+    }
+
+    return playlistData;
+}
+
+/**
+ * Load every saved playlist
+ * Migrates the legacy data/playlist.json file on first run
+ *
+ * @returns {Promise<Array>} - Array of playlist data
+ */
+async function loadAllPlaylists() {
+    await ensureDataDirectory();
+
+    const files = (await fs.readdir(PLAYLISTS_DIR))
+        .filter(file => file.endsWith('.json') && file !== path.basename(INDEX_FILE));
+
+    const playlists = [];
+    for (const file of files) {
+        const playlistData = await readPlaylistFile(path.join(PLAYLISTS_DIR, file));
+        if (playlistData) {
+            // Files written before named playlists may lack an ID
+            if (!playlistData.id) playlistData.id = path.basename(file, '.json');
+            playlists.push(playlistData);
+        }
+    }
+
+    if (playlists.length === 0) {
+        const legacy = await readPlaylistFile(PLAYLIST_FILE);
+        if (legacy) {
+            console.log(`[PERSISTENCE] Migrating legacy playlist.json (${legacy.items.length} items)`);
+            playlists.push(legacy);
+        }
+    }
+
+    console.log(`[PERSISTENCE] Loaded ${playlists.length} playlist(s)`);
+    return playlists;
+}
+
+/**
+ * Delete a saved playlist (and its backup)
+ *
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<boolean>} - True if deleted
+ */
+async function deletePlaylist(playlistId) {
+    const file = getPlaylistFile(playlistId);
+
+    try {
+        await fs.unlink(file);
+        try {
+            await fs.unlink(file + '.backup');
+        } catch (error) {
+            // Pas de backup
+        }
+        console.log(`[PERSISTENCE] Playlist ${playlistId} deleted`);
+        return true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[PERSISTENCE] Error deleting playlist:', error.message);
+        }
+        return false;
+    }
+}
+
+/**
+ * Save the playlists index (display order, on-air playlist)
+ *
+ * @param {Object} index - Index data
+ * @returns {Promise<boolean>} - True if saved successfully
+ */
+async function savePlaylistIndex(index) {
+    try {
+        await ensureDataDirectory();
+        await writeJsonAtomic(INDEX_FILE, index);
+        return true;
+    } catch (error) {
+        console.error('[PERSISTENCE] Error saving playlist index:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Load the playlists index
+ *
+ * @returns {Promise<Object|null>} - Index data or null
+ */
+async function loadPlaylistIndex() {
+    try {
+        const data = await fs.readFile(INDEX_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[PERSISTENCE] Error loading playlist index:', error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Get the calendar directory of a playout channel
+ *
+ * @param {number} channel - Playout channel
+ * @returns {string} - Absolute directory path
+ */
+function getScheduleDir(channel = 1) {
+    return channel === 1 ? SCHEDULE_DIR : path.join(SCHEDULE_DIR, `channel-${parseInt(channel, 10)}`);
+}
+
+/**
+ * Get the file path of a broadcast calendar day
+ *
+ * @param {string} date - Broadcast date (YYYY-MM-DD)
+ * @param {number} channel - Playout channel
+ * @returns {string} - Absolute file path
+ */
+function getDayFile(date, channel = 1) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new Error(`Invalid broadcast date: ${date}`);
+    }
+    return path.join(getScheduleDir(channel), `${date}.json`);
+}
+
+/**
+ * Save a broadcast calendar day playlist
+ *
+ * @param {Object} playlistData - Playlist data (must contain broadcastDate and items)
+ * @returns {Promise<boolean>} - True if saved successfully
+ */
+async function saveDayPlaylist(playlistData) {
+    try {
+        if (!playlistData || !playlistData.broadcastDate || !Array.isArray(playlistData.items)) {
+            throw new Error('Invalid day playlist data structure');
+        }
+
+        const channel = playlistData.channel || 1;
+        await fs.mkdir(getScheduleDir(channel), { recursive: true });
+        await writeJsonAtomic(getDayFile(playlistData.broadcastDate, channel), playlistData);
+
+        console.log(`[PERSISTENCE] Channel ${channel} day ${playlistData.broadcastDate} saved: ${playlistData.items.length} items`);
+        return true;
+    } catch (error) {
+        console.error('[PERSISTENCE] Error saving day playlist:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Load broadcast calendar days of a channel
+ *
+ * @param {string} [fromDate] - Skip days before this date (YYYY-MM-DD), older days stay on disk as archive
+ * @param {number} [channel] - Playout channel
+ * @returns {Promise<Array>} - Array of day playlist data, sorted by date
+ */
+async function loadScheduledDays(fromDate = null, channel = 1) {
+    const scheduleDir = getScheduleDir(channel);
+    await fs.mkdir(scheduleDir, { recursive: true });
+
+    const dates = (await fs.readdir(scheduleDir))
+        .map(file => (file.match(DAY_FILE_PATTERN) || [])[1])
+        .filter(date => date && (!fromDate || date >= fromDate))
+        .sort();
+
+    const days = [];
+    for (const date of dates) {
+        const playlistData = await readPlaylistFile(getDayFile(date, channel));
+        if (playlistData) {
+            // The file location is authoritative for the broadcast date and channel
+            playlistData.broadcastDate = date;
+            playlistData.channel = channel;
+            days.push(playlistData);
+        }
+    }
+
+    console.log(`[PERSISTENCE] Channel ${channel}: loaded ${days.length} scheduled day(s)`);
+    return days;
+}
+
+/**
+ * Delete a broadcast calendar day (and its backup)
+ *
+ * @param {string} date - Broadcast date (YYYY-MM-DD)
+ * @param {number} [channel] - Playout channel
+ * @returns {Promise<boolean>} - True if deleted
+ */
+async function deleteDayPlaylist(date, channel = 1) {
+    const file = getDayFile(date, channel);
+
+    try {
+        await fs.unlink(file);
+        try {
+            await fs.unlink(file + '.backup');
+        } catch (error) {
+            // Pas de backup
+        }
+        console.log(`[PERSISTENCE] Day ${date} deleted`);
+        return true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[PERSISTENCE] Error deleting day playlist:', error.message);
+        }
+        return false;
+    }
+}
+
+/**
+ * Get the revision directory of a playlist
+ *
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} - Absolute directory path
+ */
+function getRevisionDir(playlistId) {
+    return path.join(REVISIONS_DIR, toSafeId(playlistId));
+}
+
+/**
+ * Save a revision of a playlist, then prune the oldest ones beyond `keep`
+ * Revision IDs are their UTC creation time (20261019T101500123Z), so they sort by date
+ *
+ * @param {Object} playlistData - Playlist data (getRaw)
+ * @param {Object} [info]
+ * @param {string} [info.author] - Operator (or service) who made the change
+ * @param {string} [info.label] - What changed (e.g. "Ajout de JINGLE")
+ * @param {string} [info.name] - Name of a snapshot taken on purpose by an operator
+ * @param {number} [keep] - Number of revisions kept for the playlist, named snapshots aside
+ * @returns {Promise<Object|null>} - Revision summary or null on failure
+ */
+async function savePlaylistRevision(playlistData, info = {}, keep = DEFAULT_REVISION_KEEP) {
+    try {
+        if (!playlistData || !playlistData.id || !Array.isArray(playlistData.items)) {
+            throw new Error('Invalid playlist data structure');
+        }
+
+        // Copied now: the playlist may change while earlier saves are written
+        const content = JSON.parse(JSON.stringify(playlistData));
+        const dir = getRevisionDir(playlistData.id);
+        return await queueRevisionWrite(dir, () => writeRevision(dir, content, info, keep));
+    } catch (error) {
+        console.error('[PERSISTENCE] Error saving revision:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Run a write of a revision directory after the pending ones
+ *
+ * @param {string} dir - Revision directory of the playlist
+ * @param {Function} task - Async write
+ * @returns {Promise<*>} - Result of the task
+ */
+function queueRevisionWrite(dir, task) {
+    const previous = revisionWrites.get(dir) || Promise.resolve();
+    const result = previous.then(task);
+    const done = result.catch(() => {});
+    revisionWrites.set(dir, done);
+    done.then(() => {
+        if (revisionWrites.get(dir) === done) revisionWrites.delete(dir);
+    });
+    return result;
+}
+
+/**
+ * Write a revision file, append it to the index and prune the oldest revisions
+ */
+async function writeRevision(dir, playlistData, info, keep) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    const baseId = createdAt.replace(/[-:.]/g, '');
+    const revision = {
+        id: baseId,
+        createdAt,
+        author: info.author || null,
+        label: info.label || null,
+        name: info.name || null,
+        playlist: playlistData
+    };
+
+    // Two saves in the same millisecond get a suffix
+    for (let n = 1; ; n++) {
+        try {
+            await fs.writeFile(path.join(dir, `${revision.id}.json`), JSON.stringify(revision, null, 2), { encoding: 'utf8', flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            revision.id = `${baseId}-${n}`;
+        }
+    }
+
+    const summary = summarizeRevision(revision);
+    await fs.appendFile(path.join(dir, REVISION_INDEX), JSON.stringify(summary) + '\n', 'utf8');
+    await pruneRevisions(dir, keep);
+
+    return summary;
+}
+
+/**
+ * List the revisions of a playlist, most recent first
+ *
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array>} - Revision summaries ({ id, createdAt, author, label, name, itemCount })
+ */
+async function listPlaylistRevisions(playlistId) {
+    return readRevisionIndex(getRevisionDir(playlistId));
+}
+
+/**
+ * Read the revision index of a revision directory, most recent first
+ */
+async function readRevisionIndex(dir) {
+    let data;
+    try {
+        data = await fs.readFile(path.join(dir, REVISION_INDEX), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const revisions = [];
+    for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            revisions.push(JSON.parse(line));
+        } catch (error) {
+            // Line cut by a crash during the append
+            console.error(`[PERSISTENCE] Skipping unreadable revision index line in ${path.basename(dir)}`);
+        }
+    }
+
+    return revisions.sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+/**
+ * Delete the oldest revisions of a playlist beyond `keep` (named snapshots are kept)
+ * The index is rewritten first: a crash may leave revision files out of the index, never
+ * index lines without their file. Runs between two appends (see queueRevisionWrite)
+ *
+ * @param {string} dir - Revision directory of the playlist
+ * @param {number} keep - Number of revisions kept, named snapshots aside
+ * @returns {Promise<number>} - Number of deleted revisions
+ */
+async function pruneRevisions(dir, keep) {
+    const revisions = await readRevisionIndex(dir);
+    const unnamed = revisions.filter(revision => !revision.name);
+    if (unnamed.length <= keep) return 0;
+
+    const pruned = new Set(unnamed.slice(keep).map(revision => revision.id));
+    const kept = revisions.filter(revision => !pruned.has(revision.id)).reverse();
+
+    const indexFile = path.join(dir, REVISION_INDEX);
+    await fs.writeFile(indexFile + '.tmp', kept.map(revision => JSON.stringify(revision) + '\n').join(''), 'utf8');
+    await fs.rename(indexFile + '.tmp', indexFile);
+
+    for (const id of pruned) {
+        try {
+            await fs.unlink(path.join(dir, `${id}.json`));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    console.log(`[PERSISTENCE] Pruned ${pruned.size} revision(s) of ${path.basename(dir)}`);
+    return pruned.size;
+}
+
+/**
+ * Move the snapshots of older versions to revisions, deleting each one once it is in the
+ * revisions; an unreadable snapshot is left in place (with its directory) to be recovered
+ * Does nothing once migrated; a snapshot already in the revisions is not added twice
+ *
+ * @param {string} [snapshotsDir] - Snapshot directory (data/snapshots)
+ * @param {string} [revisionsDir] - Revision directory (data/revisions)
+ * @returns {Promise<number>} - Number of migrated snapshots
+ */
+async function migrateSnapshots(snapshotsDir = SNAPSHOTS_DIR, revisionsDir = REVISIONS_DIR) {
+    let playlistDirs;
+    try {
+        playlistDirs = await fs.readdir(snapshotsDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let migrated = 0;
+    for (const safeId of playlistDirs) {
+        const playlistDir = path.join(snapshotsDir, safeId);
+        const ids = (await fs.readdir(playlistDir))
+            .map(file => path.basename(file, '.json'))
+            .filter(id => REVISION_ID_PATTERN.test(id))
+            .sort();
+        const dir = path.join(revisionsDir, safeId);
+        await fs.mkdir(dir, { recursive: true });
+        const existing = new Set((await readRevisionIndex(dir)).map(revision => revision.id));
+
+        for (const id of ids) {
+            const snapshotFile = path.join(playlistDir, `${id}.json`);
+            if (existing.has(id)) {
+                await fs.unlink(snapshotFile);
+                continue;
+            }
+
+            let snapshot;
+            try {
+                snapshot = JSON.parse(await fs.readFile(snapshotFile, 'utf8'));
+                if (!snapshot.playlist || !Array.isArray(snapshot.playlist.items)) {
+                    throw new Error('Invalid snapshot structure');
+                }
+            } catch (error) {
+                console.error(`[PERSISTENCE] Skipping unreadable snapshot ${safeId}/${id}:`, error.message);
+                continue;
+            }
+
+            // Snapshots were taken by the server before a change, without author
+            const revision = {
+                id,
+                createdAt: snapshot.createdAt,
+                author: null,
+                label: snapshot.label || null,
+                name: null,
+                playlist: snapshot.playlist
+            };
+            await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(revision, null, 2), 'utf8');
+            await fs.appendFile(path.join(dir, REVISION_INDEX), JSON.stringify(summarizeRevision(revision)) + '\n', 'utf8');
+            await fs.unlink(snapshotFile);
+            migrated++;
+        }
+
+        await removeEmptyDirectory(playlistDir);
+    }
+
+    await removeEmptyDirectory(snapshotsDir);
+    console.log(`[PERSISTENCE] Migrated ${migrated} snapshot(s) to revisions`);
+    return migrated;
+}
+
+/**
+ * Remove a directory if nothing is left in it
+ */
+async function removeEmptyDirectory(dir) {
+    try {
+        await fs.rmdir(dir);
+    } catch (error) {
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST' && error.code !== 'ENOENT') throw error;
+    }
+}
+
+/**
+ * Load a revision of a playlist
+ *
+ * @param {string} playlistId - Playlist ID
+ * @param {string} revisionId - Revision ID (from listPlaylistRevisions)
+ * @returns {Promise<Object>} - { id, createdAt, author, label, name, playlist }
+ */
+async function loadPlaylistRevision(playlistId, revisionId) {
+    if (!REVISION_ID_PATTERN.test(String(revisionId))) {
+        throw new Error(`Invalid revision ID: ${revisionId}`);
+    }
+
+    let revision;
+    try {
+        revision = JSON.parse(await fs.readFile(path.join(getRevisionDir(playlistId), `${revisionId}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Revision ${revisionId} not found`);
+        }
+        throw error;
+    }
+
+    if (!revision.playlist || !Array.isArray(revision.playlist.items)) {
+        throw new Error(`Revision ${revisionId} is corrupted`);
+    }
+    return revision;
+}
+
+/**
+ * Summary of a revision for the operators (without its items)
+ */
+function summarizeRevision(revision) {
+    return {
+        id: revision.id,
+        createdAt: revision.createdAt,
+        author: revision.author,
+        label: revision.label,
+        name: revision.name,
+        itemCount: revision.playlist.items.reduce(
+            (count, item) => count + (item.type === 'block' ? item.children.length : 1), 0)
+    };
+}
+
+/**
+ * Check if a saved playlist exists
+ *
+ * @param {string} playlistId - Playlist ID
  * @returns {Promise<boolean>} - True if playlist file exists
  */
-async function playlistExists() {
+async function playlistExists(playlistId) {
     try {
-        await fs.access(PLAYLIST_FILE);
+        await fs.access(getPlaylistFile(playlistId));
         return true;
     } catch {
         return false;
@@ -140,6 +701,23 @@ async function playlistExists() {
 module.exports = {
     savePlaylist,
     loadPlaylist,
+    loadAllPlaylists,
+    deletePlaylist,
+    savePlaylistIndex,
+    loadPlaylistIndex,
     playlistExists,
+    getPlaylistFile,
+    saveDayPlaylist,
+    loadScheduledDays,
+    deleteDayPlaylist,
+    getDayFile,
+    savePlaylistRevision,
+    listPlaylistRevisions,
+    loadPlaylistRevision,
+    pruneRevisions,
+    migrateSnapshots,
+    PLAYLISTS_DIR,
+    SCHEDULE_DIR,
+    REVISIONS_DIR,
     PLAYLIST_FILE
 };
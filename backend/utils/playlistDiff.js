@@ -0,0 +1,158 @@
+/**
+ * Playlist Diff - What changed between two revisions of a playlist
+ *
+ * Entries (clips, live inputs, blocks and the items of blocks) are matched by ID:
+ * - added / removed: present in one revision only
+ * - moved: present in both, but out of the previous order or moved in/out of a block
+ * - retimed: duration, trims, hold, hard start or loop changed
+ */
+
+// Fields that change when an entry airs or how long it lasts
+const TIMING_FIELDS = [
+    'durationSeconds',
+    'trimInSeconds',
+    'trimOutSeconds',
+    'holdSeconds',
+    'joinInSeconds',
+    'hardStartTime',
+    'hardStartPolicy',
+    'loop'
+];
+
+/**
+ * Compare two revisions of a playlist
+ *
+ * @param {Object} from - Older playlist data (getRaw or a saved revision)
+ * @param {Object} to - Newer playlist data
+ * @returns {Object} - { added, removed, moved, retimed, loop }
+ *   added/removed: [{ id, name, type, blockId, position }]
+ *   moved: [{ id, name, type, from, to, fromBlockId, toBlockId }] (positions from 1, blocks opened)
+ *   retimed: [{ id, name, type, changes: { field: { from, to } } }]
+ *   loop: { from, to } when the playlist loop changed, null otherwise
+ */
+function diffPlaylists(from, to) {
+    const before = flattenEntries(from.items || []);
+    const after = flattenEntries(to.items || []);
+    const beforeById = new Map(before.map(entry => [entry.id, entry]));
+    const afterById = new Map(after.map(entry => [entry.id, entry]));
+
+    const added = after.filter(entry => !beforeById.has(entry.id)).map(describe);
+    const removed = before.filter(entry => !afterById.has(entry.id)).map(describe);
+
+    // Entries kept in order are the longest common subsequence of both orders, the others moved
+    const keptBefore = before.filter(entry => afterById.has(entry.id)).map(entry => entry.id);
+    const keptAfter = after.filter(entry => beforeById.has(entry.id)).map(entry => entry.id);
+    const inOrder = longestCommonSubsequence(keptBefore, keptAfter);
+
+    const moved = [];
+    const retimed = [];
+
+    keptAfter.forEach(id => {
+        const old = beforeById.get(id);
+        const current = afterById.get(id);
+
+        if (!inOrder.has(id) || old.blockId !== current.blockId) {
+            moved.push({
+                id,
+                name: current.item.name,
+                type: current.type,
+                from: old.position,
+                to: current.position,
+                fromBlockId: old.blockId,
+                toBlockId: current.blockId
+            });
+        }
+
+        const changes = {};
+        TIMING_FIELDS.forEach(field => {
+            // The duration of a block is the sum of its items
+            if (field === 'durationSeconds' && current.type === 'block') return;
+
+            const oldValue = normalize(old.item[field]);
+            const newValue = normalize(current.item[field]);
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes[field] = { from: oldValue, to: newValue };
+            }
+        });
+
+        if (Object.keys(changes).length > 0) {
+            retimed.push({ id, name: current.item.name, type: current.type, changes });
+        }
+    });
+
+    const loop = Boolean(from.loop) !== Boolean(to.loop)
+        ? { from: Boolean(from.loop), to: Boolean(to.loop) }
+        : null;
+
+    return { added, removed, moved, retimed, loop };
+}
+
+/**
+ * Entries in playing order: each block, then its items
+ */
+function flattenEntries(items) {
+    const entries = [];
+
+    items.forEach(item => {
+        entries.push({ id: item.id, type: item.type || 'clip', blockId: null, item });
+        if (item.type === 'block') {
+            item.children.forEach(child => {
+                entries.push({ id: child.id, type: child.type || 'clip', blockId: item.id, item: child });
+            });
+        }
+    });
+
+    return entries.map((entry, index) => ({ ...entry, position: index + 1 }));
+}
+
+/**
+ * IDs of the longest common subsequence of two ID lists
+ * @returns {Set<string>}
+ */
+function longestCommonSubsequence(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const common = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            common.add(a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    return common;
+}
+
+function describe(entry) {
+    return {
+        id: entry.id,
+        name: entry.item.name,
+        type: entry.type,
+        blockId: entry.blockId,
+        position: entry.position
+    };
+}
+
+// Missing fields of older revisions compare as their defaults
+function normalize(value) {
+    return value === undefined ? null : value;
+}
+
+module.exports = {
+    diffPlaylists
+};
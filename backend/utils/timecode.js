@@ -0,0 +1,289 @@
+/**
+ * SMPTE Timecode - Exact conversions between frames, milliseconds and timecode
+ *
+ * HH:MM:SS:FF (non drop-frame) and HH:MM:SS;FF (drop-frame) at the broadcast rates.
+ * 29.97 and 59.94 are 30000/1001 and 60000/1001: frame counts are converted to time
+ * with the exact ratio, and drop-frame labels skip frames 00-01 (00-03 at 59.94) of
+ * every minute except each tenth minute, so an hour of drop-frame timecode is an hour of
+ * wall clock (within 3.6 ms).
+ *
+ * Durations and trims are frame counts shown as timecode. Times of day (hard starts,
+ * as-run) follow the wall clock: HH:MM:SS of the time plus the frame within the second.
+ *
+ * The HTTP server also serves this file to the browser as /shared/timecode.js (global Timecode).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Timecode = factory();
+    }
+})(this, function () {
+    // Exact rate (num/den), timecode base and frames dropped per minute in drop-frame
+    const RATES = {
+        24: { num: 24, den: 1, nominal: 24, drop: 0 },
+        25: { num: 25, den: 1, nominal: 25, drop: 0 },
+        29.97: { num: 30000, den: 1001, nominal: 30, drop: 2 },
+        30: { num: 30, den: 1, nominal: 30, drop: 0 },
+        50: { num: 50, den: 1, nominal: 50, drop: 0 },
+        59.94: { num: 60000, den: 1001, nominal: 60, drop: 4 },
+        60: { num: 60, den: 1, nominal: 60, drop: 0 }
+    };
+
+    const TIMECODE_PATTERN = /^(-)?(\d{1,3}):(\d{2}):(\d{2})([:;,])(\d{2})$/;
+
+    /**
+     * Rate definition of a frame rate (29.97, 30000/1001 and 29.970 are the same rate)
+     * @param {number} fps
+     * @returns {Object} - { fps, num, den, nominal, drop }
+     */
+    function getRate(fps) {
+        const key = Object.keys(RATES).find(rate => Math.abs(Number(rate) - fps) < 0.01);
+        if (!key) {
+            throw new Error(`Unsupported frame rate: ${fps}`);
+        }
+
+        return { fps: Number(key), ...RATES[key] };
+    }
+
+    /**
+     * @param {number} fps
+     * @returns {boolean} - True for the NTSC rates (drop-frame timecode by default)
+     */
+    function isDropFrameRate(fps) {
+        return getRate(fps).drop > 0;
+    }
+
+    /**
+     * Frames to milliseconds (exact, may be fractional at 29.97/59.94)
+     */
+    function framesToMs(frames, fps) {
+        const rate = getRate(fps);
+        return frames * rate.den * 1000 / rate.num;
+    }
+
+    /**
+     * Milliseconds to the nearest frame
+     */
+    function msToFrames(ms, fps) {
+        const rate = getRate(fps);
+        return Math.round(ms * rate.num / (rate.den * 1000));
+    }
+
+    function secondsToFrames(seconds, fps) {
+        return msToFrames(seconds * 1000, fps);
+    }
+
+    function framesToSeconds(frames, fps) {
+        return framesToMs(frames, fps) / 1000;
+    }
+
+    /**
+     * Round milliseconds to a frame boundary
+     */
+    function roundToFrame(ms, fps) {
+        return framesToMs(msToFrames(ms, fps), fps);
+    }
+
+    /**
+     * Frame count to timecode
+     * @param {number} frames
+     * @param {number} fps
+     * @param {Object} [options]
+     * @param {boolean} [options.dropFrame] - Drop-frame labels (default: true at 29.97/59.94)
+     * @returns {string} - HH:MM:SS:FF or HH:MM:SS;FF (hours are not wrapped: durations)
+     */
+    function framesToTimecode(frames, fps, options = {}) {
+        const rate = getRate(fps);
+        const dropFrame = options.dropFrame !== undefined ? Boolean(options.dropFrame) && rate.drop > 0 : rate.drop > 0;
+        const sign = frames < 0 ? '-' : '';
+        let count = Math.abs(Math.round(frames));
+
+        if (dropFrame) {
+            // Put back the labels skipped since zero
+            const framesPerMinute = rate.nominal * 60 - rate.drop;
+            const framesPer10Minutes = rate.nominal * 600 - rate.drop * 9;
+            const tens = Math.floor(count / framesPer10Minutes);
+            const rest = count % framesPer10Minutes;
+
+            count += rate.drop * 9 * tens;
+            if (rest >= rate.drop) {
+                count += rate.drop * Math.floor((rest - rate.drop) / framesPerMinute);
+            }
+        }
+
+        const ff = count % rate.nominal;
+        const totalSeconds = Math.floor(count / rate.nominal);
+
+        return `${sign}${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+    }
+
+    /**
+     * Timecode to frame count (';' or ',' before the frames marks drop-frame)
+     * @param {string} timecode
+     * @param {number} fps
+     * @returns {number}
+     */
+    function timecodeToFrames(timecode, fps) {
+        const rate = getRate(fps);
+        const parts = parseTimecode(timecode, rate);
+        const dropFrame = parts.dropFrame && rate.drop > 0;
+
+        if (parts.dropFrame && rate.drop === 0) {
+            throw new Error(`Drop-frame timecode is not defined at ${rate.fps} fps: ${timecode}`);
+        }
+
+        const totalMinutes = parts.hours * 60 + parts.minutes;
+        let frames = ((parts.hours * 3600 + parts.minutes * 60 + parts.seconds) * rate.nominal) + parts.frames;
+
+        if (dropFrame) {
+            if (parts.seconds === 0 && parts.frames < rate.drop && parts.minutes % 10 !== 0) {
+                throw new Error(`Dropped timecode label: ${timecode}`);
+            }
+            frames -= rate.drop * (totalMinutes - Math.floor(totalMinutes / 10));
+        }
+
+        return parts.negative ? -frames : frames;
+    }
+
+    function secondsToTimecode(seconds, fps, options) {
+        return framesToTimecode(secondsToFrames(seconds, fps), fps, options);
+    }
+
+    function timecodeToSeconds(timecode, fps) {
+        return framesToSeconds(timecodeToFrames(timecode, fps), fps);
+    }
+
+    /**
+     * Wall clock time of day as timecode (the frame within the current second)
+     * @param {Date|Object} date - Date (local time) or wall clock { hours, minutes, seconds, milliseconds }
+     * @param {number} fps
+     * @param {Object} [options] - { dropFrame }
+     * @returns {string} - HH:MM:SS:FF or HH:MM:SS;FF
+     */
+    function formatTimeOfDay(date, fps, options = {}) {
+        const rate = getRate(fps);
+        const dropFrame = options.dropFrame !== undefined ? Boolean(options.dropFrame) && rate.drop > 0 : rate.drop > 0;
+        const wall = date instanceof Date
+            ? { hours: date.getHours(), minutes: date.getMinutes(), seconds: date.getSeconds(), milliseconds: date.getMilliseconds() }
+            : date;
+        const seconds = wall.seconds;
+        const minutes = wall.minutes;
+        let ff = Math.min(rate.nominal - 1, Math.floor(wall.milliseconds * rate.num / (rate.den * 1000)));
+
+        // First labels of a drop-frame minute do not exist
+        if (dropFrame && seconds === 0 && minutes % 10 !== 0 && ff < rate.drop) {
+            ff = rate.drop;
+        }
+
+        return `${pad(wall.hours)}:${pad(minutes)}:${pad(seconds)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+    }
+
+    /**
+     * Time of day timecode to its wall clock time
+     * @param {string} timecode - HH:MM:SS:FF or HH:MM:SS;FF
+     * @param {number} fps
+     * @returns {Object} - { hours, minutes, seconds, milliseconds }
+     */
+    function parseTimeOfDay(timecode, fps) {
+        const rate = getRate(fps);
+        const parts = parseTimecode(timecode, rate);
+
+        if (parts.negative || parts.hours > 23) {
+            throw new Error('Hours must be 0-23');
+        }
+        if (parts.dropFrame && rate.drop > 0 && parts.seconds === 0 && parts.frames < rate.drop && parts.minutes % 10 !== 0) {
+            throw new Error(`Dropped timecode label: ${timecode}`);
+        }
+
+        return {
+            hours: parts.hours,
+            minutes: parts.minutes,
+            seconds: parts.seconds,
+            milliseconds: Math.round(parts.frames * rate.den * 1000 / rate.num)
+        };
+    }
+
+    /**
+     * @param {string} value
+     * @returns {boolean} - True for HH:MM:SS:FF / HH:MM:SS;FF
+     */
+    function isTimecode(value) {
+        return typeof value === 'string' && TIMECODE_PATTERN.test(value.trim());
+    }
+
+    /**
+     * Duration entered by an operator to seconds: timecode, HH:MM:SS(.mmm), MM:SS or seconds
+     * @param {string|number} value
+     * @param {number} fps
+     * @returns {number} - Seconds (frame exact for timecode)
+     */
+    function parseDuration(value, fps) {
+        if (typeof value === 'number') return value;
+
+        const text = String(value).trim();
+        if (isTimecode(text)) {
+            return timecodeToSeconds(text, fps);
+        }
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            return parseFloat(text);
+        }
+
+        const match = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/);
+        if (!match) {
+            throw new Error(`Invalid duration: ${value}`);
+        }
+
+        return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseFloat(match[3]);
+    }
+
+    function parseTimecode(timecode, rate) {
+        const match = typeof timecode === 'string' && timecode.trim().match(TIMECODE_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid timecode (HH:MM:SS:FF or HH:MM:SS;FF): ${timecode}`);
+        }
+
+        const parts = {
+            negative: match[1] === '-',
+            hours: parseInt(match[2], 10),
+            minutes: parseInt(match[3], 10),
+            seconds: parseInt(match[4], 10),
+            frames: parseInt(match[6], 10),
+            dropFrame: match[5] === ';' || match[5] === ','
+        };
+
+        if (parts.minutes > 59 || parts.seconds > 59) {
+            throw new Error(`Invalid timecode: ${timecode}`);
+        }
+        if (parts.frames >= rate.nominal) {
+            throw new Error(`Frames must be 0-${rate.nominal - 1} at ${rate.fps} fps: ${timecode}`);
+        }
+
+        return parts;
+    }
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    return {
+        RATES,
+        getRate,
+        isDropFrameRate,
+        framesToMs,
+        msToFrames,
+        secondsToFrames,
+        framesToSeconds,
+        roundToFrame,
+        framesToTimecode,
+        timecodeToFrames,
+        secondsToTimecode,
+        timecodeToSeconds,
+        formatTimeOfDay,
+        parseTimeOfDay,
+        isTimecode,
+        parseDuration
+    };
+});
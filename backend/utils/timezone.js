@@ -0,0 +1,263 @@
+/**
+ * Station Time Zone - Wall clock times of the station in an IANA time zone
+ *
+ * Hard starts, broadcast days and as-run files are wall clock times of the station,
+ * which may not be the time zone of the server, of CasparCG or of the operators.
+ * Times are resolved with the tz database of the runtime (Intl), DST included.
+ *
+ * On DST days a wall clock time may not exist or exist twice:
+ * - nonexistent (clocks go forward, e.g. 02:30 in Paris on the last Sunday of March):
+ *   the time is moved forward by the length of the gap (02:30 -> 03:30)
+ * - ambiguous (clocks go back, e.g. 02:30 on the last Sunday of October): the first
+ *   occurrence, before the change, unless { disambiguation: 'later' }
+ *
+ * A null zone is the time zone of the system running the code.
+ *
+ * The HTTP server also serves this file to the browser as /shared/timezone.js (global TimeZone).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TimeZone = factory();
+    }
+})(this, function () {
+    const DAY_MS = 24 * 3600 * 1000;
+    const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+    const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+    // Intl formatters are costly to build: one per zone
+    const formatters = new Map();
+
+    /**
+     * @returns {string} - IANA name of the system time zone
+     */
+    function systemZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * @param {string|null} zone
+     * @returns {string} - The zone, or the system zone when null
+     */
+    function resolveZone(zone) {
+        return zone || systemZone();
+    }
+
+    /**
+     * @param {string} zone - IANA name (e.g. "Europe/Paris")
+     * @returns {boolean}
+     */
+    function isValidZone(zone) {
+        if (typeof zone !== 'string' || !zone) return false;
+
+        try {
+            getFormatter(zone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function getFormatter(zone) {
+        if (!formatters.has(zone)) {
+            formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+
+        return formatters.get(zone);
+    }
+
+    /**
+     * Wall clock of a moment in a zone
+     * @param {Date|number|string} date
+     * @param {string|null} zone
+     * @returns {Object} - { year, month (1-12), day, hours, minutes, seconds, milliseconds, offsetMinutes }
+     */
+    function getParts(date, zone) {
+        const time = new Date(date).getTime();
+        if (isNaN(time)) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+
+        const values = {};
+        getFormatter(resolveZone(zone)).formatToParts(new Date(time)).forEach(part => {
+            values[part.type] = part.value;
+        });
+
+        const milliseconds = ((time % 1000) + 1000) % 1000;
+        const parts = {
+            year: Number(values.year),
+            month: Number(values.month),
+            day: Number(values.day),
+            hours: Number(values.hour) % 24,
+            minutes: Number(values.minute),
+            seconds: Number(values.second),
+            milliseconds
+        };
+
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds, milliseconds);
+        parts.offsetMinutes = Math.round((wall - time) / 60000);
+
+        return parts;
+    }
+
+    /**
+     * Offset of a zone from UTC at a moment, in milliseconds (+3600000 for CET)
+     */
+    function getOffset(date, zone) {
+        return getParts(date, zone).offsetMinutes * 60000;
+    }
+
+    /**
+     * Resolve a wall clock time of a zone, telling whether it was nonexistent or ambiguous
+     * @param {Object} local - { year, month (1-12), day, hours, minutes, seconds, milliseconds }
+     * @param {string|null} zone
+     * @param {Object} [options]
+     * @param {string} [options.disambiguation='earlier'] - Occurrence of an ambiguous time: 'earlier' or 'later'
+     * @returns {Object} - { date, status: 'ok'|'nonexistent'|'ambiguous', shiftMs }
+     */
+    function resolveLocal(local, zone, options = {}) {
+        const wall = Date.UTC(
+            local.year, local.month - 1, local.day,
+            local.hours || 0, local.minutes || 0, local.seconds || 0, local.milliseconds || 0
+        );
+        if (isNaN(wall)) {
+            throw new Error('Invalid local time');
+        }
+
+        // A DST change is at most one per day: the offsets a day before and after cover it
+        const offsets = [getOffset(wall - DAY_MS, zone), getOffset(wall + DAY_MS, zone)];
+        const candidates = [...new Set(offsets)]
+            .map(offset => wall - offset)
+            .filter(time => getOffset(time, zone) === wall - time)
+            .sort((a, b) => a - b);
+
+        if (candidates.length === 1) {
+            return { date: new Date(candidates[0]), status: 'ok', shiftMs: 0 };
+        }
+
+        if (candidates.length > 1) {
+            const time = options.disambiguation === 'later' ? candidates[candidates.length - 1] : candidates[0];
+            return { date: new Date(time), status: 'ambiguous', shiftMs: 0 };
+        }
+
+        // In the gap: the offset before the change moves the time past it
+        const time = wall - offsets[0];
+        return { date: new Date(time), status: 'nonexistent', shiftMs: offsets[1] - offsets[0] };
+    }
+
+    /**
+     * Moment of a wall clock time of a zone (DST rules above)
+     * @returns {Date}
+     */
+    function fromLocal(local, zone, options) {
+        return resolveLocal(local, zone, options).date;
+    }
+
+    /**
+     * Calendar date of a moment in a zone
+     * @returns {string} - YYYY-MM-DD
+     */
+    function dateKey(date, zone) {
+        const parts = getParts(date, zone);
+        return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    }
+
+    /**
+     * @param {string} key - YYYY-MM-DD
+     * @returns {Object|null} - { year, month, day }, null if not an existing date
+     */
+    function parseDateKey(key) {
+        const match = typeof key === 'string' && key.match(DATE_KEY_PATTERN);
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+
+        return { year, month, day };
+    }
+
+    /**
+     * Calendar date a number of days away (no time zone involved)
+     * @param {string} key - YYYY-MM-DD
+     * @param {number} days
+     * @returns {string} - YYYY-MM-DD
+     */
+    function addDays(key, days) {
+        const parsed = parseDateKey(key);
+        if (!parsed) {
+            throw new Error(`Invalid date: ${key}`);
+        }
+
+        const date = new Date(Date.UTC(parsed.year, parsed.month - 1, parsed.day + days));
+        return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    }
+
+    /**
+     * Parse a date-time: without offset ("2026-10-19T10:00:00") it is a wall clock time of the zone,
+     * with an offset or "Z" it is a moment
+     * @param {string} value
+     * @param {string|null} zone
+     * @returns {Date}
+     */
+    function parseDateTime(value, zone) {
+        const match = typeof value === 'string' && value.trim().match(LOCAL_DATE_TIME_PATTERN);
+        const day = match && parseDateKey(match[1]);
+
+        const date = day
+            ? fromLocal({
+                ...day,
+                hours: Number(match[2]),
+                minutes: Number(match[3]),
+                seconds: Number(match[4] || 0),
+                milliseconds: Number((match[5] || '0').padEnd(3, '0'))
+            }, zone)
+            : new Date(value);
+
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return date;
+    }
+
+    /**
+     * Wall clock time of a moment in a zone
+     * @returns {string} - HH:MM:SS
+     */
+    function formatTime(date, zone) {
+        const parts = getParts(date, zone);
+        return `${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}`;
+    }
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    return {
+        systemZone,
+        resolveZone,
+        isValidZone,
+        getParts,
+        getOffset,
+        resolveLocal,
+        fromLocal,
+        dateKey,
+        parseDateKey,
+        addDays,
+        parseDateTime,
+        formatTime
+    };
+});
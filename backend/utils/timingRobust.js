@@ -6,8 +6,15 @@
  * - Gestion robuste des Hard Starts
  * - Validation des contraintes temporelles
  * - Compensation du drift
+ *
+ * Les heures (hard starts) sont lues dans le fuseau de la station (clock.getTimeZone()),
+ * changements d'heure compris (voir utils/timezone.js pour les heures inexistantes ou doublées)
  */
 
+const clock = require('./clock');
+const Timecode = require('./timecode');
+const TimeZone = require('./timezone');
+
 /**
  * Frame rates standards broadcast
  */
@@ -20,33 +27,43 @@ const FRAME_RATES = {
 
 /**
  * Arrondir au frame le plus proche pour frame-accuracy
+ * 29.97 et 59.94 sont les cadences exactes 30000/1001 et 60000/1001
  * @param {number} milliseconds - Temps en ms
  * @param {number} fps - Frame rate (25, 29.97, 50, 59.94)
  * @returns {number} - Temps arrondi au frame
  */
 function roundToFrame(milliseconds, fps = FRAME_RATES.PAL) {
-    const frameDurationMs = 1000 / fps;
-    return Math.round(milliseconds / frameDurationMs) * frameDurationMs;
+    return Timecode.roundToFrame(milliseconds, fps);
 }
 
 /**
- * Convertir frames en millisecondes
+ * Convertir frames en millisecondes (exact)
  * @param {number} frames - Nombre de frames
  * @param {number} fps - Frame rate
  * @returns {number} - Durée en ms
  */
 function framesToMs(frames, fps = FRAME_RATES.PAL) {
-    return (frames / fps) * 1000;
+    return Timecode.framesToMs(frames, fps);
 }
 
 /**
- * Convertir millisecondes en frames
+ * Convertir millisecondes en frames (frame le plus proche)
  * @param {number} milliseconds - Durée en ms
  * @param {number} fps - Frame rate
  * @returns {number} - Nombre de frames
  */
 function msToFrames(milliseconds, fps = FRAME_RATES.PAL) {
-    return Math.floor(milliseconds / (1000 / fps));
+    return Timecode.msToFrames(milliseconds, fps);
+}
+
+/**
+ * Format duration en timecode SMPTE (HH:MM:SS;FF drop-frame à 29.97/59.94, HH:MM:SS:FF sinon)
+ * @param {number} seconds - Durée en secondes
+ * @param {number} fps - Frame rate
+ * @returns {string}
+ */
+function formatTimecode(seconds, fps = FRAME_RATES.PAL) {
+    return Timecode.secondsToTimecode(seconds, fps);
 }
 
 /**
@@ -54,30 +71,37 @@ function msToFrames(milliseconds, fps = FRAME_RATES.PAL) {
  * @param {Date} date - Date à valider
  * @param {number} maxDaysInFuture - Jours max dans le futur
  * @param {number} maxDaysInPast - Jours max dans le passé
+ * @param {Date} referenceDate - Date de référence (maintenant par défaut, début de journée pour le calendrier)
  * @returns {boolean}
  */
-function isDateInValidRange(date, maxDaysInFuture = 7, maxDaysInPast = 1) {
-    const now = new Date();
-    const futureLimit = new Date(now.getTime() + maxDaysInFuture * 24 * 3600 * 1000);
-    const pastLimit = new Date(now.getTime() - maxDaysInPast * 24 * 3600 * 1000);
+function isDateInValidRange(date, maxDaysInFuture = 7, maxDaysInPast = 1, referenceDate = clock.date()) {
+    const reference = referenceDate.getTime();
+    const futureLimit = new Date(reference + maxDaysInFuture * 24 * 3600 * 1000);
+    const pastLimit = new Date(reference - maxDaysInPast * 24 * 3600 * 1000);
 
     return date >= pastLimit && date <= futureLimit;
 }
 
 /**
- * Parser un hard start time (HH:MM:SS ou HH:MM:SS.mmm)
+ * Parser un hard start time (HH:MM:SS, HH:MM:SS.mmm ou timecode HH:MM:SS:FF / HH:MM:SS;FF)
  * @param {string} timeStr - Time string
+ * @param {number} fps - Frame rate des timecodes
  * @returns {Object} - { hours, minutes, seconds, milliseconds }
  */
-function parseHardStartTime(timeStr) {
+function parseHardStartTime(timeStr, fps = FRAME_RATES.PAL) {
     if (!timeStr || typeof timeStr !== 'string') {
         throw new Error('Invalid hard start time format');
     }
 
+    // Timecode heure du jour: HH:MM:SS + image dans la seconde
+    if (Timecode.isTimecode(timeStr)) {
+        return Timecode.parseTimeOfDay(timeStr, fps);
+    }
+
     // Format: HH:MM:SS ou HH:MM:SS.mmm
     const parts = timeStr.split(':');
     if (parts.length < 2 || parts.length > 3) {
-        throw new Error('Hard start time must be HH:MM or HH:MM:SS or HH:MM:SS.mmm');
+        throw new Error('Hard start time must be HH:MM, HH:MM:SS, HH:MM:SS.mmm or HH:MM:SS:FF');
     }
 
     const hours = parseInt(parts[0], 10);
@@ -113,16 +137,21 @@ function parseHardStartTime(timeStr) {
 
 /**
  * Calculer le target time pour un hard start en gérant le wrap de jour
+ * L'heure est celle du fuseau de la station : une heure sautée au passage à l'heure d'été
+ * est décalée d'autant (02:30 → 03:30), une heure doublée à l'heure d'hiver est la première
  * @param {Date} referenceDate - Date de référence (scheduled start)
- * @param {string} hardStartTimeStr - HH:MM:SS
+ * @param {string} hardStartTimeStr - HH:MM:SS ou HH:MM:SS:FF
+ * @param {number} fps - Frame rate des timecodes
  * @returns {Date} - Target date avec gestion intelligente du wrap
  */
-function calculateHardStartTarget(referenceDate, hardStartTimeStr) {
-    const { hours, minutes, seconds, milliseconds } = parseHardStartTime(hardStartTimeStr);
+function calculateHardStartTarget(referenceDate, hardStartTimeStr, fps = FRAME_RATES.PAL) {
+    const time = parseHardStartTime(hardStartTimeStr, fps);
+    const zone = clock.getTimeZone();
+    const day = TimeZone.dateKey(referenceDate, zone);
+    const onDay = (key) => TimeZone.fromLocal({ ...TimeZone.parseDateKey(key), ...time }, zone);
 
-    // Créer target basé sur le jour de référence
-    const target = new Date(referenceDate);
-    target.setHours(hours, minutes, seconds, milliseconds);
+    // Créer target basé sur le jour de référence (dans le fuseau de la station)
+    let target = onDay(day);
 
     // Calculer la différence
     let diff = target - referenceDate;
@@ -135,11 +164,11 @@ function calculateHardStartTarget(referenceDate, hardStartTimeStr) {
 
     if (diff < -WRAP_THRESHOLD) {
         // Target est "hier" dans le calendrier mais devrait être "demain"
-        target.setDate(target.getDate() + 1);
+        target = onDay(TimeZone.addDays(day, 1));
         diff = target - referenceDate;
     } else if (diff > WRAP_THRESHOLD) {
         // Target est "demain" dans le calendrier mais devrait être "hier"
-        target.setDate(target.getDate() - 1);
+        target = onDay(TimeZone.addDays(day, -1));
         diff = target - referenceDate;
     }
 
@@ -150,9 +179,10 @@ function calculateHardStartTarget(referenceDate, hardStartTimeStr) {
  * Valider la cohérence des hard starts dans une playlist
  * @param {Array} items - Items de la playlist
  * @param {Date} baseDate - Date de début
+ * @param {number} fps - Frame rate des timecodes
  * @returns {Object} - { valid: boolean, errors: Array }
  */
-function validateHardStarts(items, baseDate) {
+function validateHardStarts(items, baseDate, fps = FRAME_RATES.PAL) {
     const errors = [];
     const hardStartItems = items
         .map((item, index) => ({ item, index }))
@@ -178,7 +208,7 @@ function validateHardStarts(items, baseDate) {
         try {
             // Calculer le target time
             const scheduledStart = scheduledStarts[index];
-            const targetStart = calculateHardStartTarget(scheduledStart, item.hardStartTime);
+            const targetStart = calculateHardStartTarget(scheduledStart, item.hardStartTime, fps);
 
             hardStartTargets.push({
                 index,
@@ -190,8 +220,9 @@ function validateHardStarts(items, baseDate) {
                 diff: targetStart - scheduledStart
             });
 
-            // Vérifier que le target est dans le futur proche (pas > 7 jours)
-            if (!isDateInValidRange(targetStart, 7, 0)) {
+            // Vérifier que le target est proche du début de playlist (pas > 7 jours)
+            // Relatif à baseDate : une grille du calendrier peut être préparée des semaines à l'avance
+            if (!isDateInValidRange(targetStart, 7, 0, baseDate)) {
                 errors.push({
                     itemId: item.id,
                     itemName: item.name,
@@ -239,6 +270,10 @@ function validateHardStarts(items, baseDate) {
 
 /**
  * Calcul de planning avec support précis des millisecondes et hard starts
+ * Un bloc ({ type: 'block', children }) est planifié à travers ses éléments : chacun a
+ * ses heures (avec blockId), le bloc va du début du premier à la fin du dernier
+ * Un item en boucle ({ loop: { count, untilHardStart, passSeconds } }) dure count passages,
+ * ou jusqu'au hard start qui le suit (untilHardStart) ; loopPasses donne le nombre de passages
  * @param {Array} items - Items de playlist
  * @param {Date} baseDate - Date de départ
  * @param {Object} options - Options de calcul
@@ -248,7 +283,8 @@ function computeScheduleRobust(items, baseDate, options = {}) {
     const {
         frameRate = FRAME_RATES.PAL,
         frameAccurate = true,
-        validateHardStartsFirst = true
+        validateHardStartsFirst = true,
+        following = [] // Items après ceux-ci (backtime des éléments d'un bloc)
     } = options;
 
     if (!Array.isArray(items)) {
@@ -261,7 +297,7 @@ function computeScheduleRobust(items, baseDate, options = {}) {
 
     // Validation des hard starts en amont
     if (validateHardStartsFirst) {
-        const validation = validateHardStarts(items, baseDate);
+        const validation = validateHardStarts(items, baseDate, frameRate);
         if (!validation.valid) {
             console.error('[TIMING] Hard start validation failed:', validation.errors);
             // On continue quand même mais on log les erreurs
@@ -273,6 +309,38 @@ function computeScheduleRobust(items, baseDate, options = {}) {
 
     for (let i = 0; i < items.length; i++) {
         const item = items[i];
+        const nextItems = items.slice(i + 1).concat(following);
+
+        // Bloc : planifier ses éléments à la suite
+        if (Array.isArray(item.children)) {
+            const children = computeScheduleRobust(item.children, currentTime, {
+                frameRate,
+                frameAccurate,
+                validateHardStartsFirst: false,
+                following: nextItems
+            }).map(child => ({ ...child, blockId: item.id }));
+
+            if (children.length === 0) {
+                console.warn(`[TIMING] Empty block ${item.id || 'unknown'}, skipping`);
+                continue;
+            }
+
+            const endAt = new Date(children[children.length - 1].endAt);
+            const durationMs = endAt - currentTime;
+
+            scheduledItems.push({
+                ...item,
+                children,
+                startAt: currentTime.toISOString(),
+                endAt: endAt.toISOString(),
+                durationMs,
+                frames: children.reduce((sum, child) => sum + child.frames, 0),
+                backtime: calculateBacktime(endAt, nextItems, frameRate)
+            });
+
+            currentTime = endAt;
+            continue;
+        }
 
         // Valider durée
         if (typeof item.durationSeconds !== 'number' || item.durationSeconds <= 0) {
@@ -283,6 +351,18 @@ function computeScheduleRobust(items, baseDate, options = {}) {
         // Calculer durée en ms (avec précision)
         let durationMs = item.durationSeconds * 1000;
 
+        // Boucle jusqu'au hard start suivant : l'item dure jusqu'à sa cible
+        if (item.loop && item.loop.untilHardStart && nextItems.length > 0 && nextItems[0].hardStartTime) {
+            try {
+                const targetStart = calculateHardStartTarget(currentTime, nextItems[0].hardStartTime, frameRate);
+                if (targetStart > currentTime) {
+                    durationMs = targetStart - currentTime;
+                }
+            } catch (error) {
+                console.error(`[TIMING] Error calculating loop end for item ${item.id}:`, error.message);
+            }
+        }
+
         // Arrondir au frame si demandé (frame-accurate)
         if (frameAccurate) {
             durationMs = roundToFrame(durationMs, frameRate);
@@ -293,27 +373,7 @@ function computeScheduleRobust(items, baseDate, options = {}) {
         const endAt = new Date(currentTime.getTime() + durationMs);
 
         // Calculer backtiming (temps restant jusqu'au prochain hard start)
-        let backtime = null;
-        if (i < items.length - 1) {
-            // Chercher le prochain hard start
-            for (let j = i + 1; j < items.length; j++) {
-                if (items[j].hardStartTime) {
-                    try {
-                        const targetStart = calculateHardStartTarget(endAt, items[j].hardStartTime);
-                        const remainingMs = targetStart - endAt;
-                        backtime = {
-                            targetTime: targetStart.toISOString(),
-                            remainingMs,
-                            remainingSeconds: remainingMs / 1000,
-                            formatted: formatDuration(remainingMs / 1000)
-                        };
-                        break;
-                    } catch (error) {
-                        console.error(`[TIMING] Error calculating backtime for item ${items[j].id}:`, error.message);
-                    }
-                }
-            }
-        }
+        const backtime = calculateBacktime(endAt, nextItems, frameRate);
 
         const scheduledItem = {
             ...item,
@@ -324,6 +384,10 @@ function computeScheduleRobust(items, baseDate, options = {}) {
             backtime
         };
 
+        if (item.loop && item.loop.passSeconds > 0) {
+            scheduledItem.loopPasses = Math.round(durationMs / (item.loop.passSeconds * 10)) / 100;
+        }
+
         scheduledItems.push(scheduledItem);
 
         // Avancer le temps
@@ -333,6 +397,35 @@ function computeScheduleRobust(items, baseDate, options = {}) {
     return scheduledItems;
 }
 
+/**
+ * Backtiming : temps restant entre une fin d'item et le prochain hard start
+ * @param {Date} endAt - Fin de l'item
+ * @param {Array} nextItems - Items qui suivent
+ * @param {number} frameRate
+ * @returns {Object|null} - { targetTime, remainingMs, remainingSeconds, formatted, timecode }
+ */
+function calculateBacktime(endAt, nextItems, frameRate) {
+    for (const next of nextItems) {
+        if (!next.hardStartTime) continue;
+
+        try {
+            const targetStart = calculateHardStartTarget(endAt, next.hardStartTime, frameRate);
+            const remainingMs = targetStart - endAt;
+            return {
+                targetTime: targetStart.toISOString(),
+                remainingMs,
+                remainingSeconds: remainingMs / 1000,
+                formatted: formatDuration(remainingMs / 1000),
+                timecode: formatTimecode(remainingMs / 1000, frameRate)
+            };
+        } catch (error) {
+            console.error(`[TIMING] Error calculating backtime for item ${next.id}:`, error.message);
+        }
+    }
+
+    return null;
+}
+
 /**
  * Format duration en HH:MM:SS.mmm
  * @param {number} seconds - Durée en secondes (peut avoir décimales)
@@ -349,18 +442,15 @@ function formatDuration(seconds) {
 }
 
 /**
- * Format ISO datetime to HH:MM:SS.mmm
+ * Format ISO datetime to HH:MM:SS.mmm (heure de la station)
  * @param {string} isoString - ISO datetime
  * @returns {string} - Formatted time
  */
 function formatTime(isoString) {
     const date = new Date(isoString);
-    const hours = date.getHours().toString().padStart(2, '0');
-    const minutes = date.getMinutes().toString().padStart(2, '0');
-    const seconds = date.getSeconds().toString().padStart(2, '0');
     const ms = date.getMilliseconds().toString().padStart(3, '0');
 
-    return `${hours}:${minutes}:${seconds}.${ms}`;
+    return `${TimeZone.formatTime(date, clock.getTimeZone())}.${ms}`;
 }
 
 /**
@@ -369,7 +459,7 @@ function formatTime(isoString) {
  * @param {Date} actualTime - Temps réel (défaut: maintenant)
  * @returns {Object} - { driftMs, driftSeconds, driftFrames, status }
  */
-function calculateDrift(scheduledTime, actualTime = new Date(), frameRate = FRAME_RATES.PAL) {
+function calculateDrift(scheduledTime, actualTime = clock.date(), frameRate = FRAME_RATES.PAL) {
     const driftMs = actualTime - scheduledTime;
     const driftSeconds = driftMs / 1000;
     const driftFrames = msToFrames(Math.abs(driftMs), frameRate);
@@ -384,6 +474,7 @@ function calculateDrift(scheduledTime, actualTime = new Date(), frameRate = FRAM
         driftFrames,
         status,
         formatted: formatDuration(Math.abs(driftSeconds)),
+        timecode: formatTimecode(Math.abs(driftSeconds), frameRate),
         sign: driftMs >= 0 ? '+' : '-'
     };
 }
@@ -408,6 +499,7 @@ module.exports = {
     // Formatting
     formatDuration,
     formatTime,
+    formatTimecode,
 
     // Drift
     calculateDrift,
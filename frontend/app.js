@@ -8,6 +8,9 @@
 let ws = null;
 let reconnectInterval = null;
 
+// Timecode of playlists without a frame rate (PAL)
+const DEFAULT_FRAME_RATE = 25;
+
 // Media library state
 let mediaLibrary = [];
 let isScanning = false;
@@ -15,13 +18,34 @@ let isScanning = false;
 // Playback state
 let currentlyPlaying = null;
 let currentItem = null;
+let lockedItemIds = new Set(); // On-air and cued items, locked against edits by the server
 let playlistData = { items: [] };
+let collapsedBlocks = new Set(); // Blocks folded in the table (display only)
+let selectedItemIds = new Set(); // Top level items selected (Ctrl+clic) to be grouped into a block
+
+// Named playlists state
+let playlists = [];
+let channelsList = [];        // Playout channels configured on the server
+let currentChannel = 1;       // Channel controlled by this client
+let currentPlaylistId = null; // Playlist displayed/edited in this client
+let onAirPlaylistId = null;   // Playlist driven by the autoplay scheduler of the current channel
+let scheduleInfo = { dayBoundary: '06:00', currentBroadcastDate: null, days: [] };
 
 // Autoplay state
 let autoplayMode = 'MANUAL';
+let layerProgress = null; // Playout layer position reported by CasparCG OSC
 let nextItem = null;
 let countdownInterval = null;
 
+// Server clock (simulated time and speed in rehearsal mode)
+// Edits the server may refuse on locked items (ITEM_LOCKED): the last one is resent with force
+const LOCKABLE_EDITS = ['ADD_ITEM', 'REMOVE_ITEM', 'REORDER_PLAYLIST', 'CLEAR_PLAYLIST', 'IMPORT_XML',
+    'PLAYLIST_SET_HARD_START', 'PLAYLIST_SET_ITEM_LOOP', 'PLAYLIST_CREATE_BLOCK', 'PLAYLIST_UNGROUP_BLOCK',
+    'PLAYLIST_UNDO', 'PLAYLIST_REDO', 'PLAYLIST_REVISION_RESTORE'];
+let lastLockableEdit = null;
+
+let serverClock = { time: Date.now(), receivedAt: Date.now(), rate: 1, simulated: false, timeZone: null };
+
 // DOM elements
 const currentTimeEl = document.getElementById('currentTime');
 const playlistEndEl = document.getElementById('playlistEnd');
@@ -39,6 +63,10 @@ const scanBtnText = document.getElementById('scanBtnText');
 
 // Control buttons
 const clearPlaylistBtn = document.getElementById('clearPlaylistBtn');
+const groupBlockBtn = document.getElementById('groupBlockBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const snapshotsBtn = document.getElementById('snapshotsBtn');
 const stopPlaybackBtn = document.getElementById('stopPlaybackBtn');
 
 // Autoplay elements
@@ -49,6 +77,19 @@ const nextItemName = document.getElementById('nextItemName');
 const nextItemDuration = document.getElementById('nextItemDuration');
 const nextCountdown = document.getElementById('nextCountdown');
 
+// Playlist selector elements
+const channelSelectEl = document.getElementById('channelSelect');
+const rehearsalBadgeEl = document.getElementById('rehearsalBadge');
+const playlistSelectEl = document.getElementById('playlistSelect');
+const playlistOnAirBadgeEl = document.getElementById('playlistOnAirBadge');
+const newPlaylistBtn = document.getElementById('newPlaylistBtn');
+const renamePlaylistBtn = document.getElementById('renamePlaylistBtn');
+const duplicatePlaylistBtn = document.getElementById('duplicatePlaylistBtn');
+const schedulePlaylistBtn = document.getElementById('schedulePlaylistBtn');
+const deletePlaylistBtn = document.getElementById('deletePlaylistBtn');
+const onAirPlaylistBtn = document.getElementById('onAirPlaylistBtn');
+const loopPlaylistBtn = document.getElementById('loopPlaylistBtn');
+
 // Notification container
 const notificationContainer = document.getElementById('notificationContainer');
 
@@ -78,6 +119,7 @@ function connect() {
             reconnectInterval = null;
         }
 
+        sendOperator();
         requestMediaLibrary();
         requestGraphicsData();
     };
@@ -125,14 +167,47 @@ function updateConnectionStatus(connected) {
     }
 }
 
+// Messages only relevant to the channel they are tagged with
+const CHANNEL_SCOPED_MESSAGES = ['PLAYBACK_STATUS', 'AUTOPLAY_STATUS', 'SCHEDULE_LIST', 'LAYER_STATE'];
+
 /**
  * Handle incoming WebSocket messages
  */
 function handleMessage(message) {
+    // Playout status of the other channels is not displayed
+    if (CHANNEL_SCOPED_MESSAGES.includes(message.type) &&
+        message.channel != null && message.channel !== currentChannel) {
+        return;
+    }
+
     switch (message.type) {
+        case 'CHANNEL_LIST':
+            handleChannelList(message.data);
+            break;
+
+        case 'CLOCK_STATUS':
+            handleClockStatus(message.data);
+            break;
+
         case 'PLAYLIST_FULL':
-        case 'PLAYLIST_UPDATED':
+            currentPlaylistId = message.data.id;
             renderPlaylist(message.data);
+            renderPlaylistSelector();
+            break;
+
+        case 'PLAYLIST_UPDATED':
+            // Other clients may be editing another playlist
+            if (!currentPlaylistId || message.data.id === currentPlaylistId) {
+                renderPlaylist(message.data);
+            }
+            break;
+
+        case 'PLAYLIST_LIST':
+            handlePlaylistList(message.data);
+            break;
+
+        case 'SCHEDULE_LIST':
+            scheduleInfo = message.data;
             break;
 
         case 'MEDIA_LIBRARY':
@@ -151,10 +226,34 @@ function handleMessage(message) {
             handleAutoplayStatus(message.data);
             break;
 
+        case 'LAYER_STATE':
+            layerProgress = { ...message.data, receivedAt: Date.now() };
+            break;
+
         case 'NOTIFICATION':
             showNotification(message.data.level, message.data.message);
             break;
 
+        case 'CASPAR_REDUNDANCY':
+            renderCasparRedundancy(message.data);
+            break;
+
+        case 'MIXER_STATE':
+            renderMixerState(message.data);
+            break;
+
+        case 'PLAYLIST_REVISIONS':
+            if (message.data.playlistId === currentPlaylistId) {
+                renderRevisionList(message.data.revisions);
+            }
+            break;
+
+        case 'PLAYLIST_REVISION_DIFF':
+            if (message.data.playlistId === currentPlaylistId) {
+                renderRevisionDiff(message.data);
+            }
+            break;
+
         case 'INFO':
             console.log('[INFO]', message.data.message);
             alert(message.data.message);
@@ -162,13 +261,21 @@ function handleMessage(message) {
 
         case 'ERROR':
             console.error('[APP] Server error:', message.data.message);
-            alert(`Erreur: ${message.data.message}`);
+            if (message.data.code === 'ITEM_LOCKED') {
+                handleLockedEdit(message.data);
+            } else {
+                alert(`Erreur: ${message.data.message}`);
+            }
             break;
 
         case 'HARD_START_ERROR':
             handleHardStartError(message.data);
             break;
 
+        case 'HARD_START_ADJUSTMENTS':
+            handleHardStartAdjustments(message.data);
+            break;
+
         // Template/Graphics messages
         case 'TEMPLATE_LOADED':
         case 'TEMPLATE_PLAYING':
@@ -216,6 +323,7 @@ function handleMediaLibrary(data) {
     isScanning = data.isScanning || false;
 
     renderMediaLibrary();
+    addCasparTemplates(data.templates || []);
 
     if (!isScanning) {
         scanBtn.disabled = false;
@@ -223,6 +331,29 @@ function handleMediaLibrary(data) {
     }
 }
 
+/**
+ * Add the templates listed by CasparCG (TLS) to the template choices
+ */
+function addCasparTemplates(templates) {
+    const known = new Set(Array.from(templateNameEl.options).map(opt => opt.value.toLowerCase()));
+    const added = templates.filter(name => {
+        if (known.has(name.toLowerCase())) return false;
+        known.add(name.toLowerCase());
+        return true;
+    });
+    if (added.length === 0) return;
+
+    added.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        templateNameEl.appendChild(option);
+    });
+
+    // The secondary events modal copies the list again on its next opening
+    eventTemplateInput.innerHTML = '';
+}
+
 /**
  * Handle scan started notification
  */
@@ -242,6 +373,8 @@ function updatePlaylistRows(playingItemId) {
         const playBtn = row.querySelector('.btn-play');
         const onAirIndicator = row.querySelector('.on-air-indicator');
 
+        row.classList.toggle('locked', lockedItemIds.has(itemId));
+
         if (itemId === playingItemId) {
             row.classList.add('playing');
             if (playBtn) playBtn.textContent = '⏸';
@@ -322,7 +455,7 @@ function renderMediaLibrary() {
         item.dataset.folderId = media.folderId || 1;
 
         const duration = media.durationSeconds > 0
-            ? safeFormatDuration(media.durationSeconds)
+            ? formatTimecode(media.durationSeconds)
             : '--:--:--';
 
         const thumbnailHtml = media.thumbnail
@@ -419,6 +552,8 @@ function renderPlaylist(data) {
 
     playlistBodyEl.innerHTML = '';
     itemCountEl.textContent = data.items.length;
+    loopPlaylistBtn.classList.toggle('active', Boolean(data.loop));
+    updateHistoryButtons(data.history);
 
     if (data.items.length === 0) {
         emptyPlaylistEl.style.display = 'flex';
@@ -431,14 +566,73 @@ function renderPlaylist(data) {
 
     let totalSeconds = 0;
 
+    // Items dropped for a hard start are shown where they were; reordering uses
+    // the position in the whole playlist (dropped items included). A block counts
+    // as one position, its items are reordered inside it
+    const droppedItems = data.droppedItems || [];
+    const blocks = new Map((data.blocks || []).map(block => [block.id, block]));
+    let playlistIndex = 0;
+
+    // Only top level items can be grouped
+    selectedItemIds = new Set(data.items.filter(item => !item.blockId && selectedItemIds.has(item.id)).map(item => item.id));
+    updateGroupBlockButton();
+
+    const renderDroppedBefore = (itemId) => {
+        droppedItems.filter(dropped => dropped.beforeItemId === itemId).forEach(dropped => {
+            const row = document.createElement('tr');
+            row.className = 'dropped';
+            row.dataset.itemId = dropped.id;
+            row.dataset.index = playlistIndex++;
+            row.addEventListener('dragover', handleDragOver);
+            row.addEventListener('drop', handleDrop);
+            row.addEventListener('dragleave', handleDragLeave);
+            row.innerHTML = `
+      <td class="col-index">–</td>
+      <td class="col-name">${dropped.type === 'block' ? '▤ ' : ''}${escapeHtml(dropped.name)} <span class="droppable-badge" title="Sauté pour tenir un démarrage strict">SAUTÉ</span></td>
+      <td class="col-file">${escapeHtml(dropped.file || '')}</td>
+      <td class="col-duration">${formatTimecode(dropped.durationSeconds)}</td>
+      <td class="col-start">--:--:--</td>
+      <td class="col-end">--:--:--</td>
+      <td class="col-play"></td>
+      <td class="col-actions">
+        <button class="btn-hard-start" data-item-id="${dropped.id}" title="Démarrage strict">⏰</button>
+        <button class="btn-delete" onclick="deleteItem('${dropped.id}')">✕</button>
+      </td>
+    `;
+            playlistBodyEl.appendChild(row);
+        });
+    };
+
     data.items.forEach((item, index) => {
         totalSeconds += item.durationSeconds;
 
+        const block = item.blockId ? blocks.get(item.blockId) : null;
+        if (!block) {
+            renderDroppedBefore(item.id);
+        } else if (block.itemIds[0] === item.id) {
+            renderDroppedBefore(block.id);
+            playlistBodyEl.appendChild(createBlockRow(block, playlistIndex++));
+        }
+        if (block && collapsedBlocks.has(block.id)) return;
+
         const row = document.createElement('tr');
         row.dataset.itemId = item.id;
-        row.dataset.index = index;
         row.draggable = true;
 
+        if (block) {
+            row.classList.add('block-child');
+            row.dataset.blockId = block.id;
+            row.dataset.index = block.itemIds.indexOf(item.id);
+        } else {
+            row.dataset.index = playlistIndex++;
+            if (!item.fillerFor) {
+                row.addEventListener('click', (e) => handleRowSelect(e, item.id));
+            }
+            if (selectedItemIds.has(item.id)) {
+                row.classList.add('selected');
+            }
+        }
+
         // Add drag events
         row.addEventListener('dragstart', handlePlaylistDragStart);
         row.addEventListener('dragover', handleDragOver);
@@ -449,30 +643,33 @@ function renderPlaylist(data) {
         if (isPlaying) {
             row.classList.add('playing');
         }
+        if (lockedItemIds.has(item.id)) {
+            row.classList.add('locked');
+        }
 
         // Check for hard start time
-        const hardStartIndicator = item.hardStartTime
-            ? `<div class="hard-start-indicator">
-                <span class="hard-start-icon">⏰</span>
-                <span class="hard-start-time">${item.hardStartTime}</span>
-               </div>`
-            : '';
+        const hardStartIndicator = hardStartIndicatorHtml(item);
 
         row.innerHTML = `
       <td class="col-index">${index + 1}</td>
       <td class="col-name">
+        <span class="lock-indicator" title="À l'antenne ou prêt : suppression, déplacement et durée verrouillés">🔒</span>
         ${escapeHtml(item.name)}
         ${item.type === 'live' ? '<span class="live-badge">DIRECT</span>' : ''}
+        ${item.droppable ? '<span class="droppable-badge" title="Peut être sauté pour tenir un démarrage strict">FACULTATIF</span>' : ''}
+        ${item.fillerFor ? '<span class="filler-badge" title="Inséré pour combler l\'avance d\'un démarrage strict">FILLER</span>' : ''}
+        ${loopBadgeHtml(item)}
         ${hardStartIndicator}
       </td>
       <td class="col-file">${item.type === 'live' ? `DeckLink ${escapeHtml(item.file)}` : escapeHtml(item.file)}</td>
       <td class="col-duration">
-        ${safeFormatDuration(item.durationSeconds)}
-        ${item.trimOutSeconds > 0 ? `<span class="trim-info" title="Raccourci de ${item.trimOutSeconds}s">✂️ -${safeFormatDuration(item.trimOutSeconds)}</span>` : ''}
-        ${item.trimOutSeconds < 0 ? `<span class="gap-info" title="Prolongé de ${Math.abs(item.trimOutSeconds)}s">⏳ +${safeFormatDuration(Math.abs(item.trimOutSeconds))}</span>` : ''}
+        ${formatTimecode(item.durationSeconds)}
+        ${item.trimOutSeconds > 0 ? `<span class="trim-info" title="Raccourci de ${item.trimOutSeconds}s">✂️ -${formatTimecode(item.trimOutSeconds)}</span>` : ''}
+        ${item.holdSeconds > 0 ? `<span class="gap-info" title="Prolongé de ${item.holdSeconds}s">⏳ +${formatTimecode(item.holdSeconds)}</span>` : ''}
+        ${item.joinInSeconds > 0 ? `<span class="join-info" title="Rejoint en cours: début sauté de ${item.joinInSeconds}s">↪ -${formatTimecode(item.joinInSeconds)}</span>` : ''}
       </td>
-      <td class="col-start">${formatTime(item.startAt)}</td>
-      <td class="col-end">${formatTime(item.endAt)}</td>
+      <td class="col-start">${formatTimecodeOfDay(item.startAt)}</td>
+      <td class="col-end">${formatTimecodeOfDay(item.endAt)}</td>
       <td class="col-play">
         <button class="btn-play" onclick="playItem('${item.id}', '${escapeHtml(item.file)}')">
           ${isPlaying ? '⏸' : '▶'}
@@ -482,7 +679,9 @@ function renderPlaylist(data) {
         </span>
       </td>
       <td class="col-actions">
-        <button class="btn-hard-start ${item.hardStartTime ? 'active' : ''}" data-item-id="${item.id}" title="Démarrage strict">⏰</button>
+        ${block ? '' : `<button class="btn-hard-start ${item.hardStartTime ? 'active' : ''}" data-item-id="${item.id}" title="Démarrage strict">⏰</button>`}
+        <button class="btn-transition ${item.transition ? 'active' : ''}" data-item-id="${item.id}" title="${item.transition ? `Transition: ${item.transition.type} ${item.transition.durationFrames} images` : 'Transition: CUT'}">🔀</button>
+        ${item.type === 'clip' ? `<button class="btn-loop ${item.loop ? 'active' : ''}" data-item-id="${item.id}" title="Boucle">🔁</button>` : ''}
         <button class="btn-secondary btn-small btn-secondary-events" data-item-id="${item.id}" title="Événements Secondaires">⚡
             ${(item.secondaryEvents && item.secondaryEvents.length > 0) ? `<span class="event-badge">${item.secondaryEvents.length}</span>` : ''}
         </button>
@@ -493,6 +692,8 @@ function renderPlaylist(data) {
         playlistBodyEl.appendChild(row);
     });
 
+    renderDroppedBefore(null);
+
     // Attach hard start button listeners
     document.querySelectorAll('.btn-hard-start').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -502,6 +703,22 @@ function renderPlaylist(data) {
         });
     });
 
+    // Attach transition button listeners
+    document.querySelectorAll('.btn-transition').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openTransitionModal(btn.dataset.itemId);
+        });
+    });
+
+    // Attach loop button listeners
+    document.querySelectorAll('.btn-loop').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openLoopModal(btn.dataset.itemId);
+        });
+    });
+
     // Attach secondary events button listeners
     document.querySelectorAll('.btn-secondary-events').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -511,12 +728,152 @@ function renderPlaylist(data) {
         });
     });
 
-    totalDurationEl.textContent = safeFormatDuration(totalSeconds);
+    totalDurationEl.textContent = formatTimecode(totalSeconds);
 
     if (data.items.length > 0) {
         const lastItem = data.items[data.items.length - 1];
-        playlistEndEl.textContent = formatTime(lastItem.endAt);
+        playlistEndEl.textContent = formatTimecodeOfDay(lastItem.endAt);
+    }
+}
+
+/**
+ * Loop of an item: number of passes, or until the next hard start
+ */
+function loopBadgeHtml(item) {
+    if (!item.loop) return '';
+
+    const passes = item.loopPasses ? ` (${item.loopPasses} passages)` : '';
+    return item.loop.untilHardStart
+        ? `<span class="loop-badge" title="Boucle jusqu'au démarrage strict suivant${passes}">🔁 ⏰</span>`
+        : `<span class="loop-badge" title="Boucle${passes}">🔁 ×${item.loop.count}</span>`;
+}
+
+/**
+ * Hard start time shown under the name of an item or a block
+ */
+function hardStartIndicatorHtml(item) {
+    return item.hardStartTime
+        ? `<div class="hard-start-indicator">
+                <span class="hard-start-icon">⏰</span>
+                <span class="hard-start-time">${item.hardStartTime}</span>
+               </div>`
+        : '';
+}
+
+/**
+ * Header row of a block: total duration, hard start, fold/unfold
+ * Dragging it moves the whole block
+ */
+function createBlockRow(block, index) {
+    const collapsed = collapsedBlocks.has(block.id);
+    const row = document.createElement('tr');
+    row.className = 'block-header';
+    row.dataset.itemId = block.id;
+    row.dataset.index = index;
+    row.draggable = true;
+
+    row.addEventListener('dragstart', handlePlaylistDragStart);
+    row.addEventListener('dragover', handleDragOver);
+    row.addEventListener('drop', handleDrop);
+    row.addEventListener('dragleave', handleDragLeave);
+
+    row.innerHTML = `
+      <td class="col-index">
+        <button class="btn-block-toggle" title="${collapsed ? 'Déplier le bloc' : 'Replier le bloc'}">${collapsed ? '▸' : '▾'}</button>
+      </td>
+      <td class="col-name">
+        ▤ ${escapeHtml(block.name)}
+        <span class="block-count">${block.itemIds.length} élément(s)</span>
+        ${block.droppable ? '<span class="droppable-badge" title="Peut être sauté pour tenir un démarrage strict">FACULTATIF</span>' : ''}
+        ${hardStartIndicatorHtml(block)}
+      </td>
+      <td class="col-file"></td>
+      <td class="col-duration">${formatTimecode(block.durationSeconds)}</td>
+      <td class="col-start">${formatTimecodeOfDay(block.startAt)}</td>
+      <td class="col-end">${formatTimecodeOfDay(block.endAt)}</td>
+      <td class="col-play"></td>
+      <td class="col-actions">
+        <button class="btn-hard-start ${block.hardStartTime ? 'active' : ''}" data-item-id="${block.id}" title="Démarrage strict du bloc">⏰</button>
+        <button class="btn-block-rename" title="Renommer le bloc">✎</button>
+        <button class="btn-block-ungroup" title="Dégrouper">⇱</button>
+        <button class="btn-delete" onclick="deleteItem('${block.id}')" title="Supprimer le bloc et ses éléments">✕</button>
+      </td>
+    `;
+
+    row.querySelector('.btn-block-toggle').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (collapsed) {
+            collapsedBlocks.delete(block.id);
+        } else {
+            collapsedBlocks.add(block.id);
+        }
+        renderPlaylist(playlistData);
+    });
+
+    row.querySelector('.btn-block-rename').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const name = prompt('Nom du bloc :', block.name);
+        if (name && name.trim() && name.trim() !== block.name) {
+            sendMessage({
+                type: 'PLAYLIST_RENAME_BLOCK',
+                data: withPlaylist({ blockId: block.id, name: name.trim() })
+            });
+        }
+    });
+
+    row.querySelector('.btn-block-ungroup').addEventListener('click', (e) => {
+        e.stopPropagation();
+        sendMessage({
+            type: 'PLAYLIST_UNGROUP_BLOCK',
+            data: withPlaylist({ blockId: block.id })
+        });
+    });
+
+    return row;
+}
+
+/**
+ * Ctrl+clic (Cmd+clic) selects top level items to be grouped into a block
+ */
+function handleRowSelect(e, itemId) {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('button')) return;
+
+    if (selectedItemIds.has(itemId)) {
+        selectedItemIds.delete(itemId);
+    } else {
+        selectedItemIds.add(itemId);
+    }
+
+    e.currentTarget.classList.toggle('selected', selectedItemIds.has(itemId));
+    updateGroupBlockButton();
+}
+
+function updateGroupBlockButton() {
+    if (!groupBlockBtn) return;
+    groupBlockBtn.disabled = selectedItemIds.size === 0;
+    groupBlockBtn.textContent = selectedItemIds.size > 0 ? `Grouper en bloc (${selectedItemIds.size})` : 'Grouper en bloc';
+}
+
+/**
+ * Group the selected items (consecutive) into a block
+ */
+function groupSelectedItems() {
+    const itemIds = playlistData.items.filter(item => selectedItemIds.has(item.id)).map(item => item.id);
+    if (itemIds.length === 0) {
+        alert('Sélectionnez des éléments consécutifs (Ctrl+clic) à grouper.');
+        return;
     }
+
+    const first = playlistData.items.find(item => item.id === itemIds[0]);
+    const name = prompt('Nom du bloc :', first ? first.name : '');
+    if (name === null) return;
+
+    sendMessage({
+        type: 'PLAYLIST_CREATE_BLOCK',
+        data: withPlaylist({ itemIds, name })
+    });
+    selectedItemIds.clear();
+    updateGroupBlockButton();
 }
 
 /**
@@ -540,7 +897,8 @@ function handlePlaylistDragStart(e) {
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('application/json', JSON.stringify({
         type: 'PLAYLIST_ITEM',
-        index: parseInt(e.target.dataset.index)
+        index: parseInt(e.target.dataset.index),
+        blockId: e.target.dataset.blockId || null
     }));
     e.target.classList.add('dragging');
 }
@@ -585,14 +943,17 @@ function handleDrop(e) {
         if (data.type === 'MEDIA_ITEM') {
             // Add new item from media library
             // For now, just add to end (or we could implement insert at position later)
-            addMediaToPlaylist(data);
+            // Dropped on a block: added at the end of the block
+            const blockId = row.dataset.blockId || (row.classList.contains('block-header') ? row.dataset.itemId : null);
+            addMediaToPlaylist(data, blockId);
         } else if (data.type === 'PLAYLIST_ITEM') {
-            // Reorder playlist item
+            // Reorder playlist item (items of a block stay in their block)
             const fromIndex = data.index;
             const toIndex = parseInt(row.dataset.index);
+            const blockId = row.dataset.blockId || null;
 
-            if (fromIndex !== toIndex) {
-                reorderPlaylist(fromIndex, toIndex);
+            if (blockId === data.blockId && fromIndex !== toIndex) {
+                reorderPlaylist(fromIndex, toIndex, blockId);
             }
         }
     } catch (error) {
@@ -601,19 +962,19 @@ function handleDrop(e) {
 }
 
 /**
- * Reorder playlist items
+ * Reorder playlist items (top level, or inside a block)
  */
-function reorderPlaylist(fromIndex, toIndex) {
+function reorderPlaylist(fromIndex, toIndex, blockId = null) {
     sendMessage({
         type: 'REORDER_PLAYLIST',
-        data: { fromIndex, toIndex }
+        data: withPlaylist(blockId ? { fromIndex, toIndex, blockId } : { fromIndex, toIndex })
     });
 }
 
 /**
  * Add media to playlist (click or drag)
  */
-function addMediaToPlaylist(media) {
+function addMediaToPlaylist(media, blockId = null) {
     if (!media.durationSeconds || media.durationSeconds === 0) {
         alert('Durée inconnue. Lancez un scan complet pour obtenir les durées.');
         return;
@@ -621,12 +982,13 @@ function addMediaToPlaylist(media) {
 
     sendMessage({
         type: 'ADD_ITEM',
-        data: {
+        data: withPlaylist({
             name: media.name,
             file: media.file,
             durationSeconds: media.durationSeconds,
-            thumbnail: media.thumbnail
-        }
+            thumbnail: media.thumbnail,
+            ...(blockId ? { blockId } : {})
+        })
     });
 }
 
@@ -636,7 +998,7 @@ function addMediaToPlaylist(media) {
 function playItem(id, file) {
     sendMessage({
         type: 'PLAY_ITEM',
-        data: { id, file }
+        data: withPlaylist({ id, file })
     });
 }
 
@@ -664,7 +1026,7 @@ function deleteItem(id) {
     if (confirm('Supprimer cet élément de la playlist ?')) {
         sendMessage({
             type: 'REMOVE_ITEM',
-            data: { id }
+            data: withPlaylist({ id })
         });
     }
 }
@@ -675,9 +1037,60 @@ function deleteItem(id) {
 function clearPlaylist() {
     if (confirm('Vider toute la playlist ?')) {
         sendMessage({
-            type: 'CLEAR_PLAYLIST'
+            type: 'CLEAR_PLAYLIST',
+            data: withPlaylist({})
+        });
+    }
+}
+
+/**
+ * An edit was refused because it changes the on-air or cued items: offer to force it
+ */
+function handleLockedEdit(data) {
+    if (!lastLockableEdit) {
+        alert(`Erreur: ${data.message}`);
+        return;
+    }
+
+    if (confirm(`${data.message}\n\nL'élément est à l'antenne ou prêt à partir. Forcer la modification ?`)) {
+        sendMessage({
+            ...lastLockableEdit,
+            data: { ...lastLockableEdit.data, force: true }
         });
     }
+    lastLockableEdit = null;
+}
+
+/**
+ * Undo the last edit of the playlist (shared by every operator)
+ */
+function undoEdit() {
+    sendMessage({
+        type: 'PLAYLIST_UNDO',
+        data: withPlaylist({})
+    });
+}
+
+/**
+ * Redo the last undone edit of the playlist
+ */
+function redoEdit() {
+    sendMessage({
+        type: 'PLAYLIST_REDO',
+        data: withPlaylist({})
+    });
+}
+
+/**
+ * Enable the undo/redo buttons from the history status sent with the playlist
+ */
+function updateHistoryButtons(history) {
+    const status = history || { canUndo: false, canRedo: false };
+
+    undoBtn.disabled = !status.canUndo;
+    undoBtn.title = status.canUndo ? `Annuler : ${status.undoLabel} (Ctrl+Z)` : 'Annuler (Ctrl+Z)';
+    redoBtn.disabled = !status.canRedo;
+    redoBtn.title = status.canRedo ? `Rétablir : ${status.redoLabel} (Ctrl+Y)` : 'Rétablir (Ctrl+Y)';
 }
 
 /**
@@ -698,12 +1111,22 @@ function scanMedia() {
     });
 }
 
+/**
+ * Attach the displayed playlist ID to a message payload
+ */
+function withPlaylist(data) {
+    return { ...data, playlistId: currentPlaylistId };
+}
+
 /**
  * Send message to server
  */
 function sendMessage(message) {
     if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(message));
+        if (LOCKABLE_EDITS.includes(message.type)) {
+            lastLockableEdit = message;
+        }
+        ws.send(JSON.stringify({ channel: currentChannel, ...message }));
     } else {
         alert('Non connecté au serveur');
     }
@@ -715,7 +1138,7 @@ function sendMessage(message) {
 function addItem() {
     const name = itemNameInput.value.trim();
     const file = itemFileInput.value.trim();
-    const duration = parseInt(itemDurationInput.value);
+    const duration = parseDurationInput(itemDurationInput.value);
 
     if (!name || !file || !duration || duration <= 0) {
         alert('Veuillez remplir tous les champs correctement');
@@ -724,11 +1147,11 @@ function addItem() {
 
     sendMessage({
         type: 'ADD_ITEM',
-        data: {
+        data: withPlaylist({
             name,
             file,
             durationSeconds: duration
-        }
+        })
     });
 
     itemNameInput.value = '';
@@ -764,15 +1187,51 @@ function safeFormatDuration(secondsInput) {
 }
 
 /**
- * Format ISO datetime to HH:MM:SS
+ * Frame rate of the displayed playlist (timecode of durations and times),
+ * else of the current channel
  */
-function formatTime(isoString) {
-    const date = new Date(isoString);
-    const hours = date.getHours().toString().padStart(2, '0');
-    const minutes = date.getMinutes().toString().padStart(2, '0');
-    const seconds = date.getSeconds().toString().padStart(2, '0');
+function currentFrameRate() {
+    if (playlistData && playlistData.frameRate) return playlistData.frameRate;
+
+    const channel = channelsList.find(c => c.channel === currentChannel);
+    return (channel && channel.frameRate) || DEFAULT_FRAME_RATE;
+}
+
+/**
+ * Format a duration in seconds to SMPTE timecode (HH:MM:SS:FF, HH:MM:SS;FF in drop-frame)
+ */
+function formatTimecode(seconds) {
+    const value = Number(seconds);
+    if (!isFinite(value)) {
+        return '--:--:--:--';
+    }
 
-    return `${hours}:${minutes}:${seconds}`;
+    return Timecode.secondsToTimecode(value, currentFrameRate());
+}
+
+/**
+ * Parse a duration typed by the operator (seconds, HH:MM:SS or timecode), null if invalid
+ */
+function parseDurationInput(value) {
+    try {
+        return Timecode.parseDuration(value, currentFrameRate());
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Format ISO datetime to time of day timecode (HH:MM:SS:FF, station time)
+ */
+function formatTimecodeOfDay(isoString) {
+    return Timecode.formatTimeOfDay(TimeZone.getParts(isoString, serverClock.timeZone), currentFrameRate());
+}
+
+/**
+ * Format ISO datetime to HH:MM:SS (station time)
+ */
+function formatTime(isoString) {
+    return TimeZone.formatTime(isoString, serverClock.timeZone);
 }
 
 /**
@@ -810,11 +1269,43 @@ function showNotification(level, message) {
     }, 5000);
 }
 
+/**
+ * Current time of the server clock
+ */
+function clockNow() {
+    if (!serverClock.simulated) return new Date();
+    return new Date(serverClock.time + (Date.now() - serverClock.receivedAt) * serverClock.rate);
+}
+
+/**
+ * Handle server clock state (simulated time in rehearsal mode)
+ */
+function handleClockStatus(data) {
+    serverClock = {
+        time: new Date(data.now).getTime(),
+        receivedAt: Date.now(),
+        rate: data.rate,
+        simulated: data.simulated,
+        timeZone: data.timeZone || null
+    };
+
+    // Times are shown in the station time zone, whatever the zone of this computer
+    if (currentTimeEl) {
+        currentTimeEl.title = `Heure de la station (${TimeZone.resolveZone(serverClock.timeZone)})`;
+    }
+
+    if (rehearsalBadgeEl) {
+        rehearsalBadgeEl.textContent = data.simulated && data.rate !== 1 ? `RÉPÉTITION x${data.rate}` : 'RÉPÉTITION';
+    }
+
+    updateCurrentTime();
+}
+
 /**
  * Update current time and offset display
  */
 function updateCurrentTime() {
-    const now = new Date();
+    const now = clockNow();
     currentTimeEl.textContent = formatTime(now.toISOString());
 
     updateOffset(now);
@@ -836,7 +1327,12 @@ function updateProgressBar(now) {
         const duration = currentItem.durationSeconds * 1000;
         const nowMs = now.getTime();
 
-        let progress = (nowMs - start) / duration * 100;
+        // Clip position from CasparCG (OSC) when available, else the scheduled times
+        const oscFresh = layerProgress && layerProgress.duration && Date.now() - layerProgress.receivedAt < 2000;
+
+        let progress = oscFresh
+            ? layerProgress.time / layerProgress.duration * 100
+            : (nowMs - start) / duration * 100;
         progress = Math.max(0, Math.min(100, progress));
 
         progressBar.style.width = `${progress}%`;
@@ -909,6 +1405,7 @@ function handleAutoplayStatus(data) {
     autoplayMode = data.mode;
     nextItem = data.nextItem;
     currentItem = data.currentItem; // Update global variable
+    lockedItemIds = new Set(data.lockedItemIds || []);
 
     console.log('[DEBUG] handleAutoplayStatus data:', JSON.stringify(data, null, 2));
     console.log('[AUTOPLAY] Status update:', data);
@@ -924,7 +1421,7 @@ function handleAutoplayStatus(data) {
 
     // Update UI
     updateModeButton(data.mode);
-    updateNextItemInfo(data.nextItem);
+    updateNextItemInfo(data.nextItem, data.cuedItem);
 
     // Start/stop countdown
     if (data.nextItem) {
@@ -954,19 +1451,21 @@ function updateModeButton(mode) {
 /**
  * Update next item info display
  */
-function updateNextItemInfo(item) {
+function updateNextItemInfo(item, cuedItem = null) {
     if (!nextItemInfo) return;
 
     console.log('[DEBUG] updateNextItemInfo item:', item);
 
     if (item) {
-        nextItemName.textContent = item.name;
+        // Loaded in the CasparCG background (LOADBG)
+        const isCued = cuedItem && cuedItem.id === item.id;
+        nextItemName.textContent = isCued ? `${item.name} • préchargé` : item.name;
         if (nextItemDuration) {
             // Show hard start time if configured, otherwise show duration
             if (item.hardStartTime) {
                 nextItemDuration.textContent = `⏰ ${item.hardStartTime}`;
             } else {
-                nextItemDuration.textContent = `(${safeFormatDuration(item.durationSeconds)})`;
+                nextItemDuration.textContent = `(${formatTimecode(item.durationSeconds)})`;
             }
         }
 
@@ -993,7 +1492,7 @@ function startCountdown(startAt) {
     stopCountdown();
 
     countdownInterval = setInterval(() => {
-        const now = new Date();
+        const now = clockNow();
         const start = new Date(startAt);
         const diff = Math.max(0, (start - now) / 1000);
 
@@ -1025,6 +1524,24 @@ function stopCountdown() {
 addItemBtn.addEventListener('click', addItem);
 scanBtn.addEventListener('click', scanMedia);
 clearPlaylistBtn.addEventListener('click', clearPlaylist);
+groupBlockBtn.addEventListener('click', groupSelectedItems);
+undoBtn.addEventListener('click', undoEdit);
+redoBtn.addEventListener('click', redoEdit);
+snapshotsBtn.addEventListener('click', openSnapshotModal);
+
+// Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z), except while typing in a field
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        if (!undoBtn.disabled) undoEdit();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        if (!redoBtn.disabled) redoEdit();
+    }
+});
 
 if (stopPlaybackBtn) {
     console.log('[INIT] stopPlaybackBtn found, attaching listener');
@@ -1396,6 +1913,12 @@ const eventTemplateInput = document.getElementById('eventTemplateInput');
 const eventDataInput = document.getElementById('eventDataInput');
 const eventTemplateOptions = document.getElementById('eventTemplateOptions');
 const addEventBtn = document.getElementById('addEventBtn');
+const eventPipOptions = document.getElementById('eventPipOptions');
+const eventPipBoxGroup = document.getElementById('eventPipBoxGroup');
+const eventPipClipGroup = document.getElementById('eventPipClipGroup');
+const eventPipClipInput = document.getElementById('eventPipClipInput');
+const eventAudioOptions = document.getElementById('eventAudioOptions');
+const eventAudioClipInput = document.getElementById('eventAudioClipInput');
 
 // Open modal
 window.openSecondaryEventsModal = function (itemId) {
@@ -1423,6 +1946,8 @@ window.openSecondaryEventsModal = function (itemId) {
     eventOffsetInput.value = '0';
     eventLayerInput.value = '20';
     eventDataInput.value = '';
+    eventPipClipInput.value = '';
+    eventAudioClipInput.value = '';
     updateEventFormVisibility();
 
     secondaryEventsModal.style.display = 'flex';
@@ -1438,12 +1963,20 @@ function renderSecondaryEvents(events) {
     eventsList.innerHTML = events.map(evt => {
         let details = `Trigger: ${evt.trigger} ${evt.offsetMs >= 0 ? '+' : ''}${evt.offsetMs}ms | Layer: ${evt.layer}`;
         if (evt.type === 'CG_ADD') details += ` | Tpl: ${evt.template.split('/').pop()}`;
+        if (evt.type === 'PIP_SQUEEZE') {
+            const source = evt.template ? `Tpl: ${evt.template.split('/').pop()}` : (evt.clip ? `Clip: ${evt.clip}` : 'sans source');
+            details += ` | ${evt.fill.x} ${evt.fill.y} ${evt.fill.scaleX} ${evt.fill.scaleY} | ${source}`;
+        }
+        if (evt.type === 'PIP_SQUEEZE' || evt.type === 'PIP_RESTORE') details += ` | ${evt.durationFrames || 0} img ${evt.tween || ''}`;
+        if (evt.type === 'AUDIO_PLAY') details += ` | ${evt.clip}${evt.loop ? ' (boucle)' : ''} ${evt.levelDb || 0} dB`;
+        if ((evt.type === 'AUDIO_PLAY' || evt.type === 'AUDIO_DUCK') && evt.duckDb) details += ` | clip -${evt.duckDb} dB`;
+        if (evt.type.startsWith('AUDIO_') && evt.rampFrames) details += ` | rampe ${evt.rampFrames} img`;
 
         return `
             <div class="event-item type-${evt.type}">
                 <div class="event-info">
                     <div class="event-title">${evt.type}</div>
-                    <div class="event-details">${details}</div>
+                    <div class="event-details">${escapeHtml(details)}</div>
                 </div>
                 <button class="event-delete" onclick="removeSecondaryEvent('${evt.id}')">🗑️</button>
             </div>
@@ -1454,14 +1987,27 @@ function renderSecondaryEvents(events) {
 // Update form visibility based on type
 function updateEventFormVisibility() {
     const type = eventTypeInput.value;
-    if (type === 'CG_ADD') {
-        eventTemplateOptions.style.display = 'block';
-    } else {
-        eventTemplateOptions.style.display = 'none';
-    }
+    const isPip = type === 'PIP_SQUEEZE' || type === 'PIP_RESTORE';
+
+    // A squeeze-back shows a template or a clip in the freed space
+    eventTemplateOptions.style.display = type === 'CG_ADD' || type === 'PIP_SQUEEZE' ? 'block' : 'none';
+    eventPipOptions.style.display = isPip ? 'block' : 'none';
+    eventPipBoxGroup.style.display = type === 'PIP_SQUEEZE' ? 'block' : 'none';
+    eventPipClipGroup.style.display = type === 'PIP_SQUEEZE' ? 'block' : 'none';
+
+    // Fields of each audio event: the file for AUDIO_PLAY, the ducking for AUDIO_PLAY/AUDIO_DUCK
+    eventAudioOptions.style.display = type.startsWith('AUDIO_') ? 'block' : 'none';
+    ['eventAudioClipGroup', 'eventAudioLevelGroup', 'eventAudioLoopGroup'].forEach(id => {
+        document.getElementById(id).style.display = type === 'AUDIO_PLAY' ? 'block' : 'none';
+    });
+    document.getElementById('eventAudioDuckGroup').style.display = type === 'AUDIO_PLAY' || type === 'AUDIO_DUCK' ? 'block' : 'none';
 }
 
-eventTypeInput.addEventListener('change', updateEventFormVisibility);
+eventTypeInput.addEventListener('change', () => {
+    // Audio plays on its own layer, away from the graphics
+    eventLayerInput.value = eventTypeInput.value.startsWith('AUDIO_') ? '30' : '20';
+    updateEventFormVisibility();
+});
 
 // Add event handler
 addEventBtn.addEventListener('click', () => {
@@ -1495,11 +2041,61 @@ addEventBtn.addEventListener('click', () => {
         }
     }
 
+    if (type.startsWith('AUDIO_')) {
+        event.rampFrames = parseInt(document.getElementById('eventAudioRampInput').value) || 0;
+        event.tween = document.getElementById('eventAudioTweenInput').value.trim() || 'linear';
+    }
+
+    if (type === 'AUDIO_PLAY') {
+        const clip = eventAudioClipInput.value.trim();
+        if (!clip) {
+            alert('Veuillez indiquer le fichier audio');
+            return;
+        }
+        event.clip = clip;
+        event.loop = document.getElementById('eventAudioLoopInput').checked;
+        event.levelDb = parseFloat(document.getElementById('eventAudioLevelInput').value) || 0;
+    }
+
+    if (type === 'AUDIO_PLAY' || type === 'AUDIO_DUCK') {
+        event.duckDb = Math.abs(parseFloat(document.getElementById('eventAudioDuckInput').value) || 0);
+    }
+
+    if (type === 'PIP_SQUEEZE' || type === 'PIP_RESTORE') {
+        event.durationFrames = parseInt(document.getElementById('eventPipDuration').value) || 0;
+        event.tween = document.getElementById('eventPipTween').value.trim() || 'linear';
+    }
+
+    if (type === 'PIP_SQUEEZE') {
+        event.fill = {
+            x: parseFloat(document.getElementById('eventPipX').value) || 0,
+            y: parseFloat(document.getElementById('eventPipY').value) || 0,
+            scaleX: parseFloat(document.getElementById('eventPipScaleX').value) || 0,
+            scaleY: parseFloat(document.getElementById('eventPipScaleY').value) || 0
+        };
+
+        // The clip takes the freed space, otherwise the selected template
+        const clip = eventPipClipInput.value.trim();
+        if (clip) {
+            event.clip = clip;
+        } else if (eventTemplateInput.value) {
+            event.template = eventTemplateInput.value;
+            try {
+                const dataStr = eventDataInput.value.trim();
+                event.data = dataStr ? JSON.parse(dataStr) : {};
+            } catch (e) {
+                alert('JSON invalide');
+                return;
+            }
+        }
+    }
+
     // Send to server
     if (ws && ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({
             type: 'SECONDARY_EVENT_ADD',
-            data: { itemId, event }
+            channel: currentChannel,
+            data: withPlaylist({ itemId, event })
         }));
     }
 });
@@ -1511,7 +2107,8 @@ window.removeSecondaryEvent = function (eventId) {
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
                 type: 'SECONDARY_EVENT_REMOVE',
-                data: { itemId, eventId }
+                channel: currentChannel,
+                data: withPlaylist({ itemId, eventId })
             }));
         }
     }
@@ -1823,6 +2420,8 @@ closeFolderModal.addEventListener('click', closeFolderModalFunc);
 const hardStartModal = document.getElementById('hardStartModal');
 const hardStartTimeInput = document.getElementById('hardStartTimeInput');
 const hardStartEnabledInput = document.getElementById('hardStartEnabledInput');
+const hardStartPolicyInput = document.getElementById('hardStartPolicyInput');
+const hardStartDroppableInput = document.getElementById('hardStartDroppableInput');
 const hardStartItemIdInput = document.getElementById('hardStartItemId');
 const hardStartStatusDiv = document.getElementById('hardStartStatus');
 const confirmHardStartBtn = document.getElementById('confirmHardStartBtn');
@@ -1833,18 +2432,21 @@ const closeHardStartModal = document.getElementById('closeHardStartModal');
  * Open hard start modal
  */
 function openHardStartModal(itemId) {
-    // Find the item in playlist
-    const item = playlistData.items.find(i => i.id === itemId);
+    // Find the item or block in playlist (or among the items dropped for a hard start)
+    const item = playlistData.items.find(i => i.id === itemId) ||
+        (playlistData.blocks || []).find(b => b.id === itemId) ||
+        (playlistData.droppedItems || []).find(i => i.id === itemId);
     if (!item) {
         console.error('[HARD START] Item not found:', itemId);
         return;
     }
 
     hardStartItemIdInput.value = itemId;
+    hardStartPolicyInput.value = item.hardStartPolicy || 'trim';
+    hardStartDroppableInput.checked = Boolean(item.droppable || item.droppedBy);
 
-    // Show scheduled start time
-    const scheduledTime = new Date(item.startAt);
-    const scheduledTimeStr = formatTimeInput(scheduledTime);
+    // Show scheduled start time (items dropped for a hard start have none)
+    const scheduledTimeStr = item.startAt ? formatTimecodeOfDay(item.startAt) : '--:--:--:--';
 
     if (item.hardStartTime) {
         hardStartTimeInput.value = item.hardStartTime;
@@ -1859,7 +2461,7 @@ function openHardStartModal(itemId) {
         `;
     } else {
         // Default to the item's scheduled start time
-        hardStartTimeInput.value = scheduledTimeStr;
+        hardStartTimeInput.value = item.startAt ? scheduledTimeStr : '';
         hardStartEnabledInput.checked = false;
 
         // Show status: no hard start
@@ -1886,13 +2488,20 @@ function closeHardStartModalFunc() {
 }
 
 /**
- * Format time for input (HH:MM:SS)
+ * Check a hard start time: HH:MM, HH:MM:SS(.mmm) or time of day timecode HH:MM:SS:FF / HH:MM:SS;FF
  */
-function formatTimeInput(date) {
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    return `${hours}:${minutes}:${seconds}`;
+function isValidHardStartTime(time) {
+    if (Timecode.isTimecode(time)) {
+        try {
+            Timecode.parseTimeOfDay(time, currentFrameRate());
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const match = time.match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?$/);
+    return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60 && Number(match[3] || 0) < 60;
 }
 
 /**
@@ -1901,21 +2510,29 @@ function formatTimeInput(date) {
 confirmHardStartBtn.addEventListener('click', () => {
     const itemId = hardStartItemIdInput.value;
     const enabled = hardStartEnabledInput.checked;
-    const time = hardStartTimeInput.value;
+    const time = hardStartTimeInput.value.trim();
 
     if (enabled && !time) {
         showNotification('error', 'Veuillez sélectionner une heure');
         return;
     }
 
+    if (enabled && !isValidHardStartTime(time)) {
+        showNotification('error', 'Heure invalide (HH:MM:SS ou HH:MM:SS:FF)');
+        return;
+    }
+
     // Send to server
     if (ws && ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({
             type: 'PLAYLIST_SET_HARD_START',
-            data: {
+            channel: currentChannel,
+            data: withPlaylist({
                 itemId: itemId,
-                hardStartTime: enabled ? time : null
-            }
+                hardStartTime: enabled ? time : null,
+                hardStartPolicy: hardStartPolicyInput.value,
+                droppable: hardStartDroppableInput.checked
+            })
         }));
     }
 
@@ -1940,21 +2557,592 @@ function handleHardStartError(data) {
             message += `\n\nConseil: Ajoutez plus de contenu avant cet élément ou choisissez une heure de hard start plus proche.`;
         }
 
+        if (error.joinNeeded && error.maxJoin !== undefined) {
+            message += `\n\nRetard à absorber: ${error.joinNeeded}s`;
+            message += `\nRetard maximal possible: ${error.maxJoin}s`;
+        }
+
         showNotification('error', message, 10000); // Show for 10 seconds
     }
 }
 
+/**
+ * Handle hard start adjustments applied by the server (drops, fillers, joins, trims)
+ */
+function handleHardStartAdjustments(data) {
+    const labels = {
+        trim: (a) => `✂️ "${a.itemName}" raccourci de ${formatTimecode(a.amount)}`,
+        extend: (a) => `⏳ "${a.itemName}" prolongé de ${formatTimecode(a.amount)}`,
+        drop: (a) => `⏭ "${a.itemName}" sauté (${formatTimecode(a.amount)})`,
+        filler: (a) => `➕ Filler "${a.itemName}" inséré (${formatTimecode(a.amount)})`,
+        join: (a) => `↪ "${a.itemName}" rejoint en cours (${formatTimecode(a.amount)} sautées)`
+    };
+
+    const lines = data.adjustments.map(a => (labels[a.type] ? labels[a.type](a) : `${a.type} "${a.itemName}"`));
+    showNotification('info', `Démarrage strict :\n${lines.join('\n')}`, 10000);
+}
+
 /**
  * Cancel hard start modal
  */
 cancelHardStartBtn.addEventListener('click', closeHardStartModalFunc);
 closeHardStartModal.addEventListener('click', closeHardStartModalFunc);
 
-// ==========================================
-// LIVE INPUT MANAGEMENT
-// ==========================================
-
-const liveInputModal = document.getElementById('liveInputModal');
+/**
+ * ========================================
+ * TRANSITION MANAGEMENT
+ * ========================================
+ */
+
+// CasparCG tweens (same list as the backend PlaylistModel)
+const TWEEN_CURVES = ['quad', 'cubic', 'quart', 'quint', 'sine', 'expo', 'circ', 'elastic', 'back', 'bounce'];
+const TWEENS = ['linear', 'easenone'].concat(
+    ...TWEEN_CURVES.map(curve => ['easein', 'easeout', 'easeinout', 'easeoutin'].map(ease => ease + curve))
+);
+
+// Transition modal elements
+const transitionModal = document.getElementById('transitionModal');
+const transitionTypeInput = document.getElementById('transitionTypeInput');
+const transitionOptions = document.getElementById('transitionOptions');
+const transitionDurationInput = document.getElementById('transitionDurationInput');
+const transitionDirectionInput = document.getElementById('transitionDirectionInput');
+const transitionTweenInput = document.getElementById('transitionTweenInput');
+const transitionItemIdInput = document.getElementById('transitionItemId');
+
+transitionTweenInput.innerHTML = TWEENS.map(tween => `<option value="${tween}">${tween}</option>`).join('');
+
+/**
+ * Open transition modal
+ */
+function openTransitionModal(itemId) {
+    const item = playlistData.items.find(i => i.id === itemId);
+    if (!item) {
+        console.error('[TRANSITION] Item not found:', itemId);
+        return;
+    }
+
+    const transition = item.transition || { type: 'CUT', durationFrames: 25, direction: 'RIGHT', tween: 'linear' };
+
+    transitionItemIdInput.value = itemId;
+    transitionTypeInput.value = transition.type;
+    transitionDurationInput.value = transition.durationFrames;
+    transitionDirectionInput.value = transition.direction;
+    transitionTweenInput.value = transition.tween;
+    updateTransitionOptions();
+
+    transitionModal.style.display = 'flex';
+}
+
+/**
+ * Close transition modal
+ */
+function closeTransitionModalFunc() {
+    transitionModal.style.display = 'none';
+    transitionItemIdInput.value = '';
+}
+
+/**
+ * Duration, direction and tween do not apply to a cut
+ */
+function updateTransitionOptions() {
+    transitionOptions.style.display = transitionTypeInput.value === 'CUT' ? 'none' : 'block';
+}
+
+transitionTypeInput.addEventListener('change', updateTransitionOptions);
+
+/**
+ * Confirm transition
+ */
+document.getElementById('confirmTransitionBtn').addEventListener('click', () => {
+    const type = transitionTypeInput.value;
+    const durationFrames = parseInt(transitionDurationInput.value, 10);
+
+    if (type !== 'CUT' && (!durationFrames || durationFrames < 1)) {
+        showNotification('error', 'Durée de transition invalide (en images)');
+        return;
+    }
+
+    sendMessage({
+        type: 'PLAYLIST_SET_TRANSITION',
+        data: withPlaylist({
+            itemId: transitionItemIdInput.value,
+            transition: type === 'CUT' ? null : {
+                type,
+                durationFrames,
+                direction: transitionDirectionInput.value,
+                tween: transitionTweenInput.value
+            }
+        })
+    });
+
+    closeTransitionModalFunc();
+});
+
+document.getElementById('cancelTransitionBtn').addEventListener('click', closeTransitionModalFunc);
+document.getElementById('closeTransitionModal').addEventListener('click', closeTransitionModalFunc);
+
+// ==========================================
+// LOOP MODAL
+// ==========================================
+
+const loopModal = document.getElementById('loopModal');
+const loopModeInput = document.getElementById('loopModeInput');
+const loopCountOptions = document.getElementById('loopCountOptions');
+const loopCountInput = document.getElementById('loopCountInput');
+const loopItemIdInput = document.getElementById('loopItemId');
+
+/**
+ * Open loop modal
+ */
+function openLoopModal(itemId) {
+    const item = playlistData.items.find(i => i.id === itemId);
+    if (!item) {
+        console.error('[LOOP] Item not found:', itemId);
+        return;
+    }
+
+    loopItemIdInput.value = itemId;
+    loopModeInput.value = !item.loop ? 'none' : item.loop.untilHardStart ? 'untilHardStart' : 'count';
+    loopCountInput.value = item.loop && item.loop.count ? item.loop.count : 2;
+    updateLoopOptions();
+
+    loopModal.style.display = 'flex';
+}
+
+/**
+ * Close loop modal
+ */
+function closeLoopModalFunc() {
+    loopModal.style.display = 'none';
+    loopItemIdInput.value = '';
+}
+
+function updateLoopOptions() {
+    loopCountOptions.style.display = loopModeInput.value === 'count' ? 'block' : 'none';
+}
+
+loopModeInput.addEventListener('change', updateLoopOptions);
+
+/**
+ * Confirm loop
+ */
+document.getElementById('confirmLoopBtn').addEventListener('click', () => {
+    const mode = loopModeInput.value;
+    const count = parseInt(loopCountInput.value, 10);
+
+    if (mode === 'count' && (!count || count < 2)) {
+        showNotification('error', 'Nombre de passages invalide (2 minimum)');
+        return;
+    }
+
+    sendMessage({
+        type: 'PLAYLIST_SET_ITEM_LOOP',
+        data: withPlaylist({
+            itemId: loopItemIdInput.value,
+            loop: mode === 'none' ? null : mode === 'count' ? { count } : { untilHardStart: true }
+        })
+    });
+
+    closeLoopModalFunc();
+});
+
+document.getElementById('cancelLoopBtn').addEventListener('click', closeLoopModalFunc);
+document.getElementById('closeLoopModal').addEventListener('click', closeLoopModalFunc);
+
+// ==========================================
+// VERSIONS MODAL
+// ==========================================
+
+const snapshotModal = document.getElementById('snapshotModal');
+const snapshotListEl = document.getElementById('snapshotList');
+const revisionDiffEl = document.getElementById('revisionDiff');
+const compareRevisionsBtn = document.getElementById('compareRevisionsBtn');
+
+// Revisions listed in the modal (most recent first)
+let revisions = [];
+
+/**
+ * Open versions modal (the list is requested from the server)
+ */
+function openSnapshotModal() {
+    snapshotListEl.innerHTML = '<p class="modal-info">Chargement...</p>';
+    revisionDiffEl.style.display = 'none';
+    compareRevisionsBtn.disabled = true;
+    snapshotModal.style.display = 'flex';
+
+    sendMessage({
+        type: 'PLAYLIST_REVISION_LIST',
+        data: withPlaylist({})
+    });
+}
+
+/**
+ * Close versions modal
+ */
+function closeSnapshotModalFunc() {
+    snapshotModal.style.display = 'none';
+}
+
+/**
+ * Format the date of a revision in the station time zone
+ */
+function formatRevisionDate(revision) {
+    return `${TimeZone.dateKey(new Date(revision.createdAt), serverClock.timeZone)} ${formatTime(revision.createdAt)}`;
+}
+
+/**
+ * Render the revisions of the playlist (most recent first)
+ */
+function renderRevisionList(list) {
+    revisions = list;
+    compareRevisionsBtn.disabled = true;
+
+    if (revisions.length === 0) {
+        snapshotListEl.innerHTML = '<p class="modal-info">Aucune version enregistrée pour cette playlist.</p>';
+        return;
+    }
+
+    snapshotListEl.innerHTML = revisions.map(revision => `
+        <div class="snapshot-row">
+            <input type="checkbox" class="revision-compare" value="${escapeHtml(revision.id)}" title="Comparer">
+            <span class="snapshot-date">${formatRevisionDate(revision)}</span>
+            <span class="snapshot-label">
+                ${revision.name ? `<span class="revision-name">${escapeHtml(revision.name)}</span>` : ''}
+                ${escapeHtml(revision.label || '')}
+            </span>
+            <span class="revision-author">${escapeHtml(revision.author || '')}</span>
+            <span class="snapshot-count">${revision.itemCount} élément(s)</span>
+            <button class="btn-secondary btn-small" data-revision-id="${escapeHtml(revision.id)}">Restaurer</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Revisions checked for comparison, oldest first
+ */
+function getComparedRevisionIds() {
+    return Array.from(snapshotListEl.querySelectorAll('.revision-compare:checked'))
+        .map(input => input.value)
+        .sort();
+}
+
+/**
+ * Render the changes between two revisions
+ */
+function renderRevisionDiff(data) {
+    const { diff } = data;
+    const from = revisions.find(revision => revision.id === data.fromId);
+    const to = data.toId ? revisions.find(revision => revision.id === data.toId) : null;
+    const title = `Du ${from ? formatRevisionDate(from) : data.fromId} au ${to ? formatRevisionDate(to) : 'contenu actuel'}`;
+
+    const formatValue = (field, value) => {
+        if (value === null) return '—';
+        if (field === 'loop') return value.untilHardStart ? "jusqu'à l'heure fixe" : `${value.count}×`;
+        if (typeof value === 'number') return formatTimecode(value);
+        return escapeHtml(String(value));
+    };
+    const fieldLabels = {
+        durationSeconds: 'durée',
+        trimInSeconds: 'trim in',
+        trimOutSeconds: 'trim out',
+        holdSeconds: 'maintien',
+        joinInSeconds: 'entrée en cours',
+        hardStartTime: 'heure fixe',
+        hardStartPolicy: 'politique',
+        loop: 'boucle'
+    };
+
+    const lines = [
+        ...diff.added.map(entry => `<li class="diff-added">+ ${escapeHtml(entry.name)} <span class="diff-detail">(position ${entry.position})</span></li>`),
+        ...diff.removed.map(entry => `<li class="diff-removed">− ${escapeHtml(entry.name)} <span class="diff-detail">(position ${entry.position})</span></li>`),
+        ...diff.moved.map(entry => `<li class="diff-moved">↕ ${escapeHtml(entry.name)} <span class="diff-detail">(${entry.from} → ${entry.to}${entry.fromBlockId !== entry.toBlockId ? ', bloc changé' : ''})</span></li>`),
+        ...diff.retimed.map(entry => `<li class="diff-retimed">⏱ ${escapeHtml(entry.name)} <span class="diff-detail">(${
+            Object.entries(entry.changes)
+                .map(([field, change]) => `${fieldLabels[field] || field} ${formatValue(field, change.from)} → ${formatValue(field, change.to)}`)
+                .join(', ')
+        })</span></li>`)
+    ];
+    if (diff.loop) {
+        lines.push(`<li class="diff-retimed">⟳ Boucle de la playlist ${diff.loop.to ? 'activée' : 'désactivée'}</li>`);
+    }
+
+    revisionDiffEl.innerHTML = `
+        <h4>${title}</h4>
+        ${lines.length > 0 ? `<ul>${lines.join('')}</ul>` : '<p class="modal-info">Aucun changement.</p>'}
+    `;
+    revisionDiffEl.style.display = 'block';
+}
+
+snapshotListEl.addEventListener('change', () => {
+    const count = getComparedRevisionIds().length;
+    compareRevisionsBtn.disabled = count < 1 || count > 2;
+});
+
+snapshotListEl.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-revision-id]');
+    if (!button) return;
+
+    if (confirm('Remplacer le contenu de la playlist par cette version ?')) {
+        sendMessage({
+            type: 'PLAYLIST_REVISION_RESTORE',
+            data: withPlaylist({ revisionId: button.dataset.revisionId })
+        });
+        closeSnapshotModalFunc();
+    }
+});
+
+compareRevisionsBtn.addEventListener('click', () => {
+    const [fromId, toId] = getComparedRevisionIds();
+    sendMessage({
+        type: 'PLAYLIST_REVISION_DIFF',
+        data: withPlaylist({ fromId, toId: toId || null })
+    });
+});
+
+document.getElementById('createSnapshotBtn').addEventListener('click', () => {
+    const name = prompt("Nom de l'instantané (ex. Conducteur validé 12h) :");
+    if (!name || !name.trim()) return;
+
+    sendMessage({
+        type: 'PLAYLIST_SNAPSHOT_CREATE',
+        data: withPlaylist({ name: name.trim() })
+    });
+});
+
+document.getElementById('cancelSnapshotBtn').addEventListener('click', closeSnapshotModalFunc);
+document.getElementById('closeSnapshotModal').addEventListener('click', closeSnapshotModalFunc);
+
+// ==========================================
+// MIXER
+// ==========================================
+
+const mixerModal = document.getElementById('mixerModal');
+const mixerLayerInput = document.getElementById('mixerLayerInput');
+const mixerDurationInput = document.getElementById('mixerDurationInput');
+const mixerTweenSelect = document.getElementById('mixerTweenSelect');
+const mixerDeferCheckbox = document.getElementById('mixerDeferCheckbox');
+const mixerBlendSelect = document.getElementById('mixerBlendSelect');
+const mixerKeyerCheckbox = document.getElementById('mixerKeyerCheckbox');
+const mixerChromaSelect = document.getElementById('mixerChromaSelect');
+
+// Chroma key of the backgrounds offered in the panel (hue in degrees)
+const CHROMA_PRESET = {
+    hueWidth: 0.1,
+    minSaturation: 0.2,
+    minBrightness: 0.1,
+    softness: 0.05,
+    spillSuppress: 10,
+    spillSuppressSaturation: 0.7
+};
+
+/**
+ * Layer of the panel (null = playout layer of the channel)
+ */
+function getMixerLayer() {
+    return mixerLayerInput.value === '' ? null : Number(mixerLayerInput.value);
+}
+
+/**
+ * Open the mixer panel with the current values of the layer
+ */
+function openMixerModal() {
+    mixerModal.style.display = 'flex';
+    sendMessage({ type: 'MIXER_GET', data: { layer: getMixerLayer() } });
+}
+
+function closeMixerModalFunc() {
+    mixerModal.style.display = 'none';
+}
+
+/**
+ * Send a MIXER property with the transition and defer choices of the panel
+ */
+function sendMixer(property, values) {
+    sendMessage({
+        type: 'MIXER_SET',
+        data: {
+            layer: getMixerLayer(),
+            property,
+            ...values,
+            duration: Number(mixerDurationInput.value) || 0,
+            tween: mixerTweenSelect.value,
+            defer: mixerDeferCheckbox.checked
+        }
+    });
+}
+
+/**
+ * Values of the FILL or CLIP inputs
+ */
+function getMixerRect(property) {
+    return Array.from(mixerModal.querySelectorAll(`[data-mixer-field="${property}"]`)).map(input => Number(input.value));
+}
+
+function setMixerRect(property, values) {
+    mixerModal.querySelectorAll(`[data-mixer-field="${property}"]`).forEach((input, index) => {
+        input.value = values[index];
+    });
+}
+
+/**
+ * Show the values read on CasparCG
+ */
+function renderMixerState(data) {
+    if (getMixerLayer() !== null && data.layer !== getMixerLayer()) return;
+
+    const { values } = data;
+    setMixerRect('FILL', values.FILL);
+    setMixerRect('CLIP', values.CLIP);
+
+    mixerModal.querySelectorAll('[data-mixer-property]').forEach(slider => {
+        const value = values[slider.dataset.mixerProperty];
+        if (!value) return;
+        slider.value = value[0];
+        slider.nextElementSibling.textContent = value[0];
+    });
+
+    mixerBlendSelect.value = values.BLEND[0];
+    mixerKeyerCheckbox.checked = values.KEYER[0] === 1;
+    mixerChromaSelect.value = values.CHROMA[0] === 1 ? String(values.CHROMA[1]) : '';
+}
+
+mixerModal.querySelectorAll('[data-mixer-property]').forEach(slider => {
+    slider.addEventListener('input', () => {
+        slider.nextElementSibling.textContent = slider.value;
+    });
+    slider.addEventListener('change', () => {
+        sendMixer(slider.dataset.mixerProperty, { value: Number(slider.value) });
+    });
+});
+
+mixerModal.querySelectorAll('[data-mixer-fill]').forEach(button => {
+    button.addEventListener('click', () => {
+        const [x, y, scaleX, scaleY] = button.dataset.mixerFill.split(' ').map(Number);
+        setMixerRect('FILL', [x, y, scaleX, scaleY]);
+        sendMixer('FILL', { x, y, scaleX, scaleY });
+    });
+});
+
+mixerModal.querySelectorAll('[data-mixer-apply]').forEach(button => {
+    button.addEventListener('click', () => {
+        const property = button.dataset.mixerApply;
+        const [x, y, a, b] = getMixerRect(property);
+        sendMixer(property, property === 'FILL'
+            ? { x, y, scaleX: a, scaleY: b }
+            : { x, y, width: a, height: b });
+    });
+});
+
+mixerBlendSelect.addEventListener('change', () => {
+    sendMixer('BLEND', { mode: mixerBlendSelect.value });
+});
+
+mixerKeyerCheckbox.addEventListener('change', () => {
+    sendMixer('KEYER', { enabled: mixerKeyerCheckbox.checked });
+});
+
+mixerChromaSelect.addEventListener('change', () => {
+    const chroma = mixerChromaSelect.value
+        ? { ...CHROMA_PRESET, targetHue: Number(mixerChromaSelect.value) }
+        : null;
+    sendMixer('CHROMA', { chroma });
+});
+
+mixerLayerInput.addEventListener('change', () => {
+    sendMessage({ type: 'MIXER_GET', data: { layer: getMixerLayer() } });
+});
+
+document.getElementById('mixerCommitBtn').addEventListener('click', () => {
+    sendMessage({ type: 'MIXER_COMMIT', data: {} });
+});
+
+document.getElementById('mixerClearBtn').addEventListener('click', () => {
+    if (confirm('Remettre le mixer de cette couche à zéro ?')) {
+        sendMessage({ type: 'MIXER_CLEAR', data: { layer: getMixerLayer() } });
+    }
+});
+
+document.getElementById('mixerBtn').addEventListener('click', openMixerModal);
+document.getElementById('cancelMixerBtn').addEventListener('click', closeMixerModalFunc);
+document.getElementById('closeMixerModal').addEventListener('click', closeMixerModalFunc);
+
+// ==========================================
+// CASPARCG REDUNDANCY
+// ==========================================
+
+const casparRedundancyEl = document.getElementById('casparRedundancy');
+
+/**
+ * Show the main and backup CasparCG servers, the one on air and their divergences
+ */
+function renderCasparRedundancy(status) {
+    const server = (name, label) => {
+        const info = status[name];
+        const classes = ['redundancy-server', info.connected ? 'connected' : 'disconnected'];
+        if (status.onAir === name) classes.push('on-air');
+        const title = `${info.host}:${info.port}${info.lastError ? ` - ${info.lastError}` : ''}`;
+        return `<span class="${classes.join(' ')}" title="${escapeHtml(title)}">${label}${status.onAir === name ? ' (antenne)' : ''}</span>`;
+    };
+    const standby = status.onAir === 'main' ? 'backup' : 'main';
+    const divergences = status.divergences.map(d => `${d.layer} ${d.type} : ${d.main} / ${d.backup}`).join('\n');
+
+    casparRedundancyEl.innerHTML = `
+        CasparCG ${server('main', 'Principal')} ${server('backup', 'Secours')}
+        ${status.divergences.length > 0 ? `<span class="redundancy-divergence" title="${escapeHtml(divergences)}">⚠ ${status.divergences.length} divergence(s)</span>` : ''}
+        <button class="btn-secondary btn-small" data-redundancy="switch" ${status[standby].connected ? '' : 'disabled'}>Basculer</button>
+        <button class="btn-secondary btn-small" data-redundancy="resync" ${status[standby].connected ? '' : 'disabled'}>Resynchroniser</button>
+    `;
+    casparRedundancyEl.dataset.standby = standby;
+    casparRedundancyEl.style.display = 'flex';
+}
+
+casparRedundancyEl.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-redundancy]');
+    if (!button) return;
+
+    if (button.dataset.redundancy === 'resync') {
+        sendMessage({ type: 'CASPAR_RESYNC', data: {} });
+        return;
+    }
+
+    const standby = casparRedundancyEl.dataset.standby;
+    if (confirm(`Mettre le CasparCG ${standby === 'main' ? 'principal' : 'de secours'} à l'antenne ?`)) {
+        sendMessage({ type: 'CASPAR_SET_ON_AIR', data: { server: standby } });
+    }
+});
+
+// ==========================================
+// OPERATOR NAME
+// ==========================================
+
+const OPERATOR_STORAGE_KEY = 'playout.operator';
+const operatorNameEl = document.getElementById('operatorName');
+
+/**
+ * Send the operator name, written by the server as the author of the edits of this client
+ */
+function sendOperator() {
+    const name = localStorage.getItem(OPERATOR_STORAGE_KEY) || '';
+    operatorNameEl.textContent = name || 'Anonyme';
+
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'SET_OPERATOR', data: { name } }));
+    }
+}
+
+document.getElementById('operatorBtn').addEventListener('click', () => {
+    const name = prompt('Votre nom (auteur des modifications) :', localStorage.getItem(OPERATOR_STORAGE_KEY) || '');
+    if (name === null) return;
+
+    localStorage.setItem(OPERATOR_STORAGE_KEY, name.trim());
+    sendOperator();
+});
+
+// ==========================================
+// LIVE INPUT MANAGEMENT
+// ==========================================
+
+const liveInputModal = document.getElementById('liveInputModal');
 const addLiveBtn = document.getElementById('addLiveBtn');
 const closeLiveInputModal = document.getElementById('closeLiveInputModal');
 const cancelLiveBtn = document.getElementById('cancelLiveBtn');
@@ -1992,14 +3180,13 @@ if (confirmLiveBtn) {
             return;
         }
 
-        // Parse duration HH:MM:SS
-        const parts = durationStr.split(':').map(Number);
-        if (parts.length !== 3 || parts.some(isNaN)) {
-             showNotification('error', 'Format de durée invalide (HH:MM:SS)');
+        // Parse duration HH:MM:SS or HH:MM:SS:FF
+        const durationSeconds = parseDurationInput(durationStr);
+        if (durationSeconds === null) {
+             showNotification('error', 'Format de durée invalide (HH:MM:SS ou HH:MM:SS:FF)');
              return;
         }
 
-        const durationSeconds = (parts[0] * 3600) + (parts[1] * 60) + parts[2];
         if (durationSeconds <= 0) {
             showNotification('error', 'La durée doit être supérieure à 0');
             return;
@@ -2015,7 +3202,8 @@ if (confirmLiveBtn) {
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
                 type: 'ADD_ITEM',
-                data: newItem
+                channel: currentChannel,
+                data: withPlaylist(newItem)
             }));
             showNotification('success', 'Entrée Direct ajoutée');
             if (liveInputModal) liveInputModal.style.display = 'none';
@@ -2029,6 +3217,198 @@ if (confirmLiveBtn) {
     });
 }
 
+// ==========================================
+// NAMED PLAYLISTS MANAGEMENT
+// ==========================================
+
+/**
+ * Handle playlist list from server
+ */
+function handlePlaylistList(data) {
+    playlists = data.playlists || [];
+    onAirPlaylistId = (data.onAir || {})[currentChannel] || null;
+
+    // Displayed playlist was deleted: fall back to the on-air one
+    if (currentPlaylistId && !playlists.some(p => p.id === currentPlaylistId)) {
+        switchPlaylist(onAirPlaylistId);
+    }
+
+    renderPlaylistSelector();
+}
+
+/**
+ * Render playlist selector
+ */
+function renderPlaylistSelector() {
+    if (!playlistSelectEl) return;
+
+    playlistSelectEl.innerHTML = playlists.map(p => `
+        <option value="${escapeHtml(p.id)}" ${p.id === currentPlaylistId ? 'selected' : ''}>
+            ${p.onAir ? `📡${p.onAirChannel !== currentChannel ? p.onAirChannel : ''} ` : ''}${p.broadcastDate ? '📅 ' : ''}${escapeHtml(p.name)}
+        </option>
+    `).join('');
+
+    const current = getCurrentPlaylistSummary();
+    const isOnAir = currentPlaylistId && currentPlaylistId === onAirPlaylistId;
+    playlistOnAirBadgeEl.style.display = isOnAir ? 'inline-block' : 'none';
+    // A playlist airs on one channel at a time
+    onAirPlaylistBtn.disabled = Boolean(current && current.onAir);
+    deletePlaylistBtn.disabled = Boolean(current && current.onAir);
+}
+
+/**
+ * Handle playout channel list from server
+ */
+function handleChannelList(data) {
+    channelsList = data.channels || [];
+
+    if (!channelsList.some(c => c.channel === currentChannel)) {
+        currentChannel = data.defaultChannel;
+    }
+
+    renderChannelSelector();
+
+    // Rehearsal mode: playout on a simulated CasparCG
+    if (rehearsalBadgeEl) {
+        rehearsalBadgeEl.style.display = data.rehearsal ? 'inline-block' : 'none';
+    }
+
+    // The server sends the default channel state on connect
+    if (currentChannel !== data.defaultChannel) {
+        loadChannel();
+    }
+}
+
+/**
+ * Render channel selector
+ */
+function renderChannelSelector() {
+    if (!channelSelectEl) return;
+
+    channelSelectEl.innerHTML = channelsList.map(c => `
+        <option value="${c.channel}" ${c.channel === currentChannel ? 'selected' : ''}>
+            Canal ${c.channel} - ${escapeHtml(c.name)}${c.frameRate ? ` (${c.frameRate} i/s)` : ''}
+        </option>
+    `).join('');
+}
+
+/**
+ * Request the on-air playlist, autoplay status and calendar of the current channel
+ */
+function loadChannel() {
+    layerProgress = null;
+    const onAir = playlists.find(p => p.onAirChannel === currentChannel);
+    onAirPlaylistId = onAir ? onAir.id : null;
+
+    sendMessage({ type: 'GET_PLAYLIST', data: {} });
+    sendMessage({ type: 'GET_AUTOPLAY_STATUS', data: {} });
+    sendMessage({ type: 'SCHEDULE_GET_ALL', data: {} });
+}
+
+/**
+ * Display another playlist
+ */
+function switchPlaylist(playlistId) {
+    if (!playlistId) return;
+
+    sendMessage({
+        type: 'GET_PLAYLIST',
+        data: { playlistId }
+    });
+}
+
+/**
+ * Day after a YYYY-MM-DD date
+ */
+function nextDateString(dateStr) {
+    return TimeZone.addDays(dateStr, 1);
+}
+
+function getCurrentPlaylistSummary() {
+    return playlists.find(p => p.id === currentPlaylistId) || null;
+}
+
+if (channelSelectEl) {
+    channelSelectEl.addEventListener('change', () => {
+        currentChannel = Number(channelSelectEl.value);
+        loadChannel();
+    });
+}
+
+if (playlistSelectEl) {
+    playlistSelectEl.addEventListener('change', () => switchPlaylist(playlistSelectEl.value));
+
+    newPlaylistBtn.addEventListener('click', () => {
+        const name = prompt('Nom de la nouvelle playlist :');
+        if (name && name.trim()) {
+            sendMessage({ type: 'CREATE_PLAYLIST', data: { name: name.trim() } });
+        }
+    });
+
+    renamePlaylistBtn.addEventListener('click', () => {
+        const current = getCurrentPlaylistSummary();
+        if (!current) return;
+
+        const name = prompt('Nouveau nom :', current.name);
+        if (name && name.trim() && name.trim() !== current.name) {
+            sendMessage({ type: 'RENAME_PLAYLIST', data: { playlistId: current.id, name: name.trim() } });
+        }
+    });
+
+    duplicatePlaylistBtn.addEventListener('click', () => {
+        const current = getCurrentPlaylistSummary();
+        if (!current) return;
+
+        const name = prompt('Nom de la copie :', `${current.name} (copie)`);
+        if (name && name.trim()) {
+            sendMessage({ type: 'DUPLICATE_PLAYLIST', data: { playlistId: current.id, name: name.trim() } });
+        }
+    });
+
+    schedulePlaylistBtn.addEventListener('click', () => {
+        const current = getCurrentPlaylistSummary();
+        if (!current) return;
+
+        // Default: the broadcast day following the last scheduled one (or tomorrow)
+        const lastDay = scheduleInfo.days.length > 0
+            ? scheduleInfo.days[scheduleInfo.days.length - 1].date
+            : scheduleInfo.currentBroadcastDate;
+        const date = prompt(
+            `Programmer "${current.name}" pour la journée (AAAA-MM-JJ) :\nLa journée commence à ${scheduleInfo.dayBoundary}.`,
+            lastDay ? nextDateString(lastDay) : ''
+        );
+
+        if (date && date.trim()) {
+            sendMessage({ type: 'SCHEDULE_DAY_CREATE', data: { date: date.trim(), sourcePlaylistId: current.id } });
+        }
+    });
+
+    deletePlaylistBtn.addEventListener('click', () => {
+        const current = getCurrentPlaylistSummary();
+        if (!current) return;
+
+        if (confirm(`Supprimer la playlist "${current.name}" ?`)) {
+            sendMessage({ type: 'DELETE_PLAYLIST', data: { playlistId: current.id } });
+        }
+    });
+
+    loopPlaylistBtn.addEventListener('click', () => {
+        sendMessage({
+            type: 'PLAYLIST_SET_LOOP',
+            data: withPlaylist({ loop: !playlistData.loop })
+        });
+    });
+
+    onAirPlaylistBtn.addEventListener('click', () => {
+        const current = getCurrentPlaylistSummary();
+        if (!current) return;
+
+        if (confirm(`Mettre "${current.name}" à l'antenne sur le canal ${currentChannel} ?\nEn mode AUTO, cette playlist prendra le relais selon ses horaires.`)) {
+            sendMessage({ type: 'SET_ON_AIR_PLAYLIST', data: { playlistId: current.id } });
+        }
+    });
+}
+
 // Initialize
 console.log('[APP] RTG Playout starting...');
 connect();